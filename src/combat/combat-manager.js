@@ -4,13 +4,37 @@
  */
 
 import { EventSystem } from '../core/event-system.js';
+import { DamageCalculator } from './damage-calculator.js';
+import { EnemyAI } from './enemy-ai.js';
+import { StatusEffectManager } from './status-effect-manager.js';
+import { SkillManager } from './skill-manager.js';
+import { InitiativeSystem } from './initiative-system.js';
+import { StatPipeline } from '../core/stat-pipeline.js';
+import { RandomService } from '../core/random-service.js';
+import { GameClock } from '../core/game-clock.js';
 
 class CombatManager {
-    constructor(stateManager, eventSystem, stageManager = null, enemyDatabase = null) {
+    constructor(stateManager, eventSystem, stageManager = null, enemyDatabase = null, damageCalculator = null, enemyAI = null, statusEffectManager = null, skillManager = null, initiativeSystem = null, statPipeline = null, randomService = null) {
         this.stateManager = stateManager;
         this.eventSystem = eventSystem;
         this.stageManager = stageManager;
         this.enemyDatabase = enemyDatabase;
+        this.randomService = randomService || new RandomService();
+        this.rng = this.randomService.getStream(this.randomService.STREAMS.COMBAT);
+        this.damageCalculator = damageCalculator || new DamageCalculator(this.randomService);
+        this.enemyAI = enemyAI || new EnemyAI(this.randomService);
+        this.statusEffectManager = statusEffectManager || new StatusEffectManager(stateManager, eventSystem, this.damageCalculator);
+        this.skillManager = skillManager || new SkillManager(stateManager, eventSystem);
+        this.initiativeSystem = initiativeSystem || new InitiativeSystem();
+        this.statPipeline = statPipeline || new StatPipeline(stateManager, eventSystem);
+        
+        // Status effects only apply during a fight, so they are never saved to player stats
+        this.statPipeline.registerSource(this.statPipeline.SOURCES.STATUS_EFFECT, 'Status Effects', () =>
+            Object.entries(this.statusEffectManager.getStatModifiers('player')).map(([stat, value]) => ({
+                stat,
+                type: this.statPipeline.MODIFIER_TYPES.MULTIPLIER,
+                value
+            })), { transient: true });
         
         this.isInCombat = false;
         this.currentEnemy = null;
@@ -24,9 +48,69 @@ class CombatManager {
             RESOLUTION: 'resolution'
         };
         
+        this.AUTO_BATTLE_POLICIES = {
+            ALWAYS_ATTACK: 'always_attack',
+            DEFEND_LOW_HP: 'defend_low_hp'
+        };
+        this.AUTO_BATTLE_DELAY = 800; // ms before each automatic action or encounter
+        
+        // Hit chance is BASE_ACCURACY - BASE_EVASION unless a combatant defines its own
+        this.BASE_ACCURACY = 0.95;
+        this.BASE_EVASION = 0.05;
+        
+        this.isPlayerTurn = false;
+        this.autoBattleTimer = null;
+        this.clock = new GameClock(); // Replaced by a virtual clock in headless simulations
+        this.bossManager = null;      // Set with setBossManager(); boss fights need it
+        this.ui = null;               // Set with setUI(); null keeps combat DOM-free
+        this.inventoryManager = null; // Quick-bar bindings; without it and equipmentManager
+        this.equipmentManager = null; // the quick-bar is off
+        this.defeatPenaltyManager = null; // Without it, defeat only costs half HP
+        this.levelingSystem = null;       // Without it, EXP is earned but never levels the player up
+        
+        // Flee chance: base, plus per point of speed and per level the player is ahead
+        this.FLEE_BASE_CHANCE = 0.5;
+        this.FLEE_SPEED_BONUS = 0.02;
+        this.FLEE_LEVEL_BONUS = 0.05;
+        this.FLEE_MIN_CHANCE = 0.1;
+        this.FLEE_MAX_CHANCE = 0.9;
+        
+        // Per-fight context for EnemyAI decisions
+        this.turnCount = 0;
+        this.playerLastAction = null;
+        this.enemyDefenseReduction = 0; // Fraction of the next player hit blocked by an enemy defend
+        this.lastActor = null;          // Whose status effects count down when the next turn starts
+        
+        this.initializeAutoBattleState();
         this.setupEventListeners();
     }
     
+    /**
+     * Set the boss manager used for boss fights
+     * @param {BossManager} bossManager - Boss manager
+     */
+    setBossManager(bossManager) {
+        this.bossManager = bossManager;
+    }
+    
+    /**
+     * Initialize auto-battle state
+     */
+    initializeAutoBattleState() {
+        if (!this.stateManager.getStateValue('autoBattle')) {
+            this.stateManager.updateState({
+                autoBattle: {
+                    enabled: false,
+                    policy: this.AUTO_BATTLE_POLICIES.ALWAYS_ATTACK,
+                    defendThreshold: 0.3, // Defend below this fraction of max HP
+                    maxFights: 0,         // 0 = no limit
+                    fightsCompleted: 0,
+                    stopReason: null
+                }
+            });
+        }
+    }
+    
     /**
      * Setup event listeners for combat-related events
      */
@@ -39,6 +123,60 @@ class CombatManager {
             if (data.buttonId === 'defend-btn' && this.isInCombat) {
                 this.playerDefend();
             }
+            if (data.buttonId === 'flee-btn' && this.isInCombat) {
+                this.playerFlee();
+            }
+            if (data.buttonId === 'auto-battle-btn') {
+                this.toggleAutoBattle();
+            }
+            if (data.buttonId && data.buttonId.startsWith('skill-btn-') && this.isInCombat) {
+                this.playerUseSkill(data.buttonId.replace('skill-btn-', ''));
+            }
+            if (data.buttonId && data.buttonId.startsWith('quick-bar-btn-') && this.isInCombat) {
+                this.playerUseQuickBarSlot(Number(data.buttonId.replace('quick-bar-btn-', '')));
+            }
+        });
+        
+        // Number keys trigger skill and quick-bar shortcuts
+        this.eventSystem.on('key_down', (data) => {
+            if (!this.isInCombat || !this.isPlayerTurn || data.isTyping) return;
+            
+            const skill = this.skillManager.getSkillByShortcut(data.key);
+            if (skill) {
+                this.playerUseSkill(skill.id);
+                return;
+            }
+            
+            const slot = this.inventoryManager ? this.inventoryManager.getQuickBarSlotByKey(data.key) : -1;
+            if (slot !== -1) {
+                this.playerUseQuickBarSlot(slot);
+            }
+        });
+        
+        // Rebind or restock the quick-bar mid-fight
+        ['quick_bar_changed', 'consumable_used'].forEach(eventType => {
+            this.eventSystem.on(eventType, () => {
+                if (this.isInCombat) {
+                    this.renderQuickBar();
+                    this.enableCombatActions(this.isPlayerTurn);
+                }
+            });
+        });
+        
+        // Refresh skill buttons when skills unlock mid-fight
+        this.eventSystem.on('skill_unlocked', () => {
+            if (this.isInCombat) {
+                this.renderSkillBar();
+                this.enableCombatActions(this.isPlayerTurn);
+            }
+        });
+        
+        // Resume auto-battle for loaded saves that had it running
+        this.eventSystem.on('stateLoaded', () => {
+            this.initializeAutoBattleState();
+            if (this.stateManager.getStateValue('autoBattle.enabled')) {
+                this.scheduleNextAutoFight();
+            }
         });
         
         // Listen for canvas clicks to start combat
@@ -50,66 +188,32 @@ class CombatManager {
     }
     
     /**
-     * Get effective player stats including equipment and prestige bonuses
+     * Get effective player stats from StatPipeline, including status effects
      * @returns {Object} Effective player stats
      */
     getEffectivePlayerStats() {
-        const basePlayer = this.stateManager.getStateValue('player');
+        const player = this.stateManager.getStateValue('player') || {};
+        const stats = this.statPipeline.computeStats();
         
-        // Ensure player exists with fallback values
-        if (!basePlayer) {
-            console.warn('Player stats not found, using defaults');
-            return {
-                hp: 100,
-                maxHp: 100,
-                level: 1,
-                exp: 0,
-                attack: 10,
-                defense: 5,
-                criticalChance: 0
-            };
-        }
-        
-        // Ensure numeric values with defaults
-        const safePlayer = {
-            hp: Number(basePlayer.hp) || 100,
-            maxHp: Number(basePlayer.maxHp) || 100,
-            level: Number(basePlayer.level) || 1,
-            exp: Number(basePlayer.exp) || 0,
-            attack: Number(basePlayer.attack) || 10,
-            defense: Number(basePlayer.defense) || 5,
-            criticalChance: Number(basePlayer.criticalChance) || 0
-        };
-        
-        // Get prestige bonuses if available
-        let prestigeBonuses = {
-            damageMultiplier: 1,
-            healthMultiplier: 1,
-            defenseMultiplier: 1,
-            criticalChanceBonus: 0
-        };
-        
-        const state = this.stateManager.getState();
-        if (state.prestige && state.prestige.upgrades) {
-            const upgrades = state.prestige.upgrades;
-            prestigeBonuses = {
-                damageMultiplier: 1 + (upgrades.combatDamage || 0) * 0.1,
-                healthMultiplier: 1 + (upgrades.healthBoost || 0) * 0.15,
-                defenseMultiplier: 1 + (upgrades.defenseBoost || 0) * 0.1,
-                criticalChanceBonus: (upgrades.criticalChance || 0) * 0.05
-            };
-        }
-        
-        // Apply prestige bonuses
         return {
-            ...safePlayer,
-            attack: Math.floor(safePlayer.attack * prestigeBonuses.damageMultiplier),
-            defense: Math.floor(safePlayer.defense * prestigeBonuses.defenseMultiplier),
-            maxHp: Math.floor(safePlayer.maxHp * prestigeBonuses.healthMultiplier),
-            criticalChance: safePlayer.criticalChance + prestigeBonuses.criticalChanceBonus
+            ...stats,
+            hp: Math.min(Number(player.hp ?? stats.maxHp) || 0, stats.maxHp),
+            level: Number(player.level) || 1,
+            exp: Number(player.exp) || 0,
+            criticalMultiplier: this.damageCalculator.CRITICAL_HIT_MULTIPLIER + stats.criticalDamage,
+            element: player.element || this.damageCalculator.ELEMENT_TYPES.PHYSICAL,
+            resistances: player.resistances || {}
         };
     }
     
+    /**
+     * Get current enemy stats including status effect modifiers
+     * @returns {Object} Effective enemy stats
+     */
+    getEffectiveEnemyStats() {
+        return this.statusEffectManager.applyStatModifiers('enemy', this.currentEnemy);
+    }
+    
     /**
      * Start a new combat encounter
      * @param {Object} enemy - Enemy data (optional, uses default if not provided)
@@ -120,6 +224,13 @@ class CombatManager {
             return;
         }
         
+        const respawnRemaining = this.getRespawnRemaining();
+        if (respawnRemaining > 0) {
+            this.eventSystem.emit('combat_blocked', { reason: 'respawning', remaining: respawnRemaining });
+            console.log(`💀 Still recovering, ${Math.ceil(respawnRemaining / 1000)}s until you can fight`);
+            return;
+        }
+        
         // Create stage-appropriate enemy if none provided
         this.currentEnemy = enemy || this.createStageEnemy();
         
@@ -128,10 +239,17 @@ class CombatManager {
         this.setupTurnOrder();
         
         // Track combat metrics for achievements
-        this.combatStartTime = Date.now();
+        this.combatStartTime = this.clock.now();
         this.combatDamageTaken = 0;
         this.initialPlayerHp = this.stateManager.getStateValue('player').hp;
         
+        this.turnCount = 0;
+        this.playerLastAction = null;
+        this.enemyDefenseReduction = 0;
+        this.lastActor = null;
+        this.statusEffectManager.clearAll();
+        this.skillManager.resetForCombat();
+        
         // Update game state
         this.stateManager.updateState({
             game: { isInCombat: true },
@@ -159,7 +277,7 @@ class CombatManager {
     
     /**
      * End the current combat
-     * @param {string} result - Combat result ('victory', 'defeat', 'flee')
+     * @param {string} result - Combat result ('victory', 'defeat', 'flee', 'enemy_fled')
      */
     endCombat(result) {
         if (!this.isInCombat) return;
@@ -173,6 +291,7 @@ class CombatManager {
         this.isInCombat = false;
         this.currentEnemy = null;
         this.combatPhase = this.COMBAT_PHASES.PREPARATION;
+        this.statusEffectManager.clearAll();
         
         // Update game state
         this.stateManager.updateState({
@@ -190,14 +309,41 @@ class CombatManager {
         this.eventSystem.emit('combat_end', combatData);
         
         console.log(`⚔️ Combat ended: ${result}`);
+        
+        this.onAutoBattleCombatEnd(result);
     }
     
     /**
      * Setup turn order for combat
      */
     setupTurnOrder() {
-        this.turnOrder = ['player', 'enemy'];
+        const playerSpeed = this.getEffectivePlayerStats().speed;
+        const enemySpeed = this.getEffectiveEnemyStats().speed;
+        
+        // Rebuilt every round so speed changes mid-fight take effect
+        this.turnOrder = this.initiativeSystem.buildRound(playerSpeed, enemySpeed);
         this.currentTurnIndex = 0;
+        
+        this.eventSystem.emit('turn_order_set', {
+            order: [...this.turnOrder],
+            playerSpeed,
+            enemySpeed
+        });
+    }
+    
+    /**
+     * Get the turns after the one in progress
+     * @param {number} count - Number of turns to preview
+     * @returns {Array} Upcoming combatants ('player' / 'enemy')
+     */
+    getTurnQueue(count = 5) {
+        return this.initiativeSystem.previewQueue(
+            this.turnOrder,
+            this.currentTurnIndex,
+            this.getEffectivePlayerStats().speed,
+            this.getEffectiveEnemyStats().speed,
+            count
+        );
     }
     
     /**
@@ -206,16 +352,29 @@ class CombatManager {
     nextTurn() {
         if (!this.isInCombat) return;
         
+        // The previous actor's turn is over, so count down its effects
+        if (this.lastActor) {
+            this.statusEffectManager.processTurnEnd(this.lastActor);
+        }
+        
+        // Roll initiative again once the round is over
+        if (this.currentTurnIndex >= this.turnOrder.length) {
+            this.setupTurnOrder();
+        }
+        
         const currentActor = this.turnOrder[this.currentTurnIndex];
+        this.lastActor = currentActor;
+        this.statusEffectManager.startTurn();
+        
+        // Advance turn index
+        this.currentTurnIndex++;
+        this.updateTurnQueueDisplay();
         
         if (currentActor === 'player') {
             this.playerTurn();
         } else if (currentActor === 'enemy') {
             this.enemyTurn();
         }
-        
-        // Advance turn index
-        this.currentTurnIndex = (this.currentTurnIndex + 1) % this.turnOrder.length;
     }
     
     /**
@@ -224,10 +383,21 @@ class CombatManager {
     playerTurn() {
         this.combatPhase = this.COMBAT_PHASES.ACTION;
         
+        // Mana and cooldowns recover even when the turn is skipped
+        this.skillManager.onTurnStart();
+        
+        if (this.resolveStatusEffects('player')) return;
+        
+        this.isPlayerTurn = true;
+        
         // Enable combat buttons
         this.enableCombatActions(true);
         
         console.log('🧙 Player turn');
+        
+        if (this.stateManager.getStateValue('autoBattle.enabled')) {
+            this.clock.setTimeout(() => this.performAutoAction(), this.AUTO_BATTLE_DELAY);
+        }
     }
     
     /**
@@ -235,69 +405,436 @@ class CombatManager {
      */
     enemyTurn() {
         this.combatPhase = this.COMBAT_PHASES.ACTION;
+        this.turnCount++;
         
         // Disable combat buttons during enemy turn
         this.enableCombatActions(false);
         
-        // Simple AI: enemy always attacks
-        setTimeout(() => {
-            this.enemyAttack();
+        if (this.resolveStatusEffects('enemy')) return;
+        
+        // Bosses pick from their phase abilities in enemyAttack()
+        const decision = this.currentEnemy.isBoss
+            ? { action: this.enemyAI.ACTIONS.ATTACK, reasoning: 'Boss ability' }
+            : this.enemyAI.decideAction(this.currentEnemy, this.getEffectivePlayerStats(), {
+                turnCount: this.turnCount,
+                playerLastAction: this.playerLastAction
+            });
+        
+        this.clock.setTimeout(() => {
+            this.performEnemyAction(decision);
         }, 1000); // 1 second delay for enemy action
         
-        console.log('👹 Enemy turn');
+        console.log(`👹 Enemy turn: ${decision.action} (${decision.reasoning})`);
     }
     
     /**
-     * Player attack action
+     * Resolve start-of-turn status effects for a combatant
+     * @param {string} target - 'player' or 'enemy'
+     * @returns {boolean} True if the turn is over (skipped or combat ended)
      */
-    playerAttack() {
-        if (!this.isInCombat || this.combatPhase !== this.COMBAT_PHASES.ACTION) return;
+    resolveStatusEffects(target) {
+        const stats = target === 'player' ? this.getEffectivePlayerStats() : this.getEffectiveEnemyStats();
+        const result = this.statusEffectManager.processTurnStart(target, stats);
+        
+        if (result.damage > 0) {
+            if (target === 'player') {
+                const player = this.stateManager.getStateValue('player');
+                const newHp = Math.max(0, player.hp - result.damage);
+                this.stateManager.updateState({
+                    player: { hp: newHp }
+                });
+                this.combatDamageTaken += result.damage;
+                
+                console.log(`🌀 Status effects deal ${result.damage} damage to player! Player HP: ${newHp}`);
+                
+                if (newHp <= 0) {
+                    this.endCombat('defeat');
+                    return true;
+                }
+            } else {
+                this.applyDamageToEnemy(result.damage);
+                
+                console.log(`🌀 Status effects deal ${result.damage} damage to ${this.currentEnemy.name}! HP: ${this.currentEnemy.hp}`);
+                
+                if (this.currentEnemy.hp <= 0) {
+                    this.endCombat('victory');
+                    return true;
+                }
+            }
+        }
         
-        const effectivePlayer = this.getEffectivePlayerStats();
-        const damage = this.calculateDamage(effectivePlayer.attack, this.currentEnemy.defense, effectivePlayer.criticalChance);
+        if (result.skipTurn) {
+            console.log(`🌀 ${target} loses the turn (${result.skippedBy})`);
+            this.enableCombatActions(false);
+            this.clock.setTimeout(() => this.nextTurn(), 500);
+            return true;
+        }
         
-        let combatResult = null;
+        return false;
+    }
+    
+    /**
+     * Roll for a status effect carried by an attack
+     * @param {string} target - 'player' or 'enemy'
+     * @param {Object} statusEffect - { id, chance }
+     * @param {number} level - Attacker level (scales tick damage)
+     * @returns {boolean} Whether the effect was applied
+     */
+    tryApplyStatusEffect(target, statusEffect, level = 1) {
+        if (!statusEffect || !this.rng.chance(statusEffect.chance ?? 1)) return false;
         
+        return this.statusEffectManager.applyEffect(target, statusEffect.id, {
+            level,
+            duration: statusEffect.duration,
+            source: target === 'player' ? this.currentEnemy.name : 'player'
+        });
+    }
+    
+    /**
+     * Apply damage to the current enemy, routing boss damage through BossManager
+     * @param {number} damage - Damage after mitigation
+     * @returns {Object|null} Boss result when a boss is defeated
+     */
+    applyDamageToEnemy(damage) {
         // Handle boss damage differently
-        if (this.currentEnemy.isBoss && window.gameEngine && window.gameEngine.bossManager) {
-            const result = window.gameEngine.bossManager.damageBoss(damage);
+        if (this.currentEnemy.isBoss && this.bossManager) {
+            const result = this.bossManager.damageBoss(damage, true);
             if (result.defeated) {
-                combatResult = result;
                 this.currentEnemy.hp = 0; // Sync enemy HP for combat manager
-            } else {
-                this.currentEnemy.hp = result.hp || this.currentEnemy.hp - damage;
+                this.bossVictoryData = result; // Stored for victory handling
+                return result;
             }
+            this.currentEnemy.hp = result.hp || this.currentEnemy.hp - damage;
         } else {
             // Apply damage to regular enemy
             this.currentEnemy.hp = Math.max(0, this.currentEnemy.hp - damage);
         }
         
-        // Create damage effect
-        this.createDamageEffect(damage, 'enemy');
+        return null;
+    }
+    
+    /**
+     * Carry out an EnemyAI decision
+     * @param {Object} decision - Decision from EnemyAI.decideAction()
+     */
+    performEnemyAction(decision) {
+        if (!this.isInCombat) return;
+        
+        const actions = this.enemyAI.ACTIONS;
+        const abilities = this.currentEnemy.abilities || [];
+        
+        switch (decision.action) {
+            case actions.SPECIAL: {
+                const ability = abilities[decision.abilityIndex] || abilities[0];
+                if (ability) {
+                    this.enemyUseAbility(ability);
+                } else {
+                    this.enemyAttack();
+                }
+                break;
+            }
+            case actions.HEAL: {
+                const healAbility = abilities.find(ability => ability.type === 'heal');
+                if (healAbility) {
+                    this.enemyUseAbility(healAbility);
+                } else {
+                    this.enemyAttack();
+                }
+                break;
+            }
+            case actions.DEFEND:
+                this.enemyDefend(abilities.find(ability => ability.type === 'defend') || null);
+                break;
+            case actions.FLEE:
+                this.enemyFlee();
+                break;
+            default:
+                this.enemyAttack();
+        }
+    }
+    
+    /**
+     * Use an enemy ability
+     * @param {Object} ability - Ability definition from EnemyDatabase
+     */
+    enemyUseAbility(ability) {
+        switch (ability.type) {
+            case 'attack':
+                this.enemyAttack(ability);
+                break;
+            case 'heal':
+                this.enemyHeal(ability);
+                break;
+            case 'defend':
+                this.enemyDefend(ability);
+                break;
+            case 'buff':
+                this.enemyBuff(ability);
+                break;
+            default:
+                this.enemyAttack();
+        }
+    }
+    
+    /**
+     * Enemy defend action - blocks part of the player's next hit
+     * @param {Object} ability - Defend ability (optional, plain defend blocks half)
+     */
+    enemyDefend(ability = null) {
+        this.enemyDefenseReduction = ability ? ability.reduction : 0.5;
+        
+        this.emitEnemyAction('defend', ability);
+        console.log(`🛡️ ${this.currentEnemy.name} ${ability ? ability.description : 'defends'}`);
+        
+        this.clock.setTimeout(() => this.nextTurn(), 500);
+    }
+    
+    /**
+     * Enemy heal action
+     * @param {Object} ability - Heal ability
+     */
+    enemyHeal(ability) {
+        const healAmount = Math.max(1, Math.floor(this.currentEnemy.maxHp * ability.heal));
+        const previousHp = this.currentEnemy.hp;
+        this.currentEnemy.hp = Math.min(this.currentEnemy.maxHp, this.currentEnemy.hp + healAmount);
+        
+        this.stateManager.updateState({
+            combat: { enemy: this.currentEnemy }
+        });
+        
+        this.emitEnemyAction('heal', ability, { amount: this.currentEnemy.hp - previousHp });
+        console.log(`💚 ${this.currentEnemy.name} ${ability.description}: HP ${previousHp} -> ${this.currentEnemy.hp}`);
+        
+        this.clock.setTimeout(() => this.nextTurn(), 500);
+    }
+    
+    /**
+     * Enemy buff action - raises a stat for the rest of the fight
+     * Each buff only applies once; repeated buffs fall back to an attack.
+     * @param {Object} ability - Buff ability
+     */
+    enemyBuff(ability) {
+        const activeBuffs = this.currentEnemy.activeBuffs || (this.currentEnemy.activeBuffs = []);
+        if (activeBuffs.includes(ability.id)) {
+            this.enemyAttack();
+            return;
+        }
+        
+        activeBuffs.push(ability.id);
+        this.currentEnemy[ability.stat] = Math.floor(this.currentEnemy[ability.stat] * (1 + ability.amount));
+        
+        this.emitEnemyAction('buff', ability);
+        console.log(`✨ ${this.currentEnemy.name} ${ability.description}: ${ability.stat} -> ${this.currentEnemy[ability.stat]}`);
+        
+        this.clock.setTimeout(() => this.nextTurn(), 500);
+    }
+    
+    /**
+     * Enemy flee action - the enemy escapes and no rewards are given
+     */
+    enemyFlee() {
+        this.emitEnemyAction('flee');
+        console.log(`💨 ${this.currentEnemy.name} fled!`);
+        
+        this.endCombat('enemy_fled');
+    }
+    
+    /**
+     * Emit an enemy action event for UI feedback
+     * @param {string} action - Action performed
+     * @param {Object} ability - Ability used (optional)
+     * @param {Object} details - Extra event data (optional)
+     */
+    emitEnemyAction(action, ability = null, details = {}) {
+        this.eventSystem.emit('enemy_action', {
+            action,
+            ability,
+            enemy: this.currentEnemy,
+            ...details
+        });
+    }
+    
+    /**
+     * Player attack action
+     */
+    playerAttack() {
+        if (!this.isInCombat || this.combatPhase !== this.COMBAT_PHASES.ACTION) return;
+        
+        this.isPlayerTurn = false;
+        this.playerLastAction = 'attack';
+        
+        this.resolvePlayerHit(this.getEffectivePlayerStats());
+        this.finishPlayerAction();
+    }
+    
+    /**
+     * Player skill action
+     * @param {string} skillId - Skill ID from SkillManager
+     * @returns {boolean} Whether the skill was used
+     */
+    playerUseSkill(skillId) {
+        if (!this.isInCombat || !this.isPlayerTurn || this.combatPhase !== this.COMBAT_PHASES.ACTION) return false;
+        
+        const skill = this.skillManager.useSkill(skillId);
+        if (!skill) return false;
+        
+        this.isPlayerTurn = false;
+        this.playerLastAction = 'special';
+        
+        const effectivePlayer = this.getEffectivePlayerStats();
+        const types = this.skillManager.SKILL_TYPES;
+        
+        switch (skill.type) {
+            case types.HEAL: {
+                const player = this.stateManager.getStateValue('player');
+                const healAmount = Math.floor(player.maxHp * skill.power);
+                const newHp = Math.min(player.maxHp, player.hp + healAmount);
+                this.stateManager.updateState({
+                    player: { hp: newHp }
+                });
+                
+                this.eventSystem.emit('skill_heal', {
+                    skillId: skill.id,
+                    amount: newHp - player.hp,
+                    hp: newHp
+                });
+                
+                console.log(`${skill.icon} Player uses ${skill.name} and recovers ${newHp - player.hp} HP!`);
+                break;
+            }
+            case types.BUFF:
+                this.statusEffectManager.applyEffect('player', skill.statusEffect.id, {
+                    duration: skill.statusEffect.duration,
+                    level: effectivePlayer.level,
+                    source: skill.id
+                });
+                
+                console.log(`${skill.icon} Player uses ${skill.name}!`);
+                break;
+            case types.DAMAGE:
+            case types.ELEMENTAL:
+            default: {
+                const attackResult = this.resolvePlayerHit({
+                    ...effectivePlayer,
+                    attack: Math.floor(effectivePlayer.attack * skill.power),
+                    element: skill.element || effectivePlayer.element
+                }, {
+                    skill: skill.id,
+                    description: skill.name
+                });
+                
+                if (!attackResult.isMiss && this.currentEnemy.hp > 0) {
+                    this.tryApplyStatusEffect('enemy', skill.statusEffect, effectivePlayer.level);
+                }
+                break;
+            }
+        }
+        
+        this.finishPlayerAction();
+        return true;
+    }
+    
+    /**
+     * Player item action - use the consumable bound to a quick-bar slot
+     * Potions, buffs and cleanses take the player's turn; escape items end
+     * the fight as a flee, but bosses cannot be escaped.
+     * @param {number} slot - Quick-bar slot
+     * @returns {boolean} Whether an item was used
+     */
+    playerUseQuickBarSlot(slot) {
+        if (!this.isInCombat || !this.isPlayerTurn || this.combatPhase !== this.COMBAT_PHASES.ACTION) return false;
+        if (!this.inventoryManager || !this.equipmentManager) return false;
+        
+        const itemId = this.inventoryManager.getQuickBar()[slot];
+        const equipmentUniqueId = itemId ? this.inventoryManager.findConsumable(itemId) : null;
+        if (!equipmentUniqueId) return false;
+        
+        const definition = this.equipmentManager.getEquipmentDefinition(itemId);
+        if (definition?.escape && this.currentEnemy.isBoss) {
+            this.eventSystem.emit('combat_item_blocked', { itemId, reason: 'boss' });
+            console.log(`💨 There is no escaping ${this.currentEnemy.name}!`);
+            return false;
+        }
+        
+        this.isPlayerTurn = false;
+        this.playerLastAction = 'item';
+        
+        if (!this.equipmentManager.useConsumable(equipmentUniqueId, { fromCombat: true })) {
+            this.isPlayerTurn = true;
+            return false;
+        }
+        
+        this.eventSystem.emit('combat_item_used', { itemId, slot });
+        
+        if (definition?.escape) {
+            console.log('💨 Player escapes from combat!');
+            this.endCombat('flee');
+            return true;
+        }
+        
+        this.finishPlayerAction();
+        return true;
+    }
+    
+    /**
+     * Resolve a player hit against the current enemy and emit the attack event
+     * @param {Object} attacker - Effective player stats (skills may raise attack or change element)
+     * @param {Object} details - Extra attack event fields (skill, description)
+     * @returns {Object} Attack result from calculateDamage()
+     */
+    resolvePlayerHit(attacker, details = {}) {
+        const attackResult = this.calculateDamage({
+            ...attacker,
+            criticalChance: this.damageCalculator.CRITICAL_HIT_CHANCE + attacker.criticalChance
+        }, this.getEffectiveEnemyStats());
+        let damage = attackResult.damage;
+        
+        // Enemy defend blocks part of this hit
+        if (this.enemyDefenseReduction > 0 && !attackResult.isMiss) {
+            damage = Math.max(1, Math.floor(damage * (1 - this.enemyDefenseReduction)));
+        }
+        this.enemyDefenseReduction = 0;
+        
+        if (!attackResult.isMiss) {
+            this.applyDamageToEnemy(damage);
+            
+            // Create damage effect
+            this.createDamageEffect(damage, 'enemy');
+        }
         
         // Emit attack event
         this.eventSystem.emit('attack', {
+            ...attackResult,
             attacker: 'player',
             target: 'enemy',
             damage: damage,
-            isBoss: this.currentEnemy.isBoss || false
+            isBoss: this.currentEnemy.isBoss || false,
+            ...details
         });
         
-        console.log(`⚔️ Player attacks for ${damage} damage! ${this.currentEnemy.name} HP: ${this.currentEnemy.hp}`);
+        const actionName = details.description ? ` with ${details.description}` : '';
+        if (attackResult.isMiss) {
+            console.log(`⚔️ Player misses${actionName}! ${this.currentEnemy.name} HP: ${this.currentEnemy.hp}`);
+        } else {
+            console.log(`⚔️ Player attacks${actionName} for ${damage} damage! ${this.currentEnemy.name} HP: ${this.currentEnemy.hp}`);
+        }
         
+        return { ...attackResult, damage };
+    }
+    
+    /**
+     * End the player's action: check for victory, then pass the turn
+     */
+    finishPlayerAction() {
         // Check if enemy is defeated
         if (this.currentEnemy.hp <= 0) {
-            // Store boss result for victory handling
-            if (combatResult && combatResult.defeated) {
-                this.bossVictoryData = combatResult;
-            }
             this.endCombat('victory');
             return;
         }
         
         // Disable actions and continue to next turn
         this.enableCombatActions(false);
-        setTimeout(() => this.nextTurn(), 500);
+        this.clock.setTimeout(() => this.nextTurn(), 500);
     }
     
     /**
@@ -306,6 +843,9 @@ class CombatManager {
     playerDefend() {
         if (!this.isInCombat || this.combatPhase !== this.COMBAT_PHASES.ACTION) return;
         
+        this.isPlayerTurn = false;
+        this.playerLastAction = 'defend';
+        
         // Defending reduces incoming damage for this turn
         this.stateManager.updateState({
             combat: { playerDefending: true }
@@ -315,37 +855,106 @@ class CombatManager {
         
         // Disable actions and continue to next turn
         this.enableCombatActions(false);
-        setTimeout(() => this.nextTurn(), 500);
+        this.clock.setTimeout(() => this.nextTurn(), 500);
+    }
+    
+    /**
+     * Player flee action - escape on a roll, otherwise the turn is lost
+     * Bosses cannot be escaped.
+     * @returns {boolean} Whether the player escaped
+     */
+    playerFlee() {
+        if (!this.isInCombat || !this.isPlayerTurn || this.combatPhase !== this.COMBAT_PHASES.ACTION) return false;
+        
+        if (this.currentEnemy.isBoss) {
+            this.eventSystem.emit('flee_failed', { chance: 0, reason: 'boss' });
+            console.log(`🏃 There is no escaping ${this.currentEnemy.name}!`);
+            return false;
+        }
+        
+        this.isPlayerTurn = false;
+        this.playerLastAction = 'flee';
+        
+        const chance = this.getFleeChance();
+        if (this.rng.chance(chance)) {
+            console.log('🏃 Player flees!');
+            this.endCombat('flee');
+            return true;
+        }
+        
+        this.eventSystem.emit('flee_failed', { chance, reason: 'roll_failed' });
+        console.log(`🏃 Player fails to flee (${Math.round(chance * 100)}% chance)`);
+        
+        this.finishPlayerAction();
+        return false;
+    }
+    
+    /**
+     * Get the chance to flee from the current enemy
+     * @returns {number} Chance between FLEE_MIN_CHANCE and FLEE_MAX_CHANCE
+     */
+    getFleeChance() {
+        const player = this.getEffectivePlayerStats();
+        const enemy = this.getEffectiveEnemyStats();
+        
+        const chance = this.FLEE_BASE_CHANCE +
+            ((player.speed || 0) - (enemy.speed || 0)) * this.FLEE_SPEED_BONUS +
+            ((player.level || 1) - (this.currentEnemy.level || 1)) * this.FLEE_LEVEL_BONUS;
+        
+        return Math.min(this.FLEE_MAX_CHANCE, Math.max(this.FLEE_MIN_CHANCE, chance));
+    }
+    
+    /**
+     * Get how long the player must wait after a defeat before fighting again
+     * @returns {number} Milliseconds left (0 when the player can fight)
+     */
+    getRespawnRemaining() {
+        return this.defeatPenaltyManager ? this.defeatPenaltyManager.getRespawnRemaining() : 0;
     }
     
     /**
      * Enemy attack action
+     * @param {Object} ability - Attack ability from EnemyDatabase (optional)
      */
-    enemyAttack() {
+    enemyAttack(ability = null) {
         if (!this.isInCombat) return;
         
         const effectivePlayer = this.getEffectivePlayerStats();
         const combatState = this.stateManager.getStateValue('combat');
         
-        let damage;
+        const enemyStats = this.getEffectiveEnemyStats();
+        let attacker = enemyStats;
         let attackDescription = 'attacks';
+        let statusEffect = null;
         
-        // Handle boss attacks differently
+        // Boss abilities set the attack power for this turn
         if (this.currentEnemy.isBoss) {
             const bossAction = this.getBossAction();
-            damage = bossAction.damage;
+            const attackModifier = this.statusEffectManager.getStatModifiers('enemy').attack || 1;
+            attacker = { ...enemyStats, attack: Math.floor(bossAction.damage * attackModifier) };
             attackDescription = bossAction.description;
+            statusEffect = bossAction.statusEffect;
             
             // Apply boss damage to boss manager (for phase tracking)
-            if (window.gameEngine && window.gameEngine.bossManager && window.gameEngine.bossManager.currentBoss) {
+            if (this.bossManager && this.bossManager.currentBoss) {
                 // Update boss phase if needed
-                window.gameEngine.bossManager.updateBossPhase();
+                this.bossManager.updateBossPhase();
             }
+        } else if (ability) {
+            attacker = {
+                ...enemyStats,
+                attack: Math.floor(enemyStats.attack * ability.damage),
+                element: ability.element || enemyStats.element
+            };
+            attackDescription = ability.description;
+            statusEffect = ability.statusEffect;
         } else {
-            console.log(`Enemy stats: attack=${this.currentEnemy.attack}, vs player defense=${effectivePlayer.defense}`);
-            damage = this.calculateDamage(this.currentEnemy.attack, effectivePlayer.defense);
+            console.log(`Enemy stats: attack=${enemyStats.attack}, vs player defense=${effectivePlayer.defense}`);
         }
         
+        const attackResult = this.calculateDamage(attacker, effectivePlayer);
+        let damage = attackResult.damage;
+        
         // Reduce damage if player is defending
         if (combatState && combatState.playerDefending) {
             damage = Math.floor(damage * 0.5);
@@ -367,26 +976,33 @@ class CombatManager {
         // Track damage taken for achievements
         this.combatDamageTaken += damage;
         
-        // Create damage effect
-        this.createDamageEffect(damage, 'player');
+        // Create damage effect and roll for on-hit status effects
+        if (!attackResult.isMiss) {
+            this.createDamageEffect(damage, 'player');
+            this.tryApplyStatusEffect('player', statusEffect, this.currentEnemy.level);
+        }
         
         // Emit attack event
         this.eventSystem.emit('attack', {
+            ...attackResult,
             attacker: 'enemy',
             target: 'player',
             damage: damage,
             isBoss: this.currentEnemy.isBoss || false,
-            description: attackDescription
+            description: attackDescription,
+            ability: ability ? ability.id : null
         });
         
-        // Emit player_attacked event for visual effects
-        this.eventSystem.emit('player_attacked', {
-            damage: damage,
-            attacker: this.currentEnemy.name,
-            isBoss: this.currentEnemy.isBoss || false
-        });
+        if (!attackResult.isMiss) {
+            // Emit player_attacked event for visual effects
+            this.eventSystem.emit('player_attacked', {
+                damage: damage,
+                attacker: this.currentEnemy.name,
+                isBoss: this.currentEnemy.isBoss || false
+            });
+        }
         
-        console.log(`👹 ${this.currentEnemy.name} ${attackDescription} for ${damage} damage! Player HP: ${newHp}`);
+        console.log(`👹 ${this.currentEnemy.name} ${attackResult.isMiss ? 'misses' : `${attackDescription} for ${damage} damage`}! Player HP: ${newHp}`);
         
         // Check if player is defeated
         if (newHp <= 0) {
@@ -395,50 +1011,53 @@ class CombatManager {
         }
         
         // Continue to next turn
-        setTimeout(() => this.nextTurn(), 500);
+        this.clock.setTimeout(() => this.nextTurn(), 500);
     }
     
     /**
-     * Calculate damage based on attack and defense
-     * @param {number} attack - Attack value
-     * @param {number} defense - Defense value
-     * @param {number} criticalChance - Critical hit chance (0.0 to 1.0)
-     * @returns {number} Calculated damage
+     * Resolve an attack through the DamageCalculator
+     * @param {Object} attacker - Attacker stats ({ attack, level, criticalChance, accuracy, element, damageType })
+     * @param {Object} defender - Defender stats ({ defense, magicDefense, level, evasion, element })
+     * @returns {Object} Damage result from DamageCalculator.calculateDamage()
      */
-    calculateDamage(attack, defense, criticalChance = 0) {
-        // Validate inputs to prevent NaN damage
-        attack = Number(attack) || 10;
-        defense = Number(defense) || 0;
-        criticalChance = Number(criticalChance) || 0;
-        
-        // Basic damage formula: attack - defense/2 + random variance
-        const baseDamage = Math.max(1, attack - Math.floor(defense / 2));
-        const variance = Math.floor(baseDamage * 0.2); // 20% variance
-        const randomVariance = Math.floor(Math.random() * (variance * 2 + 1)) - variance;
-        
-        let finalDamage = Math.max(1, baseDamage + randomVariance);
-        let isCritical = false;
+    calculateDamage(attacker, defender) {
+        const defense = Number(defender.defense) || 0;
+        
+        const result = this.damageCalculator.calculateDamage({
+            attack: Number(attacker.attack) || 10,
+            damageType: attacker.damageType,
+            element: attacker.element,
+            critChance: Number(attacker.criticalChance) || 0,
+            critMultiplier: attacker.criticalMultiplier,
+            level: Number(attacker.level) || 1,
+            accuracy: attacker.accuracy ?? this.BASE_ACCURACY
+        }, {
+            defense,
+            magicDefense: Number(defender.magicDefense ?? defense) || 0,
+            element: defender.element,
+            level: Number(defender.level) || 1,
+            evasion: defender.evasion ?? this.BASE_EVASION,
+            resistances: defender.resistances
+        });
         
-        // Check for critical hit
-        if (criticalChance > 0 && Math.random() < criticalChance) {
-            finalDamage = Math.floor(finalDamage * 2); // Critical hits do 2x damage
-            isCritical = true;
+        if (result.isCritical) {
             console.log('💥 Critical hit!');
             
             // Emit critical hit event for achievements
             this.eventSystem.emit('critical_hit', {
-                damage: finalDamage,
-                baseDamage: finalDamage / 2
+                damage: result.damage,
+                baseDamage: result.baseDamage
             });
         }
         
         // Emit damage dealt event for achievements
         this.eventSystem.emit('damage_dealt', {
-            damage: finalDamage,
-            isCritical: isCritical
+            damage: result.damage,
+            isCritical: result.isCritical,
+            isMiss: result.isMiss
         });
         
-        return finalDamage;
+        return result;
     }
     
     /**
@@ -484,26 +1103,33 @@ class CombatManager {
         return this.createDefaultEnemy();
     }
     
+    /**
+     * Attach the combat UI; without one, combat runs without touching the DOM
+     * @param {CombatUI} ui - Combat UI
+     */
+    setUI(ui) {
+        this.ui = ui;
+    }
+    
     /**
      * Show combat UI elements
      */
     showCombatUI() {
-        const combatUI = document.getElementById('combat-ui');
-        if (combatUI) {
-            combatUI.style.display = 'flex';
-            combatUI.classList.add('fade-in');
-        }
+        if (this.ui) this.ui.show();
     }
     
     /**
      * Hide combat UI elements
      */
     hideCombatUI() {
-        const combatUI = document.getElementById('combat-ui');
-        if (combatUI) {
-            combatUI.style.display = 'none';
-            combatUI.classList.remove('fade-in');
-        }
+        if (this.ui) this.ui.hide();
+    }
+    
+    /**
+     * Show the acting combatant and the upcoming turn queue in the combat UI
+     */
+    updateTurnQueueDisplay() {
+        if (this.ui) this.ui.updateTurnQueue();
     }
     
     /**
@@ -511,11 +1137,21 @@ class CombatManager {
      * @param {boolean} enabled - Whether to enable buttons
      */
     enableCombatActions(enabled) {
-        const attackBtn = document.getElementById('attack-btn');
-        const defendBtn = document.getElementById('defend-btn');
-        
-        if (attackBtn) attackBtn.disabled = !enabled;
-        if (defendBtn) defendBtn.disabled = !enabled;
+        if (this.ui) this.ui.setActionsEnabled(enabled);
+    }
+    
+    /**
+     * Render buttons for unlocked skills
+     */
+    renderSkillBar() {
+        if (this.ui) this.ui.renderSkillBar();
+    }
+    
+    /**
+     * Render buttons for the consumable quick-bar
+     */
+    renderQuickBar() {
+        if (this.ui) this.ui.renderQuickBar();
     }
     
     /**
@@ -550,6 +1186,9 @@ class CombatManager {
             case 'flee':
                 this.handleFlee(combatData);
                 break;
+            case 'enemy_fled':
+                this.handleEnemyFled(combatData);
+                break;
         }
     }
     
@@ -559,7 +1198,9 @@ class CombatManager {
      */
     handleVictory(combatData) {
         const player = this.stateManager.getStateValue('player');
-        let expGained = combatData.enemy.level * 10;
+        
+        // More for enemies above the player's level, less for ones far below
+        let expGained = this.damageCalculator.calculateExpGain(combatData.enemy, player);
         
         // Handle boss victory
         if (combatData.enemy.isBoss && this.bossVictoryData) {
@@ -584,10 +1225,8 @@ class CombatManager {
             
             console.log(`👑 Boss Victory! Gained ${expGained} experience and special rewards!`);
             
-            // Show boss victory notification
-            if (window.gameEngine && window.gameEngine.bossUI) {
-                window.gameEngine.bossUI.showBossVictory(this.bossVictoryData);
-            }
+            // Boss UI shows the victory summary
+            this.eventSystem.emit('boss_victory', this.bossVictoryData);
             
             // Clear boss victory data
             this.bossVictoryData = null;
@@ -603,7 +1242,7 @@ class CombatManager {
         });
         
         // Calculate combat metrics for achievements
-        const combatTime = (Date.now() - this.combatStartTime) / 1000; // in seconds
+        const combatTime = (this.clock.now() - this.combatStartTime) / 1000; // in seconds
         const playerHpRemaining = player.hp;
         const damageTaken = this.combatDamageTaken;
         
@@ -645,6 +1284,11 @@ class CombatManager {
                 hp: Math.floor(player.maxHp / 2)
             }
         });
+        
+        // Then the penalty the player chose: lost loot, lost EXP or a respawn wait
+        if (this.defeatPenaltyManager) {
+            this.defeatPenaltyManager.applyDefeatPenalty(combatData.enemy);
+        }
     }
     
     /**
@@ -656,41 +1300,170 @@ class CombatManager {
     }
     
     /**
-     * Check if player should level up
+     * Handle enemy fleeing - no experience or drops
+     * @param {Object} combatData - Combat data
+     */
+    handleEnemyFled(combatData) {
+        console.log(`💨 ${combatData.enemy.name} escaped - no rewards`);
+    }
+    
+    /**
+     * Grant every level the player's EXP pays for
+     * @returns {number} Levels gained
      */
     checkLevelUp() {
+        return this.levelingSystem ? this.levelingSystem.checkLevelUp() : 0;
+    }
+    
+    /**
+     * Start auto-battle mode
+     * @param {Object} settings - Optional settings ({ policy, defendThreshold, maxFights })
+     */
+    startAutoBattle(settings = {}) {
+        this.initializeAutoBattleState();
+        this.stateManager.updateState({
+            autoBattle: {
+                ...this.sanitizeAutoBattleSettings(settings),
+                enabled: true,
+                fightsCompleted: 0,
+                stopReason: null
+            }
+        });
+        
+        this.eventSystem.emit('auto_battle_started', this.stateManager.getStateValue('autoBattle'));
+        console.log('🤖 Auto-battle started');
+        
+        if (this.isInCombat) {
+            if (this.isPlayerTurn) {
+                this.performAutoAction();
+            }
+        } else {
+            this.scheduleNextAutoFight();
+        }
+    }
+    
+    /**
+     * Stop auto-battle mode
+     * @param {string} reason - Why auto-battle stopped ('manual', 'defeat', 'fight_limit')
+     */
+    stopAutoBattle(reason = 'manual') {
+        const autoBattle = this.stateManager.getStateValue('autoBattle');
+        if (!autoBattle || !autoBattle.enabled) return;
+        
+        this.clock.clearTimeout(this.autoBattleTimer);
+        this.autoBattleTimer = null;
+        
+        this.stateManager.updateState({
+            autoBattle: { enabled: false, stopReason: reason }
+        });
+        
+        this.eventSystem.emit('auto_battle_stopped', {
+            reason,
+            fightsCompleted: autoBattle.fightsCompleted
+        });
+        
+        console.log(`🤖 Auto-battle stopped (${reason}) after ${autoBattle.fightsCompleted} fights`);
+    }
+    
+    /**
+     * Toggle auto-battle mode
+     */
+    toggleAutoBattle() {
+        if (this.stateManager.getStateValue('autoBattle.enabled')) {
+            this.stopAutoBattle('manual');
+        } else {
+            this.startAutoBattle();
+        }
+    }
+    
+    /**
+     * Update auto-battle settings without changing whether it is running
+     * @param {Object} settings - Settings ({ policy, defendThreshold, maxFights })
+     */
+    setAutoBattleSettings(settings) {
+        this.initializeAutoBattleState();
+        this.stateManager.updateState({
+            autoBattle: this.sanitizeAutoBattleSettings(settings)
+        });
+    }
+    
+    /**
+     * Keep only valid auto-battle settings
+     * @param {Object} settings - Raw settings
+     * @returns {Object} Valid settings
+     */
+    sanitizeAutoBattleSettings(settings) {
+        const result = {};
+        
+        if (Object.values(this.AUTO_BATTLE_POLICIES).includes(settings.policy)) {
+            result.policy = settings.policy;
+        }
+        if (typeof settings.defendThreshold === 'number' && !Number.isNaN(settings.defendThreshold)) {
+            result.defendThreshold = Math.min(1, Math.max(0, settings.defendThreshold));
+        }
+        if (typeof settings.maxFights === 'number' && !Number.isNaN(settings.maxFights)) {
+            result.maxFights = Math.max(0, Math.floor(settings.maxFights));
+        }
+        
+        return result;
+    }
+    
+    /**
+     * Pick and perform the player's action according to the auto-battle policy
+     */
+    performAutoAction() {
+        const autoBattle = this.stateManager.getStateValue('autoBattle');
+        if (!autoBattle || !autoBattle.enabled || !this.isInCombat || !this.isPlayerTurn) return;
+        
         const player = this.stateManager.getStateValue('player');
-        const expRequired = player.level * 100; // Simple formula
+        const hpPercent = player.hp / this.getEffectivePlayerStats().maxHp;
         
-        if (player.exp >= expRequired) {
-            const newLevel = player.level + 1;
-            const newMaxHp = 100 + (newLevel - 1) * 20;
-            const newAttack = 10 + (newLevel - 1) * 3;
-            const newDefense = 5 + (newLevel - 1) * 2;
-            
-            this.stateManager.updateState({
-                player: {
-                    level: newLevel,
-                    maxHp: newMaxHp,
-                    hp: newMaxHp, // Full heal on level up
-                    attack: newAttack,
-                    defense: newDefense,
-                    exp: player.exp - expRequired
-                }
-            });
-            
-            this.eventSystem.emit('player_level_up', {
-                newLevel,
-                stats: { maxHp: newMaxHp, attack: newAttack, defense: newDefense }
-            });
+        if (autoBattle.policy === this.AUTO_BATTLE_POLICIES.DEFEND_LOW_HP && hpPercent < autoBattle.defendThreshold) {
+            this.playerDefend();
+        } else {
+            this.playerAttack();
+        }
+    }
+    
+    /**
+     * Start the next encounter after a short delay, waiting while the game is paused
+     * or the player is respawning
+     */
+    scheduleNextAutoFight() {
+        this.clock.clearTimeout(this.autoBattleTimer);
+        
+        this.autoBattleTimer = this.clock.setTimeout(() => {
+            this.autoBattleTimer = null;
+            if (!this.stateManager.getStateValue('autoBattle.enabled') || this.isInCombat) return;
             
-            // Emit level up event for achievements
-            this.eventSystem.emit('level_up', {
-                level: newLevel,
-                previousLevel: newLevel - 1
-            });
+            if (this.stateManager.getStateValue('game.isPaused') || this.getRespawnRemaining() > 0) {
+                this.scheduleNextAutoFight();
+                return;
+            }
             
-            console.log(`🌟 Level up! Now level ${newLevel}`);
+            this.startCombat();
+        }, Math.max(this.AUTO_BATTLE_DELAY, this.getRespawnRemaining()));
+    }
+    
+    /**
+     * Count finished fights and decide whether auto-battle continues
+     * @param {string} result - Combat result
+     */
+    onAutoBattleCombatEnd(result) {
+        const autoBattle = this.stateManager.getStateValue('autoBattle');
+        if (!autoBattle || !autoBattle.enabled) return;
+        
+        const fightsCompleted = autoBattle.fightsCompleted + 1;
+        this.stateManager.updateState({
+            autoBattle: { fightsCompleted }
+        });
+        
+        if (result === 'defeat') {
+            this.stopAutoBattle('defeat');
+        } else if (autoBattle.maxFights > 0 && fightsCompleted >= autoBattle.maxFights) {
+            this.stopAutoBattle('fight_limit');
+        } else {
+            this.scheduleNextAutoFight();
         }
     }
     
@@ -699,12 +1472,12 @@ class CombatManager {
      * @returns {Object} Boss action with damage and description
      */
     getBossAction() {
-        if (!this.currentEnemy.isBoss || !window.gameEngine || !window.gameEngine.bossManager) {
+        if (!this.currentEnemy.isBoss || !this.bossManager) {
             return { damage: this.currentEnemy.attack || 10, description: 'attacks' };
         }
         
         // Use the boss manager's AI system
-        return window.gameEngine.bossManager.getBossAction();
+        return this.bossManager.getBossAction();
     }
 }
 
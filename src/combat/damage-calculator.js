@@ -3,8 +3,17 @@
  * @module DamageCalculator
  */
 
+import { RandomService } from '../core/random-service.js';
+
 class DamageCalculator {
-    constructor() {
+    /**
+     * @param {RandomService} randomService - Shared seeded RNG (a private unseeded one is used if omitted)
+     */
+    constructor(randomService = null) {
+        const random = randomService || new RandomService();
+        this.rng = random.getStream(random.STREAMS.COMBAT);
+        this.lootRng = random.getStream(random.STREAMS.LOOT);
+        
         this.DAMAGE_TYPES = {
             PHYSICAL: 'physical',
             MAGICAL: 'magical',
@@ -13,6 +22,7 @@ class DamageCalculator {
         
         this.CRITICAL_HIT_CHANCE = 0.1; // 10% base crit chance
         this.CRITICAL_HIT_MULTIPLIER = 2.0;
+        this.MAX_RESISTANCE = 0.75; // Elemental resistances never negate more than 75%
         
         this.ELEMENT_TYPES = {
             FIRE: 'fire',
@@ -98,12 +108,13 @@ class DamageCalculator {
             magicDefense = 5,
             element: defenderElement = this.ELEMENT_TYPES.PHYSICAL,
             level: defenderLevel = 1,
-            evasion = 0.1
+            evasion = 0.1,
+            resistances = {}
         } = defenderData;
         
         // Check if attack hits
         const hitChance = Math.max(0.05, accuracy - evasion);
-        const isHit = Math.random() < hitChance;
+        const isHit = this.rng.chance(hitChance);
         
         if (!isHit) {
             return {
@@ -135,19 +146,20 @@ class DamageCalculator {
         // Calculate base damage
         let baseDamage = this.calculateBaseDamage(attack, effectiveDefense, level, defenderLevel);
         
-        // Apply element effectiveness
-        const effectiveness = this.getElementEffectiveness(element, defenderElement);
+        // Apply element effectiveness and resistances
+        const effectiveness = this.getElementEffectiveness(element, defenderElement)
+            * this.getResistanceMultiplier(element, resistances);
         baseDamage = Math.floor(baseDamage * effectiveness);
         
         // Check for critical hit
-        const isCritical = Math.random() < critChance;
+        const isCritical = this.rng.chance(critChance);
         if (isCritical) {
             baseDamage = Math.floor(baseDamage * critMultiplier);
         }
         
         // Apply random variance (±10%)
         const variance = Math.floor(baseDamage * 0.1);
-        const randomVariance = Math.floor(Math.random() * (variance * 2 + 1)) - variance;
+        const randomVariance = this.rng.int(-variance, variance);
         baseDamage += randomVariance;
         
         // Ensure minimum damage
@@ -198,6 +210,27 @@ class DamageCalculator {
         return this.ELEMENT_EFFECTIVENESS[attackElement][defendElement] || 1.0;
     }
     
+    /**
+     * Get damage multiplier from a defender's elemental resistances
+     * @param {string} attackElement - Attacking element
+     * @param {Object} resistances - Resistance fractions keyed by element
+     * @returns {number} Resistance multiplier
+     */
+    getResistanceMultiplier(attackElement, resistances = {}) {
+        const resistance = Math.min(this.MAX_RESISTANCE, Math.max(0, resistances[attackElement] || 0));
+        return 1.0 - resistance;
+    }
+    
+    /**
+     * Get elements that deal bonus damage to a defending element
+     * @param {string} defendElement - Defending element
+     * @returns {Array} Element types that are super effective
+     */
+    getStrongElements(defendElement) {
+        return Object.values(this.ELEMENT_TYPES)
+            .filter(element => this.getElementEffectiveness(element, defendElement) > 1.0);
+    }
+    
     /**
      * Calculate healing amount
      * @param {Object} healData - Healing data
@@ -229,7 +262,7 @@ class DamageCalculator {
         
         // Apply random variance (±5%)
         const variance = Math.floor(healAmount * 0.05);
-        const randomVariance = Math.floor(Math.random() * (variance * 2 + 1)) - variance;
+        const randomVariance = this.rng.int(-variance, variance);
         healAmount += randomVariance;
         
         // Calculate actual healing (can't exceed max HP)
@@ -346,11 +379,9 @@ class DamageCalculator {
             const luckBonus = luck * 0.01; // 1% per luck point
             const dropChance = Math.min(0.95, baseChance + luckBonus);
             
-            if (Math.random() < dropChance) {
+            if (this.lootRng.chance(dropChance)) {
                 // Calculate quantity
-                const quantity = Math.floor(
-                    Math.random() * (maxQuantity - minQuantity + 1) + minQuantity
-                );
+                const quantity = this.lootRng.int(minQuantity, maxQuantity);
                 
                 drops.push({
                     materialId,
@@ -3,8 +3,16 @@
  * @module EnemyAI
  */
 
+import { RandomService } from '../core/random-service.js';
+
 class EnemyAI {
-    constructor() {
+    /**
+     * @param {RandomService} randomService - Shared seeded RNG (a private unseeded one is used if omitted)
+     */
+    constructor(randomService = null) {
+        const random = randomService || new RandomService();
+        this.rng = random.getStream(random.STREAMS.AI);
+        
         this.AI_TYPES = {
             AGGRESSIVE: 'aggressive',    // Always attacks
             DEFENSIVE: 'defensive',      // Prefers to defend when low HP
@@ -68,7 +76,7 @@ class EnemyAI {
         decision = this.applyDifficultyModifiers(decision, modifiers, situation);
         
         // Add reaction delay
-        decision.delay = modifiers.reactionTime + Math.random() * 500; // Add some variance
+        decision.delay = modifiers.reactionTime + this.rng.next() * 500; // Add some variance
         
         return decision;
     }
@@ -146,7 +154,7 @@ class EnemyAI {
             };
         }
         
-        if (situation.enemyCanSpecial && Math.random() < 0.4) {
+        if (situation.enemyCanSpecial && this.rng.chance(0.4)) {
             return {
                 action: this.ACTIONS.SPECIAL,
                 priority: 0.8,
@@ -177,7 +185,15 @@ class EnemyAI {
             };
         }
         
-        if (situation.playerLastAction === 'attack' && Math.random() < 0.6) {
+        if (situation.enemyIsCritical && this.rng.chance(0.3)) {
+            return {
+                action: this.ACTIONS.FLEE,
+                priority: 0.8,
+                reasoning: 'Critical HP and no way to heal - flee'
+            };
+        }
+        
+        if (situation.playerLastAction === 'attack' && this.rng.chance(0.6)) {
             return {
                 action: this.ACTIONS.DEFEND,
                 priority: 0.7,
@@ -207,7 +223,7 @@ class EnemyAI {
             };
         }
         
-        if (situation.playerIsLowHp && Math.random() < 0.7) {
+        if (situation.playerIsLowHp && this.rng.chance(0.7)) {
             return {
                 action: this.ACTIONS.ATTACK,
                 priority: 0.9,
@@ -215,17 +231,17 @@ class EnemyAI {
             };
         }
         
-        if (situation.enemyCanSpecial && Math.random() < 0.25) {
+        if (situation.enemyCanSpecial && this.rng.chance(0.25)) {
             return {
                 action: this.ACTIONS.SPECIAL,
                 priority: 0.6,
                 reasoning: 'Good opportunity for special ability',
-                abilityIndex: Math.floor(Math.random() * enemy.abilities.length)
+                abilityIndex: this.rng.int(0, enemy.abilities.length - 1)
             };
         }
         
         // Random choice between attack and defend
-        const choice = Math.random();
+        const choice = this.rng.next();
         if (choice < 0.7) {
             return {
                 action: this.ACTIONS.ATTACK,
@@ -295,7 +311,7 @@ class EnemyAI {
         }
         
         // Priority 5: Defend if player is preparing big attack
-        if (situation.playerLastAction === 'special' && Math.random() < 0.8) {
+        if (situation.playerLastAction === 'special' && this.rng.chance(0.8)) {
             return {
                 action: this.ACTIONS.DEFEND,
                 priority: 0.6,
@@ -321,7 +337,7 @@ class EnemyAI {
         const aggressionLevel = 1.0 - situation.enemyHpPercent; // More aggressive as HP drops
         
         // Only heal if absolutely critical
-        if (situation.enemyHpPercent < 0.1 && situation.enemyCanHeal && Math.random() < 0.3) {
+        if (situation.enemyHpPercent < 0.1 && situation.enemyCanHeal && this.rng.chance(0.3)) {
             return {
                 action: this.ACTIONS.HEAL,
                 priority: 0.6,
@@ -330,7 +346,7 @@ class EnemyAI {
         }
         
         // High chance to use special abilities when berserk
-        if (situation.enemyCanSpecial && Math.random() < aggressionLevel) {
+        if (situation.enemyCanSpecial && this.rng.chance(aggressionLevel)) {
             return {
                 action: this.ACTIONS.SPECIAL,
                 priority: 0.8 + aggressionLevel * 0.2,
@@ -363,7 +379,7 @@ class EnemyAI {
         }
         
         // Use defensive abilities
-        if (situation.enemyCanSpecial && Math.random() < 0.4) {
+        if (situation.enemyCanSpecial && this.rng.chance(0.4)) {
             const defensiveAbility = this.getBestDefensiveAbility(enemy);
             if (defensiveAbility !== -1) {
                 return {
@@ -376,7 +392,7 @@ class EnemyAI {
         }
         
         // Prefer defending over attacking
-        if (Math.random() < 0.6) {
+        if (this.rng.chance(0.6)) {
             return {
                 action: this.ACTIONS.DEFEND,
                 priority: 0.5,
@@ -400,13 +416,13 @@ class EnemyAI {
      */
     applyDifficultyModifiers(decision, modifiers, situation) {
         // Check if AI makes a mistake
-        if (Math.random() < modifiers.mistakeChance) {
+        if (this.rng.chance(modifiers.mistakeChance)) {
             return this.makeMistake(decision, situation);
         }
         
         // Modify special ability usage
         if (decision.action === this.ACTIONS.SPECIAL) {
-            if (Math.random() > modifiers.abilityUsage) {
+            if (this.rng.next() > modifiers.abilityUsage) {
                 // Don't use special ability, fall back to attack
                 return {
                     action: this.ACTIONS.ATTACK,
@@ -444,7 +460,7 @@ class EnemyAI {
             return originalDecision;
         }
         
-        const mistake = mistakes[Math.floor(Math.random() * mistakes.length)];
+        const mistake = this.rng.pick(mistakes);
         return {
             ...mistake,
             isMistake: true
@@ -464,10 +480,10 @@ class EnemyAI {
         if (situation.turnCount < 2) return false;
         
         // Higher chance if player is low HP
-        if (situation.playerIsLowHp) return Math.random() < 0.8;
+        if (situation.playerIsLowHp) return this.rng.chance(0.8);
         
         // Regular chance
-        return Math.random() < 0.3;
+        return this.rng.chance(0.3);
     }
     
     /**
@@ -532,7 +548,7 @@ class EnemyAI {
         }
         
         // Random ability
-        return Math.floor(Math.random() * enemy.abilities.length);
+        return this.rng.int(0, enemy.abilities.length - 1);
     }
     
     /**
@@ -0,0 +1,84 @@
+/**
+ * Initiative System - Speed-based turn order for combat rounds
+ * @module InitiativeSystem
+ */
+
+class InitiativeSystem {
+    constructor() {
+        this.COMBATANTS = {
+            PLAYER: 'player',
+            ENEMY: 'enemy'
+        };
+
+        this.BASE_SPEED = 10;            // Used when a combatant has no speed stat
+        this.EXTRA_ACTION_RATIO = 2;     // Speed multiple needed for each extra action
+        this.MAX_ACTIONS_PER_ROUND = 3;
+    }
+
+    /**
+     * Get a usable speed value
+     * @param {number} speed - Raw speed stat
+     * @returns {number} Speed (at least 1)
+     */
+    normalizeSpeed(speed) {
+        const value = Number(speed);
+        return Math.max(1, Number.isFinite(value) && value > 0 ? value : this.BASE_SPEED);
+    }
+
+    /**
+     * Get how many actions a combatant takes per round
+     * One action, plus one for every EXTRA_ACTION_RATIO multiple of the opponent's speed.
+     * @param {number} speed - Combatant speed
+     * @param {number} opponentSpeed - Opponent speed
+     * @returns {number} Actions per round
+     */
+    getActionsPerRound(speed, opponentSpeed) {
+        const ratio = this.normalizeSpeed(speed) / this.normalizeSpeed(opponentSpeed);
+        if (ratio < this.EXTRA_ACTION_RATIO) return 1;
+
+        return Math.min(this.MAX_ACTIONS_PER_ROUND, Math.floor(ratio / this.EXTRA_ACTION_RATIO) + 1);
+    }
+
+    /**
+     * Build the action order for one round
+     * The faster side acts first (the player wins ties) and takes its extra actions
+     * before the slower side responds.
+     * @param {number} playerSpeed - Player speed
+     * @param {number} enemySpeed - Enemy speed
+     * @returns {Array} Combatants in acting order ('player' / 'enemy')
+     */
+    buildRound(playerSpeed, enemySpeed) {
+        const playerFirst = this.normalizeSpeed(playerSpeed) >= this.normalizeSpeed(enemySpeed);
+        const [first, second] = playerFirst
+            ? [this.COMBATANTS.PLAYER, this.COMBATANTS.ENEMY]
+            : [this.COMBATANTS.ENEMY, this.COMBATANTS.PLAYER];
+        const [firstSpeed, secondSpeed] = playerFirst ? [playerSpeed, enemySpeed] : [enemySpeed, playerSpeed];
+
+        return [
+            ...Array(this.getActionsPerRound(firstSpeed, secondSpeed)).fill(first),
+            ...Array(this.getActionsPerRound(secondSpeed, firstSpeed)).fill(second)
+        ];
+    }
+
+    /**
+     * Preview upcoming turns, continuing into future rounds at current speeds
+     * @param {Array} currentRound - Order of the round in progress
+     * @param {number} nextIndex - Index of the next turn within currentRound
+     * @param {number} playerSpeed - Player speed
+     * @param {number} enemySpeed - Enemy speed
+     * @param {number} count - Number of turns to preview
+     * @returns {Array} Upcoming combatants
+     */
+    previewQueue(currentRound, nextIndex, playerSpeed, enemySpeed, count = 5) {
+        const queue = currentRound.slice(nextIndex);
+        const futureRound = this.buildRound(playerSpeed, enemySpeed);
+
+        while (queue.length < count) {
+            queue.push(...futureRound);
+        }
+
+        return queue.slice(0, count);
+    }
+}
+
+export { InitiativeSystem };
@@ -0,0 +1,321 @@
+/**
+ * Skill Manager - Player skills, mana and cooldowns
+ * @module SkillManager
+ */
+
+class SkillManager {
+    constructor(stateManager, eventSystem) {
+        this.stateManager = stateManager;
+        this.eventSystem = eventSystem;
+
+        this.SKILL_TYPES = {
+            DAMAGE: 'damage',
+            HEAL: 'heal',
+            BUFF: 'buff',
+            ELEMENTAL: 'elemental'
+        };
+
+        this.BASE_MANA = 30;
+        this.MANA_PER_LEVEL = 5;
+        this.MANA_REGEN_PER_TURN = 5;
+
+        this.skillDefinitions = this.initializeSkillDefinitions();
+
+        this.initializeSkillState();
+        this.setupEventListeners();
+
+        console.log('✨ Skill Manager initialized with', Object.keys(this.skillDefinitions).length, 'skills');
+    }
+
+    /**
+     * Initialize skill definitions
+     * power is an attack multiplier for damage/elemental skills and a max HP
+     * fraction for heals. Cooldowns count player turns.
+     * @returns {Object} Skill definitions keyed by skill ID
+     */
+    initializeSkillDefinitions() {
+        return {
+            power_strike: {
+                id: 'power_strike',
+                name: 'Power Strike',
+                description: 'A heavy blow dealing 150% damage',
+                icon: '💥',
+                type: this.SKILL_TYPES.DAMAGE,
+                power: 1.5,
+                cost: 10,
+                cooldown: 2,
+                shortcut: '1',
+                unlock: { level: 1 }
+            },
+            second_wind: {
+                id: 'second_wind',
+                name: 'Second Wind',
+                description: 'Recover 25% of max HP',
+                icon: '💚',
+                type: this.SKILL_TYPES.HEAL,
+                power: 0.25,
+                cost: 15,
+                cooldown: 4,
+                shortcut: '2',
+                unlock: { level: 3 }
+            },
+            battle_cry: {
+                id: 'battle_cry',
+                name: 'Battle Cry',
+                description: 'Raise attack by 30% for 3 turns',
+                icon: '📯',
+                type: this.SKILL_TYPES.BUFF,
+                statusEffect: { id: 'empower', duration: 3 },
+                cost: 15,
+                cooldown: 5,
+                shortcut: '3',
+                unlock: { level: 5 }
+            },
+            flame_slash: {
+                id: 'flame_slash',
+                name: 'Flame Slash',
+                description: 'Fire damage (130%) with a chance to burn',
+                icon: '🔥',
+                type: this.SKILL_TYPES.ELEMENTAL,
+                element: 'fire',
+                power: 1.3,
+                statusEffect: { id: 'burn', chance: 0.4 },
+                cost: 20,
+                cooldown: 3,
+                shortcut: '4',
+                unlock: { level: 7 }
+            },
+            frost_lance: {
+                id: 'frost_lance',
+                name: 'Frost Lance',
+                description: 'Ice damage (130%) with a chance to freeze',
+                icon: '❄️',
+                type: this.SKILL_TYPES.ELEMENTAL,
+                element: 'ice',
+                power: 1.3,
+                statusEffect: { id: 'freeze', chance: 0.25 },
+                cost: 20,
+                cooldown: 3,
+                shortcut: '5',
+                unlock: { prestigeUpgrade: 'skillMastery', rank: 1 }
+            },
+            thunder_strike: {
+                id: 'thunder_strike',
+                name: 'Thunder Strike',
+                description: 'Lightning damage (160%) with a chance to stun',
+                icon: '⚡',
+                type: this.SKILL_TYPES.ELEMENTAL,
+                element: 'lightning',
+                power: 1.6,
+                statusEffect: { id: 'stun', chance: 0.2 },
+                cost: 30,
+                cooldown: 4,
+                shortcut: '6',
+                unlock: { prestigeUpgrade: 'skillMastery', rank: 2 }
+            }
+        };
+    }
+
+    /**
+     * Initialize skill state
+     */
+    initializeSkillState() {
+        if (!this.stateManager.getStateValue('skills')) {
+            const maxMana = this.getMaxMana();
+            this.stateManager.updateState({
+                skills: {
+                    mana: maxMana,
+                    maxMana,
+                    cooldowns: {}
+                }
+            });
+        }
+    }
+
+    /**
+     * Setup event listeners for skill-related events
+     */
+    setupEventListeners() {
+        this.eventSystem.on('stateLoaded', () => this.initializeSkillState());
+        
+        // Prestige replaces the whole state, so rebuild mana for the new run
+        this.eventSystem.on('prestige_performed', () => {
+            this.initializeSkillState();
+            this.knownSkills = this.getUnlockedSkills().map(skill => skill.id);
+        });
+
+        // Announce skills unlocked by leveling or prestige upgrades
+        this.eventSystem.on('level_up', () => this.checkNewUnlocks());
+        this.eventSystem.on('prestigeUpgrade', () => this.checkNewUnlocks());
+
+        this.knownSkills = this.getUnlockedSkills().map(skill => skill.id);
+    }
+
+    /**
+     * Get a skill definition
+     * @param {string} skillId - Skill ID
+     * @returns {Object|null} Skill definition
+     */
+    getSkill(skillId) {
+        return this.skillDefinitions[skillId] || null;
+    }
+
+    /**
+     * Get the skill bound to a keyboard shortcut
+     * @param {string} key - Pressed key
+     * @returns {Object|null} Skill definition
+     */
+    getSkillByShortcut(key) {
+        return Object.values(this.skillDefinitions).find(skill => skill.shortcut === key) || null;
+    }
+
+    /**
+     * Get maximum mana for the player's level
+     * @returns {number} Max mana
+     */
+    getMaxMana() {
+        const level = this.stateManager.getStateValue('player.level') || 1;
+        return this.BASE_MANA + (level - 1) * this.MANA_PER_LEVEL;
+    }
+
+    /**
+     * Check whether a skill is unlocked
+     * @param {string} skillId - Skill ID
+     * @returns {boolean} Unlocked
+     */
+    isUnlocked(skillId) {
+        const skill = this.getSkill(skillId);
+        if (!skill) return false;
+
+        const { level, prestigeUpgrade, rank = 1 } = skill.unlock;
+
+        if (level && (this.stateManager.getStateValue('player.level') || 1) < level) {
+            return false;
+        }
+
+        if (prestigeUpgrade) {
+            const upgrades = this.stateManager.getStateValue('prestige.upgrades') || {};
+            return (upgrades[prestigeUpgrade] || 0) >= rank;
+        }
+
+        return true;
+    }
+
+    /**
+     * Get all unlocked skills
+     * @returns {Array} Unlocked skill definitions
+     */
+    getUnlockedSkills() {
+        return Object.values(this.skillDefinitions).filter(skill => this.isUnlocked(skill.id));
+    }
+
+    /**
+     * Get remaining cooldown for a skill
+     * @param {string} skillId - Skill ID
+     * @returns {number} Turns until the skill is ready
+     */
+    getCooldown(skillId) {
+        return this.stateManager.getStateValue('skills')?.cooldowns?.[skillId] || 0;
+    }
+
+    /**
+     * Check whether a skill can be used right now
+     * @param {string} skillId - Skill ID
+     * @returns {boolean} Usable
+     */
+    canUseSkill(skillId) {
+        const skill = this.getSkill(skillId);
+        if (!skill || !this.isUnlocked(skillId)) return false;
+
+        const mana = this.stateManager.getStateValue('skills')?.mana || 0;
+        return this.getCooldown(skillId) === 0 && mana >= skill.cost;
+    }
+
+    /**
+     * Spend mana and start the cooldown for a skill
+     * @param {string} skillId - Skill ID
+     * @returns {Object|null} Skill definition, or null if it cannot be used
+     */
+    useSkill(skillId) {
+        if (!this.canUseSkill(skillId)) {
+            console.log(`✨ Cannot use ${skillId} right now`);
+            return null;
+        }
+
+        const skill = this.getSkill(skillId);
+        const skills = this.stateManager.getStateValue('skills');
+
+        this.stateManager.updateState({
+            skills: {
+                mana: skills.mana - skill.cost,
+                cooldowns: {
+                    ...skills.cooldowns,
+                    [skillId]: skill.cooldown
+                }
+            }
+        });
+
+        this.eventSystem.emit('skill_used', {
+            skillId,
+            type: skill.type,
+            cost: skill.cost
+        });
+
+        return skill;
+    }
+
+    /**
+     * Regenerate mana and count down cooldowns at the start of a player turn
+     */
+    onTurnStart() {
+        const skills = this.stateManager.getStateValue('skills');
+        const cooldowns = {};
+
+        // Finished cooldowns stay at 0 since updateState deep-merges the map
+        Object.entries(skills.cooldowns || {}).forEach(([skillId, turns]) => {
+            cooldowns[skillId] = Math.max(0, turns - 1);
+        });
+
+        this.stateManager.updateState({
+            skills: {
+                mana: Math.min(skills.maxMana, skills.mana + this.MANA_REGEN_PER_TURN),
+                cooldowns
+            }
+        });
+    }
+
+    /**
+     * Refill mana and clear cooldowns for a new fight
+     */
+    resetForCombat() {
+        const maxMana = this.getMaxMana();
+        const cooldowns = {};
+
+        Object.keys(this.stateManager.getStateValue('skills')?.cooldowns || {}).forEach(skillId => {
+            cooldowns[skillId] = 0;
+        });
+
+        this.stateManager.updateState({
+            skills: {
+                mana: maxMana,
+                maxMana,
+                cooldowns
+            }
+        });
+    }
+
+    /**
+     * Emit skill_unlocked for skills that became available
+     */
+    checkNewUnlocks() {
+        this.getUnlockedSkills()
+            .filter(skill => !this.knownSkills.includes(skill.id))
+            .forEach(skill => {
+                this.knownSkills.push(skill.id);
+                this.eventSystem.emit('skill_unlocked', { skillId: skill.id, name: skill.name });
+                console.log(`✨ New skill unlocked: ${skill.name}`);
+            });
+    }
+}
+
+export { SkillManager };
@@ -0,0 +1,385 @@
+/**
+ * Status Effect Manager - Turn-based status effects for combatants
+ * @module StatusEffectManager
+ */
+
+class StatusEffectManager {
+    constructor(stateManager, eventSystem, damageCalculator) {
+        this.stateManager = stateManager;
+        this.eventSystem = eventSystem;
+        this.damageCalculator = damageCalculator;
+
+        this.TARGETS = {
+            PLAYER: 'player',
+            ENEMY: 'enemy'
+        };
+
+        this.STACKING_RULES = {
+            STACK: 'stack',     // Add a stack (up to maxStacks) and refresh duration
+            REFRESH: 'refresh', // Reset duration to the longer of old and new
+            IGNORE: 'ignore'    // Cannot be re-applied while active
+        };
+
+        // Active effects per combatant, cleared between fights
+        this.effects = {
+            player: [],
+            enemy: []
+        };
+        this.turnNumber = 0; // Turns started this fight, see startTurn()
+
+        this.effectDefinitions = this.initializeEffectDefinitions();
+        this.setupEventListeners();
+
+        console.log('🌀 Status Effect Manager initialized');
+    }
+
+    /**
+     * Initialize status effect definitions
+     * Durations count the affected combatant's turns.
+     * @returns {Object} Effect definitions keyed by effect ID
+     */
+    initializeEffectDefinitions() {
+        return {
+            poison: {
+                id: 'poison',
+                name: 'Poison',
+                icon: '☠️',
+                color: '#8bc34a',
+                duration: 3,
+                stacking: this.STACKING_RULES.STACK,
+                maxStacks: 5,
+                tick: { baseDamage: 3, damageType: 'true' }
+            },
+            burn: {
+                id: 'burn',
+                name: 'Burn',
+                icon: '🔥',
+                color: '#ff6b6b',
+                duration: 3,
+                stacking: this.STACKING_RULES.REFRESH,
+                tick: { baseDamage: 6, damageType: 'magical' },
+                statModifiers: { defense: 0.9 }
+            },
+            freeze: {
+                id: 'freeze',
+                name: 'Freeze',
+                icon: '❄️',
+                color: '#74c0fc',
+                duration: 1,
+                stacking: this.STACKING_RULES.IGNORE,
+                skipTurn: true,
+                statModifiers: { defense: 0.8 }
+            },
+            stun: {
+                id: 'stun',
+                name: 'Stun',
+                icon: '💫',
+                color: '#ffd43b',
+                duration: 1,
+                stacking: this.STACKING_RULES.IGNORE,
+                skipTurn: true
+            },
+            bind: {
+                id: 'bind',
+                name: 'Bind',
+                icon: '🌿',
+                color: '#51cf66',
+                duration: 2,
+                stacking: this.STACKING_RULES.REFRESH,
+                statModifiers: { attack: 0.7 }
+            },
+            empower: {
+                id: 'empower',
+                name: 'Empower',
+                icon: '💪',
+                color: '#ffa94d',
+                duration: 3,
+                stacking: this.STACKING_RULES.REFRESH,
+                statModifiers: { attack: 1.3 }
+            }
+        };
+    }
+
+    /**
+     * Setup event listeners for status effect requests
+     */
+    setupEventListeners() {
+        // Cleansing consumables request removal through events
+        this.eventSystem.on('cleanse_status_effects', (data) => {
+            this.cleanse(data.target || this.TARGETS.PLAYER, data.effects || null);
+        });
+    }
+
+    /**
+     * Get an effect definition
+     * @param {string} effectId - Effect ID
+     * @returns {Object|null} Effect definition
+     */
+    getEffectDefinition(effectId) {
+        return this.effectDefinitions[effectId] || null;
+    }
+
+    /**
+     * Get active effects on a combatant
+     * @param {string} target - 'player' or 'enemy'
+     * @returns {Array} Active effects
+     */
+    getEffects(target) {
+        return this.effects[target] || [];
+    }
+
+    /**
+     * Check whether a combatant has an effect
+     * @param {string} target - 'player' or 'enemy'
+     * @param {string} effectId - Effect ID
+     * @returns {boolean} Has the effect
+     */
+    hasEffect(target, effectId) {
+        return this.getEffects(target).some(effect => effect.id === effectId);
+    }
+
+    /**
+     * Mark the start of a combatant's turn
+     * Effects applied from here until the turn ends skip that turn's countdown.
+     */
+    startTurn() {
+        this.turnNumber++;
+    }
+
+    /**
+     * Apply an effect to a combatant, following its stacking rule
+     * @param {string} target - 'player' or 'enemy'
+     * @param {string} effectId - Effect ID
+     * @param {Object} options - { duration, level, source }
+     * @returns {boolean} Whether the effect was applied
+     */
+    applyEffect(target, effectId, options = {}) {
+        const definition = this.getEffectDefinition(effectId);
+        if (!definition || !this.effects[target]) {
+            console.warn(`🌀 Unknown status effect or target: ${effectId} -> ${target}`);
+            return false;
+        }
+
+        const duration = options.duration || definition.duration;
+        const existing = this.effects[target].find(effect => effect.id === effectId);
+
+        if (existing) {
+            switch (definition.stacking) {
+                case this.STACKING_RULES.IGNORE:
+                    return false;
+                case this.STACKING_RULES.STACK:
+                    existing.stacks = Math.min(definition.maxStacks || 1, existing.stacks + 1);
+                    existing.remaining = Math.max(existing.remaining, duration);
+                    break;
+                case this.STACKING_RULES.REFRESH:
+                default:
+                    existing.remaining = Math.max(existing.remaining, duration);
+                    break;
+            }
+            existing.appliedOnTurn = this.turnNumber;
+        } else {
+            this.effects[target].push({
+                id: effectId,
+                name: definition.name,
+                icon: definition.icon,
+                color: definition.color,
+                remaining: duration,
+                stacks: 1,
+                level: options.level || 1,
+                source: options.source || null,
+                appliedOnTurn: this.turnNumber
+            });
+        }
+
+        const effect = this.effects[target].find(active => active.id === effectId);
+        this.syncState();
+
+        this.eventSystem.emit('status_effect_applied', {
+            target,
+            effectId,
+            stacks: effect.stacks,
+            remaining: effect.remaining,
+            source: effect.source
+        });
+
+        console.log(`🌀 ${definition.name} applied to ${target} (${effect.stacks} stack(s), ${effect.remaining} turn(s))`);
+        return true;
+    }
+
+    /**
+     * Remove an effect from a combatant
+     * @param {string} target - 'player' or 'enemy'
+     * @param {string} effectId - Effect ID
+     * @param {string} reason - 'expired' or 'cleansed'
+     * @returns {boolean} Whether an effect was removed
+     */
+    removeEffect(target, effectId, reason = 'expired') {
+        const effects = this.getEffects(target);
+        const index = effects.findIndex(effect => effect.id === effectId);
+        if (index === -1) return false;
+
+        effects.splice(index, 1);
+        this.syncState();
+
+        this.eventSystem.emit(reason === 'cleansed' ? 'status_effect_cleansed' : 'status_effect_expired', {
+            target,
+            effectId
+        });
+
+        return true;
+    }
+
+    /**
+     * Remove effects from a combatant (used by cleansing consumables)
+     * @param {string} target - 'player' or 'enemy'
+     * @param {Array|null} effectIds - Effects to remove, or null for all
+     * @returns {Array} Removed effect IDs
+     */
+    cleanse(target, effectIds = null) {
+        const removed = this.getEffects(target)
+            .map(effect => effect.id)
+            .filter(effectId => !effectIds || effectIds.includes(effectId));
+
+        removed.forEach(effectId => this.removeEffect(target, effectId, 'cleansed'));
+
+        if (removed.length > 0) {
+            console.log(`✨ Cleansed ${removed.join(', ')} from ${target}`);
+        }
+
+        return removed;
+    }
+
+    /**
+     * Resolve start-of-turn effects: damage ticks and turn skips
+     * @param {string} target - 'player' or 'enemy'
+     * @param {Object} stats - Target stats used for tick mitigation ({ defense, magicDefense })
+     * @returns {Object} Turn result ({ damage, skipTurn, skippedBy })
+     */
+    processTurnStart(target, stats = {}) {
+        const result = { damage: 0, skipTurn: false, skippedBy: null };
+
+        this.getEffects(target).forEach(effect => {
+            const definition = this.getEffectDefinition(effect.id);
+
+            if (definition.tick) {
+                const tick = this.damageCalculator.calculateStatusDamage({
+                    baseDamage: definition.tick.baseDamage,
+                    damageType: definition.tick.damageType,
+                    duration: effect.remaining,
+                    stackCount: effect.stacks,
+                    level: effect.level
+                }, stats);
+
+                result.damage += tick.tickDamage;
+
+                this.eventSystem.emit('status_effect_tick', {
+                    target,
+                    effectId: effect.id,
+                    damage: tick.tickDamage,
+                    stacks: effect.stacks
+                });
+            }
+
+            if (definition.skipTurn && !result.skipTurn) {
+                result.skipTurn = true;
+                result.skippedBy = effect.id;
+            }
+        });
+
+        if (result.skipTurn) {
+            this.eventSystem.emit('turn_skipped', {
+                target,
+                effectId: result.skippedBy
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Count down effect durations at the end of a combatant's turn
+     * Effects the combatant applied during this turn (self-buffs) start counting next turn.
+     * @param {string} target - 'player' or 'enemy'
+     */
+    processTurnEnd(target) {
+        const effects = this.getEffects(target);
+        if (effects.length === 0) return;
+
+        effects
+            .filter(effect => effect.appliedOnTurn !== this.turnNumber)
+            .forEach(effect => {
+                effect.remaining--;
+            });
+
+        effects
+            .filter(effect => effect.remaining <= 0)
+            .map(effect => effect.id)
+            .forEach(effectId => this.removeEffect(target, effectId, 'expired'));
+
+        this.syncState();
+    }
+
+    /**
+     * Get combined stat multipliers from active effects
+     * @param {string} target - 'player' or 'enemy'
+     * @returns {Object} Multipliers keyed by stat
+     */
+    getStatModifiers(target) {
+        const modifiers = {};
+
+        this.getEffects(target).forEach(effect => {
+            const definition = this.getEffectDefinition(effect.id);
+            Object.entries(definition.statModifiers || {}).forEach(([stat, multiplier]) => {
+                modifiers[stat] = (modifiers[stat] || 1) * multiplier;
+            });
+        });
+
+        return modifiers;
+    }
+
+    /**
+     * Apply stat multipliers from active effects to a stat block
+     * @param {string} target - 'player' or 'enemy'
+     * @param {Object} stats - Stats to modify
+     * @returns {Object} Modified copy of stats
+     */
+    applyStatModifiers(target, stats) {
+        const modifiers = this.getStatModifiers(target);
+        const modified = { ...stats };
+
+        Object.entries(modifiers).forEach(([stat, multiplier]) => {
+            if (typeof modified[stat] === 'number') {
+                modified[stat] = Math.floor(modified[stat] * multiplier);
+            }
+        });
+
+        return modified;
+    }
+
+    /**
+     * Remove all effects from both combatants (between fights)
+     */
+    clearAll() {
+        this.effects.player = [];
+        this.effects.enemy = [];
+        this.turnNumber = 0;
+    }
+
+    /**
+     * Mirror active effects into combat state for rendering
+     */
+    syncState() {
+        if (!this.stateManager.getStateValue('combat')) return;
+
+        this.stateManager.updateState({
+            combat: {
+                statusEffects: {
+                    player: this.effects.player.map(effect => ({ ...effect })),
+                    enemy: this.effects.enemy.map(effect => ({ ...effect }))
+                }
+            }
+        });
+    }
+}
+
+export { StatusEffectManager };
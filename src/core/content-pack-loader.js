@@ -0,0 +1,626 @@
+/**
+ * Content Pack Loader - Loads JSON content packs into the game registries
+ * @module ContentPackLoader
+ */
+
+class ContentPackLoader {
+    /**
+     * @param {EventSystem} eventSystem - Event system
+     * @param {Object} registries - { materialManager, equipmentManager, craftingSystem, enemyDatabase,
+     *   stageManager, bossManager, achievementSystem, statusEffectManager, enemyAI }
+     */
+    constructor(eventSystem, registries) {
+        this.eventSystem = eventSystem;
+        this.registries = registries;
+
+        // Merge order: later types may reference earlier ones
+        this.CONTENT_TYPES = [
+            'materials',
+            'affixes',
+            'equipment',
+            'itemSets',
+            'recipes',
+            'enemies',
+            'stages',
+            'bossAbilities',
+            'bosses',
+            'achievements'
+        ];
+
+        // Types stored as arrays in packs; everything else is an object keyed by ID
+        this.ARRAY_TYPES = ['stages', 'bosses'];
+
+        this.ACHIEVEMENT_REWARD_TYPES = ['experience', 'materials', 'stat_bonus'];
+
+        // Pack ID -> { id, name, counts }
+        this.loadedPacks = new Map();
+
+        console.log('📦 Content Pack Loader initialized');
+    }
+
+    /**
+     * Load every pack listed in a manifest ({ packs: ['pack.json', ...] })
+     * Pack paths are relative to the manifest. Failures are logged and skipped so
+     * the game still starts with its built-in content.
+     * @param {string} manifestUrl - Manifest URL
+     * @returns {Promise<Array>} Load results per pack
+     */
+    async loadManifest(manifestUrl) {
+        let manifest;
+        try {
+            manifest = await this.fetchJson(manifestUrl);
+        } catch (error) {
+            console.warn(`📦 No content manifest loaded from ${manifestUrl}:`, error.message);
+            return [];
+        }
+
+        const baseUrl = manifestUrl.slice(0, manifestUrl.lastIndexOf('/') + 1);
+        const results = [];
+
+        for (const packPath of manifest.packs || []) {
+            results.push(await this.loadPackFromUrl(baseUrl + packPath));
+        }
+
+        return results;
+    }
+
+    /**
+     * Fetch and load a single pack
+     * @param {string} url - Pack URL
+     * @returns {Promise<Object>} Load result ({ loaded, errors, warnings })
+     */
+    async loadPackFromUrl(url) {
+        try {
+            return this.loadPack(await this.fetchJson(url));
+        } catch (error) {
+            console.warn(`📦 Failed to fetch content pack ${url}:`, error.message);
+            return { loaded: false, errors: [`Could not fetch ${url}: ${error.message}`], warnings: [] };
+        }
+    }
+
+    /**
+     * Fetch a JSON document
+     * @param {string} url - Document URL
+     * @returns {Promise<Object>} Parsed JSON
+     */
+    async fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Validate a pack and merge it into the registries
+     * A pack is applied all-or-nothing: any error rejects the whole pack.
+     * @param {Object} pack - Parsed pack
+     * @returns {Object} { loaded, errors, warnings }
+     */
+    loadPack(pack) {
+        const { errors, warnings } = this.validatePack(pack);
+        const packId = pack?.id || 'unknown';
+
+        if (errors.length > 0) {
+            console.warn(`📦 Content pack '${packId}' rejected:`, errors);
+            this.eventSystem.emit('content_pack_rejected', { packId, errors });
+            return { loaded: false, errors, warnings };
+        }
+
+        warnings.forEach(warning => console.warn(`📦 ${packId}: ${warning}`));
+        this.mergePack(pack);
+
+        const counts = {};
+        this.CONTENT_TYPES.forEach(type => {
+            if (pack[type]) counts[type] = this.getEntries(pack, type).length;
+        });
+
+        this.loadedPacks.set(packId, { id: packId, name: pack.name || packId, counts });
+        this.eventSystem.emit('content_pack_loaded', { packId, counts, warnings });
+
+        console.log(`📦 Content pack '${packId}' loaded:`, counts);
+        return { loaded: true, errors, warnings };
+    }
+
+    /**
+     * Get a pack section as [id, definition] pairs
+     * @param {Object} pack - Pack
+     * @param {string} type - Content type
+     * @returns {Array} Entries
+     */
+    getEntries(pack, type) {
+        const section = pack[type];
+        if (!section) return [];
+
+        if (this.ARRAY_TYPES.includes(type)) {
+            const key = type === 'bosses' ? 'stageId' : 'id';
+            return section.map(definition => [definition?.[key], definition]);
+        }
+
+        return Object.entries(section);
+    }
+
+    /**
+     * Collect IDs already registered, per content type
+     * @returns {Object} Sets of IDs keyed by content type
+     */
+    getRegisteredIds() {
+        const { materialManager, equipmentManager, craftingSystem, enemyDatabase,
+            stageManager, bossManager, achievementSystem } = this.registries;
+
+        return {
+            materials: new Set(Object.keys(materialManager.materialDefinitions)),
+            affixes: new Set(Object.keys(equipmentManager.affixDefinitions)),
+            equipment: new Set(Object.keys(equipmentManager.equipmentDefinitions)),
+            itemSets: new Set(Object.keys(equipmentManager.itemSets)),
+            recipes: new Set(Object.keys(craftingSystem.recipes)),
+            enemies: new Set(Object.keys(enemyDatabase.enemies)),
+            stages: new Set(stageManager.stages.map(stage => stage.id)),
+            bossAbilities: new Set(Object.keys(bossManager.abilityDefinitions)),
+            bosses: new Set(bossManager.bosses.keys()),
+            achievements: new Set(Object.keys(achievementSystem.achievements))
+        };
+    }
+
+    /**
+     * Validate pack structure and cross-references
+     * References may point at built-in content or at other entries in the same pack.
+     * @param {Object} pack - Pack
+     * @returns {Object} { errors, warnings }
+     */
+    validatePack(pack) {
+        const errors = [];
+        const warnings = [];
+
+        if (!pack || typeof pack !== 'object') {
+            return { errors: ['Pack is not an object'], warnings };
+        }
+        if (typeof pack.id !== 'string' || !pack.id) {
+            errors.push('Pack is missing an id');
+        } else if (this.loadedPacks.has(pack.id)) {
+            errors.push(`Pack '${pack.id}' is already loaded`);
+        }
+
+        const registered = this.getRegisteredIds();
+        const known = {};
+
+        this.CONTENT_TYPES.forEach(type => {
+            known[type] = new Set(registered[type]);
+
+            const section = pack[type];
+            if (section === undefined) return;
+
+            const isArray = this.ARRAY_TYPES.includes(type);
+            if (isArray ? !Array.isArray(section) : (typeof section !== 'object' || Array.isArray(section))) {
+                errors.push(`${type} must be ${isArray ? 'an array' : 'an object keyed by id'}`);
+                return;
+            }
+
+            this.getEntries(pack, type).forEach(([id]) => {
+                if (registered[type].has(id)) {
+                    warnings.push(`${type} '${id}' overrides an existing definition`);
+                }
+                known[type].add(id);
+            });
+        });
+
+        const validators = {
+            materials: (id, definition) => this.validateMaterial(id, definition),
+            affixes: (id, definition) => this.validateAffix(id, definition),
+            equipment: (id, definition) => this.validateEquipment(id, definition),
+            itemSets: (id, definition) => this.validateItemSet(id, definition, known),
+            recipes: (id, definition) => this.validateRecipe(id, definition, known),
+            enemies: (id, definition) => this.validateEnemy(id, definition, known),
+            stages: (id, definition) => this.validateStage(id, definition, known),
+            bossAbilities: (id, definition) => this.validateBossAbility(id, definition),
+            bosses: (id, definition) => this.validateBoss(id, definition, known),
+            achievements: (id, definition) => this.validateAchievement(id, definition)
+        };
+
+        this.CONTENT_TYPES.forEach(type => {
+            if (!pack[type] || errors.some(error => error.startsWith(`${type} must be`))) return;
+
+            this.getEntries(pack, type).forEach(([id, definition]) => {
+                if (!definition || typeof definition !== 'object') {
+                    errors.push(`${type} '${id}' must be an object`);
+                    return;
+                }
+                errors.push(...validators[type](id, definition));
+            });
+        });
+
+        return { errors, warnings };
+    }
+
+    /**
+     * Check that a value is one of the allowed options
+     * @param {Array} errors - Error list to append to
+     * @param {string} label - Field label for messages
+     * @param {*} value - Value to check
+     * @param {Object|Array} allowed - Allowed values (object values or array)
+     */
+    checkEnum(errors, label, value, allowed) {
+        const options = Array.isArray(allowed) ? allowed : Object.values(allowed);
+        if (!options.includes(value)) {
+            errors.push(`${label} must be one of ${options.join(', ')} (got '${value}')`);
+        }
+    }
+
+    /**
+     * Check that required numeric fields are present
+     * @param {Array} errors - Error list to append to
+     * @param {string} label - Owner label for messages
+     * @param {Object} source - Object holding the fields
+     * @param {Array} fields - Field names
+     */
+    checkNumbers(errors, label, source, fields) {
+        fields.forEach(field => {
+            if (typeof source?.[field] !== 'number' || !Number.isFinite(source[field])) {
+                errors.push(`${label} needs a numeric ${field}`);
+            }
+        });
+    }
+
+    /**
+     * Check that a status effect reference ({ id, chance }) is known
+     * @param {Array} errors - Error list to append to
+     * @param {string} label - Owner label for messages
+     * @param {Object} statusEffect - Status effect reference
+     */
+    checkStatusEffect(errors, label, statusEffect) {
+        if (!statusEffect) return;
+
+        const { statusEffectManager } = this.registries;
+        if (statusEffectManager && !statusEffectManager.getEffectDefinition(statusEffect.id)) {
+            errors.push(`${label} references unknown status effect '${statusEffect.id}'`);
+        }
+    }
+
+    /**
+     * Validate a material definition
+     * @param {string} id - Material ID
+     * @param {Object} material - Definition
+     * @returns {Array} Error messages
+     */
+    validateMaterial(id, material) {
+        const errors = [];
+        const label = `Material '${id}'`;
+
+        if (typeof material.name !== 'string') errors.push(`${label} needs a name`);
+        this.checkEnum(errors, `${label} rarity`, material.rarity, this.registries.materialManager.MATERIAL_RARITY);
+        this.checkNumbers(errors, label, material, ['value']);
+
+        return errors;
+    }
+
+    /**
+     * Validate an equipment definition
+     * @param {string} id - Equipment ID
+     * @param {Object} item - Definition
+     * @returns {Array} Error messages
+     */
+    validateEquipment(id, item) {
+        const errors = [];
+        const label = `Equipment '${id}'`;
+        const { EQUIPMENT_TYPES, EQUIPMENT_SLOTS, STAT_TYPES, ELEMENT_TYPES } = this.registries.equipmentManager;
+
+        if (typeof item.name !== 'string') errors.push(`${label} needs a name`);
+        this.checkEnum(errors, `${label} type`, item.type, EQUIPMENT_TYPES);
+
+        if (item.type === EQUIPMENT_TYPES.CONSUMABLE) {
+            if (!item.consumable) errors.push(`${label} is a consumable but lacks consumable: true`);
+        } else {
+            this.checkEnum(errors, `${label} slot`, item.slot, EQUIPMENT_SLOTS);
+            Object.keys(item.baseStats || {}).forEach(stat => {
+                this.checkEnum(errors, `${label} stat`, stat, STAT_TYPES);
+            });
+        }
+
+        if (item.element !== undefined) {
+            this.checkEnum(errors, `${label} element`, item.element, ELEMENT_TYPES);
+        }
+        Object.keys(item.resistances || {}).forEach(element => {
+            this.checkEnum(errors, `${label} resistance`, element, ELEMENT_TYPES);
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate an affix definition
+     * @param {string} id - Affix ID
+     * @param {Object} affix - Definition
+     * @returns {Array} Error messages
+     */
+    validateAffix(id, affix) {
+        const errors = [];
+        const label = `Affix '${id}'`;
+        const { AFFIX_TYPES, EQUIPMENT_TYPES, STAT_TYPES, ELEMENT_TYPES } = this.registries.equipmentManager;
+
+        if (typeof affix.name !== 'string') errors.push(`${label} needs a name`);
+        this.checkEnum(errors, `${label} type`, affix.type, AFFIX_TYPES);
+
+        if (!Array.isArray(affix.tiers) || affix.tiers.length === 0 || !affix.tiers.every(Number.isInteger)) {
+            errors.push(`${label} needs a list of item tiers`);
+        }
+        (affix.itemTypes || []).forEach(itemType => {
+            this.checkEnum(errors, `${label} item type`, itemType, EQUIPMENT_TYPES);
+        });
+        Object.keys(affix.stats || {}).forEach(stat => {
+            this.checkEnum(errors, `${label} stat`, stat, STAT_TYPES);
+        });
+
+        if (affix.element !== undefined) {
+            this.checkEnum(errors, `${label} element`, affix.element, ELEMENT_TYPES);
+        }
+        Object.keys(affix.resistances || {}).forEach(element => {
+            this.checkEnum(errors, `${label} resistance`, element, ELEMENT_TYPES);
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate an item set and its equipment references
+     * @param {string} id - Set ID
+     * @param {Object} set - Definition
+     * @param {Object} known - Known IDs per content type (registered plus this pack)
+     * @returns {Array} Error messages
+     */
+    validateItemSet(id, set, known) {
+        const errors = [];
+        const label = `Item set '${id}'`;
+        const { STAT_TYPES } = this.registries.equipmentManager;
+
+        if (typeof set.name !== 'string') errors.push(`${label} needs a name`);
+
+        if (!Array.isArray(set.pieces) || set.pieces.length < 2) {
+            errors.push(`${label} needs at least two pieces`);
+        } else {
+            set.pieces.forEach(pieceId => {
+                if (!known.equipment.has(pieceId)) {
+                    errors.push(`${label} references unknown equipment '${pieceId}'`);
+                }
+            });
+        }
+
+        Object.entries(set.bonuses || {}).forEach(([pieces, stats]) => {
+            if (!Number.isInteger(Number(pieces)) || Number(pieces) < 1) {
+                errors.push(`${label} bonus keys must be piece counts (got '${pieces}')`);
+            }
+            Object.keys(stats || {}).forEach(stat => {
+                this.checkEnum(errors, `${label} bonus stat`, stat, STAT_TYPES);
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate a recipe and its material, item and recipe references
+     * @param {string} id - Recipe ID
+     * @param {Object} recipe - Definition
+     * @param {Object} known - Known IDs per content type (registered plus this pack)
+     * @returns {Array} Error messages
+     */
+    validateRecipe(id, recipe, known) {
+        const errors = [];
+        const label = `Recipe '${id}'`;
+        const { CRAFTING_CATEGORIES, CRAFTING_DIFFICULTY } = this.registries.craftingSystem;
+
+        if (typeof recipe.name !== 'string') errors.push(`${label} needs a name`);
+        this.checkEnum(errors, `${label} category`, recipe.category, CRAFTING_CATEGORIES);
+        this.checkEnum(errors, `${label} difficulty`, recipe.difficulty, CRAFTING_DIFFICULTY);
+
+        const requirements = Object.entries(recipe.requirements || {});
+        if (requirements.length === 0) errors.push(`${label} has no material requirements`);
+        requirements.forEach(([materialId, quantity]) => {
+            if (!known.materials.has(materialId)) {
+                errors.push(`${label} requires unknown material '${materialId}'`);
+            }
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                errors.push(`${label} needs a positive whole quantity of '${materialId}'`);
+            }
+        });
+
+        if (!known.equipment.has(recipe.results?.itemId)) {
+            errors.push(`${label} produces unknown item '${recipe.results?.itemId}'`);
+        }
+
+        (recipe.unlockRequirements?.craftedItems || []).forEach(recipeId => {
+            if (!known.recipes.has(recipeId)) {
+                errors.push(`${label} unlocks after unknown recipe '${recipeId}'`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate an enemy and its drop and status effect references
+     * @param {string} id - Enemy type
+     * @param {Object} enemy - Definition
+     * @param {Object} known - Known IDs per content type (registered plus this pack)
+     * @returns {Array} Error messages
+     */
+    validateEnemy(id, enemy, known) {
+        const errors = [];
+        const label = `Enemy '${id}'`;
+        const { enemyAI, equipmentManager } = this.registries;
+
+        if (typeof enemy.name !== 'string') errors.push(`${label} needs a name`);
+        this.checkNumbers(errors, label, enemy.baseStats, ['hp', 'attack', 'defense', 'speed']);
+        this.checkNumbers(errors, `${label} levelScaling`, enemy.levelScaling, ['hp', 'attack', 'defense']);
+        this.checkNumbers(errors, label, enemy, ['expReward']);
+
+        if (enemyAI) this.checkEnum(errors, `${label} aiType`, enemy.aiType, enemyAI.AI_TYPES);
+        if (enemy.element !== undefined) {
+            this.checkEnum(errors, `${label} element`, enemy.element, equipmentManager.ELEMENT_TYPES);
+        }
+
+        (enemy.materialDrops || []).forEach(drop => {
+            if (!known.materials.has(drop.type)) {
+                errors.push(`${label} drops unknown material '${drop.type}'`);
+            }
+            if (!Array.isArray(drop.quantity) || drop.quantity.length !== 2) {
+                errors.push(`${label} drop '${drop.type}' needs a [min, max] quantity`);
+            }
+        });
+
+        (enemy.abilities || []).forEach(ability => {
+            if (!ability.id || !ability.type) {
+                errors.push(`${label} has an ability without an id or type`);
+            }
+            this.checkStatusEffect(errors, `${label} ability '${ability.id}'`, ability.statusEffect);
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate a stage and its enemy pool and unlock references
+     * @param {string} id - Stage ID
+     * @param {Object} stage - Definition
+     * @param {Object} known - Known IDs per content type (registered plus this pack)
+     * @returns {Array} Error messages
+     */
+    validateStage(id, stage, known) {
+        const errors = [];
+        const label = `Stage '${id}'`;
+
+        if (!Number.isInteger(stage.id) || stage.id < 1) errors.push(`${label} needs a positive whole-number id`);
+        if (typeof stage.name !== 'string') errors.push(`${label} needs a name`);
+        this.checkNumbers(errors, label, stage, ['materialMultiplier', 'expMultiplier']);
+        this.checkNumbers(errors, `${label} unlockCondition`, stage.unlockCondition, ['level']);
+
+        const requiredStage = stage.unlockCondition?.stage;
+        if (requiredStage !== undefined && !known.stages.has(requiredStage)) {
+            errors.push(`${label} unlocks after unknown stage '${requiredStage}'`);
+        }
+
+        if (!Array.isArray(stage.enemyPool) || stage.enemyPool.length === 0) {
+            errors.push(`${label} needs a non-empty enemyPool`);
+        } else {
+            stage.enemyPool
+                .filter(enemyType => !known.enemies.has(enemyType))
+                .forEach(enemyType => errors.push(`${label} pool names unknown enemy '${enemyType}'`));
+        }
+
+        const [min, max] = stage.enemyLevelRange || [];
+        if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || min > max) {
+            errors.push(`${label} needs an enemyLevelRange of [min, max]`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a boss ability definition
+     * @param {string} id - Ability ID
+     * @param {Object} ability - Definition
+     * @returns {Array} Error messages
+     */
+    validateBossAbility(id, ability) {
+        const errors = [];
+        const label = `Boss ability '${id}'`;
+
+        this.checkNumbers(errors, label, ability, ['multiplier']);
+        if (typeof ability.description !== 'string') errors.push(`${label} needs a description`);
+        this.checkStatusEffect(errors, label, ability.statusEffect);
+
+        return errors;
+    }
+
+    /**
+     * Validate a boss and its stage, ability and reward references
+     * @param {number} stageId - Stage the boss guards
+     * @param {Object} boss - Definition
+     * @param {Object} known - Known IDs per content type (registered plus this pack)
+     * @returns {Array} Error messages
+     */
+    validateBoss(stageId, boss, known) {
+        const errors = [];
+        const label = `Boss '${boss.id || stageId}'`;
+        const { equipmentManager } = this.registries;
+
+        if (!known.stages.has(stageId)) errors.push(`${label} is assigned to unknown stage '${stageId}'`);
+        if (typeof boss.id !== 'string' || typeof boss.name !== 'string') errors.push(`${label} needs an id and name`);
+        this.checkNumbers(errors, label, boss, ['level', 'baseHp', 'baseDamage', 'defense']);
+        this.checkNumbers(errors, `${label} unlockRequirement`, boss.unlockRequirement, ['victories']);
+
+        if (!Array.isArray(boss.phases) || boss.phases.length === 0) {
+            errors.push(`${label} needs at least one phase`);
+        } else {
+            boss.phases.forEach(phase => {
+                (phase.abilities || [])
+                    .filter(abilityId => !known.bossAbilities.has(abilityId))
+                    .forEach(abilityId => errors.push(`${label} phase '${phase.name}' uses unknown ability '${abilityId}'`));
+            });
+        }
+
+        (boss.rewards?.materials || []).forEach(reward => {
+            if (!known.materials.has(reward.type)) {
+                errors.push(`${label} rewards unknown material '${reward.type}'`);
+            }
+        });
+
+        // Boss equipment rewards name items by ID or display name
+        const equipmentNames = new Set(Object.values(equipmentManager.equipmentDefinitions).map(item => item.name));
+        (boss.rewards?.equipment || []).forEach(reward => {
+            if (!known.equipment.has(reward.type) && !equipmentNames.has(reward.type)) {
+                errors.push(`${label} rewards unknown equipment '${reward.type}'`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate an achievement definition
+     * @param {string} id - Achievement ID
+     * @param {Object} achievement - Definition
+     * @returns {Array} Error messages
+     */
+    validateAchievement(id, achievement) {
+        const errors = [];
+        const label = `Achievement '${id}'`;
+        const trackedStats = Object.keys(this.registries.achievementSystem.trackedStats);
+
+        if (typeof achievement.name !== 'string') errors.push(`${label} needs a name`);
+        this.checkEnum(errors, `${label} requirement stat`, achievement.requirement?.stat, trackedStats);
+        this.checkNumbers(errors, `${label} requirement`, achievement.requirement, ['value']);
+        this.checkEnum(errors, `${label} reward type`, achievement.reward?.type, this.ACHIEVEMENT_REWARD_TYPES);
+
+        return errors;
+    }
+
+    /**
+     * Merge a validated pack into the registries
+     * @param {Object} pack - Validated pack
+     */
+    mergePack(pack) {
+        const { materialManager, equipmentManager, craftingSystem, enemyDatabase,
+            stageManager, bossManager, achievementSystem } = this.registries;
+
+        if (pack.materials) materialManager.registerMaterials(pack.materials);
+        if (pack.affixes) equipmentManager.registerAffixes(pack.affixes);
+        if (pack.equipment) equipmentManager.registerEquipmentDefinitions(pack.equipment);
+        if (pack.itemSets) equipmentManager.registerItemSets(pack.itemSets);
+        if (pack.recipes) craftingSystem.registerRecipes(pack.recipes);
+        if (pack.enemies) enemyDatabase.registerEnemies(pack.enemies);
+        if (pack.stages) stageManager.registerStages(pack.stages);
+        if (pack.bossAbilities) bossManager.registerAbilities(pack.bossAbilities);
+        if (pack.bosses) bossManager.registerBosses(pack.bosses);
+        if (pack.achievements) achievementSystem.registerAchievements(pack.achievements);
+    }
+
+    /**
+     * Get loaded packs
+     * @returns {Array} Loaded pack summaries
+     */
+    getLoadedPacks() {
+        return Array.from(this.loadedPacks.values());
+    }
+}
+
+export { ContentPackLoader };
@@ -28,6 +28,12 @@ class EventSystem {
             DEFEND: 'defend',
             DAMAGE_DEALT: 'damage_dealt',
             DAMAGE_RECEIVED: 'damage_received',
+            STATUS_EFFECT_APPLIED: 'status_effect_applied',
+            STATUS_EFFECT_TICK: 'status_effect_tick',
+            STATUS_EFFECT_EXPIRED: 'status_effect_expired',
+            STATUS_EFFECT_CLEANSED: 'status_effect_cleansed',
+            TURN_SKIPPED: 'turn_skipped',
+            TURN_ORDER_SET: 'turn_order_set',
             
             // Player events
             PLAYER_LEVEL_UP: 'player_level_up',
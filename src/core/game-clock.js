@@ -0,0 +1,34 @@
+/**
+ * Game Clock - Timer and time source used by gameplay systems
+ * @module GameClock
+ */
+
+class GameClock {
+    /**
+     * Current time in milliseconds
+     * @returns {number} Timestamp
+     */
+    now() {
+        return Date.now();
+    }
+
+    /**
+     * Run a callback after a delay
+     * @param {Function} callback - Callback
+     * @param {number} delay - Delay in milliseconds
+     * @returns {*} Timer handle
+     */
+    setTimeout(callback, delay = 0) {
+        return setTimeout(callback, delay);
+    }
+
+    /**
+     * Cancel a pending callback
+     * @param {*} handle - Timer handle from setTimeout()
+     */
+    clearTimeout(handle) {
+        clearTimeout(handle);
+    }
+}
+
+export { GameClock };
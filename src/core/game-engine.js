@@ -3,25 +3,21 @@
  * @module GameEngine
  */
 
-import { StateManager } from './state-manager.js';
-import { EventSystem } from './event-system.js';
+import { ServiceContainer } from './service-container.js';
+import { registerGameServices } from './game-services.js';
 import { VisualRenderer } from './visual-renderer.js';
-import { CombatManager } from '../combat/combat-manager.js';
-import { MaterialManager } from '../progression/material-manager.js';
-import { InventoryManager } from '../progression/inventory-manager.js';
-import { CraftingSystem } from '../progression/crafting-system.js';
-import { EquipmentManager } from '../progression/equipment-manager.js';
-import { StageManager } from '../progression/stage-manager.js';
-import { EnemyDatabase } from '../progression/enemy-database.js';
-import { PrestigeManager } from '../progression/prestige-manager.js';
-import DailyChallenges from '../progression/daily-challenges.js';
+import CombatUI from '../ui/combat-ui.js';
 import DailyChallengesUI from '../ui/daily-challenges-ui.js';
-import WeeklyEvents from '../progression/weekly-events.js';
 import WeeklyEventsUI from '../ui/weekly-events-ui.js';
-import { AchievementSystem } from '../progression/achievement-system-test.js';
-import { AchievementUI } from '../ui/achievement-ui-test.js';
-import BossManager from '../progression/boss-manager.js';
+import { AchievementUI } from '../ui/achievement-ui.js';
 import BossUI from '../ui/boss-ui.js';
+import SaveSlotUI from '../ui/save-slot-ui.js';
+import OfflineProgressUI from '../ui/offline-progress-ui.js';
+import ShopUI from '../ui/shop-ui.js';
+import CraftingQueueUI from '../ui/crafting-queue-ui.js';
+import EnhancementUI from '../ui/enhancement-ui.js';
+import DefeatUI from '../ui/defeat-ui.js';
+import StatAllocationUI from '../ui/stat-allocation-ui.js';
 
 class GameEngine {
     constructor() {
@@ -32,45 +28,60 @@ class GameEngine {
         this.fps = 0;
         this.frameCount = 0;
         this.isRunning = false;
+        this.CONTENT_MANIFEST_URL = 'content/packs/manifest.json';
+        
+        // Gameplay systems are created by the service container so they can also run without a browser
+        this.services = registerGameServices(new ServiceContainer());
         
         // Core systems
-        this.stateManager = new StateManager();
-        this.eventSystem = new EventSystem();
+        this.stateManager = this.services.get('stateManager');
+        this.eventSystem = this.services.get('eventSystem');
+        this.statPipeline = this.services.get('statPipeline');
+        this.randomService = this.services.get('randomService');
         
         // Visual system
         this.visualRenderer = null; // Initialized after canvas setup
         
         // Prestige system
-        this.prestigeManager = new PrestigeManager(this.stateManager, this.eventSystem);
+        this.prestigeManager = this.services.get('prestigeManager');
         
         // Stage and enemy systems
-        this.enemyDatabase = new EnemyDatabase();
-        this.stageManager = new StageManager(this.stateManager, this.eventSystem);
-        this.combatManager = new CombatManager(this.stateManager, this.eventSystem, this.stageManager, this.enemyDatabase);
+        this.enemyDatabase = this.services.get('enemyDatabase');
+        this.stageManager = this.services.get('stageManager');
+        this.damageCalculator = this.services.get('damageCalculator');
+        this.enemyAI = this.services.get('enemyAI');
+        this.combatManager = this.services.get('combatManager');
+        this.combatManager.setUI(new CombatUI(this.combatManager));
         
         // Progression systems
-        this.materialManager = new MaterialManager(this.stateManager, this.eventSystem, this.stageManager);
-        this.inventoryManager = new InventoryManager(this.stateManager, this.eventSystem);
-        this.equipmentManager = new EquipmentManager(this.stateManager, this.eventSystem);
-        this.craftingSystem = new CraftingSystem(this.stateManager, this.eventSystem, this.materialManager, this.inventoryManager);
+        this.levelingSystem = this.services.get('levelingSystem');
+        this.materialManager = this.services.get('materialManager');
+        this.inventoryManager = this.services.get('inventoryManager');
+        this.equipmentManager = this.services.get('equipmentManager');
+        this.craftingSystem = this.services.get('craftingSystem');
+        this.enhancementSystem = this.services.get('enhancementSystem');
+        this.shopSystem = this.services.get('shopSystem');
+        this.defeatPenaltyManager = this.services.get('defeatPenaltyManager');
         
         // Daily challenges system
-        this.dailyChallenges = new DailyChallenges(this.stateManager, this.eventSystem);
+        this.dailyChallenges = this.services.get('dailyChallenges');
         
-        // Weekly events system
-        this.weeklyEvents = new WeeklyEvents(this.stateManager, this.eventSystem);
+        // Weekly events system (also connects to the material system)
+        this.weeklyEvents = this.services.get('weeklyEvents');
         this.weeklyEventsUI = new WeeklyEventsUI(this.weeklyEvents, this.eventSystem);
         
-        // Connect weekly events to material system
-        this.materialManager.weeklyEvents = this.weeklyEvents;
-        
         // Boss system
-        this.bossManager = new BossManager(this.stateManager);
-        this.bossManager.setEventEmitter(this.eventSystem);
+        this.bossManager = this.services.get('bossManager');
+        
+        // Offline progress
+        this.offlineProgress = this.services.get('offlineProgress');
         
         // Achievement system
-        this.achievementSystem = new AchievementSystem(this.eventSystem, this.stateManager);
-        this.achievementUI = new AchievementUI(this.achievementSystem, this.eventSystem);
+        this.achievementSystem = this.services.get('achievementSystem');
+        this.achievementUI = new AchievementUI(this.achievementSystem, this.eventSystem, this);
+        
+        // Content packs extend the registries above with JSON definitions
+        this.contentPackLoader = this.services.get('contentPackLoader');
         
         // Performance monitoring
         this.fpsUpdateTime = 0;
@@ -117,6 +128,21 @@ class GameEngine {
             if (data.buttonId === 'close-equipment-btn') {
                 this.hideEquipmentUI();
             }
+            if (data.buttonId === 'stats-btn') {
+                this.showStatsUI();
+            }
+            if (data.buttonId === 'close-stats-btn') {
+                this.hideStatsUI();
+            }
+            if (data.buttonId === 'shop-btn') {
+                this.showShopUI();
+            }
+            if (data.buttonId === 'close-shop-btn') {
+                this.hideShopUI();
+            }
+            if (data.buttonId === 'close-defeat-btn') {
+                this.hideDefeatSummary();
+            }
             if (data.buttonId === 'stages-btn') {
                 this.showStagesUI();
             }
@@ -157,6 +183,33 @@ class GameEngine {
             this.showRecipeUnlockedFeedback(data);
         });
         
+        // Queued jobs change which recipes can be afforded
+        this.eventSystem.on('crafting_queue_updated', () => {
+            if (document.getElementById('crafting-ui').style.display !== 'none') {
+                this.updateCraftingRecipeList();
+            }
+        });
+        
+        this.eventSystem.on('materials_refunded', () => {
+            this.updateUI();
+        });
+        
+        // Listen for level ups and stat point changes
+        ['player_level_up', 'stat_points_allocated', 'stat_points_reset'].forEach(eventType => {
+            this.eventSystem.on(eventType, () => {
+                this.updateUI();
+            });
+        });
+        
+        // Listen for gold changes
+        this.eventSystem.on('gold_changed', () => {
+            this.updateUI();
+        });
+        
+        this.eventSystem.on('defeat_summary', (summary) => {
+            this.showDefeatSummary(summary);
+        });
+        
         // Listen for equipment events
         this.eventSystem.on('item_equipped', () => {
             this.updateUI();
@@ -166,6 +219,13 @@ class GameEngine {
             }
         });
         
+        this.eventSystem.on('player_stats_recalculated', () => {
+            this.updateUI();
+            if (document.getElementById('equipment-ui').style.display !== 'none') {
+                this.updateCharacterStatsDisplay();
+            }
+        });
+        
         // Listen for stage events
         this.eventSystem.on('STAGE_UNLOCKED', (data) => {
             this.showStageUnlockedFeedback(data);
@@ -187,6 +247,17 @@ class GameEngine {
             }
         });
         
+        // Listen for enhancement results
+        ['item_enhanced', 'item_quality_changed', 'item_salvaged', 'enhancement_failed'].forEach(eventType => {
+            this.eventSystem.on(eventType, () => {
+                this.updateUI();
+                if (document.getElementById('equipment-ui').style.display !== 'none') {
+                    this.updateEquipmentDisplay();
+                    this.updateInventoryDisplay();
+                }
+            });
+        });
+        
         this.eventSystem.on('consumable_used', () => {
             this.updateUI();
             if (document.getElementById('equipment-ui').style.display !== 'none') {
@@ -194,21 +265,144 @@ class GameEngine {
             }
         });
         
+        // Listen for full bags and the overflow stash
+        ['overflow_stashed', 'overflow_dropped'].forEach(eventType => {
+            this.eventSystem.on(eventType, (data) => this.showOverflowFeedback(eventType, data));
+        });
+        
+        ['overflow_stashed', 'overflow_dropped', 'overflow_claimed', 'inventory_capacity_changed'].forEach(eventType => {
+            this.eventSystem.on(eventType, () => {
+                if (document.getElementById('equipment-ui').style.display !== 'none') {
+                    this.updateInventoryDisplay();
+                }
+            });
+        });
+        
         // Visual effects event listeners
         this.setupVisualEffectListeners();
         
-        this.start();
+        // Auto-battle HUD controls
+        this.setupAutoBattleControls();
         
         // Initialize UI components
-        this.dailyChallengesUI = new DailyChallengesUI(this.dailyChallenges, this.eventSystem);
+        this.dailyChallengesUI = new DailyChallengesUI(this.dailyChallenges, this.eventSystem, this);
         this.bossUI = new BossUI(this.bossManager, this.eventSystem, this.stageManager, this.combatManager);
+        this.offlineProgressUI = new OfflineProgressUI(this.eventSystem, this.materialManager);
+        this.craftingQueueUI = new CraftingQueueUI(this.craftingSystem, this.eventSystem);
+        this.enhancementUI = new EnhancementUI(this.enhancementSystem, this.eventSystem, this.equipmentManager, this.materialManager, this);
+        this.defeatUI = new DefeatUI(this.defeatPenaltyManager, this.eventSystem, this.materialManager);
+        this.statAllocationUI = new StatAllocationUI(this.levelingSystem, this.statPipeline, this.eventSystem);
+        this.shopUI = new ShopUI(this.shopSystem, this.eventSystem, this.stateManager, this.materialManager, this.equipmentManager, this);
         
         // Load achievement progress
         this.achievementSystem.loadProgress();
         
+        // The game loop starts once a save slot has been picked. Content packs are
+        // merged first so saves can reference pack stages, enemies and items.
+        this.saveSlotUI = new SaveSlotUI(this.stateManager, (slotId) => this.loadSaveSlot(slotId));
+        this.contentPackLoader.loadManifest(this.CONTENT_MANIFEST_URL)
+            .then(() => this.saveSlotUI.show());
+        
         console.log('🎮 Game Engine initialized');
     }
     
+    /**
+     * Load a save slot (or start a fresh game in an empty one) and start the game loop
+     * @param {string} slotId - Save slot identifier
+     * @returns {boolean} True if the game started
+     */
+    loadSaveSlot(slotId) {
+        const slot = this.stateManager.getSlotSummary(slotId);
+        if (!slot || !this.stateManager.selectSaveSlot(slotId)) {
+            return false;
+        }
+        
+        if (slot.isEmpty) {
+            this.loadInitialState();
+            this.stateManager.saveToStorage();
+        } else if (this.stateManager.loadFromStorage()) {
+            this.updateUI();
+            this.eventSystem.emit('stateLoaded');
+            this.achievementSystem.loadProgress();
+            this.offlineProgress.applyOfflineProgress(this.stateManager.lastLoadedTimestamp);
+        } else {
+            // Never autosave over a save we refused to load
+            this.stateManager.clearActiveSlot();
+            return false;
+        }
+        
+        this.start();
+        return true;
+    }
+    
+    /**
+     * Show floating text for misses and elemental effectiveness
+     * @param {Object} attackResult - Payload of the attack event
+     */
+    showAttackResultText(attackResult) {
+        const x = this.canvas.width / 2 + (attackResult.target === 'enemy' ? 150 : -150);
+        const y = this.canvas.height / 2 - 60;
+        
+        if (attackResult.isMiss) {
+            this.visualRenderer.createFloatingText(x, y, 'Miss!', '#cccccc');
+        } else if (attackResult.effectiveness > 1) {
+            const color = this.damageCalculator.getElementColor(attackResult.element);
+            this.visualRenderer.createFloatingText(x, y, 'Super Effective!', color);
+        } else if (attackResult.effectiveness < 1) {
+            this.visualRenderer.createFloatingText(x, y, 'Resisted', '#888888');
+        }
+    }
+    
+    /**
+     * Show floating text for non-attack enemy actions
+     * @param {Object} enemyAction - Payload of the enemy_action event
+     */
+    showEnemyActionText(enemyAction) {
+        const x = this.canvas.width / 2 + 150;
+        const y = this.canvas.height / 2 - 60;
+        
+        switch (enemyAction.action) {
+            case 'heal':
+                this.visualRenderer.createFloatingText(x, y, `+${enemyAction.amount} HP`, '#51cf66');
+                this.visualRenderer.createHealingParticles(x, this.canvas.height / 2);
+                break;
+            case 'defend':
+                this.visualRenderer.createFloatingText(x, y, enemyAction.ability ? enemyAction.ability.name : 'Defending', '#74c0fc');
+                break;
+            case 'buff':
+                this.visualRenderer.createFloatingText(x, y, enemyAction.ability.name, '#ffd43b');
+                break;
+            case 'flee':
+                this.visualRenderer.createFloatingText(x, y, 'Fled!', '#cccccc');
+                break;
+        }
+    }
+    
+    /**
+     * Show floating text for status effects
+     * @param {string} eventType - Status effect event type
+     * @param {Object} data - Event payload ({ target, effectId, damage })
+     */
+    showStatusEffectText(eventType, data) {
+        const definition = this.combatManager.statusEffectManager.getEffectDefinition(data.effectId);
+        if (!definition) return;
+        
+        const x = this.canvas.width / 2 + (data.target === 'enemy' ? 150 : -150);
+        const y = this.canvas.height / 2 - 100;
+        
+        switch (eventType) {
+            case 'status_effect_applied':
+                this.visualRenderer.createFloatingText(x, y, `${definition.icon} ${definition.name}`, definition.color);
+                break;
+            case 'status_effect_tick':
+                this.visualRenderer.createFloatingText(x, y + 40, `-${data.damage}`, definition.color);
+                break;
+            case 'turn_skipped':
+                this.visualRenderer.createFloatingText(x, y, `${definition.name}: turn lost`, definition.color);
+                break;
+        }
+    }
+    
     /**
      * Setup visual effect event listeners
      */
@@ -244,6 +438,34 @@ class GameEngine {
             }
         });
         
+        this.eventSystem.on('attack', (data) => {
+            if (this.visualRenderer) {
+                this.showAttackResultText(data);
+            }
+        });
+        
+        this.eventSystem.on('enemy_action', (data) => {
+            if (this.visualRenderer) {
+                this.showEnemyActionText(data);
+            }
+        });
+        
+        ['status_effect_applied', 'status_effect_tick', 'turn_skipped'].forEach(eventType => {
+            this.eventSystem.on(eventType, (data) => {
+                if (this.visualRenderer) {
+                    this.showStatusEffectText(eventType, data);
+                }
+            });
+        });
+        
+        this.eventSystem.on('skill_heal', (data) => {
+            if (this.visualRenderer) {
+                const x = this.canvas.width / 2 - 150;
+                this.visualRenderer.createFloatingText(x, this.canvas.height / 2 - 60, `+${data.amount} HP`, '#51cf66');
+                this.visualRenderer.createHealingParticles(x, this.canvas.height / 2);
+            }
+        });
+        
         this.eventSystem.on('item_used', (data) => {
             if (this.visualRenderer && data.effect === 'heal') {
                 this.visualRenderer.createHealingParticles(
@@ -333,17 +555,16 @@ class GameEngine {
      * Load initial game state
      */
     loadInitialState() {
-        // Get prestige bonuses (if any exist)
-        const bonuses = this.prestigeManager.getPrestigeBonuses();
-        
+        // StatPipeline recomputes derived stats on stateLoaded
         const initialState = {
             player: {
-                hp: Math.floor(100 * bonuses.healthMultiplier),
-                maxHp: Math.floor(100 * bonuses.healthMultiplier),
+                hp: 100,
+                maxHp: 100,
                 level: 1,
                 exp: 0,
-                attack: Math.floor(10 * bonuses.damageMultiplier),
-                defense: Math.floor(5 * bonuses.defenseMultiplier)
+                attack: 10,
+                defense: 5,
+                speed: 10
             },
             game: {
                 currentStage: 1,
@@ -394,7 +615,7 @@ class GameEngine {
      * Resume the game
      */
     resume() {
-        if (this.isRunning) return;
+        if (this.isRunning || !this.stateManager.activeSlot) return;
         
         this.isRunning = true;
         this.stateManager.updateState({ game: { isPaused: false } });
@@ -458,6 +679,9 @@ class GameEngine {
             });
             
             this.updateFPSDisplay();
+            if (this.defeatUI) {
+                this.defeatUI.updateDisplay();
+            }
         }
     }
     
@@ -551,6 +775,11 @@ class GameEngine {
         const playerHpElement = document.getElementById('player-hp');
         const playerLevelElement = document.getElementById('player-level');
         const materialCountElement = document.getElementById('material-count');
+        const goldCountElement = document.getElementById('gold-count');
+        
+        if (goldCountElement && state.player) {
+            goldCountElement.textContent = state.player.gold || 0;
+        }
         
         if (playerHpElement && state.player) {
             playerHpElement.textContent = state.player.hp;
@@ -570,6 +799,12 @@ class GameEngine {
             playerLevelElement.textContent = state.player.level;
         }
         
+        const playerExpElement = document.getElementById('player-exp');
+        if (playerExpElement && state.player) {
+            const progress = this.levelingSystem.getExpProgress();
+            playerExpElement.textContent = progress.required > 0 ? `${progress.exp} / ${progress.required}` : 'MAX';
+        }
+        
         // Update material count
         if (materialCountElement && state.materials) {
             const totalMaterials = Object.values(state.materials).reduce((sum, count) => sum + count, 0);
@@ -589,6 +824,90 @@ class GameEngine {
         }
     }
     
+    /**
+     * Setup auto-battle HUD controls
+     */
+    setupAutoBattleControls() {
+        const policySelect = document.getElementById('auto-battle-policy');
+        const thresholdInput = document.getElementById('auto-battle-threshold');
+        const maxFightsInput = document.getElementById('auto-battle-max-fights');
+        
+        policySelect.addEventListener('change', () => {
+            this.combatManager.setAutoBattleSettings({ policy: policySelect.value });
+        });
+        thresholdInput.addEventListener('change', () => {
+            this.combatManager.setAutoBattleSettings({ defendThreshold: Number(thresholdInput.value) / 100 });
+            this.updateAutoBattleDisplay();
+        });
+        maxFightsInput.addEventListener('change', () => {
+            this.combatManager.setAutoBattleSettings({ maxFights: Number(maxFightsInput.value) });
+            this.updateAutoBattleDisplay();
+        });
+        
+        ['auto_battle_started', 'auto_battle_stopped', 'combat_end', 'stateLoaded'].forEach(eventType => {
+            this.eventSystem.on(eventType, () => this.updateAutoBattleDisplay());
+        });
+        
+        this.updateAutoBattleDisplay();
+    }
+    
+    /**
+     * Update auto-battle HUD controls from state
+     */
+    updateAutoBattleDisplay() {
+        const autoBattle = this.stateManager.getStateValue('autoBattle');
+        const button = document.getElementById('auto-battle-btn');
+        const status = document.getElementById('auto-battle-status');
+        if (!autoBattle || !button) return;
+        
+        button.textContent = autoBattle.enabled ? '🤖 Auto: On' : '🤖 Auto: Off';
+        button.classList.toggle('active', autoBattle.enabled);
+        
+        document.getElementById('auto-battle-policy').value = autoBattle.policy;
+        document.getElementById('auto-battle-threshold').value = Math.round(autoBattle.defendThreshold * 100);
+        document.getElementById('auto-battle-max-fights').value = autoBattle.maxFights;
+        
+        const stopReasons = {
+            defeat: 'Stopped: defeated',
+            fight_limit: 'Stopped: fight limit reached'
+        };
+        
+        if (autoBattle.enabled) {
+            const limit = autoBattle.maxFights > 0 ? `/${autoBattle.maxFights}` : '';
+            status.textContent = `Fights: ${autoBattle.fightsCompleted}${limit}`;
+        } else {
+            status.textContent = stopReasons[autoBattle.stopReason] || '';
+        }
+    }
+    
+    /**
+     * Show what a defeat cost
+     * @param {Object} summary - Defeat summary from DefeatPenaltyManager
+     */
+    showDefeatSummary(summary) {
+        // Replaces any open panel; the summary leaves the game controls usable
+        this.closeAllUIs();
+        
+        const gameControls = document.getElementById('game-controls');
+        
+        if (gameControls) {
+            gameControls.style.display = 'block';
+        }
+        
+        if (this.defeatUI) {
+            this.defeatUI.show(summary);
+        }
+    }
+    
+    /**
+     * Hide the defeat summary
+     */
+    hideDefeatSummary() {
+        if (this.defeatUI) {
+            this.defeatUI.hide();
+        }
+    }
+    
     /**
      * Update FPS display in UI
      */
@@ -639,9 +958,13 @@ class GameEngine {
      * @param {KeyboardEvent} event - Keyboard event
      */
     handleKeyDown(event) {
-        this.eventSystem.emit('key_down', { key: event.key, code: event.code });
+        // Keys typed into form fields are not game shortcuts
+        const isTyping = ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target?.tagName);
+        
+        this.eventSystem.emit('key_down', { key: event.key, code: event.code, isTyping });
         
         // Debug controls
+        if (isTyping) return;
         if (event.key === 'p' || event.key === 'P') {
             if (this.isRunning) {
                 this.pause();
@@ -728,6 +1051,7 @@ class GameEngine {
         
         if (craftingUI) {
             craftingUI.style.display = 'block';
+            this.craftingQueueUI.render();
             this.updateCraftingRecipeList();
         }
         
@@ -828,6 +1152,7 @@ class GameEngine {
         if (equipmentUI) {
             equipmentUI.style.display = 'block';
             this.updateEquipmentDisplay();
+            this.updateCharacterStatsDisplay();
             this.updateInventoryDisplay();
         }
         
@@ -838,6 +1163,49 @@ class GameEngine {
         console.log('⚔️ Opened equipment UI');
     }
     
+    /**
+     * Show each player stat with the sources that make it up
+     */
+    updateCharacterStatsDisplay() {
+        const statsList = document.getElementById('character-stats-list');
+        if (!statsList) return;
+        
+        const statNames = {
+            maxHp: 'Max HP',
+            attack: 'Attack',
+            defense: 'Defense',
+            speed: 'Speed',
+            criticalChance: 'Crit Chance',
+            criticalDamage: 'Crit Damage'
+        };
+        const isPercentStat = (stat) => stat === 'criticalChance' || stat === 'criticalDamage';
+        const formatValue = (stat, value) => isPercentStat(stat) ? `${Math.round(value * 100)}%` : value;
+        const formatEntry = (stat, entry) => {
+            switch (entry.type) {
+                case 'percent':
+                    return `+${Math.round(entry.value * 100)}%`;
+                case 'multiplier':
+                    return `×${entry.value}`;
+                default:
+                    return `+${formatValue(stat, entry.value)}`;
+            }
+        };
+        
+        const breakdown = this.statPipeline.getFullBreakdown({ includeTransient: false });
+        
+        statsList.innerHTML = Object.entries(statNames).map(([stat, name]) => {
+            const { total, entries } = breakdown[stat];
+            return `
+                <div style="border-bottom: 1px solid #333; padding: 4px 0;">
+                    <strong>${name}: ${formatValue(stat, total)}</strong>
+                    <div style="font-size: 12px; color: #aaa;">
+                        ${entries.map(entry => `${entry.label} ${formatEntry(stat, entry)}`).join(' • ') || 'No bonuses'}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
     /**
      * Hide equipment UI
      */
@@ -893,12 +1261,16 @@ class GameEngine {
                 const statsText = Object.entries(item.stats)
                     .map(([stat, value]) => `${stat}: +${value}`)
                     .join(', ');
+                const elementalText = this.equipmentManager.getElementalSummary(item);
+                const itemSet = this.equipmentManager.getItemSet(item.id);
                 
                 slotDiv.innerHTML = `
                     <strong>${slotName}</strong><br>
                     <div style="color: #51cf66;">
-                        ${item.name} (${item.quality})<br>
+                        ${this.equipmentManager.getDisplayName(item)} (${item.quality})<br>
                         <small>${statsText}</small>
+                        ${elementalText ? `<br><small style="color: #74c0fc;">${elementalText}</small>` : ''}
+                        ${itemSet ? `<br><small class="item-set-name">Set: ${itemSet.name}</small>` : ''}
                     </div>
                     <button data-unequip-slot="${slotId}" class="unequip-btn"
                             style="margin-top: 5px; background: #ff6b6b; border: none; padding: 2px 8px; color: white; cursor: pointer;">
@@ -916,12 +1288,59 @@ class GameEngine {
                         this.updateUI();
                     });
                 }
+                
+                slotDiv.appendChild(this.enhancementUI.createControls(equippedItem.uniqueId));
             } else {
                 slotDiv.innerHTML = `<strong>${slotName}</strong><br><em style="color: #666;">Empty</em>`;
             }
             
             equippedItemsDiv.appendChild(slotDiv);
         }
+        
+        equippedItemsDiv.appendChild(this.createSetBonusDisplay());
+    }
+    
+    /**
+     * List the sets with equipped pieces and which of their bonuses are active
+     * @returns {HTMLElement} Set bonus panel
+     */
+    createSetBonusDisplay() {
+        const panel = document.createElement('div');
+        panel.className = 'set-bonuses';
+        
+        const sets = this.equipmentManager.getSetBonuses();
+        if (sets.length === 0) {
+            panel.innerHTML = '<strong>Set Bonuses</strong><br><em style="color: #666;">No set pieces equipped</em>';
+            return panel;
+        }
+        
+        panel.innerHTML = `<strong>Set Bonuses</strong>` + sets.map(set => `
+            <div class="set-bonus">
+                ${set.name} (${set.equippedPieces}/${set.totalPieces})
+                ${set.bonuses.map(bonus => `
+                    <div class="set-bonus-tier ${bonus.active ? 'active' : ''}">
+                        ${bonus.pieces} pieces: ${this.formatStatChanges(bonus.stats)}
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+        
+        return panel;
+    }
+    
+    /**
+     * Format stat changes for display (e.g. "attack +5, crit_chance +3%")
+     * @param {Object} stats - Changes keyed by item stat type
+     * @returns {string} Formatted changes
+     */
+    formatStatChanges(stats) {
+        return Object.entries(stats)
+            .map(([stat, value]) => {
+                const isPercent = stat.includes('chance') || stat.includes('damage');
+                const amount = isPercent ? `${Math.round(value * 100)}%` : value;
+                return `${stat} ${value >= 0 ? '+' : ''}${amount}`;
+            })
+            .join(', ');
     }
     
     /**
@@ -936,11 +1355,17 @@ class GameEngine {
         const equipment = inventory.equipment || {};
         
         inventoryList.innerHTML = '';
+        inventoryList.appendChild(this.createInventoryCapacityDisplay());
+        
+        const overflowDisplay = this.createOverflowDisplay();
+        if (overflowDisplay) {
+            inventoryList.appendChild(overflowDisplay);
+        }
         
         const unequippedItems = Object.values(equipment).filter(item => !item.equipped);
         
         if (unequippedItems.length === 0) {
-            inventoryList.innerHTML = '<p style="color: #666;">No items in inventory</p>';
+            inventoryList.insertAdjacentHTML('beforeend', '<p style="color: #666;">No items in inventory</p>');
             return;
         }
         
@@ -958,20 +1383,29 @@ class GameEngine {
             const statsText = Object.entries(item.stats || {})
                 .map(([stat, value]) => `${stat}: +${value}`)
                 .join(', ');
+            const elementalText = this.equipmentManager.getElementalSummary(item);
             
             const canEquip = this.equipmentManager.meetsRequirements(item);
             const borderColor = canEquip ? '#51cf66' : '#ff6b6b';
+            const itemSet = this.equipmentManager.getItemSet(item.id);
+            const comparisonText = this.getEquippedComparisonText(item);
             
             itemDiv.style.borderColor = borderColor;
             
             itemDiv.innerHTML = `
-                <strong>${item.name} (${item.quality})</strong><br>
+                <strong>${this.equipmentManager.getDisplayName(item)} (${item.quality})</strong><br>
                 <small>${item.description}</small><br>
                 <small style="color: #51cf66;">${statsText}</small><br>
+                ${elementalText ? `<small style="color: #74c0fc;">${elementalText}</small><br>` : ''}
+                ${itemSet ? `<small class="item-set-name">Set: ${itemSet.name}</small><br>` : ''}
+                ${comparisonText ? `<small style="color: #aaa;">${comparisonText}</small><br>` : ''}
                 <small>Value: ${item.value} gold</small>
             `;
             
-            if (item.consumable) {
+            if (item.consumable && item.escape) {
+                // Escape items only work from the combat quick-bar
+                itemDiv.appendChild(this.createQuickBarSelect(item));
+            } else if (item.consumable) {
                 // Add use button for consumables
                 const useButton = document.createElement('button');
                 useButton.textContent = 'Use';
@@ -991,6 +1425,10 @@ class GameEngine {
                     this.updateUI();
                 });
                 itemDiv.appendChild(useButton);
+                
+                if (this.inventoryManager.isCombatConsumable(item)) {
+                    itemDiv.appendChild(this.createQuickBarSelect(item));
+                }
             } else if (canEquip && item.slot) {
                 // Add equip button for equipment
                 const equipButton = document.createElement('button');
@@ -1013,10 +1451,257 @@ class GameEngine {
                 itemDiv.appendChild(equipButton);
             }
             
+            if (item.slot) {
+                itemDiv.appendChild(this.enhancementUI.createControls(item.uniqueId));
+            }
+            
             inventoryList.appendChild(itemDiv);
         });
     }
     
+    /**
+     * Build the used/total slot summary for each inventory type
+     * @returns {HTMLElement} Capacity summary
+     */
+    createInventoryCapacityDisplay() {
+        const capacity = document.createElement('div');
+        capacity.className = 'inventory-capacity';
+        
+        const labels = { materials: 'Materials', equipment: 'Equipment', consumables: 'Consumables' };
+        
+        Object.entries(labels).forEach(([inventoryType, label]) => {
+            const used = this.inventoryManager.getUsedSlots(inventoryType);
+            const total = this.inventoryManager.getCapacity(inventoryType);
+            
+            const entry = document.createElement('span');
+            entry.className = used >= total ? 'capacity-entry full' : 'capacity-entry';
+            entry.textContent = `🎒 ${label}: ${used}/${total}`;
+            capacity.appendChild(entry);
+        });
+        
+        return capacity;
+    }
+    
+    /**
+     * Build the overflow stash with a claim button per entry
+     * @returns {HTMLElement|null} Overflow stash, or null when it is empty
+     */
+    createOverflowDisplay() {
+        const overflow = this.inventoryManager.getOverflow();
+        if (overflow.length === 0) return null;
+        
+        const stash = document.createElement('div');
+        stash.className = 'overflow-stash';
+        stash.innerHTML = `<strong>📬 Overflow (${overflow.length}/${this.inventoryManager.OVERFLOW_LIMIT})</strong>
+            <small>Rewards that did not fit. The oldest are lost when the stash is full.</small>`;
+        
+        const claimAllButton = document.createElement('button');
+        claimAllButton.className = 'claim-btn';
+        claimAllButton.textContent = 'Claim All';
+        claimAllButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.inventoryManager.claimAllOverflow();
+            this.updateInventoryDisplay();
+            this.updateUI();
+        });
+        stash.appendChild(claimAllButton);
+        
+        overflow.forEach((entry, index) => {
+            const row = document.createElement('div');
+            row.className = 'overflow-entry';
+            row.textContent = this.inventoryManager.describeOverflowEntry(entry);
+            
+            const claimButton = document.createElement('button');
+            claimButton.className = 'claim-btn';
+            claimButton.textContent = 'Claim';
+            claimButton.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.inventoryManager.claimOverflow(index);
+                this.updateInventoryDisplay();
+                this.updateUI();
+            });
+            
+            row.appendChild(claimButton);
+            stash.appendChild(row);
+        });
+        
+        return stash;
+    }
+    
+    /**
+     * Describe how an item's base stats and set bonuses compare with what is worn in its slot
+     * @param {Object} item - Equipment item
+     * @returns {string} Comparison text (empty if nothing is worn there)
+     */
+    getEquippedComparisonText(item) {
+        if (!item.slot) return '';
+        
+        const equippedItems = this.equipmentManager.getEquippedItems();
+        const equipped = equippedItems[this.equipmentManager.getTargetSlot(item, equippedItems)]?.itemData;
+        if (!equipped || equipped.id === item.id) return '';
+        
+        const comparison = this.equipmentManager.compareEquipment(equipped.id, item.id);
+        if (!comparison) return '';
+        
+        const parts = [`vs ${equipped.name}: ${this.formatStatChanges(comparison.differences) || 'same stats'}`];
+        if (Object.keys(comparison.setBonusDifferences).length > 0) {
+            parts.push(`set bonuses ${this.formatStatChanges(comparison.setBonusDifferences)}`);
+        }
+        return parts.join(' • ');
+    }
+    
+    /**
+     * Show floating text when a reward goes to the overflow stash or is lost
+     * @param {string} eventType - 'overflow_stashed' or 'overflow_dropped'
+     * @param {Object} data - Event data
+     */
+    showOverflowFeedback(eventType, data) {
+        const description = this.inventoryManager.describeOverflowEntry(data.entry);
+        const dropped = eventType === 'overflow_dropped';
+        
+        const position = this.getNextFeedbackPosition();
+        
+        const feedback = document.createElement('div');
+        feedback.className = 'overflow-feedback';
+        feedback.style.cssText = `
+            position: fixed;
+            top: ${position.top}%;
+            left: ${position.left}%;
+            transform: translate(-50%, -50%);
+            color: ${dropped ? '#ff6b6b' : '#ffa94d'};
+            font-size: 16px;
+            font-weight: bold;
+            text-shadow: 2px 2px 4px rgba(0,0,0,0.8);
+            pointer-events: none;
+            z-index: 1000;
+            animation: materialFeedback 2s ease-out forwards;
+        `;
+        feedback.textContent = dropped
+            ? `🗑️ Overflow full - lost ${description}`
+            : `📬 Bags full - ${description} sent to overflow`;
+        
+        document.body.appendChild(feedback);
+        this.registerFeedback(feedback, 2000);
+        
+        setTimeout(() => {
+            if (feedback.parentNode) {
+                feedback.parentNode.removeChild(feedback);
+            }
+        }, 2000);
+    }
+    
+    /**
+     * Show stat points UI
+     */
+    showStatsUI() {
+        // Close all other UIs first
+        this.closeAllUIs();
+        
+        const gameControls = document.getElementById('game-controls');
+        
+        if (this.statAllocationUI) {
+            this.statAllocationUI.show();
+        }
+        
+        if (gameControls) {
+            gameControls.style.display = 'none';
+        }
+        
+        console.log('📊 Opened stats UI');
+    }
+    
+    /**
+     * Hide stat points UI
+     */
+    hideStatsUI() {
+        const gameControls = document.getElementById('game-controls');
+        
+        if (this.statAllocationUI) {
+            this.statAllocationUI.hide();
+        }
+        
+        if (gameControls) {
+            gameControls.style.display = 'block';
+        }
+        
+        console.log('❌ Closed stats UI');
+    }
+    
+    /**
+     * Show shop UI
+     */
+    showShopUI() {
+        // Close all other UIs first
+        this.closeAllUIs();
+        
+        const gameControls = document.getElementById('game-controls');
+        
+        if (this.shopUI) {
+            this.shopUI.show();
+        }
+        
+        if (gameControls) {
+            gameControls.style.display = 'none';
+        }
+        
+        console.log('🏪 Opened shop UI');
+    }
+    
+    /**
+     * Hide shop UI
+     */
+    hideShopUI() {
+        const gameControls = document.getElementById('game-controls');
+        
+        if (this.shopUI) {
+            this.shopUI.hide();
+        }
+        
+        if (gameControls) {
+            gameControls.style.display = 'block';
+        }
+        
+        console.log('❌ Closed shop UI');
+    }
+    
+    /**
+     * Build the dropdown that binds a consumable to a combat quick-bar slot
+     * @param {Object} item - Consumable instance
+     * @returns {HTMLSelectElement} Quick-bar dropdown
+     */
+    createQuickBarSelect(item) {
+        const select = document.createElement('select');
+        select.className = 'quick-bar-select';
+        select.title = 'Combat quick-bar slot';
+        
+        const boundSlot = this.inventoryManager.getQuickBar().indexOf(item.id);
+        const options = [['-1', 'Quick-bar: none']].concat(
+            this.inventoryManager.QUICK_BAR_KEYS.map((key, slot) => [String(slot), `Quick-bar: key ${key}`])
+        );
+        
+        options.forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = Number(value) === boundSlot;
+            select.appendChild(option);
+        });
+        
+        select.addEventListener('click', (e) => e.stopPropagation());
+        select.addEventListener('change', (e) => {
+            e.stopPropagation();
+            const slot = Number(select.value);
+            if (slot === -1) {
+                this.inventoryManager.assignQuickBarSlot(boundSlot, null);
+            } else {
+                this.inventoryManager.assignQuickBarSlot(slot, item.id);
+            }
+            this.updateInventoryDisplay();
+        });
+        
+        return select;
+    }
+    
     /**
      * Show stages UI
      */
@@ -1390,13 +2075,16 @@ class GameEngine {
             'experienceGain': 'Experience Gain: +25% EXP gain per level',
             'criticalChance': 'Critical Chance: +5% critical hit chance per level',
             'defenseBoost': 'Defense Boost: +10% defense per level',
-            'luckBonus': 'Luck Bonus: +10% rare material chance per level'
+            'luckBonus': 'Luck Bonus: +10% rare material chance per level',
+            'skillMastery': 'Skill Mastery: unlocks Frost Lance, then Thunder Strike',
+            'bagSpace': 'Bag Space: +5 slots for materials, equipment and consumables per level'
         };
         
         availableUpgrades.forEach(upgradeType => {
             const currentLevel = upgrades[upgradeType] || 0;
             const cost = this.prestigeManager.getUpgradeCost(upgradeType, currentLevel);
-            const canAfford = stats.points >= cost;
+            const isMaxed = this.prestigeManager.isUpgradeMaxed(upgradeType);
+            const canAfford = !isMaxed && stats.points >= cost;
             
             const upgradeElement = document.createElement('div');
             upgradeElement.className = 'prestige-upgrade';
@@ -1413,12 +2101,12 @@ class GameEngine {
                     <div>
                         <strong>${upgradeDescriptions[upgradeType]}</strong><br>
                         <small>Current Level: ${currentLevel}</small><br>
-                        <small>Cost: ${cost} prestige points</small>
+                        <small>${isMaxed ? 'Max level reached' : `Cost: ${cost} prestige points`}</small>
                     </div>
                     <button class="prestige-upgrade-btn" data-upgrade-type="${upgradeType}" 
                             ${canAfford ? '' : 'disabled'}
                             style="background: ${canAfford ? '#51cf66' : '#666'}; color: white; border: none; padding: 8px 15px; border-radius: 4px; cursor: ${canAfford ? 'pointer' : 'not-allowed'};">
-                        ${canAfford ? 'Purchase' : 'Not Affordable'}
+                        ${isMaxed ? 'Maxed' : canAfford ? 'Purchase' : 'Not Affordable'}
                     </button>
                 </div>
             `;
@@ -1651,6 +2339,9 @@ class GameEngine {
         const uiPanels = [
             'crafting-ui',
             'equipment-ui', 
+            'shop-ui',
+            'stats-ui',
+            'defeat-ui',
             'stages-ui',
             'prestige-ui',
             'challenges-ui',
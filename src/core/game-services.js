@@ -0,0 +1,174 @@
+/**
+ * Game Services - Registers the gameplay systems in a ServiceContainer
+ * GameEngine and the headless simulation share this wiring. Nothing here
+ * touches the DOM; UI classes are attached by GameEngine afterwards.
+ * @module GameServices
+ */
+
+import { StateManager } from './state-manager.js';
+import { EventSystem } from './event-system.js';
+import { StatPipeline } from './stat-pipeline.js';
+import { RandomService } from './random-service.js';
+import { GameClock } from './game-clock.js';
+import { ContentPackLoader } from './content-pack-loader.js';
+import { CombatManager } from '../combat/combat-manager.js';
+import { DamageCalculator } from '../combat/damage-calculator.js';
+import { EnemyAI } from '../combat/enemy-ai.js';
+import { MaterialManager } from '../progression/material-manager.js';
+import { InventoryManager } from '../progression/inventory-manager.js';
+import { CraftingSystem } from '../progression/crafting-system.js';
+import { EquipmentManager } from '../progression/equipment-manager.js';
+import { EnhancementSystem } from '../progression/enhancement-system.js';
+import { ShopSystem } from '../progression/shop-system.js';
+import { DefeatPenaltyManager } from '../progression/defeat-penalty-manager.js';
+import { LevelingSystem } from '../progression/leveling-system.js';
+import { StageManager } from '../progression/stage-manager.js';
+import { EnemyDatabase } from '../progression/enemy-database.js';
+import { PrestigeManager } from '../progression/prestige-manager.js';
+import DailyChallenges from '../progression/daily-challenges.js';
+import WeeklyEvents from '../progression/weekly-events.js';
+import { AchievementSystem } from '../progression/achievement-system.js';
+import BossManager from '../progression/boss-manager.js';
+import { OfflineProgress } from '../progression/offline-progress.js';
+
+/**
+ * Register every gameplay service
+ * Services are created on first get(). Collaborators that are optional for a
+ * service (weekly events for materials, stat sources) are connected when the
+ * collaborator itself is created, so leaving one out simply turns it off.
+ * @param {ServiceContainer} container - Container to register into
+ * @param {Object} options - { storage, autoSave, seed, clock }
+ * @returns {ServiceContainer} The container
+ */
+function registerGameServices(container, options = {}) {
+    // Core systems
+    container.register('clock', () => options.clock || new GameClock());
+    container.register('stateManager', () => new StateManager({
+        storage: options.storage,
+        autoSave: options.autoSave
+    }));
+    container.register('eventSystem', () => new EventSystem());
+    container.register('statPipeline', (c) => new StatPipeline(c.get('stateManager'), c.get('eventSystem')));
+    container.register('randomService', (c) => new RandomService(c.get('stateManager'), c.get('eventSystem'), options.seed ?? null));
+
+    // Prestige system
+    container.register('prestigeManager', (c) => {
+        const prestigeManager = new PrestigeManager(c.get('stateManager'), c.get('eventSystem'));
+        const statPipeline = c.get('statPipeline');
+        statPipeline.registerSource(statPipeline.SOURCES.PRESTIGE, 'Prestige', () => prestigeManager.getStatModifiers());
+        return prestigeManager;
+    });
+
+    // Stage and enemy systems
+    container.register('enemyDatabase', () => new EnemyDatabase());
+    container.register('stageManager', (c) => new StageManager(c.get('stateManager'), c.get('eventSystem'), c.get('randomService')));
+    container.register('damageCalculator', (c) => new DamageCalculator(c.get('randomService')));
+    container.register('enemyAI', (c) => new EnemyAI(c.get('randomService')));
+    container.register('combatManager', (c) => {
+        const combatManager = new CombatManager(
+            c.get('stateManager'), c.get('eventSystem'), c.get('stageManager'), c.get('enemyDatabase'),
+            c.get('damageCalculator'), c.get('enemyAI'), null, null, null, c.get('statPipeline'), c.get('randomService')
+        );
+        combatManager.clock = c.get('clock');
+        combatManager.setBossManager(c.get('bossManager'));
+        combatManager.inventoryManager = c.get('inventoryManager');
+        combatManager.equipmentManager = c.get('equipmentManager');
+        combatManager.defeatPenaltyManager = c.get('defeatPenaltyManager');
+        combatManager.levelingSystem = c.get('levelingSystem');
+        return combatManager;
+    });
+
+    // Progression systems
+    container.register('levelingSystem', (c) => {
+        const statPipeline = c.get('statPipeline');
+        const levelingSystem = new LevelingSystem(c.get('stateManager'), c.get('eventSystem'), statPipeline);
+        statPipeline.registerSource(statPipeline.SOURCES.STAT_POINTS, 'Stat Points', () => levelingSystem.getStatModifiers());
+        return levelingSystem;
+    });
+    container.register('materialManager', (c) => new MaterialManager(c.get('stateManager'), c.get('eventSystem'), c.get('stageManager'), c.get('randomService')));
+    container.register('inventoryManager', (c) => {
+        const materialManager = c.get('materialManager');
+        const inventoryManager = new InventoryManager(c.get('stateManager'), c.get('eventSystem'), materialManager);
+        materialManager.inventoryManager = inventoryManager;
+        return inventoryManager;
+    });
+    container.register('equipmentManager', (c) => {
+        const equipmentManager = new EquipmentManager(c.get('stateManager'), c.get('eventSystem'), c.get('randomService'));
+        const statPipeline = c.get('statPipeline');
+        statPipeline.registerSource(statPipeline.SOURCES.EQUIPMENT, 'Equipment', () => equipmentManager.getStatModifiers());
+        statPipeline.registerSource(statPipeline.SOURCES.CONSUMABLE, 'Consumables', () => equipmentManager.getBuffModifiers());
+        return equipmentManager;
+    });
+    container.register('craftingSystem', (c) => {
+        const craftingSystem = new CraftingSystem(c.get('stateManager'), c.get('eventSystem'), c.get('materialManager'), c.get('inventoryManager'), c.get('randomService'));
+        craftingSystem.clock = c.get('clock');
+        return craftingSystem;
+    });
+    container.register('enhancementSystem', (c) => new EnhancementSystem(
+        c.get('stateManager'), c.get('eventSystem'), c.get('equipmentManager'), c.get('materialManager'),
+        c.get('inventoryManager'), c.get('craftingSystem'), c.get('randomService')
+    ));
+    container.register('shopSystem', (c) => {
+        const shopSystem = new ShopSystem(
+            c.get('stateManager'), c.get('eventSystem'), c.get('materialManager'), c.get('equipmentManager'),
+            c.get('inventoryManager'), c.get('stageManager'), c.get('randomService')
+        );
+        shopSystem.clock = c.get('clock');
+        return shopSystem;
+    });
+    container.register('defeatPenaltyManager', (c) => {
+        const defeatPenaltyManager = new DefeatPenaltyManager(
+            c.get('stateManager'), c.get('eventSystem'), c.get('materialManager'), c.get('levelingSystem')
+        );
+        defeatPenaltyManager.clock = c.get('clock');
+        return defeatPenaltyManager;
+    });
+
+    // Daily challenges and weekly events
+    container.register('dailyChallenges', (c) => new DailyChallenges(c.get('stateManager'), c.get('eventSystem'), c.get('randomService')));
+    container.register('weeklyEvents', (c) => {
+        const weeklyEvents = new WeeklyEvents(c.get('stateManager'), c.get('eventSystem'), c.get('randomService'));
+        const statPipeline = c.get('statPipeline');
+        statPipeline.registerSource(statPipeline.SOURCES.WEEKLY_EVENT, 'Weekly Event', () => weeklyEvents.getStatModifiers());
+        c.get('materialManager').weeklyEvents = weeklyEvents;
+        return weeklyEvents;
+    });
+
+    // Boss system
+    container.register('bossManager', (c) => {
+        const bossManager = new BossManager(c.get('stateManager'), c.get('randomService'));
+        bossManager.setEventEmitter(c.get('eventSystem'));
+        return bossManager;
+    });
+
+    // Offline progress
+    container.register('offlineProgress', (c) => new OfflineProgress(
+        c.get('stateManager'), c.get('eventSystem'), c.get('stageManager'),
+        c.get('combatManager'), c.get('enemyDatabase'), c.get('materialManager')
+    ));
+
+    // Achievement system
+    container.register('achievementSystem', (c) => {
+        const achievementSystem = new AchievementSystem(c.get('eventSystem'), c.get('stateManager'));
+        const statPipeline = c.get('statPipeline');
+        statPipeline.registerSource(statPipeline.SOURCES.ACHIEVEMENT, 'Achievements', () => achievementSystem.getStatModifiers());
+        return achievementSystem;
+    });
+
+    // Content packs extend the registries above with JSON definitions
+    container.register('contentPackLoader', (c) => new ContentPackLoader(c.get('eventSystem'), {
+        materialManager: c.get('materialManager'),
+        equipmentManager: c.get('equipmentManager'),
+        craftingSystem: c.get('craftingSystem'),
+        enemyDatabase: c.get('enemyDatabase'),
+        stageManager: c.get('stageManager'),
+        bossManager: c.get('bossManager'),
+        achievementSystem: c.get('achievementSystem'),
+        statusEffectManager: c.get('combatManager').statusEffectManager,
+        enemyAI: c.get('enemyAI')
+    }));
+
+    return container;
+}
+
+export { registerGameServices };
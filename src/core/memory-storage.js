@@ -0,0 +1,46 @@
+/**
+ * Memory Storage - In-memory stand-in for localStorage
+ * Used when the game runs without a browser (tests, simulations).
+ * @module MemoryStorage
+ */
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    /**
+     * Get a stored value
+     * @param {string} key - Key
+     * @returns {string|null} Value or null if missing
+     */
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Key
+     * @param {string} value - Value (stored as a string, like localStorage)
+     */
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    /**
+     * Remove a value
+     * @param {string} key - Key
+     */
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    /**
+     * Remove every value
+     */
+    clear() {
+        this.items.clear();
+    }
+}
+
+export { MemoryStorage };
@@ -0,0 +1,230 @@
+/**
+ * Random Service - Seeded random number streams for reproducible gameplay
+ * @module RandomService
+ */
+
+/**
+ * A single named random stream (mulberry32)
+ * Its 32-bit state is all that is needed to resume the sequence.
+ */
+class RandomStream {
+    /**
+     * @param {string} name - Stream name
+     * @param {number} state - Initial 32-bit state
+     */
+    constructor(name, state) {
+        this.name = name;
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     * @returns {number} Random float
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Roll against a probability
+     * @param {number} probability - Chance of success (0-1)
+     * @returns {boolean} Success
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Random integer in [min, max] (inclusive)
+     * @param {number} min - Minimum
+     * @param {number} max - Maximum
+     * @returns {number} Random integer
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Pick a random array element
+     * @param {Array} items - Items to pick from
+     * @returns {*} Picked item (undefined for an empty array)
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Shuffled copy of an array (Fisher-Yates)
+     * @param {Array} items - Items to shuffle
+     * @returns {Array} Shuffled copy
+     */
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
+
+class RandomService {
+    /**
+     * @param {StateManager} stateManager - State manager (optional; without it streams are not saved)
+     * @param {EventSystem} eventSystem - Event system (optional)
+     * @param {number} seed - Initial seed (defaults to a fresh random seed)
+     */
+    constructor(stateManager = null, eventSystem = null, seed = null) {
+        this.stateManager = stateManager;
+        this.eventSystem = eventSystem;
+
+        // Each system draws from its own stream so extra rolls in one
+        // (e.g. a new AI branch) do not shift the results of another
+        this.STREAMS = {
+            COMBAT: 'combat',
+            AI: 'ai',
+            LOOT: 'loot',
+            CRAFTING: 'crafting',
+            ENHANCEMENT: 'enhancement',
+            SHOP: 'shop',
+            SPAWN: 'spawn',
+            BOSS: 'boss',
+            EVENTS: 'events',
+            CHALLENGES: 'challenges'
+        };
+
+        this.seed = null;
+        this.streams = new Map();
+
+        this.setSeed(seed ?? this.generateSeed());
+        this.setupEventListeners();
+
+        console.log('🎲 Random Service initialized with seed', this.seed);
+    }
+
+    /**
+     * Setup event listeners for save loading and prestige
+     * Stream positions live in memory and are written to state before every save.
+     */
+    setupEventListeners() {
+        if (this.stateManager) {
+            this.stateManager.addSaveHook(() => this.syncState());
+        }
+
+        if (!this.eventSystem) return;
+
+        this.eventSystem.on('stateLoaded', () => this.restoreFromState());
+
+        // Prestige replaces the whole state; the run continues on the same streams
+        this.eventSystem.on('prestige_performed', () => this.syncState());
+    }
+
+    /**
+     * Generate a fresh 32-bit seed
+     * @returns {number} Seed
+     */
+    generateSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Derive a stream's starting state from the seed and its name
+     * @param {string} name - Stream name
+     * @returns {number} 32-bit state
+     */
+    deriveStreamState(name) {
+        let hash = this.seed ^ 0x9E3779B9;
+        for (let i = 0; i < name.length; i++) {
+            hash = Math.imul(hash ^ name.charCodeAt(i), 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Reseed every stream
+     * @param {number} seed - New seed
+     */
+    setSeed(seed) {
+        this.seed = Number(seed) >>> 0;
+        this.streams.forEach(stream => {
+            stream.state = this.deriveStreamState(stream.name);
+        });
+
+        this.syncState();
+
+        if (this.eventSystem) {
+            this.eventSystem.emit('rng_seeded', { seed: this.seed });
+        }
+    }
+
+    /**
+     * Get the current seed
+     * @returns {number} Seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Get (or create) a named stream
+     * @param {string} name - Stream name (see STREAMS)
+     * @returns {RandomStream} Stream
+     */
+    getStream(name) {
+        if (!this.streams.has(name)) {
+            const saved = this.stateManager?.getStateValue('rng')?.streams?.[name];
+            const state = typeof saved === 'number' ? saved : this.deriveStreamState(name);
+            this.streams.set(name, new RandomStream(name, state));
+        }
+        return this.streams.get(name);
+    }
+
+    /**
+     * Write the seed and every stream position to state
+     * Runs before saves, and after rolls whose results are saved right away, so
+     * a position is always saved together with the result it produced.
+     */
+    syncState() {
+        if (!this.stateManager) return;
+
+        const streams = {};
+        this.streams.forEach(stream => {
+            streams[stream.name] = stream.state;
+        });
+
+        this.stateManager.updateState({
+            rng: {
+                seed: this.seed,
+                streams
+            }
+        });
+    }
+
+    /**
+     * Resume streams from a loaded save, or start a new seed for saves without one
+     */
+    restoreFromState() {
+        const saved = this.stateManager.getStateValue('rng');
+        if (!saved || typeof saved.seed !== 'number') {
+            this.setSeed(this.generateSeed());
+            console.log('🎲 New random seed', this.seed);
+            return;
+        }
+
+        this.seed = saved.seed >>> 0;
+        this.streams.forEach(stream => {
+            const state = saved.streams?.[stream.name];
+            stream.state = typeof state === 'number' ? state >>> 0 : this.deriveStreamState(stream.name);
+        });
+
+        this.syncState();
+        console.log('🎲 Random streams restored from save (seed', this.seed + ')');
+    }
+}
+
+export { RandomService, RandomStream };
@@ -0,0 +1,189 @@
+/**
+ * Save Migrations - Ordered registry of save schema transforms
+ * @module SaveMigrations
+ */
+
+class SaveMigrations {
+    constructor() {
+        this.CURRENT_VERSION = '1.1.0';
+        this.DEFAULT_VERSION = '1.0.0'; // Saves written before versioning was enforced
+
+        this.migrations = this.initializeMigrations();
+    }
+
+    /**
+     * Initialize migration registry
+     * Each entry upgrades a save from `from` to `to`. Entries must stay in order
+     * and form a continuous chain ending at CURRENT_VERSION.
+     * @returns {Array} Ordered migration definitions
+     */
+    initializeMigrations() {
+        return [
+            {
+                from: '1.0.0',
+                to: '1.1.0',
+                description: 'Backfill prestige, inventory and daily challenge fields',
+                migrate: (state) => this.migrateTo110(state)
+            }
+        ];
+    }
+
+    /**
+     * Migrate save data up to the current version
+     * Saves newer than CURRENT_VERSION are returned unchanged; callers refuse them (see isNewerThanCurrent).
+     * @param {Object} saveData - Parsed save data ({ state, timestamp, version })
+     * @returns {Object} Result with migrated saveData and applied steps ({ from, to, description })
+     */
+    migrate(saveData) {
+        let version = saveData.version || this.DEFAULT_VERSION;
+        let state = this.cloneState(saveData.state);
+        const applied = [];
+
+        while (this.compareVersions(version, this.CURRENT_VERSION) < 0) {
+            const migration = this.migrations.find(m => m.from === version);
+            if (!migration) {
+                throw new Error(`No migration registered from save version ${version}`);
+            }
+
+            state = migration.migrate(state);
+            applied.push({ from: migration.from, to: migration.to, description: migration.description });
+            version = migration.to;
+        }
+
+        return {
+            saveData: {
+                ...saveData,
+                state,
+                version
+            },
+            applied
+        };
+    }
+
+    /**
+     * Check if a save version requires migration
+     * @param {string} version - Save version
+     * @returns {boolean} True if older than current
+     */
+    needsMigration(version) {
+        return this.compareVersions(version || this.DEFAULT_VERSION, this.CURRENT_VERSION) < 0;
+    }
+
+    /**
+     * Check if a save was written by newer code than is running
+     * @param {string} version - Save version
+     * @returns {boolean} True if newer than current
+     */
+    isNewerThanCurrent(version) {
+        return this.compareVersions(version || this.DEFAULT_VERSION, this.CURRENT_VERSION) > 0;
+    }
+
+    /**
+     * Compare two semantic version strings
+     * @param {string} a - First version
+     * @param {string} b - Second version
+     * @returns {number} Negative if a < b, positive if a > b, 0 if equal
+     */
+    compareVersions(a, b) {
+        const partsA = String(a).split('.').map(n => parseInt(n, 10) || 0);
+        const partsB = String(b).split('.').map(n => parseInt(n, 10) || 0);
+        const length = Math.max(partsA.length, partsB.length);
+
+        for (let i = 0; i < length; i++) {
+            const diff = (partsA[i] || 0) - (partsB[i] || 0);
+            if (diff !== 0) return diff;
+        }
+
+        return 0;
+    }
+
+    /**
+     * Deep clone state so migrations never mutate the source save
+     * @param {Object} state - State to clone
+     * @returns {Object} Cloned state
+     */
+    cloneState(state) {
+        return JSON.parse(JSON.stringify(state || {}));
+    }
+
+    /**
+     * 1.0.0 -> 1.1.0: fill in fields added to prestige, inventory and daily challenges
+     * @param {Object} state - 1.0.0 state
+     * @returns {Object} 1.1.0 state
+     */
+    migrateTo110(state) {
+        if (state.prestige) {
+            const prestige = state.prestige;
+
+            prestige.points = prestige.points || 0;
+            prestige.totalPoints = prestige.totalPoints || 0;
+            prestige.level = prestige.level || 0;
+            prestige.runNumber = prestige.runNumber || 1;
+            prestige.totalResets = prestige.totalResets || 0;
+
+            prestige.currentRunProgress = {
+                maxStageReached: 1,
+                totalCombatWins: 0,
+                totalMaterialsCollected: 0,
+                totalEquipmentCrafted: 0,
+                ...(prestige.currentRunProgress || {})
+            };
+
+            prestige.upgrades = {
+                combatDamage: 0,
+                healthBoost: 0,
+                materialDrops: 0,
+                craftingSpeed: 0,
+                experienceGain: 0,
+                criticalChance: 0,
+                defenseBoost: 0,
+                luckBonus: 0,
+                ...(prestige.upgrades || {})
+            };
+
+            if (!Array.isArray(prestige.availableUpgrades)) {
+                prestige.availableUpgrades = ['combatDamage', 'healthBoost', 'materialDrops'];
+            }
+        }
+
+        if (state.inventory) {
+            state.inventory = {
+                materials: {},
+                equipment: {},
+                consumables: {},
+                ...state.inventory,
+                settings: {
+                    sortType: 'rarity',
+                    sortOrder: 'desc',
+                    autoSort: true,
+                    ...(state.inventory.settings || {})
+                }
+            };
+        }
+
+        if (state.dailyChallenges) {
+            const challenges = state.dailyChallenges;
+
+            challenges.currentChallenges = Array.isArray(challenges.currentChallenges) ? challenges.currentChallenges : [];
+            challenges.completedToday = Array.isArray(challenges.completedToday) ? challenges.completedToday : [];
+            challenges.totalCompleted = challenges.totalCompleted || 0;
+            challenges.streak = challenges.streak || 0;
+            challenges.lastCompletionDate = challenges.lastCompletionDate || null;
+            challenges.lastRefresh = challenges.lastRefresh || '';
+        }
+
+        // Prestige resets used to write stage progress keyed by stage id at the top level
+        if (state.stages && state.stages.currentStage === undefined) {
+            state.stages = {
+                currentStage: 1,
+                unlockedStages: [1],
+                stageProgress: {},
+                completedStages: []
+            };
+        }
+
+        return state;
+    }
+}
+
+export { SaveMigrations };
@@ -0,0 +1,89 @@
+/**
+ * Service Container - Creates and hands out shared game systems
+ * Services are registered as factories and created on first use, so a
+ * caller only pays for (and only needs a browser for) the services it asks for.
+ * @module ServiceContainer
+ */
+
+class ServiceContainer {
+    constructor() {
+        this.factories = new Map();
+        this.instances = new Map();
+        this.resolving = [];
+    }
+
+    /**
+     * Register a service factory
+     * A factory may replace another one as long as the service has not been created yet.
+     * @param {string} name - Service name
+     * @param {Function} factory - Called with the container, returns the service
+     */
+    register(name, factory) {
+        if (typeof factory !== 'function') {
+            throw new Error(`Factory for service '${name}' must be a function`);
+        }
+        if (this.instances.has(name)) {
+            throw new Error(`Service '${name}' has already been created`);
+        }
+
+        this.factories.set(name, factory);
+    }
+
+    /**
+     * Register an existing object as a service
+     * @param {string} name - Service name
+     * @param {*} instance - Service
+     */
+    registerInstance(name, instance) {
+        this.factories.delete(name);
+        this.instances.set(name, instance);
+    }
+
+    /**
+     * Check whether a service is available
+     * @param {string} name - Service name
+     * @returns {boolean} True if registered
+     */
+    has(name) {
+        return this.instances.has(name) || this.factories.has(name);
+    }
+
+    /**
+     * Get a service, creating it on first use
+     * @param {string} name - Service name
+     * @returns {*} Service
+     */
+    get(name) {
+        if (this.instances.has(name)) {
+            return this.instances.get(name);
+        }
+
+        const factory = this.factories.get(name);
+        if (!factory) {
+            throw new Error(`Unknown service: ${name}`);
+        }
+        if (this.resolving.includes(name)) {
+            throw new Error(`Circular service dependency: ${[...this.resolving, name].join(' -> ')}`);
+        }
+
+        this.resolving.push(name);
+        try {
+            const instance = factory(this);
+            this.instances.set(name, instance);
+            return instance;
+        } finally {
+            this.resolving.pop();
+        }
+    }
+
+    /**
+     * Get a service if it is registered
+     * @param {string} name - Service name
+     * @returns {*} Service or null
+     */
+    getOptional(name) {
+        return this.has(name) ? this.get(name) : null;
+    }
+}
+
+export { ServiceContainer };
@@ -0,0 +1,263 @@
+/**
+ * Stat Pipeline - Computes player stats from named modifier sources
+ * @module StatPipeline
+ */
+
+class StatPipeline {
+    constructor(stateManager, eventSystem) {
+        this.stateManager = stateManager;
+        this.eventSystem = eventSystem;
+
+        this.SOURCES = {
+            BASE: 'base',
+            LEVEL: 'level',
+            STAT_POINTS: 'stat_points',
+            EQUIPMENT: 'equipment',
+            PRESTIGE: 'prestige',
+            WEEKLY_EVENT: 'weekly_event',
+            CONSUMABLE: 'consumable',
+            ACHIEVEMENT: 'achievement',
+            STATUS_EFFECT: 'status_effect'
+        };
+
+        // final = (sum of flat) * (1 + sum of percent) * (product of multiplier)
+        this.MODIFIER_TYPES = {
+            FLAT: 'flat',
+            PERCENT: 'percent',
+            MULTIPLIER: 'multiplier'
+        };
+
+        this.BASE_STATS = {
+            maxHp: 100,
+            attack: 10,
+            defense: 5,
+            speed: 10,
+            criticalChance: 0, // Bonus on top of DamageCalculator.CRITICAL_HIT_CHANCE
+            criticalDamage: 0  // Bonus on top of DamageCalculator.CRITICAL_HIT_MULTIPLIER
+        };
+
+        this.LEVEL_GAINS = {
+            maxHp: 20,
+            attack: 3,
+            defense: 2
+        };
+
+        // Stats kept as whole numbers
+        this.INTEGER_STATS = ['maxHp', 'attack', 'defense', 'speed'];
+
+        // Source ID -> { id, label, provider, transient }
+        this.sources = new Map();
+
+        this.registerSource(this.SOURCES.BASE, 'Base', () => this.getBaseModifiers());
+        this.registerSource(this.SOURCES.LEVEL, 'Level', () => this.getLevelModifiers());
+
+        this.setupEventListeners();
+
+        console.log('📈 Stat Pipeline initialized');
+    }
+
+    /**
+     * Setup event listeners for source changes
+     */
+    setupEventListeners() {
+        this.eventSystem.on('stateLoaded', () => this.refresh());
+        this.eventSystem.on('stat_source_changed', (data) => this.refresh(data));
+        this.eventSystem.on('prestige_performed', () => this.refresh({ fullHeal: true }));
+    }
+
+    /**
+     * Register a modifier source
+     * Providers return modifiers as { stat, type, value, label? }.
+     * @param {string} id - Source ID (see SOURCES)
+     * @param {string} label - Display name for breakdowns
+     * @param {Function} provider - Returns the source's current modifiers
+     * @param {Object} options - { transient } transient sources (combat-only) are not saved to player state
+     */
+    registerSource(id, label, provider, options = {}) {
+        this.sources.set(id, {
+            id,
+            label,
+            provider,
+            transient: options.transient || false
+        });
+    }
+
+    /**
+     * Remove a modifier source
+     * @param {string} id - Source ID
+     */
+    unregisterSource(id) {
+        this.sources.delete(id);
+    }
+
+    /**
+     * Get base stat modifiers
+     * @returns {Array} Modifiers
+     */
+    getBaseModifiers() {
+        return Object.entries(this.BASE_STATS).map(([stat, value]) => ({
+            stat,
+            type: this.MODIFIER_TYPES.FLAT,
+            value
+        }));
+    }
+
+    /**
+     * Get stat gains from player level
+     * @returns {Array} Modifiers
+     */
+    getLevelModifiers() {
+        const level = this.stateManager.getStateValue('player.level') || 1;
+        if (level <= 1) return [];
+
+        return Object.entries(this.LEVEL_GAINS).map(([stat, perLevel]) => ({
+            stat,
+            type: this.MODIFIER_TYPES.FLAT,
+            value: perLevel * (level - 1),
+            label: `Level ${level}`
+        }));
+    }
+
+    /**
+     * Collect modifiers from all sources
+     * @param {Object} options - { includeTransient }
+     * @returns {Array} Modifiers tagged with source and label
+     */
+    collectModifiers(options = {}) {
+        const { includeTransient = true } = options;
+        const modifiers = [];
+
+        this.sources.forEach(source => {
+            if (source.transient && !includeTransient) return;
+
+            let provided = [];
+            try {
+                provided = source.provider() || [];
+            } catch (error) {
+                console.error(`📈 Stat source '${source.id}' failed:`, error);
+            }
+
+            provided
+                .filter(modifier => modifier && typeof modifier.value === 'number' && modifier.value !== 0)
+                .forEach(modifier => {
+                    modifiers.push({
+                        stat: modifier.stat,
+                        type: modifier.type || this.MODIFIER_TYPES.FLAT,
+                        value: modifier.value,
+                        source: source.id,
+                        label: modifier.label || source.label
+                    });
+                });
+        });
+
+        return modifiers;
+    }
+
+    /**
+     * Combine modifiers for one stat
+     * @param {string} stat - Stat name
+     * @param {Array} modifiers - Modifiers for any stats
+     * @returns {Object} { flat, percent, multiplier, total }
+     */
+    combine(stat, modifiers) {
+        let flat = 0;
+        let percent = 0;
+        let multiplier = 1;
+
+        modifiers
+            .filter(modifier => modifier.stat === stat)
+            .forEach(modifier => {
+                switch (modifier.type) {
+                    case this.MODIFIER_TYPES.PERCENT:
+                        percent += modifier.value;
+                        break;
+                    case this.MODIFIER_TYPES.MULTIPLIER:
+                        multiplier *= modifier.value;
+                        break;
+                    case this.MODIFIER_TYPES.FLAT:
+                    default:
+                        flat += modifier.value;
+                        break;
+                }
+            });
+
+        let total = Math.max(0, flat * (1 + percent) * multiplier);
+        if (this.INTEGER_STATS.includes(stat)) {
+            total = Math.floor(total);
+        }
+
+        return { flat, percent, multiplier, total };
+    }
+
+    /**
+     * Compute all player stats
+     * @param {Object} options - { includeTransient } include combat-only sources (default true)
+     * @returns {Object} Stats keyed by name
+     */
+    computeStats(options = {}) {
+        const modifiers = this.collectModifiers(options);
+        const stats = {};
+
+        Object.keys(this.BASE_STATS).forEach(stat => {
+            stats[stat] = this.combine(stat, modifiers).total;
+        });
+
+        return stats;
+    }
+
+    /**
+     * Get a per-source breakdown of one stat (for character sheets)
+     * @param {string} stat - Stat name
+     * @param {Object} options - { includeTransient }
+     * @returns {Object} { stat, total, flat, percent, multiplier, entries }
+     */
+    getBreakdown(stat, options = {}) {
+        const modifiers = this.collectModifiers(options);
+
+        return {
+            stat,
+            ...this.combine(stat, modifiers),
+            entries: modifiers
+                .filter(modifier => modifier.stat === stat)
+                .map(({ source, label, type, value }) => ({ source, label, type, value }))
+        };
+    }
+
+    /**
+     * Get breakdowns for every stat
+     * @param {Object} options - { includeTransient }
+     * @returns {Object} Breakdowns keyed by stat
+     */
+    getFullBreakdown(options = {}) {
+        const breakdown = {};
+        Object.keys(this.BASE_STATS).forEach(stat => {
+            breakdown[stat] = this.getBreakdown(stat, options);
+        });
+        return breakdown;
+    }
+
+    /**
+     * Recompute persistent stats and store them on the player
+     * @param {Object} options - { fullHeal } restore HP to the new max
+     * @returns {Object} Stored stats
+     */
+    refresh(options = {}) {
+        const player = this.stateManager.getStateValue('player');
+        if (!player) return null;
+
+        const stats = this.computeStats({ includeTransient: false });
+        const hp = options.fullHeal ? stats.maxHp : Math.min(player.hp ?? stats.maxHp, stats.maxHp);
+
+        this.stateManager.updateState({
+            player: {
+                ...stats,
+                hp
+            }
+        });
+
+        this.eventSystem.emit('player_stats_recalculated', { stats });
+        return stats;
+    }
+}
+
+export { StatPipeline };
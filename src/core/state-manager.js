@@ -3,37 +3,92 @@
  * @module StateManager
  */
 
+import { SaveMigrations } from './save-migrations.js';
+import { StateSchema } from './state-schema.js';
+import { MemoryStorage } from './memory-storage.js';
+
 class StateManager {
-    constructor() {
+    /**
+     * @param {Object} options - { storage, autoSave } storage defaults to localStorage
+     *   (in-memory outside the browser); autoSave defaults to on in the browser only
+     */
+    constructor(options = {}) {
         this.state = {};
+        this.storage = options.storage ||
+            (typeof localStorage !== 'undefined' ? localStorage : new MemoryStorage());
         this.listeners = new Map();
-        this.saveKey = 'incremental-combat-game-save';
+        this.SAVE_KEY_PREFIX = 'incremental-combat-game-save';
+        this.SLOT_INDEX_KEY = 'incremental-combat-game-slots';
+        this.DEFAULT_SLOT = 'default';
+        this.saveKey = this.SAVE_KEY_PREFIX;
+        this.backupKey = `${this.SAVE_KEY_PREFIX}-backup`;
+        this.importBackupKey = `${this.SAVE_KEY_PREFIX}-import-backup`;
+        this.activeSlot = null; // Nothing is written until a slot is selected
+        this.playtime = 0;
+        this.sessionStart = Date.now();
+        this.lastLoadedTimestamp = null; // Save timestamp of the last successful load
+        this.saveMigrations = new SaveMigrations();
+        this.SAVE_VERSION = this.saveMigrations.CURRENT_VERSION;
+        this.stateSchema = new StateSchema();
+        this.lastValidationErrors = [];
         this.autoSaveInterval = 30000; // 30 seconds
         this.autoSaveTimer = null;
+        this.saveHooks = [];
         
-        this.setupAutoSave();
+        if (options.autoSave ?? typeof window !== 'undefined') {
+            this.setupAutoSave();
+        }
     }
     
     /**
      * Set the complete game state
      * @param {Object} newState - New state object
+     * @returns {boolean} False if the state was rejected by validation
      */
     setState(newState) {
+        const result = this.validateState(newState);
+        if (!result.valid) {
+            console.error('⛔ State rejected, keeping current state');
+            return false;
+        }
+        
         const oldState = { ...this.state };
-        this.state = this.validateState(newState);
+        this.state = result.state;
         this.notifyListeners(oldState, this.state);
         
         console.log('📊 State updated:', this.state);
+        return true;
     }
     
     /**
      * Update partial state (deep merge)
+     * Only the top-level slices touched by the update are validated.
      * @param {Object} updates - Partial state updates
+     * @param {Object} options - Update options
+     * @param {Array<string>} options.replace - Dot notation paths whose value in `updates`
+     *   replaces the current one instead of being merged into it (to drop map keys).
+     *   Missing parents are created; paths the update does not set are ignored.
+     * @returns {boolean} False if the update was rejected by validation
      */
-    updateState(updates) {
+    updateState(updates, options = {}) {
+        const merged = this.deepMerge(this.state, updates);
+        (options.replace || []).forEach(path => {
+            const value = this.getNestedValue(updates, path);
+            if (value !== undefined) {
+                this.setNestedValue(merged, path, value);
+            }
+        });
+        
+        const result = this.validateState(merged, Object.keys(updates));
+        if (!result.valid) {
+            console.error('⛔ State update rejected:', updates);
+            return false;
+        }
+        
         const oldState = { ...this.state };
-        this.state = this.deepMerge(this.state, updates);
+        this.state = result.state;
         this.notifyListeners(oldState, this.state);
+        return true;
     }
     
     /**
@@ -116,34 +171,24 @@ class StateManager {
     }
     
     /**
-     * Validate state object structure
+     * Validate state against the state schema, repairing values where it is safe
      * @param {Object} state - State to validate
-     * @returns {Object} Validated state
+     * @param {Array<string>} paths - Only validate these top-level keys (defaults to all)
+     * @returns {Object} Validation result ({ valid, state, errors })
      */
-    validateState(state) {
-        // Basic validation - ensure required top-level properties exist
-        const requiredProperties = ['player', 'game', 'performance'];
-        const validatedState = { ...state };
+    validateState(state, paths = null) {
+        const result = this.stateSchema.validate(state, paths ? { paths } : {});
+        this.lastValidationErrors = result.errors;
         
-        requiredProperties.forEach(prop => {
-            if (!(prop in validatedState)) {
-                console.warn(`Missing required state property: ${prop}`);
-                validatedState[prop] = {};
+        result.errors.forEach(error => {
+            if (error.fatal) {
+                console.error(`Invalid state at ${error.path || '(root)'}: ${error.message}`, error.value);
+            } else {
+                console.warn(`🔧 Repaired state at ${error.path}: ${error.message}`, error.value, '->', error.repairedTo);
             }
         });
         
-        // Validate player state
-        if (validatedState.player) {
-            const player = validatedState.player;
-            if (typeof player.hp === 'number' && player.hp < 0) {
-                player.hp = 0;
-            }
-            if (typeof player.maxHp === 'number' && player.hp > player.maxHp) {
-                player.hp = player.maxHp;
-            }
-        }
-        
-        return validatedState;
+        return result;
     }
     
     /**
@@ -180,6 +225,26 @@ class StateManager {
         }, obj);
     }
     
+    /**
+     * Set a nested value using dot notation, copying each object on the way
+     * so the objects shared with the current state are never modified
+     * @param {Object} obj - Object to modify
+     * @param {string} path - Dot notation path
+     * @param {*} value - Value to set
+     */
+    setNestedValue(obj, path, value) {
+        const keys = path.split('.');
+        const lastKey = keys.pop();
+        let current = obj;
+        
+        keys.forEach(key => {
+            current[key] = this.isObject(current[key]) ? { ...current[key] } : {};
+            current = current[key];
+        });
+        
+        current[lastKey] = value;
+    }
+    
     /**
      * Check if value is an object
      * @param {*} value - Value to check
@@ -190,18 +255,47 @@ class StateManager {
     }
     
     /**
-     * Save state to localStorage
+     * Register a callback that runs before the state is saved or exported
+     * Lets systems that keep hot data in memory write it to state only when needed.
+     * @param {Function} callback - Called with no arguments
+     */
+    addSaveHook(callback) {
+        this.saveHooks.push(callback);
+    }
+    
+    /**
+     * Run every save hook
+     */
+    runSaveHooks() {
+        this.saveHooks.forEach(callback => {
+            try {
+                callback();
+            } catch (error) {
+                console.error('Error in save hook:', error);
+            }
+        });
+    }
+    
+    /**
+     * Save state to storage
      * @returns {boolean} Success status
      */
     saveToStorage() {
+        if (!this.activeSlot) {
+            return false;
+        }
+        
+        this.runSaveHooks();
+        
         try {
             const saveData = {
                 state: this.state,
                 timestamp: Date.now(),
-                version: '1.0.0'
+                version: this.SAVE_VERSION,
+                playtime: this.getPlaytime()
             };
             
-            localStorage.setItem(this.saveKey, JSON.stringify(saveData));
+            this.storage.setItem(this.saveKey, JSON.stringify(saveData));
             console.log('💾 Game saved to localStorage');
             return true;
         } catch (error) {
@@ -211,12 +305,12 @@ class StateManager {
     }
     
     /**
-     * Load state from localStorage
+     * Load state from storage
      * @returns {boolean} Success status
      */
     loadFromStorage() {
         try {
-            const savedData = localStorage.getItem(this.saveKey);
+            const savedData = this.storage.getItem(this.saveKey);
             if (!savedData) {
                 console.log('📁 No save data found');
                 return false;
@@ -230,13 +324,19 @@ class StateManager {
                 return false;
             }
             
-            // Check version compatibility (future feature)
-            if (saveData.version && saveData.version !== '1.0.0') {
-                console.warn(`Save version mismatch: ${saveData.version}`);
-                // Could implement migration logic here
+            const migratedData = this.prepareSaveData(saveData, savedData);
+            if (!migratedData) {
+                return false;
             }
             
-            this.setState(saveData.state);
+            if (!this.setState(migratedData.state)) {
+                this.backupSave(savedData);
+                console.error('Save failed validation and was not loaded; a backup copy was kept.');
+                return false;
+            }
+            
+            this.resetPlaytime(migratedData.playtime);
+            this.lastLoadedTimestamp = migratedData.timestamp;
             console.log(`📂 Game loaded from save (${new Date(saveData.timestamp).toLocaleString()})`);
             return true;
         } catch (error) {
@@ -245,12 +345,77 @@ class StateManager {
         }
     }
     
+    /**
+     * Run save data through the migration pipeline
+     * Saves written by newer code are refused; older saves are backed up before migrating.
+     * @param {Object} saveData - Parsed save data
+     * @param {string} rawData - Original JSON string, kept for the backup copy
+     * @param {string} backupKey - Where to keep the backup copy
+     * @returns {Object|null} Migrated save data or null if the save was refused
+     */
+    prepareSaveData(saveData, rawData, backupKey = this.backupKey) {
+        const version = saveData.version || this.saveMigrations.DEFAULT_VERSION;
+        
+        if (this.saveMigrations.isNewerThanCurrent(version)) {
+            this.backupSave(rawData, backupKey);
+            console.error(`⛔ Save version ${version} is newer than this game (${this.SAVE_VERSION}). Refusing to load; a backup copy was kept.`);
+            return null;
+        }
+        
+        if (!this.saveMigrations.needsMigration(version)) {
+            return saveData;
+        }
+        
+        this.backupSave(rawData, backupKey);
+        
+        try {
+            const { saveData: migratedData, applied } = this.saveMigrations.migrate(saveData);
+            applied.forEach(step => {
+                console.log(`🔧 Migrated save ${step.from} -> ${step.to}: ${step.description}`);
+            });
+            return migratedData;
+        } catch (error) {
+            console.error('Failed to migrate save, original kept in backup:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Keep a raw copy of save data under a backup key
+     * @param {string} rawData - Original JSON save string
+     * @param {string} backupKey - Storage key, the active slot's backup by default
+     * @returns {boolean} Success status
+     */
+    backupSave(rawData, backupKey = this.backupKey) {
+        try {
+            this.storage.setItem(backupKey, rawData);
+            console.log('🗄️ Save backup stored');
+            return true;
+        } catch (error) {
+            console.error('Failed to back up save:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Get the raw backup save, if any
+     * @returns {string|null} Backup JSON save data
+     */
+    getBackupSave() {
+        try {
+            return this.storage.getItem(this.backupKey);
+        } catch (error) {
+            console.error('Failed to read save backup:', error);
+            return null;
+        }
+    }
+    
     /**
      * Delete save data
      */
     deleteSave() {
         try {
-            localStorage.removeItem(this.saveKey);
+            this.storage.removeItem(this.saveKey);
             console.log('🗑️ Save data deleted');
         } catch (error) {
             console.error('Failed to delete save:', error);
@@ -262,10 +427,13 @@ class StateManager {
      * @returns {string} JSON save data
      */
     exportSave() {
+        this.runSaveHooks();
+        
         const saveData = {
             state: this.state,
             timestamp: Date.now(),
-            version: '1.0.0'
+            version: this.SAVE_VERSION,
+            playtime: this.getPlaytime()
         };
         
         return JSON.stringify(saveData, null, 2);
@@ -273,6 +441,7 @@ class StateManager {
     
     /**
      * Import save data from JSON string
+     * The slot's stored save is backed up first; the imported original is kept separately.
      * @param {string} jsonData - JSON save data
      * @returns {boolean} Success status
      */
@@ -284,7 +453,23 @@ class StateManager {
                 throw new Error('Invalid save data format');
             }
             
-            this.setState(saveData.state);
+            // The imported file gets its own backup key so it can never
+            // overwrite the only copy of the slot's existing save
+            const migratedData = this.prepareSaveData(saveData, jsonData, this.importBackupKey);
+            if (!migratedData) {
+                return false;
+            }
+            
+            const currentSave = this.storage.getItem(this.saveKey);
+            if (currentSave) {
+                this.backupSave(currentSave);
+            }
+            
+            if (!this.setState(migratedData.state)) {
+                throw new Error('Save data failed validation');
+            }
+            
+            this.resetPlaytime(migratedData.playtime);
             console.log('📥 Save data imported successfully');
             return true;
         } catch (error) {
@@ -306,9 +491,11 @@ class StateManager {
         }, this.autoSaveInterval);
         
         // Save before page unload
-        window.addEventListener('beforeunload', () => {
-            this.saveToStorage();
-        });
+        if (typeof window !== 'undefined') {
+            window.addEventListener('beforeunload', () => {
+                this.saveToStorage();
+            });
+        }
     }
     
     /**
@@ -341,17 +528,18 @@ class StateManager {
     
     /**
      * Get save file info
+     * @param {string} slotId - Slot to inspect (defaults to the active slot)
      * @returns {Object|null} Save info or null if no save exists
      */
-    getSaveInfo() {
+    getSaveInfo(slotId = this.activeSlot) {
         try {
-            const savedData = localStorage.getItem(this.saveKey);
+            const savedData = this.storage.getItem(slotId ? this.getSlotKey(slotId) : this.saveKey);
             if (!savedData) return null;
             
             const saveData = JSON.parse(savedData);
             return {
                 timestamp: saveData.timestamp,
-                version: saveData.version || '1.0.0',
+                version: saveData.version || this.saveMigrations.DEFAULT_VERSION,
                 size: savedData.length,
                 hasValidStructure: !!(saveData.state && saveData.timestamp)
             };
@@ -360,6 +548,286 @@ class StateManager {
             return null;
         }
     }
+    
+    /**
+     * Get total playtime for the active slot, including the current session
+     * @returns {number} Playtime in milliseconds
+     */
+    getPlaytime() {
+        return this.playtime + (Date.now() - this.sessionStart);
+    }
+    
+    /**
+     * Restart playtime tracking from a stored total
+     * @param {number} playtime - Previously accumulated playtime in milliseconds
+     */
+    resetPlaytime(playtime = 0) {
+        this.playtime = playtime || 0;
+        this.sessionStart = Date.now();
+    }
+    
+    /**
+     * Get the storage key for a save slot
+     * The default slot keeps the original key so existing saves remain visible.
+     * @param {string} slotId - Slot identifier
+     * @returns {string} localStorage key
+     */
+    getSlotKey(slotId) {
+        return slotId === this.DEFAULT_SLOT ? this.SAVE_KEY_PREFIX : `${this.SAVE_KEY_PREFIX}-${slotId}`;
+    }
+    
+    /**
+     * Get the storage key for a save slot's backup copy
+     * @param {string} slotId - Slot identifier
+     * @returns {string} localStorage key
+     */
+    getSlotBackupKey(slotId) {
+        return `${this.getSlotKey(slotId)}-backup`;
+    }
+    
+    /**
+     * Get the storage key for the original of the last file imported into a save slot
+     * @param {string} slotId - Slot identifier
+     * @returns {string} localStorage key
+     */
+    getSlotImportBackupKey(slotId) {
+        return `${this.getSlotKey(slotId)}-import-backup`;
+    }
+    
+    /**
+     * Read the save slot index, always including the default slot
+     * @returns {Object} Slot index ({ slots, lastSlot })
+     */
+    getSlotIndex() {
+        let index = null;
+        
+        try {
+            index = JSON.parse(this.storage.getItem(this.SLOT_INDEX_KEY));
+        } catch (error) {
+            console.error('Failed to read save slot index:', error);
+        }
+        
+        if (!index || !this.isObject(index.slots)) {
+            index = { slots: {}, lastSlot: this.DEFAULT_SLOT };
+        }
+        
+        if (!index.slots[this.DEFAULT_SLOT]) {
+            index.slots[this.DEFAULT_SLOT] = {
+                id: this.DEFAULT_SLOT,
+                name: 'Main Save',
+                createdAt: Date.now()
+            };
+        }
+        
+        return index;
+    }
+    
+    /**
+     * Persist the save slot index
+     * @param {Object} index - Slot index
+     * @returns {boolean} Success status
+     */
+    saveSlotIndex(index) {
+        try {
+            this.storage.setItem(this.SLOT_INDEX_KEY, JSON.stringify(index));
+            return true;
+        } catch (error) {
+            console.error('Failed to write save slot index:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Build a summary of a save slot for display
+     * @param {string} slotId - Slot identifier
+     * @returns {Object|null} Slot summary or null if the slot does not exist
+     */
+    getSlotSummary(slotId) {
+        const slot = this.getSlotIndex().slots[slotId];
+        if (!slot) return null;
+        
+        const summary = {
+            ...slot,
+            isActive: slotId === this.activeSlot,
+            isEmpty: true,
+            saveInfo: this.getSaveInfo(slotId),
+            level: 1,
+            prestigeLevel: 0,
+            currentStage: 1,
+            playtime: 0
+        };
+        
+        if (!summary.saveInfo) return summary;
+        
+        try {
+            const saveData = JSON.parse(this.storage.getItem(this.getSlotKey(slotId)));
+            const state = saveData.state || {};
+            
+            summary.isEmpty = false;
+            summary.level = state.player?.level || 1;
+            summary.prestigeLevel = state.prestige?.level || 0;
+            summary.currentStage = state.stages?.currentStage || state.game?.currentStage || 1;
+            summary.playtime = saveData.playtime || 0;
+        } catch (error) {
+            console.error(`Failed to read save slot ${slotId}:`, error);
+        }
+        
+        return summary;
+    }
+    
+    /**
+     * List all save slots with their summaries
+     * @returns {Array} Slot summaries, default slot first
+     */
+    listSaveSlots() {
+        const index = this.getSlotIndex();
+        
+        return Object.keys(index.slots)
+            .map(slotId => this.getSlotSummary(slotId))
+            .sort((a, b) => {
+                if (a.id === this.DEFAULT_SLOT) return -1;
+                if (b.id === this.DEFAULT_SLOT) return 1;
+                return a.createdAt - b.createdAt;
+            });
+    }
+    
+    /**
+     * Create a new empty save slot
+     * @param {string} name - Display name
+     * @returns {string} New slot identifier
+     */
+    createSaveSlot(name) {
+        const index = this.getSlotIndex();
+        const slotId = `slot-${Date.now().toString(36)}-${Math.floor(Math.random() * 1000)}`;
+        
+        index.slots[slotId] = {
+            id: slotId,
+            name: name || `Save ${Object.keys(index.slots).length + 1}`,
+            createdAt: Date.now()
+        };
+        
+        this.saveSlotIndex(index);
+        console.log(`🆕 Save slot created: ${index.slots[slotId].name}`);
+        return slotId;
+    }
+    
+    /**
+     * Copy a save slot, including its save data
+     * @param {string} sourceSlotId - Slot to copy from
+     * @param {string} name - Display name for the copy
+     * @returns {string|null} New slot identifier or null on failure
+     */
+    copySaveSlot(sourceSlotId, name) {
+        const index = this.getSlotIndex();
+        const source = index.slots[sourceSlotId];
+        if (!source) {
+            console.warn(`Save slot not found: ${sourceSlotId}`);
+            return null;
+        }
+        
+        // Flush the running game so the copy matches what is on screen
+        if (sourceSlotId === this.activeSlot) {
+            this.saveToStorage();
+        }
+        
+        const slotId = this.createSaveSlot(name || `${source.name} (Copy)`);
+        
+        try {
+            const savedData = this.storage.getItem(this.getSlotKey(sourceSlotId));
+            if (savedData) {
+                this.storage.setItem(this.getSlotKey(slotId), savedData);
+            }
+        } catch (error) {
+            console.error('Failed to copy save slot:', error);
+            this.deleteSaveSlot(slotId);
+            return null;
+        }
+        
+        return slotId;
+    }
+    
+    /**
+     * Rename a save slot
+     * @param {string} slotId - Slot identifier
+     * @param {string} name - New display name
+     * @returns {boolean} Success status
+     */
+    renameSaveSlot(slotId, name) {
+        const index = this.getSlotIndex();
+        if (!index.slots[slotId] || !name) return false;
+        
+        index.slots[slotId].name = name;
+        return this.saveSlotIndex(index);
+    }
+    
+    /**
+     * Delete a save slot and its save data
+     * The active slot cannot be deleted while it is being played.
+     * @param {string} slotId - Slot identifier
+     * @returns {boolean} Success status
+     */
+    deleteSaveSlot(slotId) {
+        if (slotId === this.activeSlot) {
+            console.warn('Cannot delete the active save slot');
+            return false;
+        }
+        
+        const index = this.getSlotIndex();
+        if (!index.slots[slotId]) return false;
+        
+        try {
+            this.storage.removeItem(this.getSlotKey(slotId));
+            this.storage.removeItem(this.getSlotBackupKey(slotId));
+            this.storage.removeItem(this.getSlotImportBackupKey(slotId));
+        } catch (error) {
+            console.error('Failed to delete save slot data:', error);
+            return false;
+        }
+        
+        delete index.slots[slotId];
+        if (index.lastSlot === slotId) {
+            index.lastSlot = this.DEFAULT_SLOT;
+        }
+        
+        this.saveSlotIndex(index);
+        console.log(`🗑️ Save slot deleted: ${slotId}`);
+        return true;
+    }
+    
+    /**
+     * Make a save slot the target for saving and loading
+     * @param {string} slotId - Slot identifier
+     * @returns {boolean} Success status
+     */
+    selectSaveSlot(slotId) {
+        const index = this.getSlotIndex();
+        if (!index.slots[slotId]) {
+            console.warn(`Save slot not found: ${slotId}`);
+            return false;
+        }
+        
+        this.activeSlot = slotId;
+        this.saveKey = this.getSlotKey(slotId);
+        this.backupKey = this.getSlotBackupKey(slotId);
+        this.importBackupKey = this.getSlotImportBackupKey(slotId);
+        this.resetPlaytime();
+        
+        index.lastSlot = slotId;
+        this.saveSlotIndex(index);
+        
+        console.log(`🎰 Save slot selected: ${index.slots[slotId].name}`);
+        return true;
+    }
+    
+    /**
+     * Stop saving to the active slot (e.g. after a refused load)
+     */
+    clearActiveSlot() {
+        this.activeSlot = null;
+        this.saveKey = this.SAVE_KEY_PREFIX;
+        this.backupKey = `${this.SAVE_KEY_PREFIX}-backup`;
+        this.importBackupKey = `${this.SAVE_KEY_PREFIX}-import-backup`;
+    }
 }
 
 export { StateManager };
\ No newline at end of file
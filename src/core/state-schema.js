@@ -0,0 +1,615 @@
+/**
+ * State Schema - Declarative schema and validator for the game state tree
+ * @module StateSchema
+ */
+
+class StateSchema {
+    constructor() {
+        this.ERROR_CODES = {
+            MISSING: 'missing',
+            INVALID_TYPE: 'invalid_type',
+            OUT_OF_RANGE: 'out_of_range',
+            INVALID_VALUE: 'invalid_value'
+        };
+
+        this.schema = this.initializeSchema();
+    }
+
+    /**
+     * Initialize the state schema
+     *
+     * Node options:
+     * - type: 'object' | 'array' | 'number' | 'string' | 'boolean' | 'any'
+     * - required: value must be present (filled from `default` or child defaults)
+     * - critical: invalid value cannot be repaired, the whole state is rejected
+     * - default: value used when repairing
+     * - nullable: null is accepted
+     * - min / max / integer: numeric constraints (values are clamped)
+     * - enum: allowed string values
+     * - properties: known object keys
+     * - values: schema for every entry of a map-like object
+     * - items: schema for every array entry (invalid entries are dropped)
+     * - refine: (value, report) => value for cross-field rules
+     * @returns {Object} Root schema node
+     */
+    initializeSchema() {
+        const count = { type: 'number', min: 0, integer: true, default: 0 };
+        const stack = { type: 'object', properties: { quantity: count } };
+
+        return {
+            type: 'object',
+            properties: {
+                player: {
+                    type: 'object',
+                    required: true,
+                    critical: true,
+                    properties: {
+                        hp: { type: 'number', min: 0, default: 100 },
+                        maxHp: { type: 'number', min: 1, default: 100 },
+                        level: { type: 'number', min: 1, integer: true, critical: true, default: 1 },
+                        exp: { type: 'number', min: 0, default: 0 },
+                        attack: { type: 'number', min: 0, default: 10 },
+                        defense: { type: 'number', min: 0, default: 5 },
+                        speed: { type: 'number', min: 0, default: 10 },
+                        gold: { ...count },
+                        criticalChance: { type: 'number', min: 0, max: 1, default: 0 },
+                        criticalDamage: { type: 'number', min: 0, default: 0 },
+                        buffs: {
+                            type: 'array',
+                            default: [],
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    id: { type: 'string', required: true, critical: true },
+                                    stat: { type: 'string', required: true, critical: true },
+                                    type: { type: 'string', enum: ['flat', 'percent', 'multiplier'], default: 'flat' },
+                                    value: { type: 'number', default: 0 },
+                                    fightsRemaining: { type: 'number', min: 0, integer: true, default: 0 }
+                                }
+                            }
+                        },
+                        element: { type: 'string', enum: ['fire', 'ice', 'lightning', 'dark', 'light', 'physical'], default: 'physical' },
+                        resistances: { type: 'object', default: {}, values: { type: 'number', min: 0, max: 1, default: 0 } }
+                    },
+                    refine: (player, report) => {
+                        if (typeof player.maxHp === 'number' && player.hp > player.maxHp) {
+                            report('hp', this.ERROR_CODES.OUT_OF_RANGE, 'hp exceeds maxHp', player.hp, player.maxHp);
+                            player.hp = player.maxHp;
+                        }
+                        return player;
+                    }
+                },
+                game: {
+                    type: 'object',
+                    required: true,
+                    properties: {
+                        currentStage: { type: 'number', min: 1, integer: true, default: 1 },
+                        isPaused: { type: 'boolean', default: false },
+                        isInCombat: { type: 'boolean', default: false }
+                    }
+                },
+                performance: {
+                    type: 'object',
+                    required: true,
+                    properties: {
+                        fps: { type: 'number', min: 0, default: 60 },
+                        frameTime: { type: 'number', min: 0, default: 16.67 }
+                    }
+                },
+                combat: {
+                    type: 'object',
+                    nullable: true,
+                    default: null,
+                    properties: {
+                        enemy: {
+                            type: 'object',
+                            nullable: true,
+                            default: null,
+                            properties: {
+                                hp: { type: 'number', min: 0, default: 0 },
+                                maxHp: { type: 'number', min: 1, default: 1 },
+                                attack: { type: 'number', min: 0, default: 0 },
+                                defense: { type: 'number', min: 0, default: 0 },
+                                level: { type: 'number', min: 1, integer: true, default: 1 }
+                            }
+                        },
+                        phase: { type: 'string', default: 'waiting' },
+                        turnIndex: { type: 'number', min: 0, integer: true, default: 0 },
+                        playerDefending: { type: 'boolean', default: false }
+                    }
+                },
+                materials: {
+                    type: 'object',
+                    default: {},
+                    values: count
+                },
+                autoBattle: {
+                    type: 'object',
+                    properties: {
+                        enabled: { type: 'boolean', default: false },
+                        policy: { type: 'string', enum: ['always_attack', 'defend_low_hp'], default: 'always_attack' },
+                        defendThreshold: { type: 'number', min: 0, max: 1, default: 0.3 },
+                        maxFights: { ...count },
+                        fightsCompleted: { ...count },
+                        stopReason: { type: 'string', nullable: true, default: null }
+                    }
+                },
+                crafting: {
+                    type: 'object',
+                    properties: {
+                        queue: {
+                            type: 'array',
+                            default: [],
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    id: { type: 'string', required: true, critical: true },
+                                    recipeId: { type: 'string', required: true, critical: true },
+                                    quantity: { type: 'number', min: 1, integer: true, required: true, critical: true },
+                                    materials: { type: 'object', default: {}, values: count },
+                                    duration: { type: 'number', min: 0, required: true, critical: true },
+                                    queuedAt: { type: 'number', default: 0 },
+                                    startedAt: { type: 'number', nullable: true, required: true, default: null }
+                                }
+                            }
+                        },
+                        nextJobId: { type: 'number', min: 1, integer: true, default: 1 }
+                    }
+                },
+                leveling: {
+                    type: 'object',
+                    properties: {
+                        statPoints: { ...count },
+                        allocated: { type: 'object', default: {}, values: count }
+                    }
+                },
+                shop: {
+                    type: 'object',
+                    properties: {
+                        day: { type: 'string', default: '' },
+                        stage: { type: 'number', min: 1, integer: true, default: 1 },
+                        stock: {
+                            type: 'array',
+                            default: [],
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    stockId: { type: 'string', required: true, critical: true },
+                                    type: { type: 'string', enum: ['material', 'equipment'], required: true, critical: true },
+                                    itemId: { type: 'string', required: true, critical: true },
+                                    quality: { type: 'string', nullable: true, default: null },
+                                    price: { type: 'number', min: 1, integer: true, required: true, critical: true },
+                                    quantity: { ...count }
+                                }
+                            }
+                        }
+                    }
+                },
+                defeat: {
+                    type: 'object',
+                    properties: {
+                        penalty: { type: 'string', enum: ['materials', 'experience', 'respawn'], default: 'materials' },
+                        unbankedMaterials: { type: 'object', default: {}, values: count },
+                        respawnUntil: { type: 'number', min: 0, default: 0 },
+                        lastSummary: { type: 'object', nullable: true, default: null }
+                    }
+                },
+                skills: {
+                    type: 'object',
+                    properties: {
+                        mana: { type: 'number', min: 0, default: 0 },
+                        maxMana: { type: 'number', min: 0, default: 0 },
+                        cooldowns: { type: 'object', default: {}, values: count }
+                    }
+                },
+                rng: {
+                    type: 'object',
+                    properties: {
+                        seed: { type: 'number', min: 0, integer: true, default: 0 },
+                        streams: { type: 'object', default: {}, values: count }
+                    }
+                },
+                inventory: {
+                    type: 'object',
+                    properties: {
+                        materials: { type: 'object', default: {}, values: stack },
+                        equipment: { type: 'object', default: {} },
+                        consumables: { type: 'object', default: {}, values: stack },
+                        bagSlots: { type: 'object', default: {}, values: count },
+                        overflow: {
+                            type: 'array',
+                            default: [],
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    type: { type: 'string', enum: ['material', 'equipment'], required: true, critical: true },
+                                    quantity: { type: 'number', min: 1, integer: true }
+                                }
+                            }
+                        },
+                        quickBar: {
+                            type: 'array',
+                            default: [null, null, null, null],
+                            items: { type: 'string', nullable: true }
+                        },
+                        settings: {
+                            type: 'object',
+                            required: true,
+                            properties: {
+                                sortType: { type: 'string', enum: ['rarity', 'name', 'quantity', 'value', 'type'], default: 'rarity' },
+                                sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+                                autoSort: { type: 'boolean', default: true }
+                            }
+                        }
+                    }
+                },
+                prestige: {
+                    type: 'object',
+                    critical: true,
+                    properties: {
+                        points: { type: 'number', min: 0, integer: true, critical: true, default: 0 },
+                        totalPoints: { ...count },
+                        level: { type: 'number', min: 0, integer: true, critical: true, default: 0 },
+                        runNumber: { type: 'number', min: 1, integer: true, default: 1 },
+                        totalResets: { ...count },
+                        currentRunProgress: {
+                            type: 'object',
+                            required: true,
+                            properties: {
+                                maxStageReached: { type: 'number', min: 1, integer: true, default: 1 },
+                                totalCombatWins: { ...count },
+                                totalMaterialsCollected: { ...count },
+                                totalEquipmentCrafted: { ...count }
+                            }
+                        },
+                        upgrades: {
+                            type: 'object',
+                            required: true,
+                            values: { ...count }
+                        },
+                        availableUpgrades: {
+                            type: 'array',
+                            default: ['combatDamage', 'healthBoost', 'materialDrops', 'bagSpace'],
+                            items: { type: 'string' }
+                        }
+                    }
+                },
+                dailyChallenges: {
+                    type: 'object',
+                    properties: {
+                        lastRefresh: { type: 'string', default: '' },
+                        currentChallenges: {
+                            type: 'array',
+                            default: [],
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    id: { type: 'string', required: true, critical: true },
+                                    type: { type: 'string', required: true, critical: true },
+                                    target: { type: 'number', min: 1, required: true, critical: true },
+                                    progress: { type: 'number', min: 0, default: 0 },
+                                    completed: { type: 'boolean', default: false },
+                                    rewardAmount: { type: 'number', min: 0, default: 0 }
+                                }
+                            }
+                        },
+                        completedToday: { type: 'array', default: [], items: { type: 'any' } },
+                        totalCompleted: { ...count },
+                        streak: { ...count },
+                        lastCompletionDate: { type: 'string', nullable: true, default: null }
+                    }
+                },
+                weeklyEvents: {
+                    type: 'object',
+                    properties: {
+                        currentEvent: { type: 'object', nullable: true, default: null },
+                        progress: { type: 'object', default: {} },
+                        history: { type: 'array', default: [], items: { type: 'object' } },
+                        leaderboard: { type: 'array', default: [], items: { type: 'object' } },
+                        lastUpdate: { type: 'string', nullable: true, default: null }
+                    }
+                },
+                bosses: {
+                    type: 'object',
+                    properties: {
+                        bossesDefeated: {
+                            type: 'array',
+                            default: [],
+                            items: { type: 'number', min: 1, integer: true }
+                        }
+                    }
+                },
+                achievements: {
+                    type: 'object',
+                    values: {
+                        type: 'object',
+                        properties: {
+                            unlocked: { type: 'boolean', default: false },
+                            progress: { type: 'number', min: 0, max: 100, default: 0 }
+                        }
+                    }
+                },
+                achievementStats: {
+                    type: 'object',
+                    values: { type: 'number', min: 0, nullable: true, allowInfinity: true, default: 0 }
+                }
+            }
+        };
+    }
+
+    /**
+     * Validate a state tree, repairing what can be repaired
+     * @param {Object} state - State to validate
+     * @param {Object} options - Validation options
+     * @param {Array<string>} options.paths - Only validate these top-level keys
+     * @returns {Object} { valid, state, errors } where each error is
+     *   { path, code, message, value, repairedTo, fatal }
+     */
+    validate(state, options = {}) {
+        const errors = [];
+
+        if (!this.isObject(state)) {
+            errors.push(this.createError('', this.ERROR_CODES.INVALID_TYPE, 'State must be an object', state, undefined, true));
+            return { valid: false, state: null, errors };
+        }
+
+        const keys = options.paths || Object.keys(this.schema.properties);
+        const validated = { ...state };
+
+        keys.forEach(key => {
+            const node = this.schema.properties[key];
+            if (!node) return;
+
+            const value = this.validateNode(state[key], node, key, errors);
+            if (value === undefined) {
+                delete validated[key];
+            } else {
+                validated[key] = value;
+            }
+        });
+
+        return {
+            valid: !errors.some(error => error.fatal),
+            state: validated,
+            errors
+        };
+    }
+
+    /**
+     * Validate a single schema node
+     * @param {*} value - Value to validate
+     * @param {Object} node - Schema node
+     * @param {string} path - Dot notation path for error reporting
+     * @param {Array} errors - Error accumulator
+     * @returns {*} Validated (possibly repaired) value, undefined to drop it
+     */
+    validateNode(value, node, path, errors) {
+        if (value === undefined) {
+            if (!node.required) return undefined;
+
+            const repaired = this.getDefault(node);
+            errors.push(this.createError(path, this.ERROR_CODES.MISSING, 'Missing required value', value, repaired, repaired === undefined));
+            return repaired;
+        }
+
+        if (value === null && node.nullable) {
+            return null;
+        }
+
+        if (!this.matchesType(value, node)) {
+            return this.repair(path, this.ERROR_CODES.INVALID_TYPE, `Expected ${node.type}`, value, node, errors);
+        }
+
+        switch (node.type) {
+            case 'number':
+                return this.validateNumber(value, node, path, errors);
+            case 'string':
+                if (node.enum && !node.enum.includes(value)) {
+                    return this.repair(path, this.ERROR_CODES.INVALID_VALUE, `Expected one of ${node.enum.join(', ')}`, value, node, errors);
+                }
+                return value;
+            case 'object':
+                return this.validateObject(value, node, path, errors);
+            case 'array':
+                return this.validateArray(value, node, path, errors);
+            default:
+                return value;
+        }
+    }
+
+    /**
+     * Validate a number against range constraints, clamping when out of range
+     * @param {number} value - Number to validate
+     * @param {Object} node - Schema node
+     * @param {string} path - Path for error reporting
+     * @param {Array} errors - Error accumulator
+     * @returns {number} Validated number
+     */
+    validateNumber(value, node, path, errors) {
+        let result = node.integer && Number.isFinite(value) ? Math.floor(value) : value;
+
+        if (node.min !== undefined && result < node.min) result = node.min;
+        if (node.max !== undefined && result > node.max) result = node.max;
+
+        if (result !== value) {
+            errors.push(this.createError(path, this.ERROR_CODES.OUT_OF_RANGE, 'Number out of range', value, result, false));
+        }
+
+        return result;
+    }
+
+    /**
+     * Validate an object's known properties and map values
+     * Unknown keys are kept so newer systems can add data without schema changes.
+     * @param {Object} value - Object to validate
+     * @param {Object} node - Schema node
+     * @param {string} path - Path for error reporting
+     * @param {Array} errors - Error accumulator
+     * @returns {Object} Validated object
+     */
+    validateObject(value, node, path, errors) {
+        const result = { ...value };
+
+        if (node.properties) {
+            Object.entries(node.properties).forEach(([key, child]) => {
+                const childValue = this.validateNode(value[key], child, `${path}.${key}`, errors);
+                if (childValue === undefined) {
+                    delete result[key];
+                } else {
+                    result[key] = childValue;
+                }
+            });
+        }
+
+        if (node.values) {
+            Object.keys(value).forEach(key => {
+                if (node.properties && key in node.properties) return;
+
+                const childValue = this.validateNode(value[key], node.values, `${path}.${key}`, errors);
+                if (childValue === undefined) {
+                    delete result[key];
+                } else {
+                    result[key] = childValue;
+                }
+            });
+        }
+
+        if (node.refine) {
+            const report = (key, code, message, before, after) => {
+                errors.push(this.createError(`${path}.${key}`, code, message, before, after, false));
+            };
+            return node.refine(result, report);
+        }
+
+        return result;
+    }
+
+    /**
+     * Validate array entries, dropping entries that cannot be repaired
+     * @param {Array} value - Array to validate
+     * @param {Object} node - Schema node
+     * @param {string} path - Path for error reporting
+     * @param {Array} errors - Error accumulator
+     * @returns {Array} Validated array
+     */
+    validateArray(value, node, path, errors) {
+        if (!node.items) return [...value];
+
+        const result = [];
+
+        value.forEach((item, index) => {
+            const itemPath = `${path}.${index}`;
+            const itemErrors = [];
+            const validated = this.validateNode(item, { ...node.items, required: true }, itemPath, itemErrors);
+
+            if (itemErrors.some(error => error.fatal) || validated === undefined) {
+                errors.push(this.createError(itemPath, this.ERROR_CODES.INVALID_VALUE, 'Dropped invalid entry', item, undefined, false));
+                return;
+            }
+
+            errors.push(...itemErrors);
+            result.push(validated);
+        });
+
+        return result;
+    }
+
+    /**
+     * Repair an invalid value from its default, or flag it as fatal
+     * @param {string} path - Path for error reporting
+     * @param {string} code - Error code
+     * @param {string} message - Error message
+     * @param {*} value - Invalid value
+     * @param {Object} node - Schema node
+     * @param {Array} errors - Error accumulator
+     * @returns {*} Repaired value
+     */
+    repair(path, code, message, value, node, errors) {
+        if (node.critical) {
+            errors.push(this.createError(path, code, message, value, undefined, true));
+            return value;
+        }
+
+        const repaired = this.getDefault(node);
+        errors.push(this.createError(path, code, message, value, repaired, false));
+        return repaired;
+    }
+
+    /**
+     * Build the default value for a schema node
+     * Objects without an explicit default are assembled from their properties' defaults.
+     * @param {Object} node - Schema node
+     * @returns {*} Default value, undefined if none exists
+     */
+    getDefault(node) {
+        if ('default' in node) {
+            return node.default === null ? null : JSON.parse(JSON.stringify(node.default));
+        }
+
+        if (node.type === 'object') {
+            const result = {};
+            Object.entries(node.properties || {}).forEach(([key, child]) => {
+                const value = this.getDefault(child);
+                if (value !== undefined) {
+                    result[key] = value;
+                }
+            });
+            return result;
+        }
+
+        if (node.type === 'array') {
+            return [];
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Check a value against a node's type
+     * @param {*} value - Value to check
+     * @param {Object} node - Schema node
+     * @returns {boolean} True if the type matches
+     */
+    matchesType(value, node) {
+        switch (node.type) {
+            case 'number':
+                return typeof value === 'number' && !Number.isNaN(value) &&
+                    (Number.isFinite(value) || !!node.allowInfinity);
+            case 'string':
+                return typeof value === 'string';
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'object':
+                return this.isObject(value);
+            case 'array':
+                return Array.isArray(value);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Create a structured validation error
+     * @param {string} path - Dot notation path
+     * @param {string} code - Error code
+     * @param {string} message - Human readable message
+     * @param {*} value - Offending value
+     * @param {*} repairedTo - Value used instead
+     * @param {boolean} fatal - True if the value could not be repaired
+     * @returns {Object} Validation error
+     */
+    createError(path, code, message, value, repairedTo, fatal) {
+        return { path, code, message, value, repairedTo, fatal };
+    }
+
+    /**
+     * Check if value is a plain object
+     * @param {*} value - Value to check
+     * @returns {boolean} True if object
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+export { StateSchema };
@@ -13,6 +13,7 @@ class VisualRenderer {
         // Animation system
         this.animations = [];
         this.particles = [];
+        this.floatingTexts = [];
         
         // Visual assets
         this.colors = {
@@ -66,6 +67,7 @@ class VisualRenderer {
         }
         
         this.renderParticles();
+        this.renderFloatingTexts();
         this.renderUI(state);
         this.updateAnimations();
     }
@@ -258,6 +260,13 @@ class VisualRenderer {
             this.drawEnemy(centerX + 150, centerY, state.combat.enemy);
         }
         
+        // Draw status effect icons above each combatant
+        const statusEffects = state.combat?.statusEffects;
+        if (statusEffects) {
+            this.drawStatusEffects(centerX - 150, centerY - 75, statusEffects.player);
+            this.drawStatusEffects(centerX + 150, centerY - 75, statusEffects.enemy);
+        }
+        
         // Draw combat effects
         this.drawCombatEffects(centerX, centerY);
         
@@ -327,6 +336,41 @@ class VisualRenderer {
         }
     }
     
+    /**
+     * Draw a row of status effect icons with remaining turns and stacks
+     */
+    drawStatusEffects(x, y, effects = []) {
+        if (!effects || effects.length === 0) return;
+        
+        const spacing = 30;
+        const startX = x - ((effects.length - 1) * spacing) / 2;
+        
+        effects.forEach((effect, index) => {
+            const iconX = startX + index * spacing;
+            
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            this.ctx.strokeStyle = effect.color;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(iconX, y, 12, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.stroke();
+            
+            this.ctx.font = '14px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.fillText(effect.icon, iconX, y + 5);
+            
+            // Remaining turns (bottom right) and stacks (top right)
+            this.ctx.font = 'bold 10px Arial';
+            this.ctx.fillText(effect.remaining, iconX + 11, y + 14);
+            if (effect.stacks > 1) {
+                this.ctx.fillStyle = effect.color;
+                this.ctx.fillText(`x${effect.stacks}`, iconX + 12, y - 8);
+            }
+        });
+    }
+    
     /**
      * Get enemy color based on type
      */
@@ -532,6 +576,32 @@ class VisualRenderer {
         this.ctx.globalAlpha = 1.0;
     }
     
+    /**
+     * Render floating combat text
+     */
+    renderFloatingTexts() {
+        this.ctx.textAlign = 'center';
+        
+        for (let i = this.floatingTexts.length - 1; i >= 0; i--) {
+            const text = this.floatingTexts[i];
+            
+            this.ctx.globalAlpha = text.alpha;
+            this.ctx.fillStyle = text.color;
+            this.ctx.font = 'bold 18px Arial';
+            this.ctx.fillText(text.text, text.x, text.y);
+            
+            // Drift upwards and fade out
+            text.y -= 0.8;
+            text.alpha -= 0.015;
+            
+            if (text.alpha <= 0) {
+                this.floatingTexts.splice(i, 1);
+            }
+        }
+        
+        this.ctx.globalAlpha = 1.0;
+    }
+    
     /**
      * Render UI overlays
      */
@@ -605,6 +675,19 @@ class VisualRenderer {
         }
     }
     
+    /**
+     * Create floating text (misses, elemental effectiveness, etc.)
+     */
+    createFloatingText(x, y, text, color = '#ffffff') {
+        this.floatingTexts.push({
+            x,
+            y,
+            text,
+            color,
+            alpha: 1.0
+        });
+    }
+    
     /**
      * Create healing particles
      */
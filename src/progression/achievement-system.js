@@ -11,6 +11,7 @@ export class AchievementSystem {
         this.trackedStats = this.initializeTrackedStats();
         
         this.setupEventListeners();
+        console.log('🏆 Achievement System initialized with', Object.keys(this.achievements).length, 'achievements');
     }
 
     initializeAchievements() {
@@ -56,6 +57,16 @@ export class AchievementSystem {
                 unlocked: false,
                 progress: 0
             },
+            'veteran': {
+                id: 'veteran',
+                name: 'Veteran',
+                description: 'Win 25 combats',
+                category: 'combat',
+                requirement: { stat: 'combatWins', value: 25 },
+                reward: { type: 'stat_bonus', stat: 'attack', amount: 2 },
+                unlocked: false,
+                progress: 0
+            },
 
             // Collection Achievements
             'material_collector': {
@@ -335,6 +346,20 @@ export class AchievementSystem {
         });
     }
 
+    // Add or replace achievements from a content pack, keeping saved progress
+    registerAchievements(achievements) {
+        const saved = this.stateManager.getState().achievements || {};
+
+        Object.entries(achievements).forEach(([id, achievement]) => {
+            this.achievements[id] = {
+                ...achievement,
+                id,
+                unlocked: saved[id]?.unlocked || false,
+                progress: saved[id]?.progress || 0
+            };
+        });
+    }
+
     updateStat(statName, amount) {
         if (typeof this.trackedStats[statName] === 'number') {
             this.trackedStats[statName] += amount;
@@ -385,16 +410,14 @@ export class AchievementSystem {
         // Grant reward
         this.grantReward(achievement.reward);
 
-        // Emit achievement unlocked event
+        // AchievementUI shows the notification
         this.eventSystem.emit('achievement_unlocked', {
             achievement: achievement,
             reward: achievement.reward
         });
 
-        // Show notification
-        this.showAchievementNotification(achievement);
-
         this.saveProgress();
+        console.log('🏆 Achievement Unlocked:', achievement.name);
     }
 
     grantReward(reward) {
@@ -413,34 +436,22 @@ export class AchievementSystem {
             case 'equipment':
                 this.eventSystem.emit('gain_equipment', { item: reward.item });
                 break;
+            case 'stat_bonus':
+                // Permanent bonus, read back through getStatModifiers()
+                this.eventSystem.emit('stat_source_changed', { source: 'achievement' });
+                break;
         }
     }
 
-    showAchievementNotification(achievement) {
-        // Create achievement notification overlay
-        const notification = document.createElement('div');
-        notification.className = 'achievement-notification';
-        notification.innerHTML = `
-            <div class="achievement-notification-content">
-                <div class="achievement-icon">🏆</div>
-                <div class="achievement-details">
-                    <div class="achievement-title">Achievement Unlocked!</div>
-                    <div class="achievement-name">${achievement.name}</div>
-                    <div class="achievement-description">${achievement.description}</div>
-                </div>
-            </div>
-        `;
-
-        document.body.appendChild(notification);
-
-        // Animate in
-        setTimeout(() => notification.classList.add('show'), 100);
-
-        // Remove after delay
-        setTimeout(() => {
-            notification.classList.remove('show');
-            setTimeout(() => notification.remove(), 500);
-        }, 4000);
+    getStatModifiers() {
+        return this.getUnlockedAchievements()
+            .filter(achievement => achievement.reward.type === 'stat_bonus')
+            .map(achievement => ({
+                stat: achievement.reward.stat,
+                type: 'flat',
+                value: achievement.reward.amount,
+                label: `🏆 ${achievement.name}`
+            }));
     }
 
     getAchievementsByCategory() {
@@ -471,11 +482,6 @@ export class AchievementSystem {
         });
     }
 
-    loadProgress() {
-        const state = this.stateManager.getState();
-        const savedAchievements = state.achievements;
-        const savedStats = state.achievementStats;
-
     loadProgress() {
         const state = this.stateManager.getState();
         const savedAchievements = state.achievements;
@@ -499,5 +505,3 @@ export class AchievementSystem {
         this.checkAchievements();
     }
 }
-
-export { AchievementSystem };
\ No newline at end of file
@@ -3,19 +3,69 @@
  * Phase 8 Implementation: Boss System & Special Events
  */
 
+import { RandomService } from '../core/random-service.js';
+
 class BossManager {
-    constructor(stateManager) {
+    constructor(stateManager, randomService = null) {
         this.stateManager = stateManager;
+        const random = randomService || new RandomService();
+        this.rng = random.getStream(random.STREAMS.BOSS);
+        this.lootRng = random.getStream(random.STREAMS.LOOT);
         this.bosses = new Map();
         this.currentBoss = null;
         this.bossPhase = 0;
         this.bossDefeated = new Set();
         this.eventEmitter = null;
         
+        this.abilityDefinitions = this.initializeAbilityDefinitions();
         this.initializeBosses();
         console.log('👑 Boss Manager initialized');
     }
 
+    // Boss ability definitions: multiplier scales the boss's phase damage,
+    // statusEffect ({ id, chance }) is applied on hit
+    initializeAbilityDefinitions() {
+        return {
+            // Forest Guardian abilities
+            slash: { multiplier: 1.0, description: 'slashes with vine-covered claws' },
+            root_bind: { multiplier: 0.7, description: 'binds you with roots, reducing damage', statusEffect: { id: 'bind', chance: 0.8 } },
+            fury_swipe: { multiplier: 1.3, description: 'swipes in fury' },
+            thorn_storm: { multiplier: 1.5, description: 'summons a storm of thorns', statusEffect: { id: 'poison', chance: 0.5 } },
+
+            // Mountain King abilities
+            boulder_throw: { multiplier: 1.2, description: 'hurls a massive boulder' },
+            stone_shield: { multiplier: 0.5, description: 'blocks with stone shield' },
+            earthquake: { multiplier: 1.6, description: 'causes the ground to shake', statusEffect: { id: 'stun', chance: 0.3 } },
+            rock_avalanche: { multiplier: 1.8, description: 'triggers a rock avalanche' },
+
+            // Desert Pharaoh abilities
+            sand_blast: { multiplier: 1.1, description: 'blasts with sand' },
+            mummy_summon: { multiplier: 0.8, description: 'summons mummy minions' },
+            solar_beam: { multiplier: 1.7, description: 'fires a concentrated solar beam', statusEffect: { id: 'burn', chance: 0.3 } },
+            sand_storm: { multiplier: 1.4, description: 'creates a blinding sandstorm', statusEffect: { id: 'stun', chance: 0.4 } },
+            death_curse: { multiplier: 2.0, description: 'casts a deadly curse', statusEffect: { id: 'poison', chance: 0.6 } },
+            pharaoh_resurrection: { multiplier: 0.3, description: 'attempts resurrection magic' },
+
+            // Ice Empress abilities
+            ice_shard: { multiplier: 1.0, description: 'fires ice shards', statusEffect: { id: 'freeze', chance: 0.15 } },
+            frost_armor: { multiplier: 0.6, description: 'strengthens frost armor' },
+            blizzard: { multiplier: 1.5, description: 'summons a fierce blizzard', statusEffect: { id: 'freeze', chance: 0.3 } },
+            ice_prison: { multiplier: 1.2, description: 'traps you in ice', statusEffect: { id: 'freeze', chance: 0.9 } },
+            absolute_zero: { multiplier: 2.2, description: 'unleashes absolute zero' },
+            ice_resurrection: { multiplier: 0.4, description: 'attempts ice resurrection' },
+
+            // Crystal Dragon abilities
+            crystal_breath: { multiplier: 1.3, description: 'breathes crystal shards' },
+            wing_buffet: { multiplier: 1.0, description: 'attacks with powerful wings' },
+            prism_beam: { multiplier: 1.6, description: 'fires a prism beam' },
+            crystal_storm: { multiplier: 1.8, description: 'creates a crystal storm' },
+            flame_crystal_breath: { multiplier: 2.0, description: 'breathes flaming crystals', statusEffect: { id: 'burn', chance: 0.6 } },
+            tail_smash: { multiplier: 1.7, description: 'smashes with crystal tail' },
+            dragon_nova: { multiplier: 2.8, description: 'unleashes dragon nova' },
+            crystal_rebirth: { multiplier: 0.5, description: 'attempts crystal rebirth' }
+        };
+    }
+
     initializeBosses() {
         // Stage 1 Boss: Forest Guardian
         this.bosses.set(1, {
@@ -26,6 +76,8 @@ class BossManager {
             baseHp: 150,
             baseDamage: 18,
             defense: 8,
+            speed: 9,
+            element: 'physical',
             phases: [
                 {
                     name: 'Guardian Mode',
@@ -63,6 +115,8 @@ class BossManager {
             baseHp: 300,
             baseDamage: 25,
             defense: 15,
+            speed: 8,
+            element: 'physical',
             phases: [
                 {
                     name: 'Stone Form',
@@ -100,6 +154,8 @@ class BossManager {
             baseHp: 450,
             baseDamage: 32,
             defense: 20,
+            speed: 12,
+            element: 'dark',
             phases: [
                 {
                     name: 'Awakening',
@@ -143,6 +199,8 @@ class BossManager {
             baseHp: 600,
             baseDamage: 38,
             defense: 25,
+            speed: 15,
+            element: 'ice',
             phases: [
                 {
                     name: 'Frozen Heart',
@@ -186,6 +244,8 @@ class BossManager {
             baseHp: 800,
             baseDamage: 45,
             defense: 30,
+            speed: 14,
+            element: 'light',
             phases: [
                 {
                     name: 'Crystal Scales',
@@ -242,7 +302,7 @@ class BossManager {
             this.loadState(gameState.bosses);
         } else {
             // Initialize boss state if it doesn't exist
-            this.stateManager.setState({
+            this.stateManager.updateState({
                 bosses: {
                     bossesDefeated: []
                 }
@@ -251,6 +311,20 @@ class BossManager {
         console.log('👑 Boss system loaded');
     }
 
+    // Add or replace bosses from a content pack (boss.stageId picks the stage)
+    registerBosses(bosses) {
+        bosses.forEach(({ stageId, ...boss }) => {
+            this.bosses.set(stageId, boss);
+        });
+    }
+
+    // Add or replace boss abilities from a content pack
+    registerAbilities(abilities) {
+        Object.entries(abilities).forEach(([abilityId, ability]) => {
+            this.abilityDefinitions[abilityId] = ability;
+        });
+    }
+
     // Check if a boss is unlocked for a specific stage
     isBossUnlocked(stageId, stageVictories) {
         const boss = this.bosses.get(stageId);
@@ -343,10 +417,13 @@ class BossManager {
     }
 
     // Deal damage to boss
-    damageBoss(damage) {
+    // defenseApplied: damage was already mitigated by the boss's defense (e.g. via DamageCalculator)
+    damageBoss(damage, defenseApplied = false) {
         if (!this.currentBoss) return false;
 
-        const actualDamage = Math.max(1, damage - this.currentBoss.defense);
+        const actualDamage = defenseApplied
+            ? Math.max(1, damage)
+            : Math.max(1, damage - this.currentBoss.defense);
         this.currentBoss.currentHp = Math.max(0, this.currentBoss.currentHp - actualDamage);
         
         this.updateBossPhase();
@@ -413,7 +490,7 @@ class BossManager {
 
         // Roll for materials
         boss.rewards.materials.forEach(materialReward => {
-            if (Math.random() < materialReward.chance) {
+            if (this.lootRng.chance(materialReward.chance)) {
                 rewards.materials.push({
                     type: materialReward.type,
                     amount: materialReward.amount
@@ -423,7 +500,7 @@ class BossManager {
 
         // Roll for equipment
         boss.rewards.equipment.forEach(equipmentReward => {
-            if (Math.random() < equipmentReward.chance) {
+            if (this.lootRng.chance(equipmentReward.chance)) {
                 rewards.equipment.push(equipmentReward.type);
             }
         });
@@ -438,62 +515,19 @@ class BossManager {
         }
 
         // Random ability selection from current phase
-        const randomAbility = this.currentBoss.abilities[
-            Math.floor(Math.random() * this.currentBoss.abilities.length)
-        ];
+        const randomAbility = this.rng.pick(this.currentBoss.abilities);
 
         const baseDamage = this.currentBoss.damage * this.currentBoss.damageMultiplier;
-        
-        // Define ability effects
-        const abilityEffects = {
-            // Forest Guardian abilities
-            'slash': { damage: baseDamage * 1.0, description: 'slashes with vine-covered claws' },
-            'root_bind': { damage: baseDamage * 0.7, description: 'binds you with roots, reducing damage' },
-            'fury_swipe': { damage: baseDamage * 1.3, description: 'swipes in fury' },
-            'thorn_storm': { damage: baseDamage * 1.5, description: 'summons a storm of thorns' },
-            
-            // Mountain King abilities
-            'boulder_throw': { damage: baseDamage * 1.2, description: 'hurls a massive boulder' },
-            'stone_shield': { damage: baseDamage * 0.5, description: 'blocks with stone shield' },
-            'earthquake': { damage: baseDamage * 1.6, description: 'causes the ground to shake' },
-            'rock_avalanche': { damage: baseDamage * 1.8, description: 'triggers a rock avalanche' },
-            
-            // Desert Pharaoh abilities
-            'sand_blast': { damage: baseDamage * 1.1, description: 'blasts with sand' },
-            'mummy_summon': { damage: baseDamage * 0.8, description: 'summons mummy minions' },
-            'solar_beam': { damage: baseDamage * 1.7, description: 'fires a concentrated solar beam' },
-            'sand_storm': { damage: baseDamage * 1.4, description: 'creates a blinding sandstorm' },
-            'death_curse': { damage: baseDamage * 2.0, description: 'casts a deadly curse' },
-            'pharaoh_resurrection': { damage: baseDamage * 0.3, description: 'attempts resurrection magic' },
-            
-            // Ice Empress abilities
-            'ice_shard': { damage: baseDamage * 1.0, description: 'fires ice shards' },
-            'frost_armor': { damage: baseDamage * 0.6, description: 'strengthens frost armor' },
-            'blizzard': { damage: baseDamage * 1.5, description: 'summons a fierce blizzard' },
-            'ice_prison': { damage: baseDamage * 1.2, description: 'traps you in ice' },
-            'absolute_zero': { damage: baseDamage * 2.2, description: 'unleashes absolute zero' },
-            'ice_resurrection': { damage: baseDamage * 0.4, description: 'attempts ice resurrection' },
-            
-            // Crystal Dragon abilities
-            'crystal_breath': { damage: baseDamage * 1.3, description: 'breathes crystal shards' },
-            'wing_buffet': { damage: baseDamage * 1.0, description: 'attacks with powerful wings' },
-            'prism_beam': { damage: baseDamage * 1.6, description: 'fires a prism beam' },
-            'crystal_storm': { damage: baseDamage * 1.8, description: 'creates a crystal storm' },
-            'flame_crystal_breath': { damage: baseDamage * 2.0, description: 'breathes flaming crystals' },
-            'tail_smash': { damage: baseDamage * 1.7, description: 'smashes with crystal tail' },
-            'dragon_nova': { damage: baseDamage * 2.8, description: 'unleashes dragon nova' },
-            'crystal_rebirth': { damage: baseDamage * 0.5, description: 'attempts crystal rebirth' }
-        };
-
-        const effect = abilityEffects[randomAbility] || { 
-            damage: baseDamage, 
-            description: 'attacks' 
+        const ability = this.abilityDefinitions[randomAbility] || {
+            multiplier: 1.0,
+            description: 'attacks'
         };
 
         return {
             action: randomAbility,
-            damage: Math.floor(effect.damage),
-            description: effect.description
+            damage: Math.floor(baseDamage * ability.multiplier),
+            description: ability.description,
+            statusEffect: ability.statusEffect || null
         };
     }
 
@@ -518,7 +552,7 @@ class BossManager {
             bossesDefeated: Array.from(this.bossDefeated)
         };
         
-        this.stateManager.setState({
+        this.stateManager.updateState({
             bosses: bossState
         });
         
@@ -3,13 +3,21 @@
  * @module CraftingSystem
  */
 
+import { RandomService } from '../core/random-service.js';
+import { GameClock } from '../core/game-clock.js';
+
 export class CraftingSystem {
-    constructor(stateManager, eventSystem, materialManager, inventoryManager) {
+    constructor(stateManager, eventSystem, materialManager, inventoryManager, randomService = null) {
         this.stateManager = stateManager;
         this.eventSystem = eventSystem;
         this.materialManager = materialManager;
         this.inventoryManager = inventoryManager;
         
+        // Saved with the game, so reloading cannot re-roll a failed craft
+        this.randomService = randomService || new RandomService();
+        this.rng = this.randomService.getStream(this.randomService.STREAMS.CRAFTING);
+        this.clock = new GameClock(); // Replaced by a virtual clock in headless simulations
+        
         this.CRAFTING_CATEGORIES = {
             WEAPONS: 'weapons',
             ARMOR: 'armor',
@@ -31,6 +39,10 @@ export class CraftingSystem {
             master: 0.60
         };
         
+        // Jobs run one at a time, in order; the rest wait in the queue
+        this.MAX_QUEUE_LENGTH = 5;
+        this.queueTimer = null; // Fires when the active job is due
+        
         this.initializeRecipes();
         this.setupEventListeners();
     }
@@ -131,6 +143,92 @@ export class CraftingSystem {
             },
             
             // Accessories
+            leather_charm: {
+                id: 'leather_charm',
+                name: 'Leather Charm',
+                description: 'A knotted hide charm worn by scouts',
+                category: this.CRAFTING_CATEGORIES.ACCESSORIES,
+                difficulty: this.CRAFTING_DIFFICULTY.SIMPLE,
+                craftTime: 2500, // 2.5 seconds
+                requirements: {
+                    leather: 3,
+                    cloth: 2
+                },
+                results: {
+                    itemId: 'leather_charm',
+                    quantity: 1,
+                    quality: 'normal'
+                },
+                unlockRequirements: {
+                    playerLevel: 2
+                }
+            },
+            
+            iron_ring: {
+                id: 'iron_ring',
+                name: 'Iron Ring',
+                description: 'A plain band that steadies the sword arm',
+                category: this.CRAFTING_CATEGORIES.ACCESSORIES,
+                difficulty: this.CRAFTING_DIFFICULTY.SIMPLE,
+                craftTime: 3000, // 3 seconds
+                requirements: {
+                    iron_ore: 4,
+                    stone: 2
+                },
+                results: {
+                    itemId: 'iron_ring',
+                    quantity: 1,
+                    quality: 'normal'
+                },
+                unlockRequirements: {
+                    playerLevel: 3
+                }
+            },
+            
+            silver_ring: {
+                id: 'silver_ring',
+                name: 'Silver Ring',
+                description: 'Polished silver that catches openings in a foe\'s guard',
+                category: this.CRAFTING_CATEGORIES.ACCESSORIES,
+                difficulty: this.CRAFTING_DIFFICULTY.MODERATE,
+                craftTime: 5000, // 5 seconds
+                requirements: {
+                    silver_ore: 3,
+                    iron_ore: 2
+                },
+                results: {
+                    itemId: 'silver_ring',
+                    quantity: 1,
+                    quality: 'normal'
+                },
+                unlockRequirements: {
+                    playerLevel: 5,
+                    craftedItems: ['iron_ring']
+                }
+            },
+            
+            crystal_amulet: {
+                id: 'crystal_amulet',
+                name: 'Crystal Amulet',
+                description: 'A magic crystal set in silver that wards off dark magic',
+                category: this.CRAFTING_CATEGORIES.ACCESSORIES,
+                difficulty: this.CRAFTING_DIFFICULTY.COMPLEX,
+                craftTime: 7000, // 7 seconds
+                requirements: {
+                    magic_crystal: 2,
+                    silver_ore: 2
+                },
+                results: {
+                    itemId: 'crystal_amulet',
+                    quantity: 1,
+                    quality: 'normal'
+                },
+                unlockRequirements: {
+                    playerLevel: 6
+                }
+            },
+            
+            // Consumables
             health_potion: {
                 id: 'health_potion',
                 name: 'Health Potion',
@@ -152,6 +250,157 @@ export class CraftingSystem {
                 }
             },
             
+            antidote: {
+                id: 'antidote',
+                name: 'Antidote',
+                description: 'Cures poison and burns',
+                category: this.CRAFTING_CATEGORIES.CONSUMABLES,
+                difficulty: this.CRAFTING_DIFFICULTY.SIMPLE,
+                craftTime: 1500, // 1.5 seconds
+                requirements: {
+                    cloth: 1,
+                    wood: 2
+                },
+                results: {
+                    itemId: 'antidote',
+                    quantity: 2,
+                    quality: 'normal'
+                },
+                unlockRequirements: {
+                    playerLevel: 2
+                }
+            },
+            
+            cleansing_tonic: {
+                id: 'cleansing_tonic',
+                name: 'Cleansing Tonic',
+                description: 'Removes all status effects',
+                category: this.CRAFTING_CATEGORIES.CONSUMABLES,
+                difficulty: this.CRAFTING_DIFFICULTY.MODERATE,
+                craftTime: 3000, // 3 seconds
+                requirements: {
+                    cloth: 2,
+                    magic_crystal: 1
+                },
+                results: {
+                    itemId: 'cleansing_tonic',
+                    quantity: 2,
+                    quality: 'normal'
+                },
+                unlockRequirements: {
+                    playerLevel: 4,
+                    craftedItems: ['antidote']
+                }
+            },
+            
+            battle_elixir: {
+                id: 'battle_elixir',
+                name: 'Battle Elixir',
+                description: '+20% attack for the next 3 fights',
+                category: this.CRAFTING_CATEGORIES.CONSUMABLES,
+                difficulty: this.CRAFTING_DIFFICULTY.MODERATE,
+                craftTime: 3000, // 3 seconds
+                requirements: {
+                    wood: 2,
+                    iron_ore: 1
+                },
+                results: {
+                    itemId: 'battle_elixir',
+                    quantity: 1,
+                    quality: 'normal'
+                },
+                unlockRequirements: {
+                    playerLevel: 3
+                }
+            },
+            
+            smoke_bomb: {
+                id: 'smoke_bomb',
+                name: 'Smoke Bomb',
+                description: 'Escape from a fight (not from bosses)',
+                category: this.CRAFTING_CATEGORIES.CONSUMABLES,
+                difficulty: this.CRAFTING_DIFFICULTY.SIMPLE,
+                craftTime: 2000, // 2 seconds
+                requirements: {
+                    cloth: 1,
+                    stone: 2
+                },
+                results: {
+                    itemId: 'smoke_bomb',
+                    quantity: 2,
+                    quality: 'normal'
+                },
+                unlockRequirements: {
+                    playerLevel: 2
+                }
+            },
+            
+            // Bags
+            material_pouch: {
+                id: 'material_pouch',
+                name: 'Material Pouch',
+                description: '+5 material slots when used',
+                category: this.CRAFTING_CATEGORIES.CONSUMABLES,
+                difficulty: this.CRAFTING_DIFFICULTY.SIMPLE,
+                craftTime: 2500, // 2.5 seconds
+                requirements: {
+                    cloth: 4,
+                    wood: 2
+                },
+                results: {
+                    itemId: 'material_pouch',
+                    quantity: 1,
+                    quality: 'normal'
+                },
+                unlockRequirements: {
+                    playerLevel: 2
+                }
+            },
+            
+            gear_satchel: {
+                id: 'gear_satchel',
+                name: 'Gear Satchel',
+                description: '+5 equipment slots when used',
+                category: this.CRAFTING_CATEGORIES.CONSUMABLES,
+                difficulty: this.CRAFTING_DIFFICULTY.MODERATE,
+                craftTime: 4000, // 4 seconds
+                requirements: {
+                    cloth: 5,
+                    iron_ore: 2
+                },
+                results: {
+                    itemId: 'gear_satchel',
+                    quantity: 1,
+                    quality: 'normal'
+                },
+                unlockRequirements: {
+                    playerLevel: 3,
+                    craftedItems: ['material_pouch']
+                }
+            },
+            
+            potion_belt: {
+                id: 'potion_belt',
+                name: 'Potion Belt',
+                description: '+3 consumable slots when used',
+                category: this.CRAFTING_CATEGORIES.CONSUMABLES,
+                difficulty: this.CRAFTING_DIFFICULTY.MODERATE,
+                craftTime: 3000, // 3 seconds
+                requirements: {
+                    cloth: 3,
+                    silver_ore: 1
+                },
+                results: {
+                    itemId: 'potion_belt',
+                    quantity: 1,
+                    quality: 'normal'
+                },
+                unlockRequirements: {
+                    playerLevel: 3,
+                    craftedItems: ['material_pouch']
+                }
+            },
+            
             // Advanced items
             silver_sword: {
                 id: 'silver_sword',
@@ -253,6 +502,15 @@ export class CraftingSystem {
         this.eventSystem.on('item_crafted', () => {
             this.checkRecipeUnlocks();
         });
+        
+        this.eventSystem.on('cancel_craft', (data) => {
+            this.cancelCraft(data.jobId);
+        });
+        
+        // Finish jobs that came due while the game was closed and resume the timer
+        this.eventSystem.on('stateLoaded', () => {
+            this.processCraftingQueue(true);
+        });
     }
     
     /**
@@ -278,6 +536,15 @@ export class CraftingSystem {
             return false;
         }
         
+        if (this.getCraftingQueue().length >= this.MAX_QUEUE_LENGTH) {
+            console.log(`Crafting queue is full (${this.MAX_QUEUE_LENGTH} jobs)`);
+            this.eventSystem.emit('crafting_failed', {
+                reason: 'queue_full',
+                recipeId: recipeId
+            });
+            return false;
+        }
+        
         // Check if we have enough materials
         const totalRequirements = {};
         for (const [materialId, amount] of Object.entries(recipe.requirements)) {
@@ -294,47 +561,224 @@ export class CraftingSystem {
             return false;
         }
         
-        // Start crafting process
+        // Queue the job; it starts as soon as the jobs ahead of it finish
         this.startCrafting(recipeId, quantity, totalRequirements);
         return true;
     }
     
     /**
-     * Start the crafting process
+     * Pay for a craft and add it to the crafting queue
      * @param {string} recipeId - Recipe to craft
      * @param {number} quantity - Number to craft
      * @param {Object} materialRequirements - Materials needed
+     * @returns {Object} Queued job
      */
     startCrafting(recipeId, quantity, materialRequirements) {
         const recipe = this.recipes[recipeId];
+        const crafting = this.stateManager.getStateValue('crafting') || {};
+        const jobNumber = crafting.nextJobId || 1;
         
-        // Remove materials from inventory
+        // Remove materials from inventory; they are kept on the job for refunds
         for (const [materialId, amount] of Object.entries(materialRequirements)) {
             this.materialManager.removeMaterial(materialId, amount);
         }
         
-        // Emit crafting started event
-        this.eventSystem.emit('crafting_started', {
+        const job = {
+            id: `craft_${jobNumber}`,
             recipeId: recipeId,
             quantity: quantity,
-            craftTime: recipe.craftTime * quantity,
-            materialsUsed: materialRequirements
+            materials: materialRequirements,
+            duration: recipe.craftTime * quantity,
+            queuedAt: this.clock.now(),
+            startedAt: null // Set when the job reaches the front of the queue
+        };
+        
+        this.stateManager.updateState({
+            crafting: {
+                ...crafting,
+                queue: [...(crafting.queue || []), job],
+                nextJobId: jobNumber + 1
+            }
+        });
+        
+        this.eventSystem.emit('crafting_job_queued', {
+            job: job,
+            position: (crafting.queue || []).length
         });
         
-        console.log(`🔨 Started crafting ${quantity}x ${recipe.name}`);
+        console.log(`📋 Queued ${quantity}x ${recipe.name}`);
         
-        // Simulate crafting time
-        setTimeout(() => {
-            this.completeCrafting(recipeId, quantity);
-        }, recipe.craftTime * quantity);
+        this.processCraftingQueue(true);
+        return job;
+    }
+    
+    /**
+     * Finish every job that is due and start the next one
+     * Jobs are timed against the wall clock, so a job queued behind one that
+     * finished while the game was closed starts when that job finished, not on load.
+     * @param {boolean} queueChanged - Announce the queue even if no job finished or started
+     */
+    processCraftingQueue(queueChanged = false) {
+        const crafting = this.stateManager.getStateValue('crafting') || {};
+        const queue = [...(crafting.queue || [])];
+        const now = this.clock.now();
+        const finishedJobs = [];
+        let startedJob = null;
+        let nextStart = now;
+        
+        while (queue.length > 0) {
+            if (!this.isJobStarted(queue[0])) {
+                queue[0] = { ...queue[0], startedAt: nextStart };
+                startedJob = queue[0];
+            }
+            
+            const job = queue[0];
+            if (job.startedAt + job.duration > now) {
+                break;
+            }
+            
+            finishedJobs.push(queue.shift());
+            nextStart = job.startedAt + job.duration;
+        }
+        
+        if (finishedJobs.length > 0 || startedJob) {
+            this.stateManager.updateState({
+                crafting: { ...crafting, queue }
+            });
+        }
+        
+        finishedJobs.forEach(job => {
+            if (this.recipes[job.recipeId]) {
+                this.completeCrafting(job.recipeId, job.quantity, job.id);
+            } else {
+                // Recipe no longer exists (e.g. its content pack was removed)
+                this.materialManager.refundMaterials(job.materials);
+                this.eventSystem.emit('crafting_job_cancelled', { job, reason: 'recipe_missing' });
+            }
+        });
+        
+        // Completion listeners may have queued or cancelled jobs in the meantime
+        const activeJob = (this.stateManager.getStateValue('crafting.queue') || [])[0];
+        
+        if (startedJob && activeJob?.id === startedJob.id) {
+            this.eventSystem.emit('crafting_started', {
+                jobId: startedJob.id,
+                recipeId: startedJob.recipeId,
+                quantity: startedJob.quantity,
+                craftTime: startedJob.duration,
+                materialsUsed: startedJob.materials
+            });
+        }
+        
+        this.scheduleQueueTimer(activeJob);
+        
+        if (queueChanged || finishedJobs.length > 0 || startedJob) {
+            this.eventSystem.emit('crafting_queue_updated', {
+                queue: this.getCraftingQueue()
+            });
+        }
+    }
+    
+    /**
+     * Set the timer for the active job
+     * @param {Object} activeJob - Job at the front of the queue (or undefined)
+     */
+    scheduleQueueTimer(activeJob) {
+        if (this.queueTimer) {
+            this.clock.clearTimeout(this.queueTimer);
+            this.queueTimer = null;
+        }
+        
+        if (!activeJob) return;
+        
+        const remaining = Math.max(0, activeJob.startedAt + activeJob.duration - this.clock.now());
+        this.queueTimer = this.clock.setTimeout(() => {
+            this.queueTimer = null;
+            this.processCraftingQueue();
+        }, remaining);
+    }
+    
+    /**
+     * Cancel a queued or active job and refund its materials
+     * @param {string} jobId - Job ID
+     * @returns {boolean} True if the job was cancelled
+     */
+    cancelCraft(jobId) {
+        const crafting = this.stateManager.getStateValue('crafting') || {};
+        const queue = [...(crafting.queue || [])];
+        const index = queue.findIndex(job => job.id === jobId);
+        
+        if (index === -1) {
+            console.warn(`Crafting job not found: ${jobId}`);
+            return false;
+        }
+        
+        const [job] = queue.splice(index, 1);
+        
+        // Cancelling the active job lets the next one start now
+        if (index === 0 && queue.length > 0) {
+            queue[0] = { ...queue[0], startedAt: null };
+        }
+        
+        this.stateManager.updateState({
+            crafting: { ...crafting, queue }
+        });
+        
+        this.materialManager.refundMaterials(job.materials);
+        
+        this.eventSystem.emit('crafting_job_cancelled', {
+            job: job,
+            reason: 'cancelled',
+            refunded: job.materials
+        });
+        
+        console.log(`🚫 Cancelled crafting ${job.quantity}x ${this.recipes[job.recipeId]?.name || job.recipeId}`);
+        
+        this.processCraftingQueue(true);
+        return true;
+    }
+    
+    /**
+     * Check whether a job has reached the front of the queue and started
+     * Anything but a number counts as not started, so a corrupt save cannot finish a job early.
+     * @param {Object} job - Queued job
+     * @returns {boolean} True if the job has a start time
+     */
+    isJobStarted(job) {
+        return typeof job.startedAt === 'number' && Number.isFinite(job.startedAt);
+    }
+    
+    /**
+     * Get the crafting queue with progress for each job
+     * @returns {Array} Jobs in order, the active job first
+     */
+    getCraftingQueue() {
+        const queue = this.stateManager.getStateValue('crafting.queue') || [];
+        const now = this.clock.now();
+        
+        return queue.map((job, index) => {
+            const elapsed = !this.isJobStarted(job)
+                ? 0
+                : Math.min(job.duration, Math.max(0, now - job.startedAt));
+            
+            return {
+                ...job,
+                recipeName: this.recipes[job.recipeId]?.name || job.recipeId,
+                position: index,
+                active: this.isJobStarted(job),
+                progress: job.duration > 0 ? elapsed / job.duration : 1,
+                remaining: job.duration - elapsed
+            };
+        });
     }
     
     /**
      * Complete the crafting process
      * @param {string} recipeId - Recipe that was crafted
      * @param {number} quantity - Number crafted
+     * @param {string} jobId - Queue job that finished
      */
-    completeCrafting(recipeId, quantity) {
+    completeCrafting(recipeId, quantity, jobId = null) {
         const recipe = this.recipes[recipeId];
         let successfulCrafts = 0;
         
@@ -371,6 +815,7 @@ export class CraftingSystem {
         
         // Emit crafting completed event
         this.eventSystem.emit('crafting_completed', {
+            jobId: jobId,
             recipeId: recipeId,
             successful: successfulCrafts,
             failed: failedCrafts,
@@ -388,7 +833,8 @@ export class CraftingSystem {
      */
     calculateCraftingSuccess(difficulty) {
         const successRate = this.SUCCESS_RATES[difficulty] || 0.5;
-        const roll = Math.random();
+        const roll = this.rng.next();
+        this.randomService.syncState();
         
         // Bonus success chance based on player level (1% per level up to 10%)
         const player = this.stateManager.getStateValue('player');
@@ -548,6 +994,16 @@ export class CraftingSystem {
         }
     }
     
+    /**
+     * Add or replace recipes (used by content packs)
+     * @param {Object} recipes - Recipes keyed by recipe ID
+     */
+    registerRecipes(recipes) {
+        Object.entries(recipes).forEach(([recipeId, recipe]) => {
+            this.recipes[recipeId] = { ...recipe, id: recipeId };
+        });
+    }
+    
     /**
      * Get recipe information
      * @param {string} recipeId - Recipe ID
@@ -3,10 +3,14 @@
  * @module DailyChallenges
  */
 
+import { RandomService } from '../core/random-service.js';
+
 class DailyChallenges {
-    constructor(stateManager, eventSystem) {
+    constructor(stateManager, eventSystem, randomService = null) {
         this.stateManager = stateManager;
         this.eventSystem = eventSystem;
+        const random = randomService || new RandomService();
+        this.rng = random.getStream(random.STREAMS.CHALLENGES);
         
         // Challenge types and their configurations
         this.challengeTypes = {
@@ -138,7 +142,7 @@ class DailyChallenges {
         const selectedChallenges = [];
         
         // Ensure we don't pick the same challenge type twice
-        const shuffled = [...challengeTypeKeys].sort(() => Math.random() - 0.5);
+        const shuffled = this.rng.shuffle(challengeTypeKeys);
         
         for (let i = 0; i < 3 && i < shuffled.length; i++) {
             const challengeType = this.challengeTypes[shuffled[i]];
@@ -162,7 +166,7 @@ class DailyChallenges {
         };
         
         const possibleTargets = targets[challengeType.id] || [5, 10, 15];
-        const target = possibleTargets[Math.floor(Math.random() * possibleTargets.length)];
+        const target = this.rng.pick(possibleTargets);
         
         // Calculate reward based on difficulty
         const difficultyMultiplier = 1 + (target / possibleTargets[possibleTargets.length - 1]);
@@ -283,7 +287,7 @@ class DailyChallenges {
         
         // Emit streak update event for achievements
         this.eventSystem.emit('challenge_streak_updated', {
-            streak: state.dailyChallenges.currentStreak
+            streak: state.dailyChallenges.streak
         });
         
         console.log(`✅ Challenge completed: ${challenge.name} - Reward: ${challenge.rewardAmount} ${challenge.rewardType}`);
@@ -300,7 +304,7 @@ class DailyChallenges {
                 // Give random materials
                 const materialTypes = ['cloth', 'stone', 'wood', 'iron_ore', 'gem'];
                 for (let i = 0; i < amount; i++) {
-                    const materialType = materialTypes[Math.floor(Math.random() * materialTypes.length)];
+                    const materialType = this.rng.pick(materialTypes);
                     this.eventSystem.emit('material_collected', {
                         type: materialType,
                         quantity: 1,
@@ -0,0 +1,253 @@
+/**
+ * Defeat Penalty Manager - Tracks loot at risk and applies the chosen penalty on defeat
+ * @module DefeatPenaltyManager
+ */
+
+import { GameClock } from '../core/game-clock.js';
+
+export class DefeatPenaltyManager {
+    constructor(stateManager, eventSystem, materialManager, levelingSystem) {
+        this.stateManager = stateManager;
+        this.eventSystem = eventSystem;
+        this.materialManager = materialManager;
+        this.levelingSystem = levelingSystem; // Supplies the EXP curve
+        this.clock = new GameClock(); // Replaced by a virtual clock in headless simulations
+        
+        // The player picks one of these; each is a different kind of risk
+        this.PENALTIES = {
+            MATERIALS: 'materials',   // Lose part of the loot gathered since it was last banked
+            EXPERIENCE: 'experience', // Lose part of the EXP needed for the next level
+            RESPAWN: 'respawn'        // Wait before fighting again
+        };
+        
+        this.MATERIAL_LOSS_RATE = 0.25;  // Of each unbanked material
+        this.EXP_LOSS_RATE = 0.2;        // Of the EXP needed for the next level; never loses a level
+        this.RESPAWN_TIME = 60000;       // 1 minute
+        
+        this.initializeDefeatState();
+        this.setupEventListeners();
+        
+        console.log('💀 Defeat Penalty Manager initialized');
+    }
+    
+    /**
+     * Initialize defeat state
+     */
+    initializeDefeatState() {
+        const state = this.stateManager.getState();
+        
+        if (!state.defeat) {
+            this.stateManager.updateState({
+                defeat: {
+                    penalty: this.PENALTIES.MATERIALS,
+                    unbankedMaterials: {},
+                    respawnUntil: 0,
+                    lastSummary: null
+                }
+            });
+        }
+    }
+    
+    /**
+     * Setup event listeners for loot tracking and banking
+     */
+    setupEventListeners() {
+        // Saves from before defeat penalties have no defeat state
+        this.eventSystem.on('stateLoaded', () => {
+            this.initializeDefeatState();
+        });
+        
+        // Combat loot is at risk until it is banked
+        this.eventSystem.on('material_collected', (data) => {
+            if (data.source === 'combat' || data.source === 'boss') {
+                this.trackLoot(data.materialId, data.stored ?? data.quantity);
+            }
+        });
+        
+        // Leaving a stage or ending an auto-battle run on purpose banks the loot
+        this.eventSystem.on('STAGE_CHANGED', () => {
+            this.bankMaterials();
+        });
+        
+        this.eventSystem.on('auto_battle_stopped', (data) => {
+            if (data.reason !== 'defeat') {
+                this.bankMaterials();
+            }
+        });
+        
+        this.eventSystem.on('button_click', (data) => {
+            if (data.buttonId === 'bank-loot-btn') {
+                this.bankMaterials();
+            }
+        });
+        
+        this.eventSystem.on('defeat_penalty_select', (data) => {
+            this.setPenalty(data.penalty);
+        });
+    }
+    
+    /**
+     * Get the penalty applied on defeat
+     * @returns {string} Penalty from PENALTIES
+     */
+    getPenalty() {
+        return this.stateManager.getStateValue('defeat.penalty') || this.PENALTIES.MATERIALS;
+    }
+    
+    /**
+     * Choose the penalty applied on defeat
+     * @param {string} penalty - Penalty from PENALTIES
+     * @returns {boolean} True if the penalty is valid
+     */
+    setPenalty(penalty) {
+        if (!Object.values(this.PENALTIES).includes(penalty)) return false;
+        
+        this.stateManager.updateState({ defeat: { penalty } });
+        this.eventSystem.emit('defeat_penalty_changed', { penalty });
+        
+        return true;
+    }
+    
+    /**
+     * Get combat loot that has not been banked yet
+     * @returns {Object} Material ID -> quantity
+     */
+    getUnbankedMaterials() {
+        return this.stateManager.getStateValue('defeat.unbankedMaterials') || {};
+    }
+    
+    /**
+     * Count combat loot that has not been banked yet
+     * @returns {number} Total unbanked materials
+     */
+    getUnbankedCount() {
+        return Object.values(this.getUnbankedMaterials()).reduce((total, quantity) => total + quantity, 0);
+    }
+    
+    /**
+     * Add combat loot to the unbanked tally
+     * @param {string} materialId - Material ID
+     * @param {number} quantity - Quantity stored
+     */
+    trackLoot(materialId, quantity) {
+        if (!(quantity > 0)) return;
+        
+        const unbankedMaterials = { ...this.getUnbankedMaterials() };
+        unbankedMaterials[materialId] = (unbankedMaterials[materialId] || 0) + quantity;
+        
+        this.setUnbankedMaterials(unbankedMaterials);
+    }
+    
+    /**
+     * Make all unbanked loot safe from the materials penalty
+     * @returns {number} Materials banked
+     */
+    bankMaterials() {
+        const banked = this.getUnbankedCount();
+        if (banked === 0) return 0;
+        
+        this.setUnbankedMaterials({});
+        
+        console.log(`🏦 Banked ${banked} materials`);
+        
+        this.eventSystem.emit('materials_banked', { quantity: banked });
+        
+        return banked;
+    }
+    
+    /**
+     * Replace the unbanked tally (a deep merge would keep banked keys)
+     * @param {Object} unbankedMaterials - Material ID -> quantity
+     */
+    setUnbankedMaterials(unbankedMaterials) {
+        this.stateManager.updateState(
+            { defeat: { unbankedMaterials } },
+            { replace: ['defeat.unbankedMaterials'] }
+        );
+    }
+    
+    /**
+     * Get how long the player must wait before fighting again
+     * @returns {number} Milliseconds left (0 when the player can fight)
+     */
+    getRespawnRemaining() {
+        const respawnUntil = this.stateManager.getStateValue('defeat.respawnUntil') || 0;
+        return Math.max(0, respawnUntil - this.clock.now());
+    }
+    
+    /**
+     * Apply the chosen penalty after a defeat and announce the summary
+     * The run ends with the defeat, so whatever unbanked loot survives is banked.
+     * @param {Object} enemy - Enemy that won
+     * @returns {Object} Summary ({ enemy, penalty, materialsLost, expLost, respawnTime })
+     */
+    applyDefeatPenalty(enemy) {
+        const penalty = this.getPenalty();
+        const summary = {
+            enemy: enemy ? { name: enemy.name, level: enemy.level, isBoss: enemy.isBoss || false } : null,
+            penalty: penalty,
+            materialsLost: {},
+            expLost: 0,
+            respawnTime: 0,
+            time: this.clock.now()
+        };
+        
+        switch (penalty) {
+            case this.PENALTIES.MATERIALS:
+                summary.materialsLost = this.loseUnbankedMaterials();
+                break;
+            case this.PENALTIES.EXPERIENCE:
+                summary.expLost = this.loseExperience();
+                break;
+            case this.PENALTIES.RESPAWN:
+                summary.respawnTime = this.RESPAWN_TIME;
+                this.stateManager.updateState({ defeat: { respawnUntil: this.clock.now() + this.RESPAWN_TIME } });
+                break;
+        }
+        
+        this.bankMaterials();
+        this.stateManager.updateState({ defeat: { lastSummary: summary } });
+        
+        console.log(`💀 Defeat penalty (${penalty}) applied`);
+        
+        this.eventSystem.emit('defeat_summary', summary);
+        
+        return summary;
+    }
+    
+    /**
+     * Remove MATERIAL_LOSS_RATE of each unbanked material (rounded up, so small hauls still cost something)
+     * @returns {Object} Material ID -> quantity lost
+     */
+    loseUnbankedMaterials() {
+        const lost = {};
+        
+        for (const [materialId, quantity] of Object.entries(this.getUnbankedMaterials())) {
+            const amount = Math.min(
+                Math.ceil(quantity * this.MATERIAL_LOSS_RATE),
+                this.materialManager.getMaterialCount(materialId)
+            );
+            
+            if (amount > 0 && this.materialManager.removeMaterial(materialId, amount)) {
+                lost[materialId] = amount;
+            }
+        }
+        
+        return lost;
+    }
+    
+    /**
+     * Remove EXP_LOSS_RATE of the EXP needed for the next level, down to 0
+     * @returns {number} EXP lost
+     */
+    loseExperience() {
+        const player = this.stateManager.getStateValue('player');
+        const expLost = Math.min(player.exp, Math.floor(this.levelingSystem.getExpForLevel(player.level) * this.EXP_LOSS_RATE));
+        
+        if (expLost > 0) {
+            this.stateManager.updateState({ player: { exp: player.exp - expLost } });
+        }
+        
+        return expLost;
+    }
+}
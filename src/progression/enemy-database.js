@@ -11,6 +11,12 @@ class EnemyDatabase {
     
     /**
      * Initialize enemy definitions
+     * Abilities are used by EnemyAI special/heal actions:
+     * - attack: damage is a multiplier of the enemy's attack, optional element and
+     *   statusEffect ({ id, chance }) applied on hit
+     * - heal: heal is a fraction of max HP
+     * - defend: reduction is the fraction of the next hit that is blocked
+     * - buff: raises stat by amount (fraction) for the rest of the fight
      * @returns {Object} Enemy configuration database
      */
     initializeEnemies() {
@@ -22,9 +28,14 @@ class EnemyDatabase {
                 baseStats: {
                     hp: 25,
                     attack: 6,
-                    defense: 2
+                    defense: 2,
+                    speed: 11
                 },
                 aiType: 'aggressive',
+                element: 'physical',
+                abilities: [
+                    { id: 'dirty_stab', name: 'Dirty Stab', type: 'attack', damage: 1.4, description: 'stabs with a rusty dagger', statusEffect: { id: 'poison', chance: 0.4 } }
+                ],
                 materialDrops: [
                     { type: 'cloth', rarity: 'common', quantity: [1, 3] },
                     { type: 'wood', rarity: 'common', quantity: [1, 2] }
@@ -33,7 +44,8 @@ class EnemyDatabase {
                 levelScaling: {
                     hp: 5,
                     attack: 2,
-                    defense: 1
+                    defense: 1,
+                    speed: 0.2
                 },
                 stage: 1,
                 color: '#4a7c59'
@@ -45,9 +57,15 @@ class EnemyDatabase {
                 baseStats: {
                     hp: 15,
                     attack: 4,
-                    defense: 1
+                    defense: 1,
+                    speed: 20
                 },
                 aiType: 'defensive',
+                element: 'physical',
+                abilities: [
+                    { id: 'burrow', name: 'Burrow', type: 'defend', reduction: 0.75, description: 'burrows into the ground' },
+                    { id: 'nibble_herbs', name: 'Nibble Herbs', type: 'heal', heal: 0.2, description: 'nibbles on healing herbs' }
+                ],
                 materialDrops: [
                     { type: 'leather', rarity: 'common', quantity: [1, 2] },
                     { type: 'cloth', rarity: 'common', quantity: [1, 1] }
@@ -56,7 +74,8 @@ class EnemyDatabase {
                 levelScaling: {
                     hp: 3,
                     attack: 1,
-                    defense: 0.5
+                    defense: 0.5,
+                    speed: 0.3
                 },
                 stage: 1,
                 color: '#8b4513'
@@ -69,9 +88,15 @@ class EnemyDatabase {
                 baseStats: {
                     hp: 40,
                     attack: 12,
-                    defense: 4
+                    defense: 4,
+                    speed: 16
                 },
                 aiType: 'smart',
+                element: 'dark',
+                abilities: [
+                    { id: 'shadow_bite', name: 'Shadow Bite', type: 'attack', damage: 1.6, element: 'dark', description: 'lunges from the shadows' },
+                    { id: 'howl', name: 'Howl', type: 'buff', stat: 'attack', amount: 0.25, description: 'howls and bares its fangs' }
+                ],
                 materialDrops: [
                     { type: 'leather', rarity: 'uncommon', quantity: [2, 4] },
                     { type: 'shadow_essence', rarity: 'rare', quantity: [1, 1] },
@@ -81,7 +106,8 @@ class EnemyDatabase {
                 levelScaling: {
                     hp: 8,
                     attack: 3,
-                    defense: 1.5
+                    defense: 1.5,
+                    speed: 0.3
                 },
                 stage: 2,
                 color: '#2c2c54'
@@ -93,9 +119,15 @@ class EnemyDatabase {
                 baseStats: {
                     hp: 60,
                     attack: 8,
-                    defense: 8
+                    defense: 8,
+                    speed: 5
                 },
                 aiType: 'defensive',
+                element: 'dark',
+                abilities: [
+                    { id: 'bark_skin', name: 'Bark Skin', type: 'buff', stat: 'defense', amount: 0.5, description: 'hardens its bark' },
+                    { id: 'sap_drain', name: 'Sap Drain', type: 'heal', heal: 0.15, description: 'draws sap from its roots' }
+                ],
                 materialDrops: [
                     { type: 'wood', rarity: 'uncommon', quantity: [3, 5] },
                     { type: 'corrupted_bark', rarity: 'rare', quantity: [1, 2] },
@@ -105,7 +137,8 @@ class EnemyDatabase {
                 levelScaling: {
                     hp: 12,
                     attack: 2,
-                    defense: 2.5
+                    defense: 2.5,
+                    speed: 0.1
                 },
                 stage: 2,
                 color: '#1a1a2e'
@@ -118,9 +151,15 @@ class EnemyDatabase {
                 baseStats: {
                     hp: 80,
                     attack: 18,
-                    defense: 6
+                    defense: 6,
+                    speed: 7
                 },
                 aiType: 'berserker',
+                element: 'physical',
+                abilities: [
+                    { id: 'club_smash', name: 'Club Smash', type: 'attack', damage: 1.8, description: 'smashes down with its club', statusEffect: { id: 'stun', chance: 0.25 } },
+                    { id: 'regenerate', name: 'Regenerate', type: 'heal', heal: 0.1, description: 'regenerates its wounds' }
+                ],
                 materialDrops: [
                     { type: 'stone', rarity: 'common', quantity: [2, 4] },
                     { type: 'troll_hide', rarity: 'uncommon', quantity: [1, 2] },
@@ -130,7 +169,8 @@ class EnemyDatabase {
                 levelScaling: {
                     hp: 15,
                     attack: 4,
-                    defense: 2
+                    defense: 2,
+                    speed: 0.1
                 },
                 stage: 3,
                 color: '#5d4e75'
@@ -142,9 +182,15 @@ class EnemyDatabase {
                 baseStats: {
                     hp: 100,
                     attack: 12,
-                    defense: 12
+                    defense: 12,
+                    speed: 4
                 },
                 aiType: 'balanced',
+                element: 'physical',
+                abilities: [
+                    { id: 'rock_slam', name: 'Rock Slam', type: 'attack', damage: 1.5, description: 'slams the ground with stone fists' },
+                    { id: 'stone_wall', name: 'Stone Wall', type: 'defend', reduction: 0.8, description: 'becomes a wall of stone' }
+                ],
                 materialDrops: [
                     { type: 'stone', rarity: 'uncommon', quantity: [3, 6] },
                     { type: 'iron_ore', rarity: 'uncommon', quantity: [1, 3] },
@@ -154,7 +200,8 @@ class EnemyDatabase {
                 levelScaling: {
                     hp: 18,
                     attack: 3,
-                    defense: 3
+                    defense: 3,
+                    speed: 0.1
                 },
                 stage: 3,
                 color: '#696969'
@@ -166,9 +213,14 @@ class EnemyDatabase {
                 baseStats: {
                     hp: 50,
                     attack: 16,
-                    defense: 4
+                    defense: 4,
+                    speed: 15
                 },
                 aiType: 'aggressive',
+                element: 'ice',
+                abilities: [
+                    { id: 'frost_bite', name: 'Frost Bite', type: 'attack', damage: 1.5, element: 'ice', description: 'bites with freezing jaws', statusEffect: { id: 'freeze', chance: 0.2 } }
+                ],
                 materialDrops: [
                     { type: 'ice_crystal', rarity: 'uncommon', quantity: [1, 2] },
                     { type: 'frost_fur', rarity: 'rare', quantity: [1, 2] },
@@ -178,7 +230,8 @@ class EnemyDatabase {
                 levelScaling: {
                     hp: 10,
                     attack: 4,
-                    defense: 1.5
+                    defense: 1.5,
+                    speed: 0.3
                 },
                 stage: 3,
                 color: '#87ceeb'
@@ -191,9 +244,14 @@ class EnemyDatabase {
                 baseStats: {
                     hp: 70,
                     attack: 25,
-                    defense: 3
+                    defense: 3,
+                    speed: 13
                 },
                 aiType: 'aggressive',
+                element: 'fire',
+                abilities: [
+                    { id: 'flame_burst', name: 'Flame Burst', type: 'attack', damage: 1.7, element: 'fire', description: 'erupts in a burst of flame', statusEffect: { id: 'burn', chance: 0.4 } }
+                ],
                 materialDrops: [
                     { type: 'fire_essence', rarity: 'rare', quantity: [1, 2] },
                     { type: 'molten_rock', rarity: 'uncommon', quantity: [2, 3] },
@@ -203,7 +261,8 @@ class EnemyDatabase {
                 levelScaling: {
                     hp: 12,
                     attack: 6,
-                    defense: 1
+                    defense: 1,
+                    speed: 0.2
                 },
                 stage: 4,
                 color: '#ff4500'
@@ -215,9 +274,15 @@ class EnemyDatabase {
                 baseStats: {
                     hp: 60,
                     attack: 20,
-                    defense: 5
+                    defense: 5,
+                    speed: 9
                 },
                 aiType: 'smart',
+                element: 'fire',
+                abilities: [
+                    { id: 'magma_spit', name: 'Magma Spit', type: 'attack', damage: 1.5, element: 'fire', description: 'spits molten rock', statusEffect: { id: 'burn', chance: 0.3 } },
+                    { id: 'scale_harden', name: 'Scale Harden', type: 'buff', stat: 'defense', amount: 0.4, description: 'hardens its scales' }
+                ],
                 materialDrops: [
                     { type: 'dragon_scale', rarity: 'rare', quantity: [1, 2] },
                     { type: 'fire_essence', rarity: 'uncommon', quantity: [1, 2] },
@@ -227,7 +292,8 @@ class EnemyDatabase {
                 levelScaling: {
                     hp: 11,
                     attack: 5,
-                    defense: 1.5
+                    defense: 1.5,
+                    speed: 0.2
                 },
                 stage: 4,
                 color: '#dc143c'
@@ -239,9 +305,15 @@ class EnemyDatabase {
                 baseStats: {
                     hp: 45,
                     attack: 22,
-                    defense: 2
+                    defense: 2,
+                    speed: 18
                 },
                 aiType: 'smart',
+                element: 'fire',
+                abilities: [
+                    { id: 'fireball', name: 'Fireball', type: 'attack', damage: 1.6, element: 'fire', description: 'hurls a fireball', statusEffect: { id: 'burn', chance: 0.3 } },
+                    { id: 'imp_trick', name: 'Imp Trick', type: 'defend', reduction: 0.6, description: 'vanishes in a puff of smoke' }
+                ],
                 materialDrops: [
                     { type: 'demon_horn', rarity: 'rare', quantity: [1, 1] },
                     { type: 'fire_essence', rarity: 'uncommon', quantity: [1, 2] },
@@ -251,7 +323,8 @@ class EnemyDatabase {
                 levelScaling: {
                     hp: 9,
                     attack: 5,
-                    defense: 0.5
+                    defense: 0.5,
+                    speed: 0.3
                 },
                 stage: 4,
                 color: '#b22222'
@@ -264,9 +337,16 @@ class EnemyDatabase {
                 baseStats: {
                     hp: 120,
                     attack: 30,
-                    defense: 15
+                    defense: 15,
+                    speed: 6
                 },
                 aiType: 'healer',
+                element: 'light',
+                abilities: [
+                    { id: 'crystal_mend', name: 'Crystal Mend', type: 'heal', heal: 0.15, description: 'mends its cracks with crystal light' },
+                    { id: 'prism_shield', name: 'Prism Shield', type: 'buff', stat: 'defense', amount: 0.5, description: 'raises a prism shield' },
+                    { id: 'radiant_strike', name: 'Radiant Strike', type: 'attack', damage: 1.4, element: 'light', description: 'strikes with radiant force' }
+                ],
                 materialDrops: [
                     { type: 'pure_crystal', rarity: 'epic', quantity: [1, 2] },
                     { type: 'guardian_essence', rarity: 'legendary', quantity: [1, 1] },
@@ -276,7 +356,8 @@ class EnemyDatabase {
                 levelScaling: {
                     hp: 20,
                     attack: 7,
-                    defense: 4
+                    defense: 4,
+                    speed: 0.1
                 },
                 stage: 5,
                 color: '#9370db'
@@ -288,9 +369,15 @@ class EnemyDatabase {
                 baseStats: {
                     hp: 40,
                     attack: 35,
-                    defense: 2
+                    defense: 2,
+                    speed: 20
                 },
                 aiType: 'smart',
+                element: 'lightning',
+                abilities: [
+                    { id: 'arcane_bolt', name: 'Arcane Bolt', type: 'attack', damage: 1.8, element: 'lightning', description: 'fires a crackling bolt', statusEffect: { id: 'stun', chance: 0.2 } },
+                    { id: 'flicker', name: 'Flicker', type: 'defend', reduction: 0.9, description: 'flickers out of sight' }
+                ],
                 materialDrops: [
                     { type: 'wisp_essence', rarity: 'rare', quantity: [1, 2] },
                     { type: 'magic_crystal', rarity: 'uncommon', quantity: [1, 3] },
@@ -300,7 +387,8 @@ class EnemyDatabase {
                 levelScaling: {
                     hp: 8,
                     attack: 8,
-                    defense: 0.5
+                    defense: 0.5,
+                    speed: 0.3
                 },
                 stage: 5,
                 color: '#40e0d0'
@@ -312,9 +400,15 @@ class EnemyDatabase {
                 baseStats: {
                     hp: 150,
                     attack: 25,
-                    defense: 20
+                    defense: 20,
+                    speed: 8
                 },
                 aiType: 'balanced',
+                element: 'lightning',
+                abilities: [
+                    { id: 'arcane_beam', name: 'Arcane Beam', type: 'attack', damage: 1.6, element: 'lightning', description: 'fires an arcane beam' },
+                    { id: 'ward', name: 'Ward', type: 'buff', stat: 'defense', amount: 0.3, description: 'projects a protective ward' }
+                ],
                 materialDrops: [
                     { type: 'arcane_metal', rarity: 'epic', quantity: [1, 2] },
                     { type: 'sentinel_core', rarity: 'legendary', quantity: [1, 1] },
@@ -324,7 +418,8 @@ class EnemyDatabase {
                 levelScaling: {
                     hp: 25,
                     attack: 6,
-                    defense: 5
+                    defense: 5,
+                    speed: 0.2
                 },
                 stage: 5,
                 color: '#483d8b'
@@ -341,6 +436,16 @@ class EnemyDatabase {
         return this.enemies[enemyType] || null;
     }
     
+    /**
+     * Add or replace enemy definitions (used by content packs)
+     * @param {Object} enemies - Enemy configurations keyed by enemy type
+     */
+    registerEnemies(enemies) {
+        Object.entries(enemies).forEach(([enemyType, config]) => {
+            this.enemies[enemyType] = config;
+        });
+    }
+    
     /**
      * Create enemy instance with level scaling
      * @param {string} enemyType - Enemy type identifier
@@ -366,7 +471,10 @@ class EnemyDatabase {
             maxHp: scaledStats.hp,
             attack: scaledStats.attack,
             defense: scaledStats.defense,
+            speed: scaledStats.speed,
             aiType: config.aiType,
+            element: config.element || 'physical',
+            abilities: (config.abilities || []).map(ability => ({ ...ability })),
             materialDrops: config.materialDrops,
             expReward: this.calculateScaledExp(config.expReward, level),
             stage: config.stage,
@@ -387,7 +495,8 @@ class EnemyDatabase {
         return {
             hp: Math.floor(config.baseStats.hp + (scaling.hp * levelBonus)),
             attack: Math.floor(config.baseStats.attack + (scaling.attack * levelBonus)),
-            defense: Math.floor(config.baseStats.defense + (scaling.defense * levelBonus))
+            defense: Math.floor(config.baseStats.defense + (scaling.defense * levelBonus)),
+            speed: Math.floor(config.baseStats.speed + ((scaling.speed || 0) * levelBonus))
         };
     }
     
@@ -0,0 +1,452 @@
+/**
+ * Enhancement System - Enhance, re-quality and salvage crafted equipment
+ * @module EnhancementSystem
+ */
+
+import { RandomService } from '../core/random-service.js';
+
+export class EnhancementSystem {
+    constructor(stateManager, eventSystem, equipmentManager, materialManager, inventoryManager, craftingSystem, randomService = null) {
+        this.stateManager = stateManager;
+        this.eventSystem = eventSystem;
+        this.equipmentManager = equipmentManager;
+        this.materialManager = materialManager;
+        this.inventoryManager = inventoryManager;
+        this.craftingSystem = craftingSystem;
+        
+        // Saved with the game, so reloading cannot re-roll a failed enhancement
+        this.randomService = randomService || new RandomService();
+        this.rng = this.randomService.getStream(this.randomService.STREAMS.ENHANCEMENT);
+        
+        this.MAX_ENHANCEMENT_LEVEL = 10;
+        
+        // Each +level is attempted at the tier of the level being reached;
+        // success rates come from CraftingSystem.SUCCESS_RATES
+        this.ENHANCEMENT_TIERS = [
+            { maxLevel: 3, difficulty: 'simple', cost: { iron_ore: 3, stone: 5 } },
+            { maxLevel: 6, difficulty: 'moderate', cost: { silver_ore: 2, magic_crystal: 1 } },
+            { maxLevel: 8, difficulty: 'complex', cost: { magic_crystal: 3, gold_ore: 1 } },
+            { maxLevel: 10, difficulty: 'master', cost: { magic_crystal: 5, enchanted_gem: 1 } }
+        ];
+        
+        // Failing at these tiers also costs the item a level
+        this.LEVEL_LOSS_DIFFICULTIES = ['complex', 'master'];
+        
+        // Quality steps, keyed by the quality being upgraded to
+        this.QUALITY_UPGRADES = {
+            normal: { difficulty: 'simple', cost: { iron_ore: 5 } },
+            good: { difficulty: 'moderate', cost: { silver_ore: 3, magic_crystal: 1 } },
+            rare: { difficulty: 'complex', cost: { magic_crystal: 3, gold_ore: 2 } },
+            epic: { difficulty: 'master', cost: { magic_crystal: 5, enchanted_gem: 2 } },
+            legendary: { difficulty: 'master', cost: { magic_crystal: 10, mythril_ore: 2, dragons_scale: 1 } }
+        };
+        
+        // A reroll always succeeds, but can land on a worse quality
+        this.REROLL_COST = { magic_crystal: 2 };
+        this.REROLL_WEIGHTS = {
+            poor: 20,
+            normal: 40,
+            good: 22,
+            rare: 12,
+            epic: 5,
+            legendary: 1
+        };
+        
+        // Salvage returns half of the recipe (scaled by quality) and half of
+        // everything spent on the item since
+        this.SALVAGE_RATE = 0.5;
+        this.SALVAGE_FALLBACK_MATERIAL = 'iron_ore'; // For gear no recipe makes
+        
+        this.setupEventListeners();
+        
+        console.log('✨ Enhancement System initialized');
+    }
+    
+    /**
+     * Setup event listeners for enhancement requests
+     */
+    setupEventListeners() {
+        this.eventSystem.on('enhance_item', (data) => {
+            this.enhanceItem(data.equipmentId);
+        });
+        
+        this.eventSystem.on('upgrade_item_quality', (data) => {
+            this.upgradeQuality(data.equipmentId);
+        });
+        
+        this.eventSystem.on('reroll_item_quality', (data) => {
+            this.rerollQuality(data.equipmentId);
+        });
+        
+        this.eventSystem.on('salvage_item', (data) => {
+            this.salvageItem(data.equipmentId);
+        });
+    }
+    
+    /**
+     * Try to raise an item's enhancement level by one
+     * @param {string} equipmentUniqueId - Unique equipment ID
+     * @returns {boolean} True if the item was enhanced
+     */
+    enhanceItem(equipmentUniqueId) {
+        const item = this.getItem(equipmentUniqueId);
+        const info = this.getEnhancementInfo(item);
+        
+        if (!info.available) {
+            return this.fail('enhance', info.reason, item);
+        }
+        
+        if (!this.spendMaterials(info.cost)) {
+            return this.fail('enhance', 'insufficient_materials', item);
+        }
+        
+        const currentLevel = item.enhancementLevel || 0;
+        const investedMaterials = this.addMaterials(item.investedMaterials, info.cost);
+        
+        if (!this.rollSuccess(info.successChance)) {
+            const levelLost = this.LEVEL_LOSS_DIFFICULTIES.includes(info.difficulty) && currentLevel > 0;
+            const newLevel = levelLost ? currentLevel - 1 : currentLevel;
+            const updated = this.updateItem(item, { enhancementLevel: newLevel, investedMaterials });
+            
+            console.log(`💥 Enhancing ${item.name} to +${info.nextLevel} failed${levelLost ? ` (dropped to +${newLevel})` : ''}`);
+            return this.fail('enhance', 'roll_failed', updated, { levelLost });
+        }
+        
+        const updated = this.updateItem(item, { enhancementLevel: info.nextLevel, investedMaterials });
+        
+        console.log(`✨ Enhanced ${item.name} to +${info.nextLevel}`);
+        
+        this.eventSystem.emit('item_enhanced', {
+            item: updated,
+            previousLevel: currentLevel,
+            level: info.nextLevel
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Try to raise an item's quality by one step
+     * @param {string} equipmentUniqueId - Unique equipment ID
+     * @returns {boolean} True if the quality went up
+     */
+    upgradeQuality(equipmentUniqueId) {
+        const item = this.getItem(equipmentUniqueId);
+        const info = this.getQualityUpgradeInfo(item);
+        
+        if (!info.available) {
+            return this.fail('upgrade', info.reason, item);
+        }
+        
+        if (!this.spendMaterials(info.cost)) {
+            return this.fail('upgrade', 'insufficient_materials', item);
+        }
+        
+        const investedMaterials = this.addMaterials(item.investedMaterials, info.cost);
+        
+        if (!this.rollSuccess(info.successChance)) {
+            const updated = this.updateItem(item, { investedMaterials });
+            console.log(`💥 Upgrading ${item.name} to ${info.nextQuality} failed`);
+            return this.fail('upgrade', 'roll_failed', updated);
+        }
+        
+        this.changeQuality(item, info.nextQuality, investedMaterials, 'upgrade');
+        return true;
+    }
+    
+    /**
+     * Re-roll an item's quality at random
+     * @param {string} equipmentUniqueId - Unique equipment ID
+     * @returns {boolean} True if the quality was re-rolled
+     */
+    rerollQuality(equipmentUniqueId) {
+        const item = this.getItem(equipmentUniqueId);
+        const reason = this.getBlockingReason(item);
+        
+        if (reason) {
+            return this.fail('reroll', reason, item);
+        }
+        
+        if (!this.spendMaterials(this.REROLL_COST)) {
+            return this.fail('reroll', 'insufficient_materials', item);
+        }
+        
+        const investedMaterials = this.addMaterials(item.investedMaterials, this.REROLL_COST);
+        this.changeQuality(item, this.rollQuality(), investedMaterials, 'reroll');
+        return true;
+    }
+    
+    /**
+     * Break an unequipped item down into materials
+     * @param {string} equipmentUniqueId - Unique equipment ID
+     * @returns {Object|null} Materials returned, or null if the item cannot be salvaged
+     */
+    salvageItem(equipmentUniqueId) {
+        const item = this.getItem(equipmentUniqueId);
+        const reason = this.getBlockingReason(item) || (item.equipped ? 'equipped' : null);
+        
+        if (reason) {
+            this.fail('salvage', reason, item);
+            return null;
+        }
+        
+        const materials = this.getSalvageYield(item);
+        
+        this.inventoryManager.removeEquipment(equipmentUniqueId);
+        
+        if (Object.keys(materials).length > 0) {
+            this.materialManager.refundMaterials(materials);
+        }
+        
+        console.log(`♻️ Salvaged ${this.equipmentManager.getDisplayName(item)}`);
+        
+        this.eventSystem.emit('item_salvaged', {
+            item: item,
+            materials: materials
+        });
+        
+        return materials;
+    }
+    
+    /**
+     * Get what the next enhancement of an item costs and its odds
+     * @param {Object} item - Equipment item
+     * @returns {Object} { available, reason, nextLevel, difficulty, successChance, cost, affordable }
+     */
+    getEnhancementInfo(item) {
+        const reason = this.getBlockingReason(item);
+        if (reason) return { available: false, reason };
+        
+        const nextLevel = (item.enhancementLevel || 0) + 1;
+        if (nextLevel > this.MAX_ENHANCEMENT_LEVEL) {
+            return { available: false, reason: 'max_level' };
+        }
+        
+        const tier = this.ENHANCEMENT_TIERS.find(entry => nextLevel <= entry.maxLevel);
+        return {
+            available: true,
+            reason: null,
+            nextLevel: nextLevel,
+            difficulty: tier.difficulty,
+            successChance: this.getSuccessChance(tier.difficulty),
+            cost: tier.cost,
+            affordable: this.canAfford(tier.cost)
+        };
+    }
+    
+    /**
+     * Get what the next quality upgrade of an item costs and its odds
+     * @param {Object} item - Equipment item
+     * @returns {Object} { available, reason, nextQuality, difficulty, successChance, cost, affordable }
+     */
+    getQualityUpgradeInfo(item) {
+        const reason = this.getBlockingReason(item);
+        if (reason) return { available: false, reason };
+        
+        const qualities = Object.values(this.equipmentManager.EQUIPMENT_QUALITY);
+        const nextQuality = qualities[qualities.indexOf(item.quality) + 1];
+        if (!nextQuality) {
+            return { available: false, reason: 'max_quality' };
+        }
+        
+        const upgrade = this.QUALITY_UPGRADES[nextQuality];
+        return {
+            available: true,
+            reason: null,
+            nextQuality: nextQuality,
+            difficulty: upgrade.difficulty,
+            successChance: this.getSuccessChance(upgrade.difficulty),
+            cost: upgrade.cost,
+            affordable: this.canAfford(upgrade.cost)
+        };
+    }
+    
+    /**
+     * Get the materials salvaging an item would return
+     * @param {Object} item - Equipment item
+     * @returns {Object} Quantities keyed by material ID
+     */
+    getSalvageYield(item) {
+        const recipe = Object.values(this.craftingSystem.recipes)
+            .find(entry => entry.results && entry.results.itemId === item.id);
+        const qualityMultiplier = this.equipmentManager.QUALITY_MULTIPLIERS[item.quality] || 1.0;
+        const base = recipe
+            ? recipe.requirements
+            : { [this.SALVAGE_FALLBACK_MATERIAL]: Math.max(1, Math.floor((item.value || 0) / 10)) };
+        
+        const materials = {};
+        for (const [materialId, amount] of Object.entries(base)) {
+            materials[materialId] = Math.floor(amount * qualityMultiplier * this.SALVAGE_RATE);
+        }
+        for (const [materialId, amount] of Object.entries(item.investedMaterials || {})) {
+            materials[materialId] = (materials[materialId] || 0) + Math.floor(amount * this.SALVAGE_RATE);
+        }
+        
+        return Object.fromEntries(Object.entries(materials).filter(([, amount]) => amount > 0));
+    }
+    
+    /**
+     * Chance to succeed at a crafting difficulty tier
+     * @param {string} difficulty - Crafting difficulty
+     * @returns {number} Success chance (0-1)
+     */
+    getSuccessChance(difficulty) {
+        return this.craftingSystem.SUCCESS_RATES[difficulty] || 0.5;
+    }
+    
+    /**
+     * Roll against a success chance, saving the stream position with the outcome
+     * @param {number} successChance - Chance of success (0-1)
+     * @returns {boolean} Success
+     */
+    rollSuccess(successChance) {
+        const success = this.rng.chance(successChance);
+        this.randomService.syncState();
+        return success;
+    }
+    
+    /**
+     * Roll a new quality using REROLL_WEIGHTS
+     * @returns {string} Quality
+     */
+    rollQuality() {
+        const entries = Object.entries(this.REROLL_WEIGHTS);
+        const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = this.rng.next() * totalWeight;
+        this.randomService.syncState();
+        
+        for (const [quality, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return quality;
+        }
+        
+        return entries[entries.length - 1][0];
+    }
+    
+    /**
+     * Apply a new quality, recalculating stats and value
+     * @param {Object} item - Equipment item
+     * @param {string} quality - New quality
+     * @param {Object} investedMaterials - Materials spent on the item so far
+     * @param {string} source - 'upgrade' or 'reroll'
+     */
+    changeQuality(item, quality, investedMaterials, source) {
+        const definition = this.equipmentManager.getEquipmentDefinition(item.id);
+        const updated = this.updateItem(item, {
+            quality: quality,
+            value: Math.floor(definition.value * (this.equipmentManager.QUALITY_MULTIPLIERS[quality] || 1.0)),
+            investedMaterials
+        });
+        
+        console.log(`🌈 ${item.name} is now ${quality} quality (was ${item.quality})`);
+        
+        this.eventSystem.emit('item_quality_changed', {
+            item: updated,
+            previousQuality: item.quality,
+            quality: quality,
+            source: source
+        });
+    }
+    
+    /**
+     * Write changes to an item, recalculating its stats
+     * @param {Object} item - Equipment item
+     * @param {Object} changes - Fields to change
+     * @returns {Object} Updated item
+     */
+    updateItem(item, changes) {
+        const quality = changes.quality || item.quality;
+        const level = changes.enhancementLevel ?? item.enhancementLevel ?? 0;
+        
+        return this.equipmentManager.updateEquipmentInstance(item.uniqueId, {
+            ...changes,
+            stats: this.equipmentManager.calculateItemStats(item.id, quality, level, item.affixes || [])
+        });
+    }
+    
+    /**
+     * Find an equipment instance in the inventory
+     * @param {string} equipmentUniqueId - Unique equipment ID
+     * @returns {Object|null} Item
+     */
+    getItem(equipmentUniqueId) {
+        return this.stateManager.getStateValue('inventory.equipment')?.[equipmentUniqueId] || null;
+    }
+    
+    /**
+     * Get why an item cannot be worked on at all
+     * @param {Object} item - Equipment item
+     * @returns {string|null} Reason, or null if the item can be worked on
+     */
+    getBlockingReason(item) {
+        if (!item) return 'not_found';
+        
+        // Consumables and gear whose definition was removed have nothing to scale
+        if (item.consumable || !item.slot || !this.equipmentManager.getEquipmentDefinition(item.id)) {
+            return 'not_enhanceable';
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Check if the player has every material in a cost
+     * @param {Object} cost - Quantities keyed by material ID
+     * @returns {boolean} Can afford
+     */
+    canAfford(cost) {
+        return Object.entries(cost)
+            .every(([materialId, amount]) => this.materialManager.getMaterialCount(materialId) >= amount);
+    }
+    
+    /**
+     * Remove a cost's materials if the player has all of them
+     * @param {Object} cost - Quantities keyed by material ID
+     * @returns {boolean} True if the materials were spent
+     */
+    spendMaterials(cost) {
+        if (!this.canAfford(cost)) return false;
+        
+        for (const [materialId, amount] of Object.entries(cost)) {
+            this.materialManager.removeMaterial(materialId, amount);
+        }
+        return true;
+    }
+    
+    /**
+     * Add two material maps together
+     * @param {Object} base - Existing quantities (may be undefined)
+     * @param {Object} extra - Quantities to add
+     * @returns {Object} Combined quantities
+     */
+    addMaterials(base, extra) {
+        const combined = { ...(base || {}) };
+        for (const [materialId, amount] of Object.entries(extra)) {
+            combined[materialId] = (combined[materialId] || 0) + amount;
+        }
+        return combined;
+    }
+    
+    /**
+     * Announce a failed action
+     * @param {string} action - 'enhance', 'upgrade', 'reroll' or 'salvage'
+     * @param {string} reason - Why it failed
+     * @param {Object|null} item - Equipment item
+     * @param {Object} details - Extra event data
+     * @returns {boolean} Always false
+     */
+    fail(action, reason, item, details = {}) {
+        if (reason !== 'roll_failed') {
+            console.log(`Cannot ${action} item: ${reason}`);
+        }
+        
+        this.eventSystem.emit('enhancement_failed', {
+            action: action,
+            reason: reason,
+            item: item,
+            ...details
+        });
+        
+        return false;
+    }
+}
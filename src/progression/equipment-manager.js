@@ -3,11 +3,17 @@
  * @module EquipmentManager
  */
 
+import { RandomService } from '../core/random-service.js';
+
 export class EquipmentManager {
-    constructor(stateManager, eventSystem) {
+    constructor(stateManager, eventSystem, randomService = null) {
         this.stateManager = stateManager;
         this.eventSystem = eventSystem;
         
+        // Affix rolls are loot, so they share the saved loot stream
+        const random = randomService || new RandomService();
+        this.rng = random.getStream(random.STREAMS.LOOT);
+        
         this.EQUIPMENT_TYPES = {
             WEAPON: 'weapon',
             ARMOR: 'armor',
@@ -31,6 +37,16 @@ export class EquipmentManager {
             SPEED: 'speed'
         };
         
+        // Item stat keys mapped to StatPipeline stat names
+        this.PIPELINE_STATS = {
+            attack: 'attack',
+            defense: 'defense',
+            hp: 'maxHp',
+            crit_chance: 'criticalChance',
+            crit_damage: 'criticalDamage',
+            speed: 'speed'
+        };
+        
         this.EQUIPMENT_QUALITY = {
             POOR: 'poor',
             NORMAL: 'normal',
@@ -40,6 +56,15 @@ export class EquipmentManager {
             LEGENDARY: 'legendary'
         };
         
+        this.ELEMENT_TYPES = {
+            FIRE: 'fire',
+            ICE: 'ice',
+            LIGHTNING: 'lightning',
+            DARK: 'dark',
+            LIGHT: 'light',
+            PHYSICAL: 'physical'
+        };
+        
         this.QUALITY_MULTIPLIERS = {
             poor: 0.8,      // 80% stats
             normal: 1.0,    // 100% stats
@@ -49,7 +74,30 @@ export class EquipmentManager {
             legendary: 3.0  // 300% stats
         };
         
+        // Each enhancement level adds 10% on top of the quality multiplier
+        this.ENHANCEMENT_STAT_BONUS = 0.1;
+        
+        this.AFFIX_TYPES = {
+            PREFIX: 'prefix',
+            SUFFIX: 'suffix'
+        };
+        
+        // Chance of rolling each affix type, by quality
+        this.AFFIX_CHANCES = {
+            poor: 0.1,
+            normal: 0.25,
+            good: 0.4,
+            rare: 0.6,
+            epic: 0.8,
+            legendary: 1.0
+        };
+        
+        // Required level at which items move up an affix tier (tier 1 below the first)
+        this.ITEM_TIER_LEVELS = [3, 6];
+        
         this.initializeEquipmentDefinitions();
+        this.initializeAffixes();
+        this.initializeItemSets();
         this.setupEventListeners();
     }
     
@@ -105,6 +153,7 @@ export class EquipmentManager {
                 requirements: {
                     level: 5
                 },
+                element: this.ELEMENT_TYPES.LIGHT,
                 value: 80
             },
             
@@ -123,6 +172,7 @@ export class EquipmentManager {
                 requirements: {
                     level: 10
                 },
+                element: this.ELEMENT_TYPES.FIRE,
                 value: 300
             },
             
@@ -157,6 +207,9 @@ export class EquipmentManager {
                 requirements: {
                     level: 2
                 },
+                resistances: {
+                    ice: 0.15 // Beast hide keeps the cold out
+                },
                 value: 25
             },
             
@@ -175,9 +228,82 @@ export class EquipmentManager {
                 requirements: {
                     level: 6
                 },
+                resistances: {
+                    fire: 0.2,
+                    lightning: 0.2,
+                    dark: 0.2
+                },
                 value: 120
             },
             
+            // Accessories
+            leather_charm: {
+                id: 'leather_charm',
+                name: 'Leather Charm',
+                description: 'A knotted hide charm worn by scouts',
+                type: this.EQUIPMENT_TYPES.ACCESSORY,
+                slot: this.EQUIPMENT_SLOTS.ACCESSORY_1,
+                baseStats: {
+                    hp: 10,
+                    speed: 2
+                },
+                requirements: {
+                    level: 2
+                },
+                value: 15
+            },
+            
+            iron_ring: {
+                id: 'iron_ring',
+                name: 'Iron Ring',
+                description: 'A plain band that steadies the sword arm',
+                type: this.EQUIPMENT_TYPES.ACCESSORY,
+                slot: this.EQUIPMENT_SLOTS.ACCESSORY_1,
+                baseStats: {
+                    attack: 4,
+                    defense: 2
+                },
+                requirements: {
+                    level: 3
+                },
+                value: 25
+            },
+            
+            silver_ring: {
+                id: 'silver_ring',
+                name: 'Silver Ring',
+                description: 'Polished silver that catches openings in a foe\'s guard',
+                type: this.EQUIPMENT_TYPES.ACCESSORY,
+                slot: this.EQUIPMENT_SLOTS.ACCESSORY_1,
+                baseStats: {
+                    attack: 6,
+                    crit_chance: 0.05 // 5%
+                },
+                requirements: {
+                    level: 5
+                },
+                value: 60
+            },
+            
+            crystal_amulet: {
+                id: 'crystal_amulet',
+                name: 'Crystal Amulet',
+                description: 'A magic crystal set in silver that wards off dark magic',
+                type: this.EQUIPMENT_TYPES.ACCESSORY,
+                slot: this.EQUIPMENT_SLOTS.ACCESSORY_1,
+                baseStats: {
+                    hp: 30,
+                    crit_damage: 0.2 // +20%
+                },
+                requirements: {
+                    level: 6
+                },
+                resistances: {
+                    dark: 0.15
+                },
+                value: 90
+            },
+            
             // Consumables
             health_potion: {
                 id: 'health_potion',
@@ -193,10 +319,292 @@ export class EquipmentManager {
                 },
                 value: 5,
                 consumable: true
+            },
+            
+            antidote: {
+                id: 'antidote',
+                name: 'Antidote',
+                description: 'Cures poison and burns',
+                type: this.EQUIPMENT_TYPES.CONSUMABLE,
+                slot: null,
+                baseStats: {},
+                cleanses: ['poison', 'burn'],
+                requirements: {
+                    level: 1
+                },
+                value: 6,
+                consumable: true
+            },
+            
+            cleansing_tonic: {
+                id: 'cleansing_tonic',
+                name: 'Cleansing Tonic',
+                description: 'Removes all status effects',
+                type: this.EQUIPMENT_TYPES.CONSUMABLE,
+                slot: null,
+                baseStats: {
+                    hp_restore: 20
+                },
+                cleanses: 'all',
+                requirements: {
+                    level: 4
+                },
+                value: 20,
+                consumable: true
+            },
+            
+            battle_elixir: {
+                id: 'battle_elixir',
+                name: 'Battle Elixir',
+                description: '+20% attack for the next 3 fights',
+                type: this.EQUIPMENT_TYPES.CONSUMABLE,
+                slot: null,
+                baseStats: {},
+                buff: { stat: 'attack', type: 'percent', value: 0.2, fights: 3 },
+                requirements: {
+                    level: 3
+                },
+                value: 15,
+                consumable: true
+            },
+            
+            smoke_bomb: {
+                id: 'smoke_bomb',
+                name: 'Smoke Bomb',
+                description: 'Escape from a fight (not from bosses)',
+                type: this.EQUIPMENT_TYPES.CONSUMABLE,
+                slot: null,
+                baseStats: {},
+                escape: true, // Only usable in combat; CombatManager ends the fight
+                requirements: {
+                    level: 2
+                },
+                value: 8,
+                consumable: true
+            },
+            
+            // Bags - using one adds inventory slots for good
+            material_pouch: {
+                id: 'material_pouch',
+                name: 'Material Pouch',
+                description: '+5 material slots when used',
+                type: this.EQUIPMENT_TYPES.CONSUMABLE,
+                slot: null,
+                baseStats: {},
+                bagUpgrade: { inventoryType: 'materials', slots: 5 },
+                requirements: {
+                    level: 2
+                },
+                value: 12,
+                consumable: true
+            },
+            
+            gear_satchel: {
+                id: 'gear_satchel',
+                name: 'Gear Satchel',
+                description: '+5 equipment slots when used',
+                type: this.EQUIPMENT_TYPES.CONSUMABLE,
+                slot: null,
+                baseStats: {},
+                bagUpgrade: { inventoryType: 'equipment', slots: 5 },
+                requirements: {
+                    level: 3
+                },
+                value: 18,
+                consumable: true
+            },
+            
+            potion_belt: {
+                id: 'potion_belt',
+                name: 'Potion Belt',
+                description: '+3 consumable slots when used',
+                type: this.EQUIPMENT_TYPES.CONSUMABLE,
+                slot: null,
+                baseStats: {},
+                bagUpgrade: { inventoryType: 'consumables', slots: 3 },
+                requirements: {
+                    level: 3
+                },
+                value: 15,
+                consumable: true
             }
         };
     }
     
+    /**
+     * Initialize affix definitions
+     * Affixes roll on new gear from the pools of the item's tier; a prefix goes
+     * before the item name and a suffix after it.
+     */
+    initializeAffixes() {
+        this.affixDefinitions = {
+            // Prefixes
+            sharp: {
+                id: 'sharp',
+                name: 'Sharp',
+                type: this.AFFIX_TYPES.PREFIX,
+                tiers: [1, 2],
+                itemTypes: [this.EQUIPMENT_TYPES.WEAPON],
+                stats: { attack: 2 }
+            },
+            sturdy: {
+                id: 'sturdy',
+                name: 'Sturdy',
+                type: this.AFFIX_TYPES.PREFIX,
+                tiers: [1, 2],
+                itemTypes: [this.EQUIPMENT_TYPES.ARMOR, this.EQUIPMENT_TYPES.ACCESSORY],
+                stats: { defense: 3 }
+            },
+            flaming: {
+                id: 'flaming',
+                name: 'Flaming',
+                type: this.AFFIX_TYPES.PREFIX,
+                tiers: [2, 3],
+                itemTypes: [this.EQUIPMENT_TYPES.WEAPON],
+                stats: { attack: 3 },
+                element: this.ELEMENT_TYPES.FIRE
+            },
+            frozen: {
+                id: 'frozen',
+                name: 'Frozen',
+                type: this.AFFIX_TYPES.PREFIX,
+                tiers: [2, 3],
+                itemTypes: [this.EQUIPMENT_TYPES.WEAPON],
+                stats: { attack: 3 },
+                element: this.ELEMENT_TYPES.ICE
+            },
+            crackling: {
+                id: 'crackling',
+                name: 'Crackling',
+                type: this.AFFIX_TYPES.PREFIX,
+                tiers: [3],
+                itemTypes: [this.EQUIPMENT_TYPES.WEAPON],
+                stats: { attack: 5 },
+                element: this.ELEMENT_TYPES.LIGHTNING
+            },
+            vicious: {
+                id: 'vicious',
+                name: 'Vicious',
+                type: this.AFFIX_TYPES.PREFIX,
+                tiers: [3],
+                itemTypes: [this.EQUIPMENT_TYPES.WEAPON, this.EQUIPMENT_TYPES.ACCESSORY],
+                stats: { attack: 8 }
+            },
+            fortified: {
+                id: 'fortified',
+                name: 'Fortified',
+                type: this.AFFIX_TYPES.PREFIX,
+                tiers: [3],
+                itemTypes: [this.EQUIPMENT_TYPES.ARMOR],
+                stats: { defense: 8, hp: 25 }
+            },
+            
+            // Suffixes
+            of_precision: {
+                id: 'of_precision',
+                name: 'of Precision',
+                type: this.AFFIX_TYPES.SUFFIX,
+                tiers: [1, 2, 3],
+                stats: { crit_chance: 0.03 }
+            },
+            of_vitality: {
+                id: 'of_vitality',
+                name: 'of Vitality',
+                type: this.AFFIX_TYPES.SUFFIX,
+                tiers: [1, 2],
+                stats: { hp: 15 }
+            },
+            of_swiftness: {
+                id: 'of_swiftness',
+                name: 'of Swiftness',
+                type: this.AFFIX_TYPES.SUFFIX,
+                tiers: [1, 2, 3],
+                stats: { speed: 2 }
+            },
+            of_fury: {
+                id: 'of_fury',
+                name: 'of Fury',
+                type: this.AFFIX_TYPES.SUFFIX,
+                tiers: [2, 3],
+                itemTypes: [this.EQUIPMENT_TYPES.WEAPON, this.EQUIPMENT_TYPES.ACCESSORY],
+                stats: { crit_damage: 0.15 }
+            },
+            of_warding: {
+                id: 'of_warding',
+                name: 'of Warding',
+                type: this.AFFIX_TYPES.SUFFIX,
+                tiers: [2, 3],
+                itemTypes: [this.EQUIPMENT_TYPES.ARMOR, this.EQUIPMENT_TYPES.ACCESSORY],
+                stats: {},
+                resistances: { fire: 0.1, ice: 0.1, lightning: 0.1 }
+            },
+            of_the_titan: {
+                id: 'of_the_titan',
+                name: 'of the Titan',
+                type: this.AFFIX_TYPES.SUFFIX,
+                tiers: [3],
+                stats: { hp: 40 }
+            }
+        };
+    }
+    
+    /**
+     * Initialize item sets
+     * Bonuses are keyed by the number of different set pieces equipped.
+     */
+    initializeItemSets() {
+        this.itemSets = {
+            scout: {
+                id: 'scout',
+                name: 'Scout\'s Kit',
+                pieces: ['iron_sword', 'leather_armor', 'leather_charm', 'iron_ring'],
+                bonuses: {
+                    2: { speed: 3 },
+                    4: { attack: 6, crit_chance: 0.05 }
+                }
+            },
+            arcanist: {
+                id: 'arcanist',
+                name: 'Arcanist\'s Regalia',
+                pieces: ['silver_sword', 'enchanted_armor', 'silver_ring', 'crystal_amulet'],
+                bonuses: {
+                    2: { defense: 8, hp: 30 },
+                    4: { attack: 15, crit_damage: 0.25 }
+                }
+            }
+        };
+    }
+    
+    /**
+     * Add or replace affix definitions (used by content packs)
+     * @param {Object} definitions - Affix definitions keyed by affix ID
+     */
+    registerAffixes(definitions) {
+        Object.entries(definitions).forEach(([affixId, definition]) => {
+            this.affixDefinitions[affixId] = { ...definition, id: affixId };
+        });
+    }
+    
+    /**
+     * Add or replace item sets (used by content packs)
+     * @param {Object} definitions - Item sets keyed by set ID
+     */
+    registerItemSets(definitions) {
+        Object.entries(definitions).forEach(([setId, definition]) => {
+            this.itemSets[setId] = { ...definition, id: setId };
+        });
+    }
+    
+    /**
+     * Add or replace equipment definitions (used by content packs)
+     * @param {Object} definitions - Equipment definitions keyed by equipment ID
+     */
+    registerEquipmentDefinitions(definitions) {
+        Object.entries(definitions).forEach(([equipmentId, definition]) => {
+            this.equipmentDefinitions[equipmentId] = { ...definition, id: equipmentId };
+        });
+    }
+    
     /**
      * Setup event listeners for equipment-related events
      */
@@ -215,6 +623,11 @@ export class EquipmentManager {
             this.unequipItem(data.slot);
         });
         
+        // Consumable buffs last a number of fights
+        this.eventSystem.on('combat_end', () => {
+            this.tickConsumableBuffs();
+        });
+        
         this.eventSystem.on('use_consumable', (data) => {
             this.useConsumable(data.equipmentId);
         });
@@ -256,35 +669,180 @@ export class EquipmentManager {
         if (!definition) return null;
         
         const qualityMultiplier = this.QUALITY_MULTIPLIERS[quality] || 1.0;
-        const finalStats = {};
+        const affixes = this.rollAffixes(definition, quality);
         
-        // Apply quality multiplier to base stats
-        for (const [statType, value] of Object.entries(definition.baseStats)) {
-            if (statType.includes('chance') || statType.includes('damage')) {
-                // Percentage stats don't scale linearly
-                finalStats[statType] = value + (value * (qualityMultiplier - 1) * 0.5);
-            } else {
-                // Regular stats scale normally
-                finalStats[statType] = Math.floor(value * qualityMultiplier);
+        // Affixes add resistances on top of the base item; an elemental prefix replaces its element
+        const resistances = { ...(definition.resistances || {}) };
+        let element = definition.element || null;
+        affixes.forEach(affix => {
+            if (affix.element) element = affix.element;
+            for (const [resistElement, value] of Object.entries(affix.resistances || {})) {
+                resistances[resistElement] = (resistances[resistElement] || 0) + value;
             }
-        }
+        });
         
         return {
             id: equipmentId,
             uniqueId: this.generateUniqueId(equipmentId),
-            name: definition.name,
+            name: this.getAffixedName(definition.name, affixes),
             description: definition.description,
             type: definition.type,
             slot: definition.slot,
             quality: quality,
-            stats: finalStats,
+            enhancementLevel: 0,
+            affixes: affixes,
+            stats: this.calculateItemStats(equipmentId, quality, 0, affixes),
+            element: element,
+            resistances: resistances,
             requirements: definition.requirements,
             value: Math.floor(definition.value * qualityMultiplier),
             consumable: definition.consumable || false,
+            cleanses: definition.cleanses || null,
+            buff: definition.buff ? { ...definition.buff } : null,
+            bagUpgrade: definition.bagUpgrade ? { ...definition.bagUpgrade } : null,
+            escape: definition.escape || false,
             equipped: false
         };
     }
     
+    /**
+     * Roll the affixes for a new item
+     * Each affix type rolls separately, with better qualities rolling more often.
+     * @param {Object} definition - Equipment definition
+     * @param {string} quality - Equipment quality
+     * @returns {Array} Affixes, prefix first
+     */
+    rollAffixes(definition, quality = 'normal') {
+        if (definition.consumable || !definition.slot) return [];
+        
+        const tier = this.getItemTier(definition);
+        const chance = this.AFFIX_CHANCES[quality] ?? this.AFFIX_CHANCES.normal;
+        const affixes = [];
+        
+        [this.AFFIX_TYPES.PREFIX, this.AFFIX_TYPES.SUFFIX].forEach(affixType => {
+            if (!this.rng.chance(chance)) return;
+            
+            const pool = Object.values(this.affixDefinitions).filter(affix =>
+                affix.type === affixType &&
+                affix.tiers.includes(tier) &&
+                (!affix.itemTypes || affix.itemTypes.includes(definition.type))
+            );
+            
+            if (pool.length > 0) {
+                const affix = this.rng.pick(pool);
+                affixes.push({ ...affix, stats: { ...(affix.stats || {}) } });
+            }
+        });
+        
+        return affixes;
+    }
+    
+    /**
+     * Get the affix tier of an item (1-3)
+     * Definitions may set a tier; otherwise it follows the required level.
+     * @param {Object} definition - Equipment definition
+     * @returns {number} Tier
+     */
+    getItemTier(definition) {
+        if (definition.tier) return definition.tier;
+        
+        const level = definition.requirements?.level || 1;
+        return 1 + this.ITEM_TIER_LEVELS.filter(threshold => level >= threshold).length;
+    }
+    
+    /**
+     * Build an item name from its base name and affixes
+     * @param {string} baseName - Definition name
+     * @param {Array} affixes - Rolled affixes
+     * @returns {string} Name (e.g. "Flaming Iron Sword of Fury")
+     */
+    getAffixedName(baseName, affixes = []) {
+        const prefix = affixes.find(affix => affix.type === this.AFFIX_TYPES.PREFIX);
+        const suffix = affixes.find(affix => affix.type === this.AFFIX_TYPES.SUFFIX);
+        return [prefix?.name, baseName, suffix?.name].filter(Boolean).join(' ');
+    }
+    
+    /**
+     * Calculate an item's stats from its definition, quality, enhancement level and affixes
+     * Affix stats are flat and are not scaled by quality or enhancement.
+     * @param {string} equipmentId - Equipment ID
+     * @param {string} quality - Equipment quality
+     * @param {number} enhancementLevel - Enhancement level (+0 for a fresh item)
+     * @param {Array} affixes - Rolled affixes
+     * @returns {Object} Stats keyed by stat type
+     */
+    calculateItemStats(equipmentId, quality = 'normal', enhancementLevel = 0, affixes = []) {
+        const definition = this.equipmentDefinitions[equipmentId];
+        if (!definition) return {};
+        
+        const multiplier = (this.QUALITY_MULTIPLIERS[quality] || 1.0) *
+            (1 + enhancementLevel * this.ENHANCEMENT_STAT_BONUS);
+        const finalStats = {};
+        
+        // Apply quality multiplier to base stats
+        for (const [statType, value] of Object.entries(definition.baseStats)) {
+            if (statType.includes('chance') || statType.includes('damage')) {
+                // Percentage stats don't scale linearly
+                finalStats[statType] = value + (value * (multiplier - 1) * 0.5);
+            } else {
+                // Regular stats scale normally
+                finalStats[statType] = Math.floor(value * multiplier);
+            }
+        }
+        
+        affixes.forEach(affix => {
+            for (const [statType, value] of Object.entries(affix.stats || {})) {
+                finalStats[statType] = (finalStats[statType] || 0) + value;
+            }
+        });
+        
+        return finalStats;
+    }
+    
+    /**
+     * Change an equipment instance in the inventory and, if worn, in its slot
+     * @param {string} equipmentUniqueId - Unique equipment ID
+     * @param {Object} changes - Fields to overwrite on the item
+     * @returns {Object|null} Updated item, or null if it is not in the inventory
+     */
+    updateEquipmentInstance(equipmentUniqueId, changes) {
+        const currentState = this.stateManager.getState();
+        const inventory = currentState.inventory || {};
+        const equipment = inventory.equipment || {};
+        const equippedItems = currentState.equippedItems || {};
+        
+        if (!equipment[equipmentUniqueId]) {
+            console.error(`Equipment not found in inventory: ${equipmentUniqueId}`);
+            return null;
+        }
+        
+        const item = { ...equipment[equipmentUniqueId], ...changes };
+        
+        // The slot keeps its own copy of the item, so it has to be updated too
+        const slot = Object.keys(equippedItems)
+            .find(slotId => equippedItems[slotId].uniqueId === equipmentUniqueId);
+        const newEquippedItems = slot
+            ? { ...equippedItems, [slot]: { ...equippedItems[slot], itemData: item } }
+            : equippedItems;
+        
+        this.stateManager.updateState({
+            equippedItems: newEquippedItems,
+            inventory: {
+                ...inventory,
+                equipment: {
+                    ...equipment,
+                    [equipmentUniqueId]: item
+                }
+            }
+        });
+        
+        if (slot) {
+            this.updatePlayerStats();
+        }
+        
+        return item;
+    }
+    
     /**
      * Equip an item to a specific slot
      * @param {string} equipmentUniqueId - Unique equipment ID
@@ -315,7 +873,7 @@ export class EquipmentManager {
         }
         
         // Determine slot
-        const targetSlot = slot || item.slot;
+        const targetSlot = slot || this.getTargetSlot(item, equippedItems);
         if (!targetSlot) {
             console.error(`No slot specified for ${item.name}`);
             return false;
@@ -358,6 +916,20 @@ export class EquipmentManager {
         return true;
     }
     
+    /**
+     * Pick the slot an item goes into when none is given
+     * Accessories fill whichever accessory slot is free before replacing the first.
+     * @param {Object} item - Equipment item
+     * @param {Object} equippedItems - Equipped items by slot
+     * @returns {string|null} Slot
+     */
+    getTargetSlot(item, equippedItems) {
+        if (item.type !== this.EQUIPMENT_TYPES.ACCESSORY) return item.slot;
+        
+        const accessorySlots = [this.EQUIPMENT_SLOTS.ACCESSORY_1, this.EQUIPMENT_SLOTS.ACCESSORY_2];
+        return accessorySlots.find(accessorySlot => !equippedItems[accessorySlot]) || accessorySlots[0];
+    }
+    
     /**
      * Unequip an item from a specific slot
      * @param {string} slot - Equipment slot
@@ -412,9 +984,10 @@ export class EquipmentManager {
     /**
      * Use a consumable item
      * @param {string} equipmentUniqueId - Unique equipment ID
+     * @param {Object} options - { fromCombat } set by CombatManager, which handles escape items
      * @returns {boolean} Success/failure
      */
-    useConsumable(equipmentUniqueId) {
+    useConsumable(equipmentUniqueId, options = {}) {
         const currentState = this.stateManager.getState();
         const inventory = currentState.inventory || {};
         const equipment = inventory.equipment || {};
@@ -425,19 +998,24 @@ export class EquipmentManager {
             return false;
         }
         
-        // Apply consumable effects
-        this.applyConsumableEffects(item);
+        // Only the combat quick-bar ends the fight, anywhere else an escape item would be wasted
+        if (item.escape && !(options.fromCombat && currentState.game?.isInCombat)) {
+            console.log(`${item.name} can only be used from the combat quick-bar`);
+            return false;
+        }
         
-        // Remove from inventory
+        // Remove from inventory first, as effects may update the inventory too;
+        // replace the map, a deep merge alone would keep the item
         const newEquipment = { ...equipment };
         delete newEquipment[equipmentUniqueId];
         
-        this.stateManager.updateState({
-            inventory: {
-                ...inventory,
-                equipment: newEquipment
-            }
-        });
+        this.stateManager.updateState(
+            { inventory: { equipment: newEquipment } },
+            { replace: ['inventory.equipment'] }
+        );
+        
+        // Apply consumable effects
+        this.applyConsumableEffects(item);
         
         console.log(`🧪 Used ${item.name}`);
         
@@ -463,6 +1041,27 @@ export class EquipmentManager {
             console.log(`💚 Restored ${item.stats.hp_restore} HP (${player.hp} → ${newHp})`);
         }
         
+        // Handle status effect cleansing ('all' or a list of effect IDs)
+        const cleanses = item.cleanses || this.equipmentDefinitions[item.id]?.cleanses;
+        if (cleanses) {
+            this.eventSystem.emit('cleanse_status_effects', {
+                target: 'player',
+                effects: cleanses === 'all' ? null : cleanses
+            });
+        }
+        
+        // Handle timed stat buffs
+        const buff = item.buff || this.equipmentDefinitions[item.id]?.buff;
+        if (buff) {
+            this.addConsumableBuff(item, buff);
+        }
+        
+        // Handle bags that add inventory slots
+        const bagUpgrade = item.bagUpgrade || this.equipmentDefinitions[item.id]?.bagUpgrade;
+        if (bagUpgrade) {
+            this.eventSystem.emit('inventory_bag_upgrade', { ...bagUpgrade });
+        }
+        
         // Apply other effects as needed...
         
         if (Object.keys(updates).length > 0) {
@@ -475,6 +1074,141 @@ export class EquipmentManager {
         }
     }
     
+    /**
+     * Add a timed stat buff from a consumable (re-using an item refreshes its buff)
+     * @param {Object} item - Consumable item
+     * @param {Object} buff - { stat, type, value, fights }
+     */
+    addConsumableBuff(item, buff) {
+        const buffs = (this.stateManager.getStateValue('player.buffs') || [])
+            .filter(active => active.id !== item.id);
+        
+        buffs.push({
+            id: item.id,
+            name: item.name,
+            stat: buff.stat,
+            type: buff.type,
+            value: buff.value,
+            fightsRemaining: buff.fights
+        });
+        
+        this.stateManager.updateState({
+            player: { buffs }
+        });
+        
+        console.log(`🧪 ${item.name} active for ${buff.fights} fights`);
+        this.eventSystem.emit('stat_source_changed', { source: 'consumable' }, { immediate: true });
+    }
+    
+    /**
+     * Count down consumable buffs after a fight and drop expired ones
+     */
+    tickConsumableBuffs() {
+        const buffs = this.stateManager.getStateValue('player.buffs') || [];
+        if (buffs.length === 0) return;
+        
+        const remaining = buffs
+            .map(buff => ({ ...buff, fightsRemaining: buff.fightsRemaining - 1 }))
+            .filter(buff => buff.fightsRemaining > 0);
+        
+        this.stateManager.updateState({
+            player: { buffs: remaining }
+        });
+        
+        if (remaining.length !== buffs.length) {
+            this.eventSystem.emit('stat_source_changed', { source: 'consumable' }, { immediate: true });
+        }
+    }
+    
+    /**
+     * Get StatPipeline modifiers from equipped items
+     * @returns {Array} Modifiers ({ stat, type, value, label })
+     */
+    getStatModifiers() {
+        const modifiers = [];
+        
+        for (const equippedItem of Object.values(this.getEquippedItems())) {
+            const item = equippedItem.itemData;
+            if (!item || !item.stats) continue;
+            
+            for (const [statType, value] of Object.entries(item.stats)) {
+                const stat = this.PIPELINE_STATS[statType];
+                if (stat) {
+                    modifiers.push({ stat, type: 'flat', value, label: item.name });
+                }
+            }
+        }
+        
+        for (const set of this.getSetBonuses()) {
+            for (const [statType, value] of Object.entries(set.activeStats)) {
+                const stat = this.PIPELINE_STATS[statType];
+                if (stat) {
+                    modifiers.push({ stat, type: 'flat', value, label: `${set.name} (${set.equippedPieces})` });
+                }
+            }
+        }
+        
+        return modifiers;
+    }
+    
+    /**
+     * Get the set an item belongs to
+     * @param {string} equipmentId - Equipment ID
+     * @returns {Object|null} Item set
+     */
+    getItemSet(equipmentId) {
+        return Object.values(this.itemSets).find(set => set.pieces.includes(equipmentId)) || null;
+    }
+    
+    /**
+     * Get progress and bonuses for every set with at least one piece equipped
+     * @param {Array} equippedIds - Equipment IDs to count (defaults to what is equipped)
+     * @returns {Array} Sets ({ id, name, equippedPieces, totalPieces, bonuses, activeStats })
+     */
+    getSetBonuses(equippedIds = null) {
+        const ids = new Set(equippedIds || Object.values(this.getEquippedItems())
+            .map(equippedItem => equippedItem.itemData?.id));
+        
+        return Object.values(this.itemSets)
+            .map(set => {
+                // Pieces are counted once each, so two copies of a ring only count as one
+                const equippedPieces = set.pieces.filter(pieceId => ids.has(pieceId)).length;
+                const bonuses = Object.entries(set.bonuses)
+                    .map(([pieces, stats]) => ({ pieces: Number(pieces), stats, active: equippedPieces >= Number(pieces) }))
+                    .sort((a, b) => a.pieces - b.pieces);
+                
+                const activeStats = {};
+                bonuses.filter(bonus => bonus.active).forEach(bonus => {
+                    for (const [statType, value] of Object.entries(bonus.stats)) {
+                        activeStats[statType] = (activeStats[statType] || 0) + value;
+                    }
+                });
+                
+                return {
+                    id: set.id,
+                    name: set.name,
+                    equippedPieces,
+                    totalPieces: set.pieces.length,
+                    bonuses,
+                    activeStats
+                };
+            })
+            .filter(set => set.equippedPieces > 0);
+    }
+    
+    /**
+     * Get StatPipeline modifiers from active consumable buffs
+     * @returns {Array} Modifiers ({ stat, type, value, label })
+     */
+    getBuffModifiers() {
+        return (this.stateManager.getStateValue('player.buffs') || []).map(buff => ({
+            stat: buff.stat,
+            type: buff.type,
+            value: buff.value,
+            label: `${buff.name} (${buff.fightsRemaining} fights)`
+        }));
+    }
+    
     /**
      * Check if player meets equipment requirements
      * @param {Object} item - Equipment item
@@ -497,61 +1231,95 @@ export class EquipmentManager {
     
     /**
      * Update player stats based on equipped items
+     * Numeric stats come from StatPipeline; the weapon element and armor
+     * resistances are set here.
      */
     updatePlayerStats() {
-        const currentState = this.stateManager.getState();
-        const equippedItems = currentState.equippedItems || {};
-        const player = currentState.player || {};
-        
-        // Start with base player stats
-        const baseStats = {
-            attack: 10,
-            defense: 5,
-            maxHp: 100,
-            crit_chance: 0.05,
-            crit_damage: 0.5,
-            speed: 0
-        };
+        const equippedItems = this.getEquippedItems();
+        let element = this.ELEMENT_TYPES.PHYSICAL;
         
-        const totalStats = { ...baseStats };
+        // Every element is written so resistances from removed gear are cleared by the deep merge
+        const resistances = Object.fromEntries(Object.values(this.ELEMENT_TYPES).map(resistElement => [resistElement, 0]));
         
-        // Add stats from equipped items
-        for (const equippedItem of Object.values(equippedItems)) {
-            const item = equippedItem.itemData;
-            if (item && item.stats) {
-                for (const [statType, value] of Object.entries(item.stats)) {
-                    if (totalStats[statType] !== undefined) {
-                        totalStats[statType] += value;
-                    }
-                }
+        for (const [slot, equippedItem] of Object.entries(equippedItems)) {
+            // Weapon decides the attack element, resistances stack across slots
+            const elemental = this.getItemElementalStats(equippedItem.itemData);
+            if (slot === this.EQUIPMENT_SLOTS.MAIN_HAND && elemental.element) {
+                element = elemental.element;
+            }
+            for (const [resistElement, value] of Object.entries(elemental.resistances)) {
+                resistances[resistElement] = (resistances[resistElement] || 0) + value;
             }
         }
         
-        // Ensure HP doesn't exceed max HP
-        const currentHp = player.hp || baseStats.maxHp;
-        const adjustedHp = Math.min(currentHp, totalStats.maxHp);
-        
-        // Update player state
         this.stateManager.updateState({
             player: {
-                ...player,
-                attack: totalStats.attack,
-                defense: totalStats.defense,
-                maxHp: totalStats.maxHp,
-                hp: adjustedHp,
-                crit_chance: totalStats.crit_chance,
-                crit_damage: totalStats.crit_damage,
-                speed: totalStats.speed
+                element,
+                resistances
             }
         });
         
-        console.log('📊 Updated player stats:', totalStats);
+        // StatPipeline recomputes attack, defense, maxHp, etc.
+        this.eventSystem.emit('stat_source_changed', { source: 'equipment' }, { immediate: true });
+        
+        const stats = this.stateManager.getStateValue('player');
+        console.log('📊 Updated player stats:', stats, { element, resistances });
         
         this.eventSystem.emit('player_stats_updated', {
-            stats: totalStats
+            stats,
+            element,
+            resistances
         });
     }
     
+    /**
+     * Get an item's attack element and resistances
+     * Items crafted before elements existed fall back to their definition.
+     * @param {Object} item - Equipment item
+     * @returns {Object} Elemental stats ({ element, resistances })
+     */
+    getItemElementalStats(item) {
+        if (!item) return { element: null, resistances: {} };
+        
+        const definition = this.equipmentDefinitions[item.id] || {};
+        return {
+            element: item.element || definition.element || null,
+            resistances: item.resistances || definition.resistances || {}
+        };
+    }
+    
+    /**
+     * Get display text for an item's element and resistances
+     * @param {Object} item - Equipment item
+     * @returns {string} Elemental summary (empty if the item has none)
+     */
+    getElementalSummary(item) {
+        const { element, resistances } = this.getItemElementalStats(item);
+        const parts = [];
+        
+        if (element) {
+            parts.push(`Element: ${element}`);
+        }
+        
+        const resistText = Object.entries(resistances)
+            .map(([resistElement, value]) => `${resistElement} ${Math.round(value * 100)}%`)
+            .join(', ');
+        if (resistText) {
+            parts.push(`Resists: ${resistText}`);
+        }
+        
+        return parts.join(' • ');
+    }
+    
+    /**
+     * Get an item's name with its enhancement level
+     * @param {Object} item - Equipment item
+     * @returns {string} Display name (e.g. "Iron Sword +3")
+     */
+    getDisplayName(item) {
+        return item.enhancementLevel ? `${item.name} +${item.enhancementLevel}` : item.name;
+    }
+    
     /**
      * Get all equipped items
      * @returns {Object} Equipped items by slot
@@ -636,6 +1404,31 @@ export class EquipmentManager {
             comparison.differences[stat] = value2 - value1;
         }
         
+        // Set bonuses gained or lost by wearing item2 in item1's place with the current gear
+        const equippedIds = Object.values(this.getEquippedItems())
+            .map(equippedItem => equippedItem.itemData?.id)
+            .filter(id => id && id !== equipmentId1 && id !== equipmentId2);
+        const setStats = (ids) => this.getSetBonuses(ids).reduce((totals, set) => {
+            for (const [stat, value] of Object.entries(set.activeStats)) {
+                totals[stat] = (totals[stat] || 0) + value;
+            }
+            return totals;
+        }, {});
+        const before = setStats([...equippedIds, equipmentId1]);
+        const after = setStats([...equippedIds, equipmentId2]);
+        
+        comparison.sets = {
+            item1: this.getItemSet(equipmentId1)?.name || null,
+            item2: this.getItemSet(equipmentId2)?.name || null
+        };
+        comparison.setBonusDifferences = {};
+        for (const stat of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            const difference = (after[stat] || 0) - (before[stat] || 0);
+            if (difference !== 0) {
+                comparison.setBonusDifferences[stat] = difference;
+            }
+        }
+        
         return comparison;
     }
 }
\ No newline at end of file
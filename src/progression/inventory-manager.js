@@ -1,12 +1,13 @@
 /**
- * Inventory Manager - Handle item stacking, sorting, and inventory operations
+ * Inventory Manager - Handle item stacking, sorting, bag capacity and inventory operations
  * @module InventoryManager
  */
 
 export class InventoryManager {
-    constructor(stateManager, eventSystem) {
+    constructor(stateManager, eventSystem, materialManager = null) {
         this.stateManager = stateManager;
         this.eventSystem = eventSystem;
+        this.materialManager = materialManager; // Supplies material stack sizes
         
         this.INVENTORY_TYPES = {
             MATERIALS: 'materials',
@@ -27,6 +28,21 @@ export class InventoryManager {
             DESC: 'desc'
         };
         
+        // Slots per inventory type before bags and prestige upgrades
+        this.BASE_CAPACITY = {
+            materials: 30,
+            equipment: 20,
+            consumables: 10
+        };
+        
+        this.DEFAULT_STACK_SIZE = 99;     // Materials without a definition
+        this.CONSUMABLE_STACK_SIZE = 10;
+        this.PRESTIGE_BAG_SLOTS = 5;      // Slots per bagSpace prestige level, for every inventory type
+        this.OVERFLOW_LIMIT = 25;         // Oldest overflow entries are lost past this
+        
+        // Combat quick-bar slots and their keys (1-6 are skill shortcuts)
+        this.QUICK_BAR_KEYS = ['7', '8', '9', '0'];
+        
         this.initializeInventory();
         this.setupEventListeners();
     }
@@ -44,6 +60,9 @@ export class InventoryManager {
                     materials: {},
                     equipment: {},
                     consumables: {},
+                    bagSlots: {},
+                    overflow: [],
+                    quickBar: this.QUICK_BAR_KEYS.map(() => null),
                     settings: {
                         sortType: this.SORT_TYPES.RARITY,
                         sortOrder: this.SORT_ORDER.DESC,
@@ -58,17 +77,29 @@ export class InventoryManager {
      * Setup event listeners for inventory-related events
      */
     setupEventListeners() {
-        // Listen for item additions
-        this.eventSystem.on('material_collected', (data) => {
-            this.addItem(this.INVENTORY_TYPES.MATERIALS, data.materialId, data.quantity);
+        // The materials inventory mirrors state.materials as stacks
+        this.stateManager.subscribe('materials', (materials) => {
+            this.syncMaterials(materials);
         });
         
-        this.eventSystem.on('equipment_acquired', (data) => {
-            this.addItem(this.INVENTORY_TYPES.EQUIPMENT, data.equipmentId, 1);
+        this.eventSystem.on('inventory_add_equipment', (data) => {
+            this.addEquipment(data.equipment, data.source);
         });
         
-        this.eventSystem.on('inventory_add_equipment', (data) => {
-            this.addEquipment(data.equipment);
+        this.eventSystem.on('inventory_bag_upgrade', (data) => {
+            this.addBagSlots(data.inventoryType, data.slots);
+        });
+        
+        this.eventSystem.on('claim_overflow', (data) => {
+            if (data && data.index !== undefined) {
+                this.claimOverflow(data.index);
+            } else {
+                this.claimAllOverflow();
+            }
+        });
+        
+        this.eventSystem.on('quick_bar_assign', (data) => {
+            this.assignQuickBarSlot(data.slot, data.itemId);
         });
         
         // Listen for inventory operations
@@ -83,10 +114,13 @@ export class InventoryManager {
     
     /**
      * Add item to inventory with stacking logic
+     * Stacks fill up to the item's stack size before a new slot is opened; whatever
+     * does not fit in the free slots is left out and reported with 'inventory_full'.
      * @param {string} inventoryType - Type of inventory
      * @param {string} itemId - Item identifier
      * @param {number} quantity - Quantity to add
      * @param {Object} itemData - Additional item data
+     * @returns {number} Quantity actually added
      */
     addItem(inventoryType, itemId, quantity = 1, itemData = null) {
         const currentState = this.stateManager.getState();
@@ -96,55 +130,105 @@ export class InventoryManager {
             inventory[inventoryType] = {};
         }
         
+        const items = inventory[inventoryType];
+        let remaining = quantity;
+        
         // Handle stacking for materials and consumables
-        if (inventoryType === this.INVENTORY_TYPES.MATERIALS || 
-            inventoryType === this.INVENTORY_TYPES.CONSUMABLES) {
+        if (this.isStackable(inventoryType)) {
+            const stackSize = this.getStackSize(inventoryType, itemId);
+            
+            // Top up partial stacks first
+            Object.values(items)
+                .filter(item => item.id === itemId)
+                .forEach(item => {
+                    const added = Math.min(Math.max(0, stackSize - item.quantity), remaining);
+                    item.quantity += added;
+                    remaining -= added;
+                });
             
-            if (!inventory[inventoryType][itemId]) {
-                inventory[inventoryType][itemId] = {
+            let freeSlots = this.getFreeSlots(inventoryType);
+            let index = 1;
+            while (remaining > 0 && freeSlots > 0) {
+                while (items[this.getStackKey(itemId, index)]) index++;
+                
+                const key = this.getStackKey(itemId, index);
+                const added = Math.min(stackSize, remaining);
+                items[key] = {
                     id: itemId,
-                    quantity: 0,
+                    quantity: added,
                     data: itemData
                 };
+                if (index > 1) items[key].uniqueId = key;
+                
+                remaining -= added;
+                freeSlots--;
             }
             
-            inventory[inventoryType][itemId].quantity += quantity;
-            
         } else if (inventoryType === this.INVENTORY_TYPES.EQUIPMENT) {
             // Equipment doesn't stack - create unique entries
-            const equipmentId = this.generateUniqueEquipmentId(itemId);
-            inventory[inventoryType][equipmentId] = {
-                id: itemId,
-                uniqueId: equipmentId,
-                quantity: 1,
-                data: itemData
-            };
+            for (; remaining > 0 && this.getFreeSlots(inventoryType) > 0; remaining--) {
+                const equipmentId = this.generateUniqueEquipmentId(itemId);
+                items[equipmentId] = {
+                    id: itemId,
+                    uniqueId: equipmentId,
+                    quantity: 1,
+                    data: itemData
+                };
+            }
         }
         
-        this.stateManager.updateState({ inventory });
+        const added = quantity - remaining;
         
-        // Auto-sort if enabled
-        const settings = inventory.settings || {};
-        if (settings.autoSort) {
-            this.sortInventory(inventoryType);
+        if (added > 0) {
+            this.stateManager.updateState({ inventory });
+            
+            // Auto-sort if enabled
+            const settings = inventory.settings || {};
+            if (settings.autoSort) {
+                this.sortInventory(inventoryType);
+            }
+            
+            // Emit inventory update event
+            this.eventSystem.emit('inventory_updated', {
+                inventoryType,
+                itemId,
+                quantity: added,
+                operation: 'add'
+            });
+            
+            console.log(`📦 Added ${added}x ${itemId} to ${inventoryType} inventory`);
         }
         
-        // Emit inventory update event
-        this.eventSystem.emit('inventory_updated', {
-            inventoryType,
-            itemId,
-            quantity,
-            operation: 'add'
-        });
+        if (remaining > 0) {
+            this.eventSystem.emit('inventory_full', {
+                inventoryType,
+                itemId,
+                quantity: remaining
+            });
+            console.warn(`🎒 ${inventoryType} inventory is full, ${remaining}x ${itemId} did not fit`);
+        }
         
-        console.log(`📦 Added ${quantity}x ${itemId} to ${inventoryType} inventory`);
+        return added;
     }
     
     /**
      * Add equipment directly to inventory
+     * Equipment that has no room goes to the overflow stash instead.
      * @param {Object} equipment - Equipment instance from equipment manager
+     * @param {string} source - Where the item came from, kept on overflow entries (optional)
+     * @returns {boolean} True if the item went into the inventory
      */
-    addEquipment(equipment) {
+    addEquipment(equipment, source = null) {
+        if (!this.hasRoomForEquipment(equipment)) {
+            this.eventSystem.emit('inventory_full', {
+                inventoryType: this.getEquipmentInventoryType(equipment),
+                itemId: equipment.id,
+                quantity: 1
+            });
+            this.stashOverflow({ type: 'equipment', equipment, source });
+            return false;
+        }
+        
         const currentState = this.stateManager.getState();
         const inventory = currentState.inventory || {};
         
@@ -166,10 +250,44 @@ export class InventoryManager {
         });
         
         console.log(`⚔️ Added ${equipment.name} to equipment inventory`);
+        return true;
+    }
+    
+    /**
+     * Remove an equipment instance from inventory
+     * @param {string} equipmentUniqueId - Unique equipment ID
+     * @returns {Object|null} Removed equipment, or null if not found
+     */
+    removeEquipment(equipmentUniqueId) {
+        const equipment = { ...(this.stateManager.getStateValue('inventory.equipment') || {}) };
+        const removed = equipment[equipmentUniqueId];
+        
+        if (!removed) {
+            return null;
+        }
+        
+        delete equipment[equipmentUniqueId];
+        
+        // Replace the map; a deep merge alone would keep the removed key
+        this.stateManager.updateState(
+            { inventory: { equipment } },
+            { replace: ['inventory.equipment'] }
+        );
+        
+        this.eventSystem.emit('inventory_updated', {
+            inventoryType: 'equipment',
+            itemId: removed.id,
+            quantity: 1,
+            operation: 'remove'
+        });
+        
+        console.log(`📤 Removed ${removed.name} from equipment inventory`);
+        return removed;
     }
     
     /**
      * Remove item from inventory
+     * Stackable items are taken from the last stacks first.
      * @param {string} inventoryType - Type of inventory
      * @param {string} itemId - Item identifier
      * @param {number} quantity - Quantity to remove
@@ -178,26 +296,40 @@ export class InventoryManager {
     removeItem(inventoryType, itemId, quantity = 1) {
         const currentState = this.stateManager.getState();
         const inventory = currentState.inventory || {};
+        const items = inventory[inventoryType];
         
-        if (!inventory[inventoryType] || !inventory[inventoryType][itemId]) {
+        if (!items || this.getItemCount(inventoryType, itemId) === 0) {
             return false; // Item not found
         }
         
-        const item = inventory[inventoryType][itemId];
-        
         // Check if enough quantity available
-        if (item.quantity < quantity) {
+        if (this.getItemCount(inventoryType, itemId) < quantity) {
             return false; // Not enough quantity
         }
         
-        item.quantity -= quantity;
+        const stackKeys = this.isStackable(inventoryType)
+            ? Object.keys(items).filter(key => items[key].id === itemId).reverse()
+            : [itemId];
         
-        // Remove item completely if quantity reaches 0
-        if (item.quantity <= 0) {
-            delete inventory[inventoryType][itemId];
+        const nextItems = { ...items };
+        let remaining = quantity;
+        for (const key of stackKeys) {
+            const removed = Math.min(nextItems[key].quantity, remaining);
+            nextItems[key] = { ...nextItems[key], quantity: nextItems[key].quantity - removed };
+            remaining -= removed;
+            
+            // Remove the stack completely if quantity reaches 0
+            if (nextItems[key].quantity <= 0) {
+                delete nextItems[key];
+            }
+            if (remaining <= 0) break;
         }
         
-        this.stateManager.updateState({ inventory });
+        // Replace the map; a deep merge alone would keep the emptied stacks
+        this.stateManager.updateState(
+            { inventory: { [inventoryType]: nextItems } },
+            { replace: [`inventory.${inventoryType}`] }
+        );
         
         // Emit inventory update event
         this.eventSystem.emit('inventory_updated', {
@@ -214,18 +346,21 @@ export class InventoryManager {
     /**
      * Get item count in inventory
      * @param {string} inventoryType - Type of inventory
-     * @param {string} itemId - Item identifier
-     * @returns {number} Current count
+     * @param {string} itemId - Item identifier (or unique ID for equipment)
+     * @returns {number} Current count, across all stacks
      */
     getItemCount(inventoryType, itemId) {
         const currentState = this.stateManager.getState();
         const inventory = currentState.inventory || {};
+        const items = inventory[inventoryType] || {};
         
-        if (!inventory[inventoryType] || !inventory[inventoryType][itemId]) {
-            return 0;
+        if (!this.isStackable(inventoryType)) {
+            return items[itemId]?.quantity || 0;
         }
         
-        return inventory[inventoryType][itemId].quantity || 0;
+        return Object.values(items)
+            .filter(item => item.id === itemId)
+            .reduce((sum, item) => sum + (item.quantity || 0), 0);
     }
     
     /**
@@ -330,6 +465,7 @@ export class InventoryManager {
     
     /**
      * Stack identical items in inventory
+     * Split stacks of the same item are merged, then re-split at the stack size.
      * @param {string} inventoryType - Type of inventory to stack
      */
     stackItems(inventoryType) {
@@ -341,30 +477,441 @@ export class InventoryManager {
         }
         
         // Only materials and consumables can be stacked
-        if (inventoryType !== this.INVENTORY_TYPES.MATERIALS && 
-            inventoryType !== this.INVENTORY_TYPES.CONSUMABLES) {
+        if (!this.isStackable(inventoryType)) {
             return;
         }
         
         const items = inventory[inventoryType];
-        const stackedItems = {};
+        const totals = {};
         
-        for (const [key, item] of Object.entries(items)) {
-            if (stackedItems[item.id]) {
+        for (const item of Object.values(items)) {
+            if (totals[item.id]) {
                 // Merge quantities
-                stackedItems[item.id].quantity += item.quantity;
+                totals[item.id].quantity += item.quantity;
             } else {
-                // Create new stack
-                stackedItems[item.id] = { ...item };
+                const { uniqueId, ...template } = item;
+                totals[item.id] = { template, quantity: item.quantity };
             }
         }
         
-        inventory[inventoryType] = stackedItems;
-        this.stateManager.updateState({ inventory });
+        const stackedItems = {};
+        for (const [itemId, { template, quantity }] of Object.entries(totals)) {
+            Object.assign(stackedItems, this.splitIntoStacks(inventoryType, itemId, quantity, template));
+        }
+        
+        // Replace the map; a deep merge alone would keep the merged-away stacks
+        this.stateManager.updateState(
+            { inventory: { [inventoryType]: stackedItems } },
+            { replace: [`inventory.${inventoryType}`] }
+        );
         
         console.log(`📦 Stacked items in ${inventoryType} inventory`);
     }
     
+    /**
+     * Split a quantity into stacks of at most the item's stack size
+     * The first stack is keyed by the item ID, later ones by `${itemId}#2`, `${itemId}#3`...
+     * @param {string} inventoryType - Type of inventory
+     * @param {string} itemId - Item identifier
+     * @param {number} quantity - Total quantity
+     * @param {Object} template - Fields copied onto every stack
+     * @returns {Object} Stacks keyed by stack key
+     */
+    splitIntoStacks(inventoryType, itemId, quantity, template = {}) {
+        const stackSize = this.getStackSize(inventoryType, itemId);
+        const stacks = {};
+        
+        for (let index = 1, remaining = quantity; remaining > 0; index++) {
+            const key = this.getStackKey(itemId, index);
+            const amount = Math.min(stackSize, remaining);
+            
+            stacks[key] = { ...template, id: itemId, quantity: amount };
+            if (index > 1) stacks[key].uniqueId = key;
+            
+            remaining -= amount;
+        }
+        
+        return stacks;
+    }
+    
+    /**
+     * Get the inventory key of an item's nth stack
+     * @param {string} itemId - Item identifier
+     * @param {number} index - Stack number, starting at 1
+     * @returns {string} Stack key
+     */
+    getStackKey(itemId, index) {
+        return index === 1 ? itemId : `${itemId}#${index}`;
+    }
+    
+    /**
+     * Rebuild the materials inventory from the authoritative material counts
+     * @param {Object} materials - Material counts keyed by material ID
+     */
+    syncMaterials(materials = {}) {
+        const inventory = this.stateManager.getStateValue('inventory');
+        if (!inventory) return;
+        
+        const stacks = {};
+        for (const [materialId, count] of Object.entries(materials)) {
+            const definition = this.materialManager?.getMaterialDefinition(materialId);
+            const data = definition
+                ? { name: definition.name, rarity: definition.rarity, value: definition.value }
+                : null;
+            Object.assign(stacks, this.splitIntoStacks(this.INVENTORY_TYPES.MATERIALS, materialId, count, { data }));
+        }
+        
+        // Replace the map; a deep merge alone would keep used-up stacks
+        this.stateManager.updateState(
+            { inventory: { materials: stacks } },
+            { replace: ['inventory.materials'] }
+        );
+        
+        if (inventory.settings?.autoSort) {
+            this.sortInventory(this.INVENTORY_TYPES.MATERIALS);
+        }
+    }
+    
+    /**
+     * Check whether an inventory type stacks its items
+     * @param {string} inventoryType - Type of inventory
+     * @returns {boolean} True for materials and consumables
+     */
+    isStackable(inventoryType) {
+        return inventoryType === this.INVENTORY_TYPES.MATERIALS ||
+            inventoryType === this.INVENTORY_TYPES.CONSUMABLES;
+    }
+    
+    /**
+     * Get how many of an item fit in one stack
+     * @param {string} inventoryType - Type of inventory
+     * @param {string} itemId - Item identifier
+     * @returns {number} Stack size
+     */
+    getStackSize(inventoryType, itemId) {
+        if (inventoryType === this.INVENTORY_TYPES.MATERIALS) {
+            return this.materialManager?.getMaterialDefinition(itemId)?.stackSize || this.DEFAULT_STACK_SIZE;
+        }
+        
+        if (inventoryType === this.INVENTORY_TYPES.CONSUMABLES) {
+            return this.CONSUMABLE_STACK_SIZE;
+        }
+        
+        return 1;
+    }
+    
+    /**
+     * Get the number of slots of an inventory type
+     * @param {string} inventoryType - Type of inventory
+     * @returns {number} Base slots plus bag upgrades and the bagSpace prestige upgrade
+     */
+    getCapacity(inventoryType) {
+        const state = this.stateManager.getState();
+        const bagSlots = state.inventory?.bagSlots?.[inventoryType] || 0;
+        const prestigeLevel = state.prestige?.upgrades?.bagSpace || 0;
+        
+        return (this.BASE_CAPACITY[inventoryType] || 0) + bagSlots + prestigeLevel * this.PRESTIGE_BAG_SLOTS;
+    }
+    
+    /**
+     * Count the slots in use for an inventory type
+     * Equipped gear takes no slot. Consumables are kept as equipment instances
+     * and use one slot per stack of CONSUMABLE_STACK_SIZE.
+     * @param {string} inventoryType - Type of inventory
+     * @returns {number} Used slots
+     */
+    getUsedSlots(inventoryType) {
+        const inventory = this.getFullInventory();
+        const gear = Object.values(inventory.equipment || {});
+        
+        switch (inventoryType) {
+            case this.INVENTORY_TYPES.MATERIALS:
+                return Object.keys(inventory.materials || {}).length;
+            
+            case this.INVENTORY_TYPES.EQUIPMENT:
+                return gear.filter(item => !item.equipped && !item.consumable).length;
+            
+            case this.INVENTORY_TYPES.CONSUMABLES: {
+                const counts = {};
+                gear.filter(item => item.consumable).forEach(item => {
+                    counts[item.id] = (counts[item.id] || 0) + 1;
+                });
+                const consumableStacks = Object.values(counts)
+                    .reduce((sum, count) => sum + Math.ceil(count / this.CONSUMABLE_STACK_SIZE), 0);
+                return consumableStacks + Object.keys(inventory.consumables || {}).length;
+            }
+            
+            default:
+                return 0;
+        }
+    }
+    
+    /**
+     * Get the number of free slots for an inventory type
+     * @param {string} inventoryType - Type of inventory
+     * @returns {number} Free slots (never negative)
+     */
+    getFreeSlots(inventoryType) {
+        return Math.max(0, this.getCapacity(inventoryType) - this.getUsedSlots(inventoryType));
+    }
+    
+    /**
+     * Get how much more of a material fits in the bags
+     * @param {string} materialId - Material ID
+     * @returns {number} Room left in the last stack plus every free slot
+     */
+    getMaterialSpace(materialId) {
+        const stackSize = this.getStackSize(this.INVENTORY_TYPES.MATERIALS, materialId);
+        const held = this.stateManager.getStateValue('materials')?.[materialId] || 0;
+        const partialRoom = held % stackSize === 0 ? 0 : stackSize - (held % stackSize);
+        
+        return partialRoom + this.getFreeSlots(this.INVENTORY_TYPES.MATERIALS) * stackSize;
+    }
+    
+    /**
+     * Get the inventory type an equipment instance takes a slot in
+     * @param {Object} equipment - Equipment instance
+     * @returns {string} 'consumables' or 'equipment'
+     */
+    getEquipmentInventoryType(equipment) {
+        return equipment.consumable ? this.INVENTORY_TYPES.CONSUMABLES : this.INVENTORY_TYPES.EQUIPMENT;
+    }
+    
+    /**
+     * Check whether an equipment instance fits in the inventory
+     * @param {Object} equipment - Equipment instance
+     * @returns {boolean} True if there is a free slot, or room on a consumable stack
+     */
+    hasRoomForEquipment(equipment) {
+        const inventoryType = this.getEquipmentInventoryType(equipment);
+        
+        if (equipment.consumable) {
+            const held = Object.values(this.getInventory(this.INVENTORY_TYPES.EQUIPMENT))
+                .filter(item => item.id === equipment.id).length;
+            if (held % this.CONSUMABLE_STACK_SIZE !== 0) return true;
+        }
+        
+        return this.getFreeSlots(inventoryType) > 0;
+    }
+    
+    /**
+     * Add slots to an inventory type, e.g. from a crafted bag
+     * @param {string} inventoryType - Type of inventory
+     * @param {number} slots - Slots to add
+     * @returns {boolean} Success/failure
+     */
+    addBagSlots(inventoryType, slots) {
+        if (!this.BASE_CAPACITY[inventoryType] || !(slots > 0)) {
+            console.warn(`Invalid bag upgrade: ${slots} ${inventoryType} slots`);
+            return false;
+        }
+        
+        const inventory = this.getFullInventory();
+        const bagSlots = { ...(inventory.bagSlots || {}) };
+        bagSlots[inventoryType] = (bagSlots[inventoryType] || 0) + slots;
+        
+        this.stateManager.updateState({ inventory: { bagSlots } });
+        
+        console.log(`🎒 ${inventoryType} inventory grew by ${slots} slots (${this.getCapacity(inventoryType)} total)`);
+        
+        this.eventSystem.emit('inventory_capacity_changed', {
+            inventoryType,
+            slots,
+            capacity: this.getCapacity(inventoryType)
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Get items waiting in the overflow stash
+     * @returns {Array} Overflow entries, oldest first
+     */
+    getOverflow() {
+        return this.getFullInventory().overflow || [];
+    }
+    
+    /**
+     * Put rewards that did not fit into the overflow stash
+     * The stash holds OVERFLOW_LIMIT entries; the oldest are dropped past that.
+     * @param {Object} entry - { type: 'material', materialId, quantity } or { type: 'equipment', equipment }, plus an optional source
+     */
+    stashOverflow(entry) {
+        const overflow = [...this.getOverflow(), entry];
+        const dropped = overflow.length > this.OVERFLOW_LIMIT
+            ? overflow.splice(0, overflow.length - this.OVERFLOW_LIMIT)
+            : [];
+        
+        this.stateManager.updateState({ inventory: { overflow } });
+        
+        console.log(`📬 Stashed ${this.describeOverflowEntry(entry)} in overflow`);
+        
+        this.eventSystem.emit('overflow_stashed', {
+            entry,
+            overflowCount: overflow.length
+        });
+        
+        dropped.forEach(droppedEntry => {
+            console.warn(`🗑️ Overflow stash is full, dropped ${this.describeOverflowEntry(droppedEntry)}`);
+            this.eventSystem.emit('overflow_dropped', { entry: droppedEntry });
+        });
+    }
+    
+    /**
+     * Move an overflow entry into the inventory, as much of it as fits
+     * @param {number} index - Position in the overflow stash
+     * @returns {boolean} True if the whole entry was claimed
+     */
+    claimOverflow(index) {
+        const overflow = [...this.getOverflow()];
+        const entry = overflow[index];
+        if (!entry) return false;
+        
+        let claimed = false;
+        let changed = false;
+        
+        if (entry.type === 'material') {
+            const stored = this.materialManager ? this.materialManager.storeMaterial(entry.materialId, entry.quantity) : 0;
+            claimed = stored === entry.quantity;
+            changed = stored > 0;
+            if (!claimed) {
+                overflow[index] = { ...entry, quantity: entry.quantity - stored };
+            }
+        } else if (entry.type === 'equipment' && this.hasRoomForEquipment(entry.equipment)) {
+            this.addEquipment(entry.equipment, entry.source);
+            claimed = true;
+        }
+        
+        if (claimed) {
+            overflow.splice(index, 1);
+            changed = true;
+            this.eventSystem.emit('overflow_claimed', { entry });
+        } else {
+            this.eventSystem.emit('inventory_full', {
+                inventoryType: entry.type === 'material'
+                    ? this.INVENTORY_TYPES.MATERIALS
+                    : this.getEquipmentInventoryType(entry.equipment),
+                itemId: entry.materialId || entry.equipment?.id,
+                quantity: overflow[index].quantity || 1
+            });
+        }
+        
+        if (changed) {
+            this.stateManager.updateState({ inventory: { overflow } });
+        }
+        return claimed;
+    }
+    
+    /**
+     * Claim every overflow entry that fits, oldest first
+     * @returns {number} Entries fully claimed
+     */
+    claimAllOverflow() {
+        let claimed = 0;
+        
+        for (let index = 0; index < this.getOverflow().length;) {
+            if (this.claimOverflow(index)) {
+                claimed++;
+            } else {
+                index++;
+            }
+        }
+        
+        return claimed;
+    }
+    
+    /**
+     * Get the consumable IDs bound to the combat quick-bar
+     * @returns {Array} One consumable ID (or null) per slot
+     */
+    getQuickBar() {
+        const quickBar = this.getFullInventory().quickBar || [];
+        return this.QUICK_BAR_KEYS.map((key, slot) => quickBar[slot] || null);
+    }
+    
+    /**
+     * Bind a consumable to a quick-bar slot, or clear the slot
+     * A consumable sits in one slot at most, so binding it again moves it.
+     * @param {number} slot - Quick-bar slot (0 to QUICK_BAR_KEYS.length - 1)
+     * @param {string|null} itemId - Consumable ID, or null to clear the slot
+     * @returns {boolean} True if the quick-bar changed
+     */
+    assignQuickBarSlot(slot, itemId) {
+        if (!Number.isInteger(slot) || slot < 0 || slot >= this.QUICK_BAR_KEYS.length) return false;
+        
+        if (itemId) {
+            const item = Object.values(this.getInventory(this.INVENTORY_TYPES.EQUIPMENT))
+                .find(candidate => candidate.id === itemId);
+            if (!this.isCombatConsumable(item)) {
+                console.warn(`Cannot bind ${itemId} to the quick-bar`);
+                return false;
+            }
+        }
+        
+        const quickBar = this.getQuickBar().map(boundId => (itemId && boundId === itemId ? null : boundId));
+        quickBar[slot] = itemId || null;
+        
+        this.stateManager.updateState({ inventory: { quickBar } });
+        
+        this.eventSystem.emit('quick_bar_changed', { quickBar, slot, itemId: itemId || null });
+        
+        return true;
+    }
+    
+    /**
+     * Get the quick-bar slot for a key
+     * @param {string} key - Key pressed
+     * @returns {number} Slot index, or -1 if the key is not a quick-bar key
+     */
+    getQuickBarSlotByKey(key) {
+        return this.QUICK_BAR_KEYS.indexOf(key);
+    }
+    
+    /**
+     * Find an owned consumable to use for a quick-bar slot
+     * @param {string} itemId - Consumable ID
+     * @returns {string|null} Unique ID of one instance, or null if none are left
+     */
+    findConsumable(itemId) {
+        const item = Object.values(this.getInventory(this.INVENTORY_TYPES.EQUIPMENT))
+            .find(candidate => candidate.id === itemId && candidate.consumable);
+        return item ? item.uniqueId : null;
+    }
+    
+    /**
+     * Count owned instances of a consumable
+     * @param {string} itemId - Consumable ID
+     * @returns {number} Instances in the inventory
+     */
+    getConsumableCount(itemId) {
+        return Object.values(this.getInventory(this.INVENTORY_TYPES.EQUIPMENT))
+            .filter(candidate => candidate.id === itemId && candidate.consumable).length;
+    }
+    
+    /**
+     * Check whether an item can go on the combat quick-bar
+     * Bags are consumables too, but only make sense outside a fight.
+     * @param {Object} item - Equipment instance
+     * @returns {boolean} True for potions, buffs, cleanses and escape items
+     */
+    isCombatConsumable(item) {
+        return Boolean(item && item.consumable && !item.bagUpgrade);
+    }
+    
+    /**
+     * Describe an overflow entry for logs and the UI
+     * @param {Object} entry - Overflow entry
+     * @returns {string} e.g. "12x wood" or "Iron Sword"
+     */
+    describeOverflowEntry(entry) {
+        if (entry.type === 'material') {
+            const name = this.materialManager?.getMaterialDefinition(entry.materialId)?.name || entry.materialId;
+            return `${entry.quantity}x ${name}`;
+        }
+        
+        return entry.equipment?.name || 'unknown item';
+    }
+    
     /**
      * Calculate total inventory value
      * @param {string} inventoryType - Type of inventory (optional)
@@ -0,0 +1,266 @@
+/**
+ * Leveling System - EXP curve, level ups and stat point allocation
+ * @module LevelingSystem
+ */
+
+export class LevelingSystem {
+    constructor(stateManager, eventSystem, statPipeline) {
+        this.stateManager = stateManager;
+        this.eventSystem = eventSystem;
+        this.statPipeline = statPipeline;
+        
+        // EXP to go from a level to the next: floor(base * level ^ exponent)
+        this.EXP_CURVE = {
+            base: 100,
+            exponent: 1.2
+        };
+        this.MAX_LEVEL = 100;
+        
+        this.STAT_POINTS_PER_LEVEL = 3;
+        
+        // What one allocated point adds (flat, on top of base and level gains)
+        this.STAT_POINT_VALUES = {
+            attack: 2,
+            defense: 2,
+            maxHp: 15,
+            criticalChance: 0.01,
+            speed: 1
+        };
+        
+        this.initializeLeveling();
+        this.setupEventListeners();
+        
+        console.log('🌟 Leveling System initialized');
+    }
+    
+    /**
+     * Initialize leveling state
+     * Saves from before stat points get the points for the levels they already have.
+     */
+    initializeLeveling() {
+        const state = this.stateManager.getState();
+        
+        if (!state.leveling) {
+            const level = state.player?.level || 1;
+            
+            this.stateManager.updateState({
+                leveling: {
+                    statPoints: (level - 1) * this.STAT_POINTS_PER_LEVEL,
+                    allocated: this.createEmptyAllocation()
+                }
+            });
+        }
+    }
+    
+    /**
+     * Setup event listeners for allocation requests and state resets
+     */
+    setupEventListeners() {
+        this.eventSystem.on('stateLoaded', () => {
+            this.initializeLeveling();
+        });
+        
+        // Prestige resets the player to level 1 and clears the leveling state
+        this.eventSystem.on('prestigeReset', () => {
+            this.initializeLeveling();
+        });
+        
+        this.eventSystem.on('allocate_stat_point', (data) => {
+            this.allocateStatPoint(data.stat, data.points);
+        });
+        
+        this.eventSystem.on('respec_stat_points', () => {
+            this.respec();
+        });
+    }
+    
+    /**
+     * Get the EXP needed to go from a level to the next
+     * @param {number} level - Current level
+     * @returns {number} EXP required
+     */
+    getExpForLevel(level) {
+        return Math.floor(this.EXP_CURVE.base * Math.pow(Math.max(1, level), this.EXP_CURVE.exponent));
+    }
+    
+    /**
+     * Get the player's progress towards the next level
+     * @returns {Object} { level, exp, required } (required is 0 at MAX_LEVEL)
+     */
+    getExpProgress() {
+        const player = this.stateManager.getStateValue('player') || {};
+        const level = player.level || 1;
+        
+        return {
+            level: level,
+            exp: player.exp || 0,
+            required: level >= this.MAX_LEVEL ? 0 : this.getExpForLevel(level)
+        };
+    }
+    
+    /**
+     * Grant every level the player's EXP pays for, carrying the remainder
+     * Each level awards STAT_POINTS_PER_LEVEL; stats are recalculated once and HP is fully restored.
+     * @returns {number} Levels gained
+     */
+    checkLevelUp() {
+        const player = this.stateManager.getStateValue('player');
+        const startLevel = player.level;
+        let level = player.level;
+        let exp = player.exp;
+        
+        while (level < this.MAX_LEVEL && exp >= this.getExpForLevel(level)) {
+            exp -= this.getExpForLevel(level);
+            level++;
+        }
+        
+        const levelsGained = level - startLevel;
+        if (levelsGained === 0) return 0;
+        
+        const statPointsGained = levelsGained * this.STAT_POINTS_PER_LEVEL;
+        this.stateManager.updateState({
+            player: { level, exp },
+            leveling: { statPoints: this.getStatPoints() + statPointsGained }
+        });
+        
+        // Level gains come from StatPipeline; full heal on level up
+        const stats = this.statPipeline.refresh({ fullHeal: true });
+        
+        this.eventSystem.emit('player_level_up', {
+            newLevel: level,
+            previousLevel: startLevel,
+            levelsGained,
+            statPointsGained,
+            stats: { maxHp: stats.maxHp, attack: stats.attack, defense: stats.defense }
+        });
+        
+        // Achievements count each level
+        for (let newLevel = startLevel + 1; newLevel <= level; newLevel++) {
+            this.eventSystem.emit('level_up', {
+                level: newLevel,
+                previousLevel: newLevel - 1
+            });
+        }
+        
+        console.log(`🌟 Level up! Now level ${level}${levelsGained > 1 ? ` (+${levelsGained})` : ''}`);
+        
+        return levelsGained;
+    }
+    
+    /**
+     * Jump straight to a level with the stat points it would have earned, all unspent
+     * Used to set up simulations and tests; EXP is reset and no level_up events fire.
+     * @param {number} level - Target level
+     */
+    setLevel(level) {
+        const newLevel = Math.min(this.MAX_LEVEL, Math.max(1, Math.floor(level)));
+        
+        this.stateManager.updateState({
+            player: { level: newLevel, exp: 0 },
+            leveling: {
+                statPoints: (newLevel - 1) * this.STAT_POINTS_PER_LEVEL,
+                allocated: this.createEmptyAllocation()
+            }
+        });
+        
+        this.eventSystem.emit('stat_source_changed', { source: 'stat_points' }, { immediate: true });
+    }
+    
+    /**
+     * Get unspent stat points
+     * @returns {number} Stat points
+     */
+    getStatPoints() {
+        return this.stateManager.getStateValue('leveling.statPoints') || 0;
+    }
+    
+    /**
+     * Get points allocated to each stat
+     * @returns {Object} Stat -> points
+     */
+    getAllocation() {
+        return {
+            ...this.createEmptyAllocation(),
+            ...(this.stateManager.getStateValue('leveling.allocated') || {})
+        };
+    }
+    
+    /**
+     * Spend stat points on a stat
+     * @param {string} stat - Stat from STAT_POINT_VALUES
+     * @param {number} points - Points to spend
+     * @returns {boolean} True if the points were spent
+     */
+    allocateStatPoint(stat, points = 1) {
+        if (!(stat in this.STAT_POINT_VALUES) || !Number.isInteger(points) || points < 1) {
+            console.warn(`Cannot allocate ${points} points to ${stat}`);
+            return false;
+        }
+        
+        const statPoints = this.getStatPoints();
+        if (statPoints < points) {
+            console.log(`Not enough stat points (${statPoints}/${points})`);
+            return false;
+        }
+        
+        const allocated = this.getAllocation();
+        allocated[stat] += points;
+        
+        this.stateManager.updateState({
+            leveling: { statPoints: statPoints - points, allocated }
+        });
+        
+        console.log(`📊 Allocated ${points} point(s) to ${stat}`);
+        
+        this.eventSystem.emit('stat_points_allocated', { stat, points, allocated });
+        this.eventSystem.emit('stat_source_changed', { source: 'stat_points' }, { immediate: true });
+        
+        return true;
+    }
+    
+    /**
+     * Return every allocated point to the unspent pool
+     * @returns {number} Points refunded
+     */
+    respec() {
+        const refunded = Object.values(this.getAllocation()).reduce((total, points) => total + points, 0);
+        if (refunded === 0) return 0;
+        
+        this.stateManager.updateState({
+            leveling: {
+                statPoints: this.getStatPoints() + refunded,
+                allocated: this.createEmptyAllocation()
+            }
+        });
+        
+        console.log(`📊 Respec: ${refunded} stat points refunded`);
+        
+        this.eventSystem.emit('stat_points_reset', { refunded });
+        this.eventSystem.emit('stat_source_changed', { source: 'stat_points' }, { immediate: true });
+        
+        return refunded;
+    }
+    
+    /**
+     * Get StatPipeline modifiers from allocated stat points
+     * @returns {Array} Modifiers ({ stat, type, value, label })
+     */
+    getStatModifiers() {
+        return Object.entries(this.getAllocation())
+            .filter(([stat, points]) => points > 0 && stat in this.STAT_POINT_VALUES)
+            .map(([stat, points]) => ({
+                stat,
+                type: 'flat',
+                value: points * this.STAT_POINT_VALUES[stat],
+                label: `Stat Points (${points})`
+            }));
+    }
+    
+    /**
+     * Build an allocation with no points in any stat
+     * @returns {Object} Stat -> 0
+     */
+    createEmptyAllocation() {
+        return Object.fromEntries(Object.keys(this.STAT_POINT_VALUES).map(stat => [stat, 0]));
+    }
+}
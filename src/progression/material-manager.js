@@ -3,12 +3,17 @@
  * @module MaterialManager
  */
 
+import { RandomService } from '../core/random-service.js';
+
 export class MaterialManager {
-    constructor(stateManager, eventSystem, stageManager = null) {
+    constructor(stateManager, eventSystem, stageManager = null, randomService = null) {
         this.stateManager = stateManager;
         this.eventSystem = eventSystem;
         this.stageManager = stageManager;
+        const random = randomService || new RandomService();
+        this.rng = random.getStream(random.STREAMS.LOOT);
         this.weeklyEvents = null; // Will be set by game engine
+        this.inventoryManager = null; // Enforces bag capacity when set
         
         this.MATERIAL_RARITY = {
             COMMON: 'common',
@@ -156,6 +161,11 @@ export class MaterialManager {
         this.eventSystem.on('collect_material', (data) => {
             this.collectMaterial(data.materialId, data.quantity);
         });
+        
+        // Boss rewards list materials as { type, amount }
+        this.eventSystem.on('boss_materials_gained', (data) => {
+            this.awardMaterials(data.materials.map(reward => ({ materialId: reward.type, quantity: reward.amount })), 'boss');
+        });
     }
     
     /**
@@ -163,22 +173,32 @@ export class MaterialManager {
      * @param {Object} enemy - Defeated enemy data
      */
     awardPostCombatMaterials(enemy) {
-        const materials = this.calculateMaterialDrops(enemy);
-        
-        materials.forEach(drop => {
-            this.addMaterial(drop.materialId, drop.quantity);
+        this.awardMaterials(this.calculateMaterialDrops(enemy), 'combat');
+    }
+    
+    /**
+     * Add dropped materials and announce them
+     * Drops that do not fit in the bags go to the overflow stash.
+     * @param {Array} drops - Drops ({ materialId, quantity })
+     * @param {string} source - Where the drops came from ('combat', 'boss')
+     */
+    awardMaterials(drops, source) {
+        drops.forEach(drop => {
+            const stored = this.addMaterial(drop.materialId, drop.quantity, source);
             
             // Emit material collected event for UI feedback and achievements
             this.eventSystem.emit('material_collected', {
                 materialId: drop.materialId,
                 quantity: drop.quantity,
+                stored: stored,
                 amount: drop.quantity, // For achievement tracking
                 rarity: this.getMaterialRarity(drop.materialId),
-                type: drop.materialId
+                type: drop.materialId,
+                source: source
             });
         });
         
-        console.log('📦 Materials awarded:', materials);
+        console.log('📦 Materials awarded:', drops);
     }
     
     /**
@@ -188,7 +208,7 @@ export class MaterialManager {
      */
     calculateMaterialDrops(enemy) {
         const drops = [];
-        const baseDropCount = Math.floor(Math.random() * 3) + 1; // 1-3 materials
+        const baseDropCount = this.rng.int(1, 3);
         
         // Apply stage multiplier if available
         const stageMultiplier = this.stageManager ? this.stageManager.getStageMaterialMultiplier() : 1.0;
@@ -218,7 +238,7 @@ export class MaterialManager {
      * @returns {string} Material rarity
      */
     rollMaterialRarity() {
-        const roll = Math.random();
+        const roll = this.rng.next();
         let cumulative = 0;
         
         // Get prestige bonuses for luck
@@ -267,8 +287,7 @@ export class MaterialManager {
         
         // For now, randomly select from available materials of that rarity
         // Later this could be influenced by enemy type/stage
-        const randomIndex = Math.floor(Math.random() * materialsOfRarity.length);
-        return materialsOfRarity[randomIndex].id;
+        return this.rng.pick(materialsOfRarity).id;
     }
     
     /**
@@ -278,9 +297,9 @@ export class MaterialManager {
      */
     calculateMaterialQuantity(rarity) {
         const baseQuantity = {
-            common: Math.floor(Math.random() * 5) + 1,     // 1-5
-            uncommon: Math.floor(Math.random() * 3) + 1,   // 1-3
-            rare: Math.floor(Math.random() * 2) + 1,       // 1-2
+            common: this.rng.int(1, 5),
+            uncommon: this.rng.int(1, 3),
+            rare: this.rng.int(1, 2),
             epic: 1,                                       // Always 1
             legendary: 1                                   // Always 1
         };
@@ -288,15 +307,25 @@ export class MaterialManager {
         return baseQuantity[rarity] || 1;
     }
     
+    /**
+     * Add or replace material definitions (used by content packs)
+     * @param {Object} definitions - Material definitions keyed by material ID
+     */
+    registerMaterials(definitions) {
+        Object.entries(definitions).forEach(([materialId, definition]) => {
+            this.materialDefinitions[materialId] = { ...definition, id: materialId };
+        });
+    }
+    
     /**
      * Add material to player inventory
+     * Whatever does not fit in the bags is stashed in the inventory overflow.
      * @param {string} materialId - Material to add
      * @param {number} quantity - Amount to add
+     * @param {string} source - Where the material came from, kept on overflow entries (optional)
+     * @returns {number} Amount that went into the bags
      */
-    addMaterial(materialId, quantity) {
-        const currentState = this.stateManager.getState();
-        const materials = currentState.materials || {};
-        
+    addMaterial(materialId, quantity, source = null) {
         // Apply weekly event bonuses
         let finalQuantity = quantity;
         if (this.weeklyEvents && this.weeklyEvents.isEventEffectActive('materialDropMultiplier')) {
@@ -317,18 +346,47 @@ export class MaterialManager {
             });
         }
         
+        const stored = this.storeMaterial(materialId, finalQuantity);
+        
+        if (stored < finalQuantity && this.inventoryManager) {
+            this.inventoryManager.stashOverflow({
+                type: 'material',
+                materialId,
+                quantity: finalQuantity - stored,
+                source
+            });
+        }
+        
+        // Update prestige progress (if prestige system exists)
+        this.eventSystem.emit('material_collected_progress', { quantity: finalQuantity });
+        
+        console.log(`Added ${stored}x ${materialId} (Total: ${this.getMaterialCount(materialId)})`);
+        return stored;
+    }
+    
+    /**
+     * Put material into the bags, up to the space left for it
+     * Unlike addMaterial(), no drop bonuses apply and nothing counts as collected.
+     * @param {string} materialId - Material to store
+     * @param {number} quantity - Amount to store
+     * @returns {number} Amount stored
+     */
+    storeMaterial(materialId, quantity) {
+        const currentState = this.stateManager.getState();
+        const materials = currentState.materials || {};
+        
+        const space = this.inventoryManager ? this.inventoryManager.getMaterialSpace(materialId) : Infinity;
+        const stored = Math.max(0, Math.min(quantity, space));
+        if (stored === 0) return 0;
+        
         if (!materials[materialId]) {
             materials[materialId] = 0;
         }
         
-        materials[materialId] += finalQuantity;
+        materials[materialId] += stored;
         
         this.stateManager.updateState({ materials });
-        
-        // Update prestige progress (if prestige system exists)
-        this.eventSystem.emit('material_collected_progress', { quantity: finalQuantity });
-        
-        console.log(`Added ${finalQuantity}x ${materialId} (Total: ${materials[materialId]})`);
+        return stored;
     }
     
     /**
@@ -355,6 +413,24 @@ export class MaterialManager {
         return true;
     }
     
+    /**
+     * Give back materials that were spent, e.g. on a cancelled craft or salvaged gear
+     * Unlike addMaterial(), no drop bonuses apply and nothing counts as collected.
+     * Refunds are never turned away, even when that overfills the bags.
+     * @param {Object} refund - Quantities keyed by material ID
+     */
+    refundMaterials(refund) {
+        const currentState = this.stateManager.getState();
+        const materials = currentState.materials || {};
+        
+        for (const [materialId, quantity] of Object.entries(refund)) {
+            materials[materialId] = (materials[materialId] || 0) + quantity;
+        }
+        
+        this.stateManager.updateState({ materials });
+        this.eventSystem.emit('materials_refunded', { materials: refund });
+    }
+    
     /**
      * Get material count in inventory
      * @param {string} materialId - Material to check
@@ -0,0 +1,178 @@
+/**
+ * Offline Progress - Estimates and applies progress made while the game was closed
+ * @module OfflineProgress
+ */
+
+class OfflineProgress {
+    constructor(stateManager, eventSystem, stageManager, combatManager, enemyDatabase, materialManager) {
+        this.stateManager = stateManager;
+        this.eventSystem = eventSystem;
+        this.stageManager = stageManager;
+        this.combatManager = combatManager;
+        this.enemyDatabase = enemyDatabase;
+        this.materialManager = materialManager;
+
+        this.MAX_OFFLINE_TIME = 8 * 60 * 60 * 1000; // 8 hours
+        this.MIN_OFFLINE_TIME = 60 * 1000;          // Ignore short reloads
+        this.OFFLINE_EFFICIENCY = 0.5;              // Idle play earns half of active play
+        this.ROUND_SECONDS = 2;                     // Player turn + delayed enemy turn
+        this.REST_SECONDS = 2;                      // Time between fights
+        this.DROP_SAMPLE_LIMIT = 100;               // Drop rolls simulated before scaling
+
+        console.log('🌙 Offline Progress initialized');
+    }
+
+    /**
+     * Estimate progress for a period of time spent offline
+     * @param {number} elapsedMs - Time since last save in milliseconds
+     * @returns {Object|null} Offline progress summary or null if too short
+     */
+    calculateOfflineProgress(elapsedMs) {
+        if (!(elapsedMs >= this.MIN_OFFLINE_TIME)) {
+            return null;
+        }
+
+        const offlineTime = Math.min(elapsedMs, this.MAX_OFFLINE_TIME);
+        const stage = this.stageManager.getCurrentStage();
+        const player = this.combatManager.getEffectivePlayerStats();
+
+        const [minLevel, maxLevel] = stage.enemyLevelRange;
+        const enemyLevel = Math.round((minLevel + maxLevel) / 2);
+
+        const fights = stage.enemyPool
+            .map(type => this.enemyDatabase.createEnemy(type, enemyLevel))
+            .filter(enemy => enemy)
+            .map(enemy => this.estimateFight(player, enemy));
+
+        const summary = {
+            elapsedTime: elapsedMs,
+            offlineTime,
+            capped: elapsedMs > this.MAX_OFFLINE_TIME,
+            stageId: stage.id,
+            stageName: stage.name,
+            kills: 0,
+            expGained: 0,
+            materials: {}
+        };
+
+        const winnable = fights.filter(fight => fight.canWin);
+        if (fights.length === 0 || winnable.length === 0) {
+            return summary;
+        }
+
+        // Enemies are picked uniformly from the pool, so lost fights still cost time
+        const averageDuration = fights.reduce((sum, fight) => sum + fight.duration, 0) / fights.length;
+        const winRate = winnable.length / fights.length;
+        const attempts = (offlineTime / 1000) * this.OFFLINE_EFFICIENCY / averageDuration;
+
+        summary.kills = Math.floor(attempts * winRate);
+
+        // Same reward formula as CombatManager.handleVictory
+        const calculator = this.combatManager.damageCalculator;
+        const averageExp = winnable.reduce((sum, fight) => sum + calculator.calculateExpGain(fight.enemy, player), 0) / winnable.length;
+        summary.expGained = Math.floor(summary.kills * averageExp);
+        summary.materials = this.estimateMaterialDrops(winnable, summary.kills);
+
+        return summary;
+    }
+
+    /**
+     * Estimate a single fight against an enemy using average damage
+     * @param {Object} player - Effective player stats
+     * @param {Object} enemy - Enemy instance
+     * @returns {Object} Fight estimate ({ enemy, canWin, duration })
+     */
+    estimateFight(player, enemy) {
+        // Mirrors CombatManager.calculateDamage through the DamageCalculator, without variance
+        const calculator = this.combatManager.damageCalculator;
+        const { BASE_ACCURACY, BASE_EVASION } = this.combatManager;
+
+        const playerHitChance = Math.max(0.05, BASE_ACCURACY - (enemy.evasion ?? BASE_EVASION));
+        const playerCritChance = Math.min(1, calculator.CRITICAL_HIT_CHANCE + (player.criticalChance || 0));
+        const critMultiplier = 1 + playerCritChance * (calculator.CRITICAL_HIT_MULTIPLIER - 1);
+        const playerEffectiveness = calculator.getElementEffectiveness(player.element, enemy.element)
+            * calculator.getResistanceMultiplier(player.element, enemy.resistances);
+        const playerDamage = calculator.calculateBaseDamage(player.attack, enemy.defense, player.level, enemy.level)
+            * playerEffectiveness * critMultiplier * playerHitChance;
+
+        const enemyHitChance = Math.max(0.05, (enemy.accuracy ?? BASE_ACCURACY) - BASE_EVASION);
+        const enemyEffectiveness = calculator.getElementEffectiveness(enemy.element, player.element)
+            * calculator.getResistanceMultiplier(enemy.element, player.resistances);
+        const enemyDamage = calculator.calculateBaseDamage(enemy.attack, player.defense, enemy.level, player.level)
+            * enemyEffectiveness * enemyHitChance;
+
+        const roundsToWin = Math.ceil(enemy.hp / playerDamage);
+        const roundsToLose = Math.ceil(player.maxHp / enemyDamage);
+        const canWin = roundsToWin <= roundsToLose;
+        const rounds = canWin ? roundsToWin : roundsToLose;
+
+        return {
+            enemy,
+            canWin,
+            duration: rounds * this.ROUND_SECONDS + this.REST_SECONDS
+        };
+    }
+
+    /**
+     * Estimate material drops by sampling MaterialManager drop rolls
+     * @param {Array} fights - Winnable fight estimates
+     * @param {number} kills - Total kills
+     * @returns {Object} Material totals keyed by material ID
+     */
+    estimateMaterialDrops(fights, kills) {
+        const materials = {};
+        const samples = Math.min(kills, this.DROP_SAMPLE_LIMIT);
+        if (samples === 0) return materials;
+
+        for (let i = 0; i < samples; i++) {
+            const enemy = fights[i % fights.length].enemy;
+            this.materialManager.calculateMaterialDrops(enemy).forEach(drop => {
+                materials[drop.materialId] = (materials[drop.materialId] || 0) + drop.quantity;
+            });
+        }
+
+        const scale = kills / samples;
+        Object.keys(materials).forEach(materialId => {
+            materials[materialId] = Math.floor(materials[materialId] * scale);
+            if (materials[materialId] <= 0) {
+                delete materials[materialId];
+            }
+        });
+
+        return materials;
+    }
+
+    /**
+     * Calculate and apply offline progress since a save timestamp
+     * @param {number} lastSaveTime - Timestamp of the loaded save
+     * @returns {Object|null} Applied summary or null if nothing happened
+     */
+    applyOfflineProgress(lastSaveTime) {
+        const summary = this.calculateOfflineProgress(Date.now() - lastSaveTime);
+        if (!summary) return null;
+
+        const startLevel = this.stateManager.getStateValue('player.level');
+
+        if (summary.expGained > 0) {
+            const player = this.stateManager.getStateValue('player');
+            this.stateManager.updateState({
+                player: { exp: player.exp + summary.expGained }
+            });
+
+            this.combatManager.checkLevelUp();
+        }
+
+        Object.entries(summary.materials).forEach(([materialId, quantity]) => {
+            this.materialManager.addMaterial(materialId, quantity);
+        });
+
+        summary.levelsGained = this.stateManager.getStateValue('player.level') - startLevel;
+
+        this.eventSystem.emit('offline_progress', summary);
+        console.log(`🌙 Offline progress: ${summary.kills} kills, ${summary.expGained} EXP over ${Math.round(summary.offlineTime / 60000)} minutes`);
+
+        return summary;
+    }
+}
+
+export { OfflineProgress };
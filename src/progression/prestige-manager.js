@@ -8,6 +8,12 @@ class PrestigeManager {
         this.stateManager = stateManager;
         this.eventSystem = eventSystem;
         
+        // Upgrades with a level cap; all others scale forever
+        this.MAX_UPGRADE_LEVELS = {
+            skillMastery: 2, // Each level unlocks one skill
+            bagSpace: 10
+        };
+        
         // Initialize prestige state
         this.initializePrestigeState();
         
@@ -48,12 +54,15 @@ class PrestigeManager {
                         experienceGain: 0,    // Increases exp gain rate
                         criticalChance: 0,    // Increases critical hit chance
                         defenseBoost: 0,      // Increases base defense
-                        luckBonus: 0          // Increases rare material chance
+                        luckBonus: 0,         // Increases rare material chance
+                        skillMastery: 0,      // Unlocks advanced combat skills
+                        bagSpace: 0           // Adds inventory slots of every type
                     },
                     availableUpgrades: [
                         'combatDamage',
                         'healthBoost',
-                        'materialDrops'
+                        'materialDrops',
+                        'bagSpace'
                     ]
                 }
             });
@@ -146,7 +155,7 @@ class PrestigeManager {
         console.log(`🌟 Prestige! Gained ${prestigePoints} points (Total: ${newPrestigeState.totalPoints})`);
         
         // Fire prestige event
-        this.eventSystem.dispatchEvent('prestigeReset', {
+        this.eventSystem.emit('prestigeReset', {
             pointsGained: prestigePoints,
             newPrestigeLevel: newPrestigeState.level,
             totalPoints: newPrestigeState.totalPoints
@@ -171,6 +180,8 @@ class PrestigeManager {
             'combatDamage',    // Always available
             'healthBoost',     // Always available
             'materialDrops',   // Always available
+            'bagSpace',        // Always available
+            'skillMastery',    // Unlock at level 1
             'craftingSpeed',   // Unlock at level 3
             'experienceGain',  // Unlock at level 5
             'criticalChance',  // Unlock at level 7
@@ -182,6 +193,8 @@ class PrestigeManager {
             'combatDamage': 0,
             'healthBoost': 0,
             'materialDrops': 0,
+            'bagSpace': 0,
+            'skillMastery': 1,
             'craftingSpeed': 3,
             'experienceGain': 5,
             'criticalChance': 7,
@@ -208,7 +221,12 @@ class PrestigeManager {
             return false;
         }
         
-        const cost = this.getUpgradeCost(upgradeType, prestige.upgrades[upgradeType]);
+        if (this.isUpgradeMaxed(upgradeType)) {
+            console.warn(`Upgrade ${upgradeType} is already at max level`);
+            return false;
+        }
+        
+        const cost = this.getUpgradeCost(upgradeType, prestige.upgrades[upgradeType] || 0);
         
         if (prestige.points < cost) {
             console.warn(`Not enough prestige points. Need ${cost}, have ${prestige.points}`);
@@ -217,7 +235,7 @@ class PrestigeManager {
         
         // Purchase upgrade
         const newUpgrades = { ...prestige.upgrades };
-        newUpgrades[upgradeType]++;
+        newUpgrades[upgradeType] = (newUpgrades[upgradeType] || 0) + 1;
         
         this.stateManager.updateState({
             prestige: {
@@ -230,7 +248,9 @@ class PrestigeManager {
         console.log(`🌟 Purchased ${upgradeType} upgrade level ${newUpgrades[upgradeType]} for ${cost} points`);
         
         // Fire upgrade purchase event
-        this.eventSystem.dispatchEvent('prestigeUpgrade', {
+        this.eventSystem.emit('stat_source_changed', { source: 'prestige' }, { immediate: true });
+        
+        this.eventSystem.emit('prestigeUpgrade', {
             upgradeType,
             newLevel: newUpgrades[upgradeType],
             cost
@@ -239,6 +259,19 @@ class PrestigeManager {
         return true;
     }
     
+    /**
+     * Check whether an upgrade has reached its level cap
+     * @param {string} upgradeType - Type of upgrade
+     * @returns {boolean} True if no further levels can be bought
+     */
+    isUpgradeMaxed(upgradeType) {
+        const maxLevel = this.MAX_UPGRADE_LEVELS[upgradeType];
+        if (maxLevel === undefined) return false;
+        
+        const currentLevel = this.stateManager.getStateValue('prestige.upgrades')?.[upgradeType] || 0;
+        return currentLevel >= maxLevel;
+    }
+    
     /**
      * Calculate cost of prestige upgrade
      * @param {string} upgradeType - Type of upgrade
@@ -250,6 +283,8 @@ class PrestigeManager {
             'combatDamage': 10,
             'healthBoost': 10,
             'materialDrops': 15,
+            'bagSpace': 10,
+            'skillMastery': 25,
             'craftingSpeed': 20,
             'experienceGain': 25,
             'criticalChance': 30,
@@ -281,22 +316,36 @@ class PrestigeManager {
         };
     }
     
+    /**
+     * Get StatPipeline modifiers from combat upgrades
+     * @returns {Array} Modifiers ({ stat, type, value, label })
+     */
+    getStatModifiers() {
+        const upgrades = this.stateManager.getStateValue('prestige.upgrades') || {};
+        
+        return [
+            { stat: 'attack', type: 'percent', value: (upgrades.combatDamage || 0) * 0.1, label: 'Prestige: Combat Damage' },
+            { stat: 'maxHp', type: 'percent', value: (upgrades.healthBoost || 0) * 0.15, label: 'Prestige: Health Boost' },
+            { stat: 'defense', type: 'percent', value: (upgrades.defenseBoost || 0) * 0.1, label: 'Prestige: Defense Boost' },
+            { stat: 'criticalChance', type: 'flat', value: (upgrades.criticalChance || 0) * 0.05, label: 'Prestige: Critical Chance' }
+        ].filter(modifier => modifier.value > 0);
+    }
+    
     /**
      * Reset game state while preserving prestige
      * @param {Object} newPrestigeState - New prestige state to apply
      */
     resetGameState(newPrestigeState) {
-        // Get prestige bonuses for initial stats
-        const bonuses = this.getPrestigeBonuses();
-        
+        // StatPipeline applies prestige bonuses on top of these on prestige_performed
         const resetState = {
             player: {
-                hp: Math.floor(100 * bonuses.healthMultiplier),
-                maxHp: Math.floor(100 * bonuses.healthMultiplier),
+                hp: 100,
+                maxHp: 100,
                 level: 1,
                 exp: 0,
-                attack: Math.floor(10 * bonuses.damageMultiplier),
-                defense: Math.floor(5 * bonuses.defenseMultiplier)
+                attack: 10,
+                defense: 5,
+                speed: 10
             },
             game: {
                 currentStage: 1,
@@ -329,7 +378,7 @@ class PrestigeManager {
         const currentProgress = state.prestige.currentRunProgress;
         const newProgress = {
             ...currentProgress,
-            maxStageReached: Math.max(currentProgress.maxStageReached, state.game.currentStage),
+            maxStageReached: Math.max(currentProgress.maxStageReached, state.stages?.currentStage || 1),
             totalCombatWins: currentProgress.totalCombatWins + 1
         };
         
@@ -395,6 +444,13 @@ class PrestigeManager {
         // Ensure prestige state exists
         if (!state.prestige) {
             this.initializePrestigeState();
+        } else {
+            // Saves from before an upgrade existed pick it up at their current level
+            const prestige = { ...state.prestige };
+            this.unlockUpgrades(prestige);
+            if (prestige.availableUpgrades.length !== (state.prestige.availableUpgrades || []).length) {
+                this.stateManager.updateState({ prestige });
+            }
         }
         
         console.log('🌟 Prestige system loaded');
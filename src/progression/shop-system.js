@@ -0,0 +1,507 @@
+/**
+ * Shop System - Gold currency and an NPC shop with daily stage-based stock
+ * @module ShopSystem
+ */
+
+import { RandomService } from '../core/random-service.js';
+import { GameClock } from '../core/game-clock.js';
+
+export class ShopSystem {
+    constructor(stateManager, eventSystem, materialManager, equipmentManager, inventoryManager, stageManager, randomService = null) {
+        this.stateManager = stateManager;
+        this.eventSystem = eventSystem;
+        this.materialManager = materialManager;
+        this.equipmentManager = equipmentManager;
+        this.inventoryManager = inventoryManager;
+        this.stageManager = stageManager;
+        this.clock = new GameClock(); // Replaced by a virtual clock in headless simulations
+        
+        this.randomService = randomService || new RandomService();
+        this.rng = this.randomService.getStream(this.randomService.STREAMS.SHOP);
+        
+        // Combat gold is enemy level x this (plus up to the level again), scaled by the stage loot multiplier
+        this.GOLD_PER_ENEMY_LEVEL = 3;
+        this.BOSS_GOLD_MULTIPLIER = 10;
+        
+        // The shop buys at an item's value and sells at BUY_MARKUP times it
+        this.BUY_MARKUP = 3;
+        this.ENHANCEMENT_PRICE_BONUS = 0.1; // Per enhancement level, on sale prices
+        this.AFFIX_PRICE_BONUS = 0.25;      // Per rolled affix, on sale prices
+        
+        this.RARITY_PRICE_MODIFIERS = {
+            common: 1.0,
+            uncommon: 1.25,
+            rare: 1.5,
+            epic: 2.0,
+            legendary: 3.0
+        };
+        
+        this.QUALITY_PRICE_MODIFIERS = {
+            poor: 0.5,
+            normal: 1.0,
+            good: 1.5,
+            rare: 2.5,
+            epic: 4.0,
+            legendary: 7.0
+        };
+        
+        // Entries per daily stock
+        this.STOCK_SLOTS = {
+            materials: 4,
+            gear: 3,
+            consumables: 2
+        };
+        
+        // How many of a material one stock entry holds
+        this.MATERIAL_STOCK = {
+            common: 20,
+            uncommon: 10,
+            rare: 5,
+            epic: 2,
+            legendary: 1
+        };
+        this.CONSUMABLE_STOCK = 5;
+        
+        // Highest unlocked stage -> material rarities and gear qualities on sale
+        this.STAGE_RARITIES = ['common', 'uncommon', 'rare', 'epic', 'legendary'];
+        this.STAGE_QUALITIES = [
+            ['normal'],
+            ['normal', 'good'],
+            ['good', 'rare'],
+            ['rare', 'epic'],
+            ['epic', 'legendary']
+        ];
+        
+        this.initializeShop();
+        this.setupEventListeners();
+        
+        console.log('🏪 Shop System initialized');
+    }
+    
+    /**
+     * Initialize shop state
+     */
+    initializeShop() {
+        const state = this.stateManager.getState();
+        
+        if (!state.shop) {
+            this.stateManager.updateState({
+                shop: {
+                    day: '',
+                    stage: 1,
+                    stock: []
+                }
+            });
+        }
+    }
+    
+    /**
+     * Setup event listeners for gold sources and shop requests
+     */
+    setupEventListeners() {
+        // Fires for regular enemies and bosses
+        this.eventSystem.on('combatVictory', (data) => {
+            this.addGold(this.calculateCombatGold(data.enemy, data.isBoss), data.isBoss ? 'boss' : 'combat');
+        });
+        
+        // Weekly event rewards (the treasure hunt gold bonus)
+        this.eventSystem.on('gold-granted', (data) => {
+            this.addGold(data.amount, 'weekly_event');
+        });
+        
+        // New stages bring new stock
+        this.eventSystem.on('STAGE_UNLOCKED', () => {
+            this.refreshStock();
+        });
+        
+        this.eventSystem.on('shop_buy', (data) => {
+            this.buyItem(data.stockId, data.quantity);
+        });
+        
+        this.eventSystem.on('shop_sell_material', (data) => {
+            this.sellMaterial(data.materialId, data.quantity);
+        });
+        
+        this.eventSystem.on('shop_sell_equipment', (data) => {
+            this.sellEquipment(data.equipmentId);
+        });
+    }
+    
+    /**
+     * Get the player's gold
+     * @returns {number} Gold
+     */
+    getGold() {
+        return this.stateManager.getStateValue('player')?.gold || 0;
+    }
+    
+    /**
+     * Give the player gold
+     * @param {number} amount - Gold to add
+     * @param {string} source - Where it came from ('combat', 'boss', 'sale', 'weekly_event')
+     */
+    addGold(amount, source) {
+        if (!(amount > 0)) return;
+        
+        const gold = this.getGold() + amount;
+        this.stateManager.updateState({ player: { gold } });
+        
+        this.eventSystem.emit('gold_changed', {
+            gold: gold,
+            amount: amount,
+            source: source
+        });
+    }
+    
+    /**
+     * Take gold from the player if they have enough
+     * @param {number} amount - Gold to spend
+     * @param {string} reason - What it was spent on
+     * @returns {boolean} True if the gold was spent
+     */
+    spendGold(amount, reason) {
+        if (this.getGold() < amount) return false;
+        
+        const gold = this.getGold() - amount;
+        this.stateManager.updateState({ player: { gold } });
+        
+        this.eventSystem.emit('gold_changed', {
+            gold: gold,
+            amount: -amount,
+            source: reason
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Roll the gold dropped by a defeated enemy
+     * @param {Object} enemy - Defeated enemy
+     * @param {boolean} isBoss - Whether it was a boss
+     * @returns {number} Gold
+     */
+    calculateCombatGold(enemy, isBoss = false) {
+        const level = enemy?.level || 1;
+        const base = level * this.GOLD_PER_ENEMY_LEVEL + this.rng.int(0, level);
+        const stageMultiplier = this.stageManager ? this.stageManager.getStageMaterialMultiplier() : 1.0;
+        
+        return Math.floor(base * stageMultiplier * (isBoss ? this.BOSS_GOLD_MULTIPLIER : 1));
+    }
+    
+    /**
+     * Get today's stock, restocking first if the day has changed
+     * @returns {Array} Stock entries ({ stockId, type, itemId, quality, price, quantity })
+     */
+    getStock() {
+        const shop = this.stateManager.getStateValue('shop') || {};
+        
+        if (shop.day !== this.getCurrentDateString()) {
+            return this.refreshStock();
+        }
+        
+        return shop.stock || [];
+    }
+    
+    /**
+     * Roll a new stock for the highest unlocked stage
+     * @returns {Array} New stock entries
+     */
+    refreshStock() {
+        const stage = this.getShopStage();
+        const stageIndex = Math.min(stage, this.STAGE_QUALITIES.length) - 1;
+        const levelCap = this.getStageLevelCap(stage);
+        const rarities = this.STAGE_RARITIES.slice(0, stageIndex + 1);
+        const stock = [];
+        
+        const materials = Object.values(this.materialManager.materialDefinitions)
+            .filter(material => rarities.includes(material.rarity));
+        this.rng.shuffle(materials).slice(0, this.STOCK_SLOTS.materials).forEach(material => {
+            stock.push(this.createStockEntry('material', material.id, null, this.MATERIAL_STOCK[material.rarity] || 1));
+        });
+        
+        const definitions = Object.values(this.equipmentManager.equipmentDefinitions)
+            .filter(definition => (definition.requirements?.level || 1) <= levelCap);
+        
+        const gear = definitions.filter(definition => definition.slot && !definition.consumable);
+        this.rng.shuffle(gear).slice(0, this.STOCK_SLOTS.gear).forEach(definition => {
+            stock.push(this.createStockEntry('equipment', definition.id, this.rng.pick(this.STAGE_QUALITIES[stageIndex]), 1));
+        });
+        
+        const consumables = definitions.filter(definition => definition.consumable);
+        this.rng.shuffle(consumables).slice(0, this.STOCK_SLOTS.consumables).forEach(definition => {
+            stock.push(this.createStockEntry('equipment', definition.id, 'normal', this.CONSUMABLE_STOCK));
+        });
+        
+        const day = this.getCurrentDateString();
+        this.randomService.syncState();
+        this.stateManager.updateState({ shop: { day, stage, stock } });
+        
+        console.log(`🏪 Shop restocked for stage ${stage} (${stock.length} items)`);
+        
+        this.eventSystem.emit('shop_restocked', { day, stage, stock });
+        
+        return stock;
+    }
+    
+    /**
+     * Build a stock entry at its buy price
+     * @param {string} type - 'material' or 'equipment'
+     * @param {string} itemId - Material or equipment ID
+     * @param {string|null} quality - Equipment quality
+     * @param {number} quantity - How many are on sale
+     * @returns {Object} Stock entry
+     */
+    createStockEntry(type, itemId, quality, quantity) {
+        return {
+            stockId: quality ? `${itemId}_${quality}` : itemId,
+            type: type,
+            itemId: itemId,
+            quality: quality,
+            price: this.getBuyPrice(type, itemId, quality),
+            quantity: quantity
+        };
+    }
+    
+    /**
+     * Buy from today's stock
+     * @param {string} stockId - Stock entry ID
+     * @param {number} quantity - How many to buy
+     * @returns {boolean} True if the purchase went through
+     */
+    buyItem(stockId, quantity = 1) {
+        const stock = this.getStock().map(entry => ({ ...entry }));
+        const entry = stock.find(candidate => candidate.stockId === stockId);
+        
+        if (!entry) {
+            return this.fail('buy', 'not_in_stock', { stockId });
+        }
+        
+        if (!(quantity > 0) || entry.quantity < quantity) {
+            return this.fail('buy', 'sold_out', { stockId });
+        }
+        
+        const cost = entry.price * quantity;
+        if (this.getGold() < cost) {
+            return this.fail('buy', 'insufficient_gold', { stockId, cost });
+        }
+        
+        // Check for room before any gold changes hands
+        if (entry.type === 'material') {
+            if (this.inventoryManager.getMaterialSpace(entry.itemId) < quantity) {
+                return this.fail('buy', 'inventory_full', { stockId });
+            }
+        } else if (!this.hasRoomForEquipment(entry.itemId, quantity)) {
+            return this.fail('buy', 'inventory_full', { stockId });
+        }
+        
+        this.spendGold(cost, 'purchase');
+        
+        // Affixes are rolled only once the purchase goes through, so a refused
+        // purchase does not move the loot stream
+        if (entry.type === 'equipment') {
+            for (let i = 0; i < quantity; i++) {
+                const item = this.equipmentManager.createEquipmentInstance(entry.itemId, entry.quality);
+                this.inventoryManager.addEquipment(item, 'shop');
+            }
+        } else {
+            this.materialManager.storeMaterial(entry.itemId, quantity);
+        }
+        
+        entry.quantity -= quantity;
+        this.stateManager.updateState({ shop: { stock } });
+        
+        console.log(`🛒 Bought ${quantity}x ${entry.itemId} for ${cost} gold`);
+        
+        this.eventSystem.emit('item_bought', {
+            entry: entry,
+            quantity: quantity,
+            cost: cost
+        });
+        
+        return true;
+    }
+    
+    /**
+     * Sell materials to the shop
+     * @param {string} materialId - Material ID
+     * @param {number} quantity - How many to sell
+     * @returns {number} Gold earned (0 if nothing was sold)
+     */
+    sellMaterial(materialId, quantity = 1) {
+        if (!(quantity > 0) || !this.materialManager.removeMaterial(materialId, quantity)) {
+            this.fail('sell', 'insufficient_materials', { materialId });
+            return 0;
+        }
+        
+        const earned = this.getSellPrice('material', materialId) * quantity;
+        this.addGold(earned, 'sale');
+        
+        console.log(`💰 Sold ${quantity}x ${materialId} for ${earned} gold`);
+        
+        this.eventSystem.emit('item_sold', {
+            type: 'material',
+            itemId: materialId,
+            quantity: quantity,
+            gold: earned
+        });
+        
+        return earned;
+    }
+    
+    /**
+     * Sell an unequipped equipment instance to the shop
+     * @param {string} equipmentUniqueId - Unique equipment ID
+     * @returns {number} Gold earned (0 if nothing was sold)
+     */
+    sellEquipment(equipmentUniqueId) {
+        const item = this.inventoryManager.getInventory('equipment')[equipmentUniqueId];
+        
+        if (!item) {
+            this.fail('sell', 'not_found', { equipmentId: equipmentUniqueId });
+            return 0;
+        }
+        
+        if (item.equipped) {
+            this.fail('sell', 'equipped', { equipmentId: equipmentUniqueId });
+            return 0;
+        }
+        
+        const earned = this.getSellPrice('equipment', item.id, item.quality, item.enhancementLevel, item.affixes);
+        
+        this.inventoryManager.removeEquipment(equipmentUniqueId);
+        this.addGold(earned, 'sale');
+        
+        console.log(`💰 Sold ${item.name} for ${earned} gold`);
+        
+        this.eventSystem.emit('item_sold', {
+            type: 'equipment',
+            itemId: item.id,
+            item: item,
+            quantity: 1,
+            gold: earned
+        });
+        
+        return earned;
+    }
+    
+    /**
+     * Get an item's value with the rarity or quality modifier applied
+     * @param {string} type - 'material' or 'equipment'
+     * @param {string} itemId - Material or equipment ID
+     * @param {string|null} quality - Equipment quality
+     * @returns {number} Base price before markup
+     */
+    getBasePrice(type, itemId, quality = null) {
+        if (type === 'material') {
+            const material = this.materialManager.getMaterialDefinition(itemId);
+            if (!material) return 0;
+            return (material.value || 0) * (this.RARITY_PRICE_MODIFIERS[material.rarity] ?? 1);
+        }
+        
+        const definition = this.equipmentManager.getEquipmentDefinition(itemId);
+        if (!definition) return 0;
+        return (definition.value || 0) * (this.QUALITY_PRICE_MODIFIERS[quality || 'normal'] ?? 1);
+    }
+    
+    /**
+     * Get what the shop charges for one item
+     * @param {string} type - 'material' or 'equipment'
+     * @param {string} itemId - Material or equipment ID
+     * @param {string|null} quality - Equipment quality
+     * @returns {number} Buy price in gold
+     */
+    getBuyPrice(type, itemId, quality = null) {
+        return Math.max(1, Math.ceil(this.getBasePrice(type, itemId, quality) * this.BUY_MARKUP));
+    }
+    
+    /**
+     * Get what the shop pays for one item
+     * @param {string} type - 'material' or 'equipment'
+     * @param {string} itemId - Material or equipment ID
+     * @param {string|null} quality - Equipment quality
+     * @param {number} enhancementLevel - Equipment enhancement level
+     * @param {Array} affixes - Rolled affixes, each adding AFFIX_PRICE_BONUS
+     * @returns {number} Sell price in gold
+     */
+    getSellPrice(type, itemId, quality = null, enhancementLevel = 0, affixes = []) {
+        const bonus = 1 +
+            (enhancementLevel || 0) * this.ENHANCEMENT_PRICE_BONUS +
+            (affixes?.length || 0) * this.AFFIX_PRICE_BONUS;
+        return Math.max(1, Math.floor(this.getBasePrice(type, itemId, quality) * bonus));
+    }
+    
+    /**
+     * Check whether bought equipment fits in the inventory
+     * Works from the definition, so no instance (and no affix roll) is needed.
+     * @param {string} equipmentId - Equipment ID
+     * @param {number} quantity - How many are bought
+     * @returns {boolean} True if every item has room
+     */
+    hasRoomForEquipment(equipmentId, quantity) {
+        const definition = this.equipmentManager.getEquipmentDefinition(equipmentId);
+        if (!definition) return false;
+        
+        const template = { id: equipmentId, consumable: definition.consumable || false };
+        if (quantity === 1) {
+            return this.inventoryManager.hasRoomForEquipment(template);
+        }
+        
+        // Several consumables may share a partly filled stack
+        const inventoryType = this.inventoryManager.getEquipmentInventoryType(template);
+        const stackSize = template.consumable ? this.inventoryManager.CONSUMABLE_STACK_SIZE : 1;
+        const held = Object.values(this.inventoryManager.getInventory('equipment'))
+            .filter(item => item.id === equipmentId).length;
+        const room = (stackSize - (held % stackSize)) % stackSize;
+        
+        return room + this.inventoryManager.getFreeSlots(inventoryType) * stackSize >= quantity;
+    }
+    
+    /**
+     * Get the stage that decides what the shop stocks
+     * @returns {number} Highest unlocked stage ID
+     */
+    getShopStage() {
+        const unlocked = this.stageManager ? this.stageManager.getUnlockedStages() : [1];
+        return Math.max(1, ...unlocked);
+    }
+    
+    /**
+     * Get the highest equipment level requirement stocked for a stage
+     * @param {number} stageId - Stage ID
+     * @returns {number} Level cap (top of the stage's enemy level range)
+     */
+    getStageLevelCap(stageId) {
+        const stage = this.stageManager?.stages.find(candidate => candidate.id === stageId);
+        return stage?.enemyLevelRange?.[1] ?? 1;
+    }
+    
+    /**
+     * Get the current date as the stock day (YYYY-MM-DD)
+     * @returns {string} Date string
+     */
+    getCurrentDateString() {
+        const now = new Date(this.clock.now());
+        return now.getFullYear() + '-' +
+               String(now.getMonth() + 1).padStart(2, '0') + '-' +
+               String(now.getDate()).padStart(2, '0');
+    }
+    
+    /**
+     * Announce a failed purchase or sale
+     * @param {string} action - 'buy' or 'sell'
+     * @param {string} reason - Why it failed
+     * @param {Object} details - Extra event data
+     * @returns {boolean} Always false
+     */
+    fail(action, reason, details = {}) {
+        console.log(`Cannot ${action}: ${reason}`);
+        
+        this.eventSystem.emit('shop_transaction_failed', {
+            action: action,
+            reason: reason,
+            ...details
+        });
+        
+        return false;
+    }
+}
@@ -3,10 +3,14 @@
  * @module StageManager
  */
 
+import { RandomService } from '../core/random-service.js';
+
 class StageManager {
-    constructor(stateManager, eventSystem) {
+    constructor(stateManager, eventSystem, randomService = null) {
         this.stateManager = stateManager;
         this.eventSystem = eventSystem;
+        const random = randomService || new RandomService();
+        this.rng = random.getStream(random.STREAMS.SPAWN);
         
         // Stage configuration
         this.stages = this.initializeStages();
@@ -87,6 +91,24 @@ class StageManager {
         ];
     }
     
+    /**
+     * Add or replace stages (used by content packs)
+     * @param {Array} stages - Stage configurations
+     */
+    registerStages(stages) {
+        stages.forEach(stage => {
+            const index = this.stages.findIndex(existing => existing.id === stage.id);
+            if (index === -1) {
+                this.stages.push(stage);
+            } else {
+                this.stages[index] = stage;
+            }
+        });
+        
+        this.stages.sort((a, b) => a.id - b.id);
+        this.maxStage = this.stages.length;
+    }
+    
     /**
      * Setup event listeners
      */
@@ -95,7 +117,12 @@ class StageManager {
             this.checkStageProgression();
         });
         
-        this.eventSystem.on('PLAYER_LEVEL_UP', () => {
+        this.eventSystem.on('player_level_up', () => {
+            this.checkStageUnlocks();
+        });
+        
+        // Saves made before a content pack added stages may already meet their conditions
+        this.eventSystem.on('stateLoaded', () => {
             this.checkStageUnlocks();
         });
     }
@@ -312,7 +339,7 @@ class StageManager {
      * @returns {string} Selected enemy type
      */
     selectRandomEnemy(enemyPool) {
-        return enemyPool[Math.floor(Math.random() * enemyPool.length)];
+        return this.rng.pick(enemyPool);
     }
     
     /**
@@ -322,7 +349,7 @@ class StageManager {
      */
     calculateEnemyLevel(levelRange) {
         const [min, max] = levelRange;
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return this.rng.int(min, max);
     }
     
     /**
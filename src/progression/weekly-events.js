@@ -3,10 +3,14 @@
  * @module WeeklyEvents
  */
 
+import { RandomService } from '../core/random-service.js';
+
 class WeeklyEvents {
-    constructor(stateManager, eventSystem) {
+    constructor(stateManager, eventSystem, randomService = null) {
         this.stateManager = stateManager;
         this.eventSystem = eventSystem;
+        const random = randomService || new RandomService();
+        this.rng = random.getStream(random.STREAMS.EVENTS);
         
         // Event types with unique mechanics and rewards
         this.eventTypes = {
@@ -182,6 +186,8 @@ class WeeklyEvents {
             message: `New Weekly Event: ${this.currentWeeklyEvent.name}!`
         });
         
+        this.eventSystem.emit('stat_source_changed', { source: 'weekly_event' });
+        
         console.log(`Started new weekly event: ${this.currentWeeklyEvent.name}`);
     }
     
@@ -242,7 +248,7 @@ class WeeklyEvents {
             }
         });
         
-        return weightedEvents[Math.floor(Math.random() * weightedEvents.length)];
+        return this.rng.pick(weightedEvents);
     }
     
     /**
@@ -334,7 +340,7 @@ class WeeklyEvents {
     processEventEffects(context, data) {
         if (!this.currentWeeklyEvent) return;
         
-        const eventType = this.eventTypes[this.currentWeeklyEvent.type];
+        const eventType = this.getCurrentEventType();
         if (!eventType) return;
         
         switch (eventType.effect) {
@@ -350,7 +356,7 @@ class WeeklyEvents {
                 break;
                 
             case 'treasureChance':
-                if (context === 'combat' && Math.random() < eventType.value) {
+                if (context === 'combat' && this.rng.chance(eventType.value)) {
                     this.grantTreasureReward();
                 }
                 break;
@@ -444,10 +450,11 @@ class WeeklyEvents {
             { type: 'materials', amount: 50, rarity: 'rare' },
             { type: 'equipment', amount: 1, quality: 'epic' },
             { type: 'experience', amount: 1000 },
-            { type: 'prestigePoints', amount: 25 }
+            { type: 'prestigePoints', amount: 25 },
+            { type: 'gold', amount: 250, bonus: 'gold_bonus' }
         ];
         
-        const reward = treasureRewards[Math.floor(Math.random() * treasureRewards.length)];
+        const reward = this.rng.pick(treasureRewards);
         this.grantReward(reward);
         
         this.eventSystem.emit('treasure-found', {
@@ -492,6 +499,9 @@ class WeeklyEvents {
             case 'prestigePoints':
                 this.eventSystem.emit('prestige-points-granted', { amount: reward.amount });
                 break;
+            case 'gold':
+                this.eventSystem.emit('gold-granted', { amount: reward.amount });
+                break;
         }
     }
     
@@ -566,12 +576,34 @@ class WeeklyEvents {
         return this.eventHistory;
     }
     
+    /**
+     * Get the type definition of the current event
+     * Events store the lowercase type ID, eventTypes is keyed by constant name.
+     */
+    getCurrentEventType() {
+        if (!this.currentWeeklyEvent) return null;
+        return Object.values(this.eventTypes).find(type => type.id === this.currentWeeklyEvent.type) || null;
+    }
+    
     /**
      * Check if event effect is active
      */
     isEventEffectActive(effectType) {
-        return this.currentWeeklyEvent && 
-               this.eventTypes[this.currentWeeklyEvent.type]?.effect === effectType;
+        return this.getCurrentEventType()?.effect === effectType;
+    }
+    
+    /**
+     * Get StatPipeline modifiers granted by the current event
+     * Only event types that declare statModifiers contribute; none of the built-in ones do.
+     */
+    getStatModifiers() {
+        const eventType = this.getCurrentEventType();
+        if (!eventType || !eventType.statModifiers) return [];
+        
+        return eventType.statModifiers.map(modifier => ({
+            ...modifier,
+            label: `${eventType.icon} ${eventType.name}`
+        }));
     }
     
     /**
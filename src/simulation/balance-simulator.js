@@ -0,0 +1,703 @@
+/**
+ * Balance Simulator - Scripted headless runs that report balance statistics
+ * @module BalanceSimulator
+ */
+
+import { HeadlessGame } from './headless-game.js';
+
+class BalanceSimulator {
+    /**
+     * @param {Object} options - Simulation options (see DEFAULT_OPTIONS)
+     */
+    constructor(options = {}) {
+        this.MODES = {
+            FIGHTS: 'fights',           // Repeat one fight setup, restoring the player before each fight
+            STAGE_CLEAR: 'stage-clear', // Fight on a stage until it is completed
+            FULL_RUN: 'full-run'        // Play from a new game, crafting, advancing and prestiging
+        };
+
+        this.DEFAULT_OPTIONS = {
+            mode: this.MODES.FIGHTS,
+            trials: 100,              // Fights in 'fights' mode, independent runs otherwise
+            seed: 1,                  // Trial N uses seed + N
+            stage: 1,
+            level: 1,
+            statWeights: { attack: 1, defense: 1, maxHp: 1, criticalChance: 1, speed: 1 }, // How stat points are spent (null = unspent)
+            equipment: [],            // Equipment IDs equipped before the first fight
+            policy: 'always_attack',
+            defendThreshold: 0.3,
+            maxFights: 1000,          // Per-trial safety limit
+            duration: 4 * 60 * 60 * 1000, // Virtual milliseconds per full run
+            sampleInterval: 10 * 60 * 1000, // Virtual milliseconds between prestige curve samples
+            prestigeAt: 0,            // Prestige once this many points are available (0 = never)
+            autoCraft: true,          // Full runs craft and equip better gear between fights
+            contentPacks: []          // Parsed content packs merged into every game
+        };
+
+        this.options = { ...this.DEFAULT_OPTIONS, ...options };
+    }
+
+    /**
+     * Run the configured simulation
+     * @returns {Object} Report { mode, options, summary, rows }
+     */
+    run() {
+        switch (this.options.mode) {
+            case this.MODES.FIGHTS:
+                return this.runFights();
+            case this.MODES.STAGE_CLEAR:
+                return this.runStageClear();
+            case this.MODES.FULL_RUN:
+                return this.runFullRuns();
+            default:
+                throw new Error(`Unknown simulation mode: ${this.options.mode}`);
+        }
+    }
+
+    /**
+     * Create a game for one trial
+     * @param {number} trial - Trial index
+     * @returns {HeadlessGame} Game
+     */
+    createGame(trial) {
+        const game = new HeadlessGame({ seed: (this.options.seed + trial) >>> 0 });
+
+        this.options.contentPacks.forEach(pack => {
+            const result = game.loadContentPack(pack);
+            if (!result.loaded) {
+                throw new Error(`Content pack '${pack.id}' rejected: ${result.errors.join('; ')}`);
+            }
+        });
+
+        return game;
+    }
+
+    /**
+     * Apply the configured level, equipment and stage
+     * @param {HeadlessGame} game - Game
+     */
+    setupScenario(game) {
+        const { level, equipment, stage } = this.options;
+
+        if (level > 1) {
+            game.setPlayerLevel(level, this.options.statWeights);
+        }
+
+        equipment.forEach(equipmentId => {
+            if (!game.equip(equipmentId)) {
+                throw new Error(`Could not equip '${equipmentId}' at level ${level}`);
+            }
+        });
+
+        if (!game.setStage(stage)) {
+            throw new Error(`Stage ${stage} does not exist`);
+        }
+    }
+
+    /**
+     * Record every fight and level up in a game
+     * @param {HeadlessGame} game - Game
+     * @param {number} trial - Trial index
+     * @returns {Object} Recorder { fights, levels }
+     */
+    attachRecorder(game, trial) {
+        const recorder = { fights: [], levels: [], current: null };
+
+        game.eventSystem.on('combat_start', (data) => {
+            recorder.current = {
+                trial,
+                fight: recorder.fights.length + 1,
+                stage: game.stageManager.getCurrentStage().id,
+                enemy: data.enemy.type || data.enemy.name,
+                enemyLevel: data.enemy.level,
+                playerLevel: data.player.level,
+                startTime: game.clock.now(),
+                drops: {}
+            };
+        });
+
+        game.eventSystem.on('material_collected', (data) => {
+            if (!recorder.current) return;
+            const drops = recorder.current.drops;
+            drops[data.materialId] = (drops[data.materialId] || 0) + data.quantity;
+        });
+
+        game.eventSystem.on('combat_end', (data) => {
+            if (!recorder.current) return;
+            const { startTime, ...fight } = recorder.current;
+
+            recorder.fights.push({
+                ...fight,
+                result: data.result,
+                enemyTurns: game.combatManager.turnCount,
+                durationMs: game.clock.now() - startTime,
+                timeMs: game.clock.now()
+            });
+            recorder.current = null;
+        });
+
+        game.eventSystem.on('level_up', (data) => {
+            recorder.levels.push({
+                trial,
+                level: data.level,
+                fights: recorder.fights.length,
+                timeMs: game.clock.now()
+            });
+        });
+
+        return recorder;
+    }
+
+    /**
+     * Repeat one fight setup
+     * The player is restored to the configured level and full HP before every
+     * fight, so each fight is an independent sample.
+     * @returns {Object} Report
+     */
+    runFights() {
+        const game = this.createGame(0);
+        const recorder = this.attachRecorder(game, 0);
+        this.setupScenario(game);
+
+        for (let i = 0; i < this.options.trials; i++) {
+            game.setPlayerLevel(this.options.level, this.options.statWeights);
+            game.runFight(this.getAutoBattleSettings());
+        }
+
+        return {
+            mode: this.options.mode,
+            options: this.getReportOptions(),
+            summary: this.summarizeFights(recorder.fights),
+            rows: recorder.fights.map(fight => this.formatFightRow(fight))
+        };
+    }
+
+    /**
+     * Fight on a stage until it is completed, once per trial
+     * @returns {Object} Report
+     */
+    runStageClear() {
+        const rows = [];
+        const allFights = [];
+
+        for (let trial = 0; trial < this.options.trials; trial++) {
+            const game = this.createGame(trial);
+            const recorder = this.attachRecorder(game, trial);
+            this.setupScenario(game);
+
+            let cleared = false;
+            game.eventSystem.on('stage_completed', (data) => {
+                if (data.stageNumber === this.options.stage) cleared = true;
+            });
+
+            for (let fight = 0; !cleared && fight < this.options.maxFights; fight++) {
+                game.runFight(this.getAutoBattleSettings());
+            }
+
+            const fights = recorder.fights;
+            rows.push({
+                trial,
+                cleared,
+                fights: fights.length,
+                wins: fights.filter(fight => fight.result === 'victory').length,
+                defeats: fights.filter(fight => fight.result === 'defeat').length,
+                timeMs: game.clock.now(),
+                startLevel: this.options.level,
+                endLevel: game.stateManager.getStateValue('player.level')
+            });
+            allFights.push(...fights);
+        }
+
+        const clearedRows = rows.filter(row => row.cleared);
+
+        return {
+            mode: this.options.mode,
+            options: this.getReportOptions(),
+            summary: {
+                trials: rows.length,
+                clearRate: this.ratio(clearedRows.length, rows.length),
+                fightsToClear: this.describe(clearedRows.map(row => row.fights)),
+                defeatsToClear: this.describe(clearedRows.map(row => row.defeats)),
+                timeToClearMs: this.describe(clearedRows.map(row => row.timeMs)),
+                levelsGained: this.describe(rows.map(row => row.endLevel - row.startLevel)),
+                fights: this.summarizeFights(allFights)
+            },
+            rows
+        };
+    }
+
+    /**
+     * Play full runs from a new game
+     * Between fights the run crafts and equips better gear, moves to the highest
+     * unlocked stage and prestiges at the configured threshold.
+     * @returns {Object} Report
+     */
+    runFullRuns() {
+        const rows = [];
+        const allFights = [];
+        const allLevels = [];
+
+        for (let trial = 0; trial < this.options.trials; trial++) {
+            const game = this.createGame(trial);
+            const recorder = this.attachRecorder(game, trial);
+            const timeline = [];
+            let nextSample = 0;
+
+            // Samples are stamped with their scheduled time so trials line up in the curve
+            const record = (event, timeMs = game.clock.now()) => {
+                const prestige = game.prestigeManager.getPrestigeStats();
+                timeline.push({
+                    trial,
+                    event,
+                    fights: recorder.fights.length,
+                    timeMs,
+                    level: game.stateManager.getStateValue('player.level'),
+                    stage: game.stageManager.getCurrentStage().id,
+                    prestigeLevel: prestige.level,
+                    availablePrestigePoints: prestige.availablePrestigePoints,
+                    totalPrestigePoints: prestige.totalPoints
+                });
+            };
+
+            game.eventSystem.on('level_up', () => record('level_up'));
+            game.eventSystem.on('STAGE_UNLOCKED', () => record('stage_unlocked'));
+
+            if (this.options.level > 1 || this.options.equipment.length > 0 || this.options.stage > 1) {
+                this.setupScenario(game);
+            }
+
+            while (game.clock.now() < this.options.duration && recorder.fights.length < this.options.maxFights) {
+                while (game.clock.now() >= nextSample) {
+                    record('sample', nextSample);
+                    nextSample += this.options.sampleInterval;
+                }
+
+                game.runFight(this.getAutoBattleSettings());
+
+                if (this.options.statWeights) {
+                    game.allocateStatPoints(this.options.statWeights);
+                }
+
+                if (this.options.autoCraft) {
+                    this.craftUpgrades(game);
+                    this.equipBestItems(game);
+
+                    // Crafting frees bag space; take back rewards that overflowed
+                    if (game.inventoryManager.getOverflow().length > 0) {
+                        game.inventoryManager.claimAllOverflow();
+                    }
+                }
+
+                this.advanceStage(game);
+
+                if (this.options.prestigeAt > 0 &&
+                    game.prestigeManager.calculatePrestigePoints() >= this.options.prestigeAt &&
+                    game.prestigeManager.performPrestige()) {
+                    this.buyPrestigeUpgrades(game);
+                    record('prestige');
+                }
+            }
+
+            record('end');
+            rows.push(...timeline);
+            allFights.push(...recorder.fights);
+            allLevels.push(...recorder.levels);
+        }
+
+        return {
+            mode: this.options.mode,
+            options: this.getReportOptions(),
+            summary: {
+                trials: this.options.trials,
+                timeToLevel: this.summarizeLevels(allLevels),
+                prestigeCurve: this.summarizePrestigeCurve(rows),
+                prestiges: this.describe(this.countPerTrial(rows.filter(row => row.event === 'prestige'))),
+                fights: this.summarizeFights(allFights)
+            },
+            rows
+        };
+    }
+
+    /**
+     * Start crafting gear that beats everything owned for its slot
+     * @param {HeadlessGame} game - Game
+     */
+    craftUpgrades(game) {
+        const { craftingSystem, equipmentManager } = game;
+        const bestScores = this.getBestScoresBySlot(game);
+        const gearCategories = [
+            craftingSystem.CRAFTING_CATEGORIES.WEAPONS,
+            craftingSystem.CRAFTING_CATEGORIES.ARMOR,
+            craftingSystem.CRAFTING_CATEGORIES.ACCESSORIES
+        ];
+
+        const scoreRecipe = (recipe) => {
+            const definition = equipmentManager.getEquipmentDefinition(recipe.results.itemId);
+            if (!definition || !definition.slot) return null;
+            return { slot: definition.slot, score: this.getItemScore(game, definition.baseStats, recipe.results.quality) };
+        };
+
+        // Gear already in the crafting queue counts as owned
+        craftingSystem.getCraftingQueue().forEach(job => {
+            const result = craftingSystem.recipes[job.recipeId] && scoreRecipe(craftingSystem.recipes[job.recipeId]);
+            if (result && result.score > (bestScores[result.slot] || 0)) {
+                bestScores[result.slot] = result.score;
+            }
+        });
+
+        Object.values(craftingSystem.recipes)
+            .filter(recipe => gearCategories.includes(recipe.category))
+            .forEach(recipe => {
+                const result = scoreRecipe(recipe);
+                if (!result || result.score <= (bestScores[result.slot] || 0)) return;
+
+                if (craftingSystem.isRecipeUnlocked(recipe.id) &&
+                    craftingSystem.hasRequiredMaterials(recipe.requirements) &&
+                    craftingSystem.craftItem(recipe.id, 1)) {
+                    // Don't queue a second item for the same slot while this one is crafting
+                    bestScores[result.slot] = result.score;
+                }
+            });
+    }
+
+    /**
+     * Equip the highest scoring usable item for each slot
+     * @param {HeadlessGame} game - Game
+     */
+    equipBestItems(game) {
+        const { equipmentManager } = game;
+        const equippedItems = equipmentManager.getEquippedItems();
+        const accessorySlots = [equipmentManager.EQUIPMENT_SLOTS.ACCESSORY_1, equipmentManager.EQUIPMENT_SLOTS.ACCESSORY_2];
+        const accessories = [];
+        const best = {};
+
+        this.getGearInInventory(game)
+            .filter(item => equipmentManager.meetsRequirements(item))
+            .forEach(item => {
+                const score = this.getItemScore(game, item.stats, item.quality);
+                if (item.type === equipmentManager.EQUIPMENT_TYPES.ACCESSORY) {
+                    accessories.push({ item, score });
+                } else if (!best[item.slot] || score > best[item.slot].score) {
+                    best[item.slot] = { item, score };
+                }
+            });
+
+        // The top accessories fill both accessory slots; ones already worn stay where they are
+        const topAccessories = accessories.sort((a, b) => b.score - a.score).slice(0, accessorySlots.length);
+        const unplaced = topAccessories.filter(entry => {
+            const wornSlot = accessorySlots.find(slot => equippedItems[slot]?.uniqueId === entry.item.uniqueId);
+            if (wornSlot) best[wornSlot] = entry;
+            return !wornSlot;
+        });
+        accessorySlots.filter(slot => !best[slot]).forEach((slot, index) => {
+            if (unplaced[index]) best[slot] = unplaced[index];
+        });
+
+        Object.entries(best).forEach(([slot, { item }]) => {
+            if (equippedItems[slot]?.uniqueId !== item.uniqueId) {
+                equipmentManager.equipItem(item.uniqueId, slot);
+            }
+        });
+    }
+
+    /**
+     * Move to the highest unlocked stage
+     * @param {HeadlessGame} game - Game
+     */
+    advanceStage(game) {
+        const { stageManager } = game;
+        const highest = Math.max(...stageManager.getUnlockedStages()
+            .filter(stageId => stageManager.stages.some(stage => stage.id === stageId)));
+
+        if (highest > stageManager.getCurrentStage().id) {
+            stageManager.switchToStage(highest);
+        }
+    }
+
+    /**
+     * Spend prestige points on the cheapest available upgrades
+     * @param {HeadlessGame} game - Game
+     */
+    buyPrestigeUpgrades(game) {
+        const { prestigeManager } = game;
+
+        for (;;) {
+            const prestige = game.stateManager.getStateValue('prestige');
+            const options = prestige.availableUpgrades
+                .filter(upgrade => !prestigeManager.isUpgradeMaxed(upgrade))
+                .map(upgrade => ({ upgrade, cost: prestigeManager.getUpgradeCost(upgrade, prestige.upgrades[upgrade] || 0) }))
+                .filter(option => option.cost <= prestige.points)
+                .sort((a, b) => a.cost - b.cost);
+
+            if (options.length === 0 || !prestigeManager.purchaseUpgrade(options[0].upgrade)) return;
+        }
+    }
+
+    /**
+     * Get gear instances in the inventory
+     * @param {HeadlessGame} game - Game
+     * @returns {Array} Equipment instances with a slot
+     */
+    getGearInInventory(game) {
+        const equipment = game.stateManager.getStateValue('inventory.equipment') || {};
+        return Object.values(equipment).filter(item => item && item.slot && item.stats && !item.consumable);
+    }
+
+    /**
+     * Get the best gear score owned for each slot
+     * @param {HeadlessGame} game - Game
+     * @returns {Object} Scores keyed by slot
+     */
+    getBestScoresBySlot(game) {
+        const scores = {};
+        this.getGearInInventory(game).forEach(item => {
+            scores[item.slot] = Math.max(scores[item.slot] || 0, this.getItemScore(game, item.stats, item.quality));
+        });
+        return scores;
+    }
+
+    /**
+     * Score gear by its summed stats and quality (as EquipmentManager.calculateEquipmentPower does)
+     * @param {HeadlessGame} game - Game
+     * @param {Object} stats - Item stats
+     * @param {string} quality - Item quality
+     * @returns {number} Score
+     */
+    getItemScore(game, stats = {}, quality = 'normal') {
+        const total = Object.values(stats).reduce((sum, value) => sum + (typeof value === 'number' ? value : 0), 0);
+        return total * (game.equipmentManager.QUALITY_MULTIPLIERS[quality] || 1.0);
+    }
+
+    /**
+     * Auto-battle settings for simulated fights
+     * @returns {Object} Settings
+     */
+    getAutoBattleSettings() {
+        return {
+            policy: this.options.policy,
+            defendThreshold: this.options.defendThreshold
+        };
+    }
+
+    /**
+     * Options echoed in reports (content packs are listed by ID)
+     * @returns {Object} Options
+     */
+    getReportOptions() {
+        return {
+            ...this.options,
+            contentPacks: this.options.contentPacks.map(pack => pack.id)
+        };
+    }
+
+    /**
+     * Summarize fights: outcomes, length, per-stage death rates and drop rates
+     * @param {Array} fights - Recorded fights
+     * @returns {Object} Summary
+     */
+    summarizeFights(fights) {
+        const wins = fights.filter(fight => fight.result === 'victory');
+        const stages = {};
+        const drops = {};
+
+        fights.forEach(fight => {
+            if (!stages[fight.stage]) {
+                stages[fight.stage] = { fights: 0, wins: 0, defeats: 0 };
+            }
+            const stage = stages[fight.stage];
+            stage.fights++;
+            if (fight.result === 'victory') stage.wins++;
+            if (fight.result === 'defeat') stage.defeats++;
+        });
+
+        Object.values(stages).forEach(stage => {
+            stage.deathRate = this.ratio(stage.defeats, stage.fights);
+        });
+
+        wins.forEach(fight => {
+            Object.entries(fight.drops).forEach(([materialId, quantity]) => {
+                if (!drops[materialId]) {
+                    drops[materialId] = { fightsWithDrop: 0, quantity: 0 };
+                }
+                drops[materialId].fightsWithDrop++;
+                drops[materialId].quantity += quantity;
+            });
+        });
+
+        Object.values(drops).forEach(drop => {
+            drop.dropRate = this.ratio(drop.fightsWithDrop, wins.length);
+            drop.quantityPerWin = this.ratio(drop.quantity, wins.length);
+        });
+
+        return {
+            fights: fights.length,
+            wins: wins.length,
+            defeats: fights.filter(fight => fight.result === 'defeat').length,
+            winRate: this.ratio(wins.length, fights.length),
+            deathRate: this.ratio(fights.filter(fight => fight.result === 'defeat').length, fights.length),
+            enemyTurns: this.describe(fights.map(fight => fight.enemyTurns)),
+            durationMs: this.describe(fights.map(fight => fight.durationMs)),
+            stages,
+            drops
+        };
+    }
+
+    /**
+     * Summarize when each level was first reached
+     * @param {Array} levels - Recorded level ups
+     * @returns {Object} { [level]: { trials, fights, timeMs } }
+     */
+    summarizeLevels(levels) {
+        const byLevel = {};
+
+        levels.forEach(entry => {
+            if (!byLevel[entry.level]) byLevel[entry.level] = new Map();
+            // Prestige resets the level, so only the first time per trial counts
+            if (!byLevel[entry.level].has(entry.trial)) {
+                byLevel[entry.level].set(entry.trial, entry);
+            }
+        });
+
+        const summary = {};
+        Object.entries(byLevel).forEach(([level, entries]) => {
+            const reached = Array.from(entries.values());
+            summary[level] = {
+                trials: reached.length,
+                fights: this.describe(reached.map(entry => entry.fights)),
+                timeMs: this.describe(reached.map(entry => entry.timeMs))
+            };
+        });
+
+        return summary;
+    }
+
+    /**
+     * Average prestige points at each sample time
+     * @param {Array} rows - Timeline rows
+     * @returns {Array} [{ timeMs, trials, availablePrestigePoints, totalPrestigePoints }]
+     */
+    summarizePrestigeCurve(rows) {
+        const byTime = new Map();
+
+        rows.filter(row => row.event === 'sample').forEach(row => {
+            if (!byTime.has(row.timeMs)) byTime.set(row.timeMs, []);
+            byTime.get(row.timeMs).push(row);
+        });
+
+        return Array.from(byTime.entries())
+            .sort(([a], [b]) => a - b)
+            .map(([timeMs, samples]) => ({
+                timeMs,
+                trials: samples.length,
+                availablePrestigePoints: this.describe(samples.map(sample => sample.availablePrestigePoints)).mean,
+                totalPrestigePoints: this.describe(samples.map(sample => sample.totalPrestigePoints)).mean
+            }));
+    }
+
+    /**
+     * Count rows per trial, including trials with none
+     * @param {Array} rows - Rows with a trial index
+     * @returns {Array} Counts by trial
+     */
+    countPerTrial(rows) {
+        const counts = new Array(this.options.trials).fill(0);
+        rows.forEach(row => counts[row.trial]++);
+        return counts;
+    }
+
+    /**
+     * Descriptive statistics for a list of numbers
+     * Percentiles interpolate linearly between the closest ranks, so the median
+     * of an even count is the mean of the two middle values.
+     * @param {Array} values - Numbers
+     * @returns {Object} { count, mean, median, p90, min, max }
+     */
+    describe(values) {
+        if (values.length === 0) {
+            return { count: 0, mean: null, median: null, p90: null, min: null, max: null };
+        }
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const percentile = (p) => {
+            const rank = p * (sorted.length - 1);
+            const lower = Math.floor(rank);
+            const upper = Math.ceil(rank);
+            return this.round(sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower));
+        };
+
+        return {
+            count: sorted.length,
+            mean: this.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+            median: percentile(0.5),
+            p90: percentile(0.9),
+            min: sorted[0],
+            max: sorted[sorted.length - 1]
+        };
+    }
+
+    /**
+     * Ratio rounded for reports (0 when the denominator is 0)
+     * @param {number} part - Numerator
+     * @param {number} whole - Denominator
+     * @returns {number} Ratio
+     */
+    ratio(part, whole) {
+        return whole > 0 ? this.round(part / whole) : 0;
+    }
+
+    /**
+     * Round to four decimal places
+     * @param {number} value - Value
+     * @returns {number} Rounded value
+     */
+    round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+
+    /**
+     * Flatten a fight record for tabular output
+     * @param {Object} fight - Recorded fight
+     * @returns {Object} Row
+     */
+    formatFightRow(fight) {
+        return {
+            ...fight,
+            drops: Object.entries(fight.drops).map(([materialId, quantity]) => `${materialId}:${quantity}`).join(';')
+        };
+    }
+
+    /**
+     * Serialize a report as JSON
+     * @param {Object} report - Report from run()
+     * @returns {string} JSON
+     */
+    toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    }
+
+    /**
+     * Serialize a report's rows as CSV
+     * @param {Object} report - Report from run()
+     * @returns {string} CSV with a header row
+     */
+    toCSV(report) {
+        const columns = [];
+        report.rows.forEach(row => {
+            Object.keys(row).forEach(column => {
+                if (!columns.includes(column)) columns.push(column);
+            });
+        });
+
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [
+            columns.join(','),
+            ...report.rows.map(row => columns.map(column => escape(row[column])).join(','))
+        ].join('\n');
+    }
+}
+
+export { BalanceSimulator };
@@ -0,0 +1,242 @@
+/**
+ * Headless Game - The gameplay systems without canvas, DOM or browser storage
+ * Wires combat, stages, materials, crafting, equipment and prestige the same
+ * way GameEngine does, but on a virtual clock so balance simulations can run
+ * thousands of fights in seconds.
+ * @module HeadlessGame
+ */
+
+import { EventSystem } from '../core/event-system.js';
+import { MemoryStorage } from '../core/memory-storage.js';
+import { ServiceContainer } from '../core/service-container.js';
+import { registerGameServices } from '../core/game-services.js';
+import { SimulationClock } from './simulation-clock.js';
+
+/**
+ * Event system that drains its queue synchronously
+ * The browser version yields to the event loop every few events, which a
+ * virtual clock cannot wait for. Events are still delivered in FIFO order.
+ */
+class HeadlessEventSystem extends EventSystem {
+    processEventQueue() {
+        if (this.isProcessingQueue || this.eventQueue.length === 0) {
+            return;
+        }
+
+        this.isProcessingQueue = true;
+        try {
+            while (this.eventQueue.length > 0) {
+                this.processEvent(this.eventQueue.shift());
+            }
+        } finally {
+            this.isProcessingQueue = false;
+        }
+    }
+}
+
+class HeadlessGame {
+    /**
+     * @param {Object} options - { seed } RNG seed (defaults to a fresh random seed)
+     */
+    constructor(options = {}) {
+        this.services = registerGameServices(new ServiceContainer(), {
+            storage: new MemoryStorage(),
+            autoSave: false,
+            seed: options.seed ?? null,
+            clock: new SimulationClock()
+        });
+        this.services.register('eventSystem', () => new HeadlessEventSystem());
+
+        // Core systems
+        this.clock = this.services.get('clock');
+        this.stateManager = this.services.get('stateManager');
+        this.eventSystem = this.services.get('eventSystem');
+        this.statPipeline = this.services.get('statPipeline');
+        this.randomService = this.services.get('randomService');
+
+        // Prestige system
+        this.prestigeManager = this.services.get('prestigeManager');
+
+        // Stage and enemy systems (no CombatUI is attached, so combat stays DOM-free)
+        this.enemyDatabase = this.services.get('enemyDatabase');
+        this.stageManager = this.services.get('stageManager');
+        this.damageCalculator = this.services.get('damageCalculator');
+        this.enemyAI = this.services.get('enemyAI');
+        this.combatManager = this.services.get('combatManager');
+
+        // Progression systems
+        this.levelingSystem = this.services.get('levelingSystem');
+        this.materialManager = this.services.get('materialManager');
+        this.inventoryManager = this.services.get('inventoryManager');
+        this.equipmentManager = this.services.get('equipmentManager');
+        this.craftingSystem = this.services.get('craftingSystem');
+        this.enhancementSystem = this.services.get('enhancementSystem');
+        this.shopSystem = this.services.get('shopSystem');
+        this.defeatPenaltyManager = this.services.get('defeatPenaltyManager');
+
+        // Boss data is only needed to validate content packs; simulated runs fight regular enemies
+        this.bossManager = this.services.get('bossManager');
+        this.achievementSystem = this.services.get('achievementSystem');
+
+        // Weekly events, daily challenges and offline progress depend on the
+        // calendar, so they are never resolved here and stay out of simulated stats
+        this.contentPackLoader = this.services.get('contentPackLoader');
+
+        this.newGame();
+    }
+
+    /**
+     * Start a fresh game (mirrors GameEngine.loadInitialState)
+     */
+    newGame() {
+        this.stateManager.setState({
+            player: {
+                hp: 100,
+                maxHp: 100,
+                level: 1,
+                exp: 0,
+                attack: 10,
+                defense: 5,
+                speed: 10
+            },
+            game: {
+                currentStage: 1,
+                isPaused: false,
+                isInCombat: false
+            },
+            performance: {
+                fps: 60,
+                frameTime: 16.67
+            }
+        });
+
+        // Keep the seeded streams instead of letting stateLoaded pick a new seed
+        this.randomService.syncState();
+
+        this.eventSystem.emit('stateLoaded');
+        this.craftingSystem.checkRecipeUnlocks();
+    }
+
+    /**
+     * Merge a parsed content pack into the registries
+     * @param {Object} pack - Content pack JSON
+     * @returns {Object} { loaded, errors, warnings }
+     */
+    loadContentPack(pack) {
+        return this.contentPackLoader.loadPack(pack);
+    }
+
+    /**
+     * Set the player's level, grant its stat points and restore full HP
+     * @param {number} level - Player level
+     * @param {Object|null} statWeights - Spend the points by these weights (see allocateStatPoints), null to leave them unspent
+     */
+    setPlayerLevel(level, statWeights = null) {
+        this.levelingSystem.setLevel(level);
+        if (statWeights) {
+            this.allocateStatPoints(statWeights);
+        }
+        this.statPipeline.refresh({ fullHeal: true });
+        this.stageManager.checkStageUnlocks();
+        this.craftingSystem.checkRecipeUnlocks();
+    }
+
+    /**
+     * Spend unspent stat points so each stat's share of all points follows its weight
+     * Points already allocated count towards the share, so this can run after every level up.
+     * @param {Object} statWeights - Stat -> relative weight (e.g. { attack: 2, maxHp: 1 })
+     * @returns {number} Points spent
+     */
+    allocateStatPoints(statWeights) {
+        const leveling = this.levelingSystem;
+        const unspent = leveling.getStatPoints();
+        const weights = Object.entries(statWeights)
+            .filter(([stat, weight]) => stat in leveling.STAT_POINT_VALUES && weight > 0);
+        const totalWeight = weights.reduce((sum, [, weight]) => sum + weight, 0);
+        if (unspent === 0 || totalWeight === 0) return 0;
+        
+        const allocation = leveling.getAllocation();
+        const totalPoints = unspent + Object.values(allocation).reduce((sum, points) => sum + points, 0);
+        let spent = 0;
+        
+        // Heaviest stats first, so they take the points left over by rounding down
+        weights.sort((a, b) => b[1] - a[1]).forEach(([stat, weight]) => {
+            const target = Math.floor(totalPoints * weight / totalWeight);
+            const points = Math.min(target - allocation[stat], unspent - spent);
+            if (points > 0 && leveling.allocateStatPoint(stat, points)) {
+                spent += points;
+            }
+        });
+        
+        if (spent < unspent && leveling.allocateStatPoint(weights[0][0], unspent - spent)) {
+            spent = unspent;
+        }
+        
+        return spent;
+    }
+
+    /**
+     * Restore the player to full HP
+     */
+    healPlayer() {
+        this.statPipeline.refresh({ fullHeal: true });
+    }
+
+    /**
+     * Add an item to the inventory and equip it
+     * @param {string} equipmentId - Equipment definition ID
+     * @param {string} quality - Equipment quality
+     * @returns {boolean} True if the item was equipped
+     */
+    equip(equipmentId, quality = 'normal') {
+        const item = this.equipmentManager.createEquipmentInstance(equipmentId, quality);
+        if (!item) {
+            console.warn(`Unknown equipment: ${equipmentId}`);
+            return false;
+        }
+
+        this.inventoryManager.addEquipment(item);
+        return this.equipmentManager.equipItem(item.uniqueId);
+    }
+
+    /**
+     * Move to a stage, unlocking it first if needed
+     * @param {number} stageId - Stage ID
+     * @returns {boolean} True if the stage is now active
+     */
+    setStage(stageId) {
+        const stages = this.stateManager.getStateValue('stages') || {};
+        const unlockedStages = stages.unlockedStages || [1];
+
+        if (!unlockedStages.includes(stageId)) {
+            this.stateManager.updateState({
+                stages: {
+                    ...stages,
+                    unlockedStages: [...unlockedStages, stageId]
+                }
+            });
+        }
+
+        return this.stageManager.switchToStage(stageId);
+    }
+
+    /**
+     * Run a single auto-battle fight, including the delay before it starts
+     * @param {Object} settings - Auto-battle settings ({ policy, defendThreshold })
+     * @returns {string|null} Combat result, or null if the fight never ended
+     */
+    runFight(settings = {}) {
+        let result = null;
+        const unsubscribe = this.eventSystem.on('combat_end', (data) => {
+            result = data.result;
+        });
+
+        this.combatManager.startAutoBattle({ ...settings, maxFights: 1 });
+        this.clock.runUntil(() => !this.stateManager.getStateValue('autoBattle.enabled'));
+
+        unsubscribe();
+        return result;
+    }
+}
+
+export { HeadlessGame, HeadlessEventSystem };
@@ -0,0 +1,117 @@
+/**
+ * Simulation Clock - Virtual time for headless runs
+ * Timers fire in order of due time as the simulation advances, so a fight
+ * that takes a minute of game time finishes in a fraction of a millisecond.
+ * @module SimulationClock
+ */
+
+import { GameClock } from '../core/game-clock.js';
+
+class SimulationClock extends GameClock {
+    constructor() {
+        super();
+        this.time = 0;
+        this.nextTimerId = 1;
+        this.timers = []; // { id, due, callback } sorted by due time, then creation order
+    }
+
+    /**
+     * Current virtual time in milliseconds
+     * @returns {number} Virtual timestamp
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Schedule a callback in virtual time
+     * @param {Function} callback - Callback
+     * @param {number} delay - Delay in milliseconds
+     * @returns {number} Timer ID
+     */
+    setTimeout(callback, delay = 0) {
+        const timer = {
+            id: this.nextTimerId++,
+            due: this.time + Math.max(0, Number(delay) || 0),
+            callback
+        };
+
+        // Insert after every timer due at the same time to keep FIFO order
+        let index = this.timers.length;
+        while (index > 0 && this.timers[index - 1].due > timer.due) {
+            index--;
+        }
+        this.timers.splice(index, 0, timer);
+
+        return timer.id;
+    }
+
+    /**
+     * Cancel a scheduled callback
+     * @param {number} timerId - Timer ID from setTimeout()
+     */
+    clearTimeout(timerId) {
+        if (timerId === null || timerId === undefined) return;
+        this.timers = this.timers.filter(timer => timer.id !== timerId);
+    }
+
+    /**
+     * Number of callbacks still scheduled
+     * @returns {number} Pending timer count
+     */
+    getPendingCount() {
+        return this.timers.length;
+    }
+
+    /**
+     * Jump to the next timer and run it
+     * @returns {boolean} False if nothing was scheduled
+     */
+    step() {
+        const timer = this.timers.shift();
+        if (!timer) return false;
+
+        this.time = Math.max(this.time, timer.due);
+        timer.callback();
+        return true;
+    }
+
+    /**
+     * Run every timer due within a span of virtual time
+     * @param {number} duration - Milliseconds to advance
+     */
+    advance(duration) {
+        const target = this.time + duration;
+
+        while (this.timers.length > 0 && this.timers[0].due <= target) {
+            this.step();
+        }
+
+        this.time = target;
+    }
+
+    /**
+     * Run timers until a condition holds
+     * @param {Function} predicate - Checked before each timer
+     * @param {number} maxSteps - Safety limit on timers run
+     * @returns {boolean} True if the condition was met
+     */
+    runUntil(predicate, maxSteps = 100000) {
+        for (let steps = 0; steps < maxSteps; steps++) {
+            if (predicate()) return true;
+            if (!this.step()) return predicate();
+        }
+        return predicate();
+    }
+
+    /**
+     * Run timers until none are left
+     * @param {number} maxSteps - Safety limit on timers run
+     * @returns {boolean} True if the clock went idle
+     */
+    runUntilIdle(maxSteps = 100000) {
+        return this.runUntil(() => this.timers.length === 0, maxSteps);
+    }
+}
+
+export { SimulationClock };
@@ -4,9 +4,11 @@
  */
 
 export class AchievementUI {
-    constructor(achievementSystem, eventSystem) {
+    // feedbackLayout (the GameEngine) stacks notifications so they don't overlap
+    constructor(achievementSystem, eventSystem, feedbackLayout = null) {
         this.achievementSystem = achievementSystem;
         this.eventSystem = eventSystem;
+        this.feedbackLayout = feedbackLayout;
         this.currentCategory = 'all';
         this.sortBy = 'progress'; // 'progress', 'name', 'category', 'unlocked'
         
@@ -109,7 +111,8 @@ export class AchievementUI {
         });
 
         // Listen for achievement updates
-        this.eventSystem.on('achievement_unlocked', () => {
+        this.eventSystem.on('achievement_unlocked', (data) => {
+            this.showAchievementNotification(data.achievement);
             this.renderAchievements();
             this.updateStats();
         });
@@ -120,6 +123,43 @@ export class AchievementUI {
         });
     }
 
+    showAchievementNotification(achievement) {
+        // Get next available position to prevent overlap
+        const position = this.feedbackLayout ? this.feedbackLayout.getNextFeedbackPosition() : { top: 50, left: 50 };
+        
+        // Create achievement notification overlay
+        const notification = document.createElement('div');
+        notification.className = 'achievement-notification';
+        notification.style.top = `${Math.max(15, position.top - 15)}%`;
+        notification.style.left = `${position.left}%`;
+        notification.innerHTML = `
+            <div class="achievement-notification-content">
+                <div class="achievement-icon">🏆</div>
+                <div class="achievement-details">
+                    <div class="achievement-title">Achievement Unlocked!</div>
+                    <div class="achievement-name">${achievement.name}</div>
+                    <div class="achievement-description">${achievement.description}</div>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(notification);
+        
+        // Register with the feedback layout
+        if (this.feedbackLayout) {
+            this.feedbackLayout.registerFeedback(notification, 5000);
+        }
+
+        // Animate in
+        setTimeout(() => notification.classList.add('show'), 100);
+
+        // Remove after delay
+        setTimeout(() => {
+            notification.classList.remove('show');
+            setTimeout(() => notification.remove(), 500);
+        }, 4000);
+    }
+
     showAchievements() {
         document.getElementById('achievements-ui').style.display = 'block';
         this.renderAchievements();
@@ -270,6 +310,8 @@ export class AchievementUI {
                 return `${reward.amount} Prestige Points`;
             case 'equipment':
                 return `${this.formatItemName(reward.item)}`;
+            case 'stat_bonus':
+                return `+${reward.amount} ${this.formatCategory(reward.stat)}`;
             default:
                 return 'Unknown Reward';
         }
@@ -306,5 +348,3 @@ export class AchievementUI {
         this.renderAchievements();
     }
 }
-
-export { AchievementUI };
\ No newline at end of file
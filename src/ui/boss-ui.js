@@ -70,6 +70,7 @@ class BossUI {
         this.eventEmitter.on('bossPhaseChange', (data) => this.onBossPhaseChange(data));
         this.eventEmitter.on('bossDamaged', (data) => this.onBossDamaged(data));
         this.eventEmitter.on('bossDefeated', (data) => this.onBossDefeated(data));
+        this.eventEmitter.on('boss_victory', (data) => this.showBossVictory(data));
         this.eventEmitter.on('stateLoaded', () => this.updateBossDisplay());
     }
 
@@ -256,6 +257,8 @@ class BossUI {
             maxHp: boss.maxHp,
             damage: boss.damage,
             defense: boss.defense,
+            speed: boss.speed,
+            element: boss.element || 'physical',
             isBoss: true,
             bossId: boss.id,
             stageId: stageId,
@@ -0,0 +1,188 @@
+/**
+ * Combat UI - Combat panel, turn queue, skill bar and consumable quick-bar
+ * @module CombatUI
+ */
+
+class CombatUI {
+    constructor(combatManager) {
+        this.combatManager = combatManager;
+
+        console.log('⚔️ Combat UI initialized');
+    }
+
+    /**
+     * Show combat UI elements
+     */
+    show() {
+        const combatUI = document.getElementById('combat-ui');
+        if (combatUI) {
+            combatUI.style.display = 'flex';
+            combatUI.classList.add('fade-in');
+        }
+
+        this.updateElementDisplay();
+        this.renderSkillBar();
+        this.renderQuickBar();
+    }
+
+    /**
+     * Hide combat UI elements
+     */
+    hide() {
+        const combatUI = document.getElementById('combat-ui');
+        if (combatUI) {
+            combatUI.style.display = 'none';
+            combatUI.classList.remove('fade-in');
+        }
+    }
+
+    /**
+     * Show enemy and player elements in the combat UI
+     */
+    updateElementDisplay() {
+        const { currentEnemy, damageCalculator: calculator } = this.combatManager;
+        const elementInfo = document.getElementById('combat-element-info');
+        if (!elementInfo || !currentEnemy) return;
+
+        const enemyElement = currentEnemy.element || calculator.ELEMENT_TYPES.PHYSICAL;
+        const playerElement = this.combatManager.getEffectivePlayerStats().element;
+        const weaknesses = calculator.getStrongElements(enemyElement);
+
+        const elementTag = (element) =>
+            `<span style="color: ${calculator.getElementColor(element)};">${element}</span>`;
+
+        elementInfo.innerHTML = `
+            <div>👹 ${currentEnemy.name}: ${elementTag(enemyElement)}${weaknesses.length > 0 ? ` (weak to ${weaknesses.map(elementTag).join(', ')})` : ''}</div>
+            <div>⚔️ Your weapon: ${elementTag(playerElement)}</div>
+        `;
+    }
+
+    /**
+     * Show the acting combatant and the upcoming turn queue
+     */
+    updateTurnQueue() {
+        const { currentEnemy, lastActor } = this.combatManager;
+        const turnQueue = document.getElementById('turn-queue');
+        if (!turnQueue || !currentEnemy) return;
+
+        const label = (actor) => actor === 'player'
+            ? '<span class="turn-player">🧙 You</span>'
+            : `<span class="turn-enemy">👹 ${currentEnemy.name}</span>`;
+
+        turnQueue.innerHTML = `
+            <div>Now: ${label(lastActor)}</div>
+            <div>Next: ${this.combatManager.getTurnQueue(4).map(label).join(' → ')}</div>
+        `;
+    }
+
+    /**
+     * Enable/disable combat action buttons
+     * @param {boolean} enabled - Whether to enable buttons
+     */
+    setActionsEnabled(enabled) {
+        const attackBtn = document.getElementById('attack-btn');
+        const defendBtn = document.getElementById('defend-btn');
+        const fleeBtn = document.getElementById('flee-btn');
+
+        if (attackBtn) attackBtn.disabled = !enabled;
+        if (defendBtn) defendBtn.disabled = !enabled;
+        if (fleeBtn) {
+            const { currentEnemy } = this.combatManager;
+            fleeBtn.disabled = !enabled || Boolean(currentEnemy?.isBoss);
+            fleeBtn.textContent = enabled && currentEnemy && !currentEnemy.isBoss
+                ? `Flee (${Math.round(this.combatManager.getFleeChance() * 100)}%)`
+                : 'Flee';
+        }
+
+        this.updateSkillBar(enabled);
+        this.updateQuickBar(enabled);
+    }
+
+    /**
+     * Render buttons for unlocked skills
+     */
+    renderSkillBar() {
+        const skillBar = document.getElementById('skill-bar');
+        if (!skillBar) return;
+
+        const skills = this.combatManager.skillManager.getUnlockedSkills();
+
+        skillBar.innerHTML = `
+            <div id="skill-mana" class="skill-mana"></div>
+            ${skills.map(skill => `
+                <button id="skill-btn-${skill.id}" class="skill-btn" title="${skill.description} (${skill.cost} mana, ${skill.cooldown} turn cooldown)" disabled></button>
+            `).join('')}
+        `;
+
+        this.updateSkillBar(false);
+    }
+
+    /**
+     * Update mana, cooldowns and availability on the skill buttons
+     * @param {boolean} enabled - Whether it is the player's turn to act
+     */
+    updateSkillBar(enabled) {
+        const { skillManager, stateManager } = this.combatManager;
+        const manaDisplay = document.getElementById('skill-mana');
+        const skillState = stateManager.getStateValue('skills');
+        if (!manaDisplay || !skillState) return;
+
+        manaDisplay.textContent = `🔷 ${skillState.mana}/${skillState.maxMana}`;
+
+        skillManager.getUnlockedSkills().forEach(skill => {
+            const button = document.getElementById(`skill-btn-${skill.id}`);
+            if (!button) return;
+
+            const cooldown = skillManager.getCooldown(skill.id);
+            button.textContent = cooldown > 0
+                ? `${skill.icon} ${skill.name} (${cooldown})`
+                : `${skill.icon} ${skill.name} [${skill.shortcut}]`;
+            button.disabled = !enabled || !skillManager.canUseSkill(skill.id);
+        });
+    }
+
+    /**
+     * Render one button per quick-bar slot
+     */
+    renderQuickBar() {
+        const quickBar = document.getElementById('quick-bar');
+        const { inventoryManager } = this.combatManager;
+        if (!quickBar || !inventoryManager) return;
+
+        quickBar.innerHTML = inventoryManager.QUICK_BAR_KEYS.map((key, slot) => `
+            <button id="quick-bar-btn-${slot}" class="quick-bar-btn" disabled></button>
+        `).join('');
+
+        this.updateQuickBar(this.combatManager.isPlayerTurn);
+    }
+
+    /**
+     * Update item names, counts and availability on the quick-bar buttons
+     * @param {boolean} enabled - Whether it is the player's turn to act
+     */
+    updateQuickBar(enabled) {
+        const { inventoryManager, equipmentManager, currentEnemy } = this.combatManager;
+        if (!inventoryManager || !equipmentManager) return;
+
+        inventoryManager.getQuickBar().forEach((itemId, slot) => {
+            const button = document.getElementById(`quick-bar-btn-${slot}`);
+            if (!button) return;
+
+            const key = inventoryManager.QUICK_BAR_KEYS[slot];
+            const definition = itemId ? equipmentManager.getEquipmentDefinition(itemId) : null;
+            if (!definition) {
+                button.textContent = `[${key}] Empty`;
+                button.title = 'Bind a consumable from the inventory screen';
+                button.disabled = true;
+                return;
+            }
+
+            const count = inventoryManager.getConsumableCount(itemId);
+            button.textContent = `🧪 ${definition.name} x${count} [${key}]`;
+            button.title = definition.description;
+            button.disabled = !enabled || count === 0 || Boolean(definition.escape && currentEnemy?.isBoss);
+        });
+    }
+}
+
+export default CombatUI;
@@ -0,0 +1,110 @@
+/**
+ * Crafting Queue UI - Queued jobs, progress bars and cancel buttons
+ * @module CraftingQueueUI
+ */
+
+class CraftingQueueUI {
+    /**
+     * @param {CraftingSystem} craftingSystem - Crafting system
+     * @param {EventSystem} eventSystem - Event system
+     */
+    constructor(craftingSystem, eventSystem) {
+        this.craftingSystem = craftingSystem;
+        this.eventSystem = eventSystem;
+
+        // DOM elements
+        this.craftingUI = document.getElementById('crafting-ui');
+        this.queueElement = document.getElementById('crafting-queue');
+
+        this.bindEventListeners();
+
+        console.log('⏳ Crafting queue UI initialized');
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEventListeners() {
+        this.eventSystem.on('crafting_queue_updated', () => {
+            if (this.isOpen()) {
+                this.render();
+            }
+        });
+
+        // Progress bars follow the clock while the panel is open
+        this.eventSystem.on('game_tick', () => {
+            this.updateProgress();
+        });
+    }
+
+    /**
+     * Check whether the crafting panel is showing
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return Boolean(this.craftingUI) && this.craftingUI.style.display !== 'none';
+    }
+
+    /**
+     * Render the crafting queue with a cancel button per job
+     */
+    render() {
+        if (!this.queueElement) return;
+
+        const queue = this.craftingSystem.getCraftingQueue();
+        if (queue.length === 0) {
+            this.queueElement.innerHTML = '';
+            return;
+        }
+
+        this.queueElement.innerHTML = `
+            <h4>Queue (${queue.length}/${this.craftingSystem.MAX_QUEUE_LENGTH})</h4>
+            ${queue.map(job => `
+                <div class="craft-job ${job.active ? 'active' : 'waiting'}" data-job-id="${job.id}">
+                    <div class="craft-job-info">
+                        <strong>${job.quantity}x ${job.recipeName}</strong>
+                        <small class="craft-job-time">${this.formatJobTime(job)}</small>
+                        <div class="craft-progress">
+                            <div class="craft-progress-fill" style="width: ${Math.round(job.progress * 100)}%"></div>
+                        </div>
+                    </div>
+                    <button class="craft-cancel-btn" data-job-id="${job.id}" title="Cancel and refund materials">✖</button>
+                </div>
+            `).join('')}
+        `;
+
+        this.queueElement.querySelectorAll('.craft-cancel-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.craftingSystem.cancelCraft(button.dataset.jobId);
+            });
+        });
+    }
+
+    /**
+     * Move the progress bars without rebuilding the list
+     */
+    updateProgress() {
+        if (!this.isOpen() || !this.queueElement) return;
+
+        this.craftingSystem.getCraftingQueue().forEach(job => {
+            const jobElement = this.queueElement.querySelector(`.craft-job[data-job-id="${job.id}"]`);
+            if (!jobElement) return;
+
+            jobElement.querySelector('.craft-progress-fill').style.width = `${Math.round(job.progress * 100)}%`;
+            jobElement.querySelector('.craft-job-time').textContent = this.formatJobTime(job);
+        });
+    }
+
+    /**
+     * Describe the time left on a crafting job
+     * @param {Object} job - Job from CraftingSystem.getCraftingQueue()
+     * @returns {string} Display text
+     */
+    formatJobTime(job) {
+        return job.active
+            ? `${Math.ceil(job.remaining / 1000)}s left`
+            : `Waiting (${Math.ceil(job.duration / 1000)}s)`;
+    }
+}
+
+export default CraftingQueueUI;
@@ -4,9 +4,15 @@
  */
 
 class DailyChallengesUI {
-    constructor(dailyChallenges, eventSystem) {
+    /**
+     * @param {DailyChallenges} dailyChallenges - Daily challenges system
+     * @param {EventSystem} eventSystem - Event system
+     * @param {Object} feedbackLayout - Stacks notifications (the GameEngine); optional
+     */
+    constructor(dailyChallenges, eventSystem, feedbackLayout = null) {
         this.dailyChallenges = dailyChallenges;
         this.eventSystem = eventSystem;
+        this.feedbackLayout = feedbackLayout;
         
         // DOM elements
         this.challengesUI = document.getElementById('challenges-ui');
@@ -187,8 +193,8 @@ class DailyChallengesUI {
      * Show challenge completion notification
      */
     showChallengeCompletionNotification(challenge, reward) {
-        // Get next available position from game engine to prevent overlap
-        const position = window.gameEngine ? window.gameEngine.getNextFeedbackPosition() : { top: 50, left: 50 };
+        // Get next available position to prevent overlap
+        const position = this.feedbackLayout ? this.feedbackLayout.getNextFeedbackPosition() : { top: 50, left: 50 };
         
         // Create notification element
         const notification = document.createElement('div');
@@ -206,9 +212,9 @@ class DailyChallengesUI {
         // Add to DOM
         document.body.appendChild(notification);
         
-        // Register with game engine feedback system
-        if (window.gameEngine) {
-            window.gameEngine.registerFeedback(notification, 4000);
+        // Register with the feedback layout
+        if (this.feedbackLayout) {
+            this.feedbackLayout.registerFeedback(notification, 4000);
         }
         
         // Animate in
@@ -0,0 +1,88 @@
+/**
+ * Defeat UI - Defeat penalty HUD controls and the defeat summary
+ * @module DefeatUI
+ */
+
+class DefeatUI {
+    /**
+     * @param {DefeatPenaltyManager} defeatPenaltyManager - Defeat penalty manager
+     * @param {EventSystem} eventSystem - Event system
+     * @param {MaterialManager} materialManager - Material names
+     */
+    constructor(defeatPenaltyManager, eventSystem, materialManager) {
+        this.defeatPenaltyManager = defeatPenaltyManager;
+        this.eventSystem = eventSystem;
+        this.materialManager = materialManager;
+
+        // DOM elements
+        this.penaltySelect = document.getElementById('defeat-penalty');
+        this.unbankedCount = document.getElementById('unbanked-count');
+        this.respawnStatus = document.getElementById('respawn-status');
+        this.defeatUI = document.getElementById('defeat-ui');
+        this.details = document.getElementById('defeat-summary');
+
+        this.bindEventListeners();
+        this.updateDisplay();
+
+        console.log('💀 Defeat UI initialized');
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEventListeners() {
+        this.penaltySelect.addEventListener('change', () => {
+            this.defeatPenaltyManager.setPenalty(this.penaltySelect.value);
+        });
+
+        ['material_collected', 'materials_banked', 'defeat_summary', 'combat_end', 'stateLoaded'].forEach(eventType => {
+            this.eventSystem.on(eventType, () => this.updateDisplay());
+        });
+    }
+
+    /**
+     * Update the defeat penalty HUD controls from state
+     */
+    updateDisplay() {
+        this.penaltySelect.value = this.defeatPenaltyManager.getPenalty();
+        this.unbankedCount.textContent = this.defeatPenaltyManager.getUnbankedCount();
+
+        const remaining = this.defeatPenaltyManager.getRespawnRemaining();
+        this.respawnStatus.textContent = remaining > 0
+            ? `💀 Respawning in ${Math.ceil(remaining / 1000)}s`
+            : '';
+    }
+
+    /**
+     * Show what a defeat cost
+     * @param {Object} summary - Defeat summary from DefeatPenaltyManager
+     */
+    show(summary) {
+        const materialsLost = Object.entries(summary.materialsLost)
+            .map(([materialId, quantity]) => `${quantity}x ${this.materialManager.getMaterialDefinition(materialId)?.name || materialId}`)
+            .join(', ');
+
+        const penaltyText = {
+            materials: materialsLost ? `Lost loot: ${materialsLost}` : 'No unbanked loot was lost',
+            experience: `Lost ${summary.expLost} EXP`,
+            respawn: `You can fight again in ${Math.ceil(summary.respawnTime / 1000)}s`
+        };
+
+        this.details.innerHTML = `
+            <p>${summary.enemy ? `Defeated by ${summary.enemy.name} (level ${summary.enemy.level})` : 'Defeated'}</p>
+            <p class="defeat-loss">${penaltyText[summary.penalty]}</p>
+            <p style="color: #aaa;">HP restored to half. Bank your loot or change the defeat penalty in the HUD.</p>
+        `;
+
+        this.defeatUI.style.display = 'block';
+    }
+
+    /**
+     * Hide the defeat summary
+     */
+    hide() {
+        this.defeatUI.style.display = 'none';
+    }
+}
+
+export default DefeatUI;
@@ -0,0 +1,174 @@
+/**
+ * Enhancement UI - Enhance, upgrade, reroll and salvage buttons and their results
+ * @module EnhancementUI
+ */
+
+class EnhancementUI {
+    /**
+     * @param {EnhancementSystem} enhancementSystem - Enhancement system
+     * @param {EventSystem} eventSystem - Event system
+     * @param {EquipmentManager} equipmentManager - Equipment names
+     * @param {MaterialManager} materialManager - Material names
+     * @param {Object} feedbackLayout - Stacks notifications (the GameEngine); optional
+     */
+    constructor(enhancementSystem, eventSystem, equipmentManager, materialManager, feedbackLayout = null) {
+        this.enhancementSystem = enhancementSystem;
+        this.eventSystem = eventSystem;
+        this.equipmentManager = equipmentManager;
+        this.materialManager = materialManager;
+        this.feedbackLayout = feedbackLayout;
+
+        this.bindEventListeners();
+
+        console.log('✨ Enhancement UI initialized');
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEventListeners() {
+        ['item_enhanced', 'item_quality_changed', 'item_salvaged', 'enhancement_failed'].forEach(eventType => {
+            this.eventSystem.on(eventType, (data) => {
+                this.showFeedback(eventType, data);
+            });
+        });
+    }
+
+    /**
+     * Build the enhance, upgrade, reroll and salvage buttons for an item
+     * @param {string} equipmentUniqueId - Unique equipment ID
+     * @returns {HTMLElement} Button row
+     */
+    createControls(equipmentUniqueId) {
+        const item = this.enhancementSystem.getItem(equipmentUniqueId);
+        const controls = document.createElement('div');
+        controls.className = 'enhancement-controls';
+        if (!item) return controls;
+
+        const enhancement = this.enhancementSystem.getEnhancementInfo(item);
+        const upgrade = this.enhancementSystem.getQualityUpgradeInfo(item);
+        const salvageText = this.formatMaterialList(this.enhancementSystem.getSalvageYield(item)) || 'nothing';
+
+        const buttons = [
+            {
+                label: enhancement.available
+                    ? `Enhance +${enhancement.nextLevel} (${Math.round(enhancement.successChance * 100)}%)`
+                    : 'Max Enhancement',
+                title: enhancement.available ? `Costs ${this.formatMaterialList(enhancement.cost)}` : '',
+                enabled: enhancement.available && enhancement.affordable,
+                eventType: 'enhance_item'
+            },
+            {
+                label: upgrade.available
+                    ? `Upgrade to ${upgrade.nextQuality} (${Math.round(upgrade.successChance * 100)}%)`
+                    : 'Max Quality',
+                title: upgrade.available ? `Costs ${this.formatMaterialList(upgrade.cost)}` : '',
+                enabled: upgrade.available && upgrade.affordable,
+                eventType: 'upgrade_item_quality'
+            },
+            {
+                label: 'Reroll Quality',
+                title: `Costs ${this.formatMaterialList(this.enhancementSystem.REROLL_COST)}; the new quality may be worse`,
+                enabled: this.enhancementSystem.canAfford(this.enhancementSystem.REROLL_COST),
+                eventType: 'reroll_item_quality'
+            }
+        ];
+
+        if (!item.equipped) {
+            buttons.push({
+                label: 'Salvage',
+                title: `Returns ${salvageText}`,
+                enabled: true,
+                eventType: 'salvage_item',
+                className: 'salvage-btn'
+            });
+        }
+
+        buttons.forEach(({ label, title, enabled, eventType, className }) => {
+            const button = document.createElement('button');
+            button.className = `enhance-btn ${className || ''}`.trim();
+            button.textContent = label;
+            button.title = title;
+            button.disabled = !enabled;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.eventSystem.emit(eventType, { equipmentId: equipmentUniqueId });
+            });
+            controls.appendChild(button);
+        });
+
+        return controls;
+    }
+
+    /**
+     * Format a material map for display (e.g. "3 Iron Ore, 1 Magic Crystal")
+     * @param {Object} materials - Quantities keyed by material ID
+     * @returns {string} Material list
+     */
+    formatMaterialList(materials) {
+        return Object.entries(materials)
+            .map(([materialId, amount]) => `${amount} ${this.materialManager.getMaterialDefinition(materialId)?.name || materialId}`)
+            .join(', ');
+    }
+
+    /**
+     * Show floating text for an enhancement result
+     * @param {string} eventType - Enhancement event type
+     * @param {Object} data - Event data
+     */
+    showFeedback(eventType, data) {
+        let text;
+        let color;
+
+        switch (eventType) {
+            case 'item_enhanced':
+                text = `✨ ${this.equipmentManager.getDisplayName(data.item)}`;
+                color = '#51cf66';
+                break;
+            case 'item_quality_changed':
+                text = `🌈 ${data.item.name}: ${data.quality}`;
+                color = '#cc5de8';
+                break;
+            case 'item_salvaged':
+                text = `♻️ ${this.formatMaterialList(data.materials) || 'Nothing recovered'}`;
+                color = '#ffd43b';
+                break;
+            default:
+                if (data.reason !== 'roll_failed') return;
+                text = data.levelLost ? '💥 Failed - level lost' : '💥 Failed';
+                color = '#ff6b6b';
+        }
+
+        const position = this.feedbackLayout ? this.feedbackLayout.getNextFeedbackPosition() : { top: 50, left: 50 };
+
+        const feedback = document.createElement('div');
+        feedback.className = 'enhancement-feedback';
+        feedback.style.cssText = `
+            position: fixed;
+            top: ${position.top}%;
+            left: ${position.left}%;
+            transform: translate(-50%, -50%);
+            color: ${color};
+            font-size: 18px;
+            font-weight: bold;
+            text-shadow: 2px 2px 4px rgba(0,0,0,0.8);
+            pointer-events: none;
+            z-index: 1000;
+            animation: materialFeedback 2s ease-out forwards;
+        `;
+        feedback.textContent = text;
+
+        document.body.appendChild(feedback);
+        if (this.feedbackLayout) {
+            this.feedbackLayout.registerFeedback(feedback, 2000);
+        }
+
+        setTimeout(() => {
+            if (feedback.parentNode) {
+                feedback.parentNode.removeChild(feedback);
+            }
+        }, 2000);
+    }
+}
+
+export default EnhancementUI;
@@ -0,0 +1,95 @@
+/**
+ * Offline Progress UI - "While you were away" summary
+ * @module OfflineProgressUI
+ */
+
+class OfflineProgressUI {
+    constructor(eventSystem, materialManager) {
+        this.eventSystem = eventSystem;
+        this.materialManager = materialManager;
+
+        // DOM elements
+        this.offlineUI = document.getElementById('offline-progress-ui');
+        this.summaryContainer = document.getElementById('offline-progress-summary');
+        this.closeBtn = document.getElementById('close-offline-progress-btn');
+
+        this.bindEventListeners();
+
+        console.log('🌙 Offline Progress UI initialized');
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEventListeners() {
+        this.closeBtn.addEventListener('click', () => this.hide());
+
+        this.eventSystem.on('offline_progress', (summary) => this.show(summary));
+    }
+
+    /**
+     * Show the offline summary
+     * @param {Object} summary - Summary from OfflineProgress.applyOfflineProgress()
+     */
+    show(summary) {
+        this.summaryContainer.innerHTML = this.createSummaryHTML(summary);
+        this.offlineUI.style.display = 'block';
+    }
+
+    /**
+     * Hide the offline summary
+     */
+    hide() {
+        this.offlineUI.style.display = 'none';
+    }
+
+    /**
+     * Build summary HTML
+     * @param {Object} summary - Offline progress summary
+     * @returns {string} Summary HTML
+     */
+    createSummaryHTML(summary) {
+        const awayText = this.formatDuration(summary.elapsedTime);
+        const cappedText = summary.capped
+            ? `<div class="offline-capped">Progress is capped at ${this.formatDuration(summary.offlineTime)}.</div>`
+            : '';
+
+        if (summary.kills === 0) {
+            return `
+                <div class="offline-time">You were away for ${awayText}.</div>
+                ${cappedText}
+                <div class="offline-stat">The enemies of ${summary.stageName} were too strong to fight while idle.</div>
+            `;
+        }
+
+        const materialRows = Object.entries(summary.materials).map(([materialId, quantity]) => {
+            const definition = this.materialManager.getMaterialDefinition(materialId);
+            const color = this.materialManager.RARITY_COLORS[definition?.rarity] || '#fff';
+            return `<div class="offline-material" style="color: ${color};">${definition?.name || materialId} ×${quantity}</div>`;
+        }).join('');
+
+        return `
+            <div class="offline-time">You were away for ${awayText}.</div>
+            ${cappedText}
+            <div class="offline-stat">⚔️ Defeated ${summary.kills} enemies in ${summary.stageName}</div>
+            <div class="offline-stat">✨ Gained ${summary.expGained} EXP</div>
+            ${summary.levelsGained > 0 ? `<div class="offline-stat">🌟 Gained ${summary.levelsGained} level${summary.levelsGained > 1 ? 's' : ''}</div>` : ''}
+            ${materialRows ? `<h4>Materials</h4><div class="offline-materials">${materialRows}</div>` : ''}
+        `;
+    }
+
+    /**
+     * Format a duration for display
+     * @param {number} duration - Duration in milliseconds
+     * @returns {string} Formatted duration
+     */
+    formatDuration(duration) {
+        const totalMinutes = Math.floor(duration / 60000);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+}
+
+export default OfflineProgressUI;
@@ -0,0 +1,203 @@
+/**
+ * Save Slot UI - Slot picker shown before the game loop starts
+ * @module SaveSlotUI
+ */
+
+class SaveSlotUI {
+    constructor(stateManager, onSlotSelected) {
+        this.stateManager = stateManager;
+        this.onSlotSelected = onSlotSelected;
+
+        // DOM elements
+        this.saveSlotsUI = document.getElementById('save-slots-ui');
+        this.slotList = document.getElementById('save-slot-list');
+        this.slotMessage = document.getElementById('save-slot-message');
+        this.newSlotBtn = document.getElementById('new-save-slot-btn');
+
+        this.bindEventListeners();
+
+        console.log('🎰 Save Slot UI initialized');
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEventListeners() {
+        this.newSlotBtn.addEventListener('click', () => this.createSlot());
+
+        // Slot cards are re-rendered often, so delegate from the list
+        this.slotList.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+
+            const { action, slotId } = button.dataset;
+            switch (action) {
+                case 'play':
+                    this.selectSlot(slotId);
+                    break;
+                case 'copy':
+                    this.copySlot(slotId);
+                    break;
+                case 'rename':
+                    this.renameSlot(slotId);
+                    break;
+                case 'delete':
+                    this.deleteSlot(slotId);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Show slot picker
+     */
+    show() {
+        this.saveSlotsUI.style.display = 'block';
+        this.showMessage('');
+        this.renderSlots();
+    }
+
+    /**
+     * Hide slot picker
+     */
+    hide() {
+        this.saveSlotsUI.style.display = 'none';
+    }
+
+    /**
+     * Render all save slots
+     */
+    renderSlots() {
+        const slots = this.stateManager.listSaveSlots();
+
+        this.slotList.innerHTML = slots.map(slot => this.createSlotCard(slot)).join('');
+    }
+
+    /**
+     * Create HTML for a single slot card
+     * @param {Object} slot - Slot summary from StateManager.getSlotSummary()
+     * @returns {string} Slot card HTML
+     */
+    createSlotCard(slot) {
+        const details = slot.isEmpty
+            ? '<div class="save-slot-details">Empty slot</div>'
+            : `<div class="save-slot-details">
+                    Level ${slot.level} • Stage ${slot.currentStage} • Prestige ${slot.prestigeLevel}
+                </div>
+                <div class="save-slot-meta">
+                    Played ${this.formatPlaytime(slot.playtime)} • Saved ${new Date(slot.saveInfo.timestamp).toLocaleString()}
+                </div>`;
+
+        return `
+            <div class="save-slot-card ${slot.isEmpty ? 'empty' : ''}">
+                <div class="save-slot-name">${this.escapeHtml(slot.name)}</div>
+                ${details}
+                <div class="save-slot-actions">
+                    <button data-action="play" data-slot-id="${slot.id}">${slot.isEmpty ? 'New Game' : 'Continue'}</button>
+                    <button data-action="copy" data-slot-id="${slot.id}" ${slot.isEmpty ? 'disabled' : ''}>Copy</button>
+                    <button data-action="rename" data-slot-id="${slot.id}">Rename</button>
+                    <button data-action="delete" data-slot-id="${slot.id}">Delete</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Select a slot and hand control back to the game engine
+     * @param {string} slotId - Slot identifier
+     */
+    selectSlot(slotId) {
+        const loaded = this.onSlotSelected(slotId);
+
+        if (loaded) {
+            this.hide();
+        } else {
+            this.showMessage('This save could not be loaded. It may be damaged or come from a newer version of the game; a backup copy was kept.');
+            this.renderSlots();
+        }
+    }
+
+    /**
+     * Create a new empty slot
+     */
+    createSlot() {
+        const name = prompt('Name for the new save slot:');
+        if (name === null) return;
+
+        this.stateManager.createSaveSlot(name.trim());
+        this.renderSlots();
+    }
+
+    /**
+     * Copy an existing slot
+     * @param {string} slotId - Slot identifier
+     */
+    copySlot(slotId) {
+        if (!this.stateManager.copySaveSlot(slotId)) {
+            this.showMessage('Failed to copy save slot.');
+        }
+        this.renderSlots();
+    }
+
+    /**
+     * Rename a slot
+     * @param {string} slotId - Slot identifier
+     */
+    renameSlot(slotId) {
+        const slot = this.stateManager.getSlotSummary(slotId);
+        const name = prompt('Rename save slot:', slot ? slot.name : '');
+        if (!name || !name.trim()) return;
+
+        this.stateManager.renameSaveSlot(slotId, name.trim());
+        this.renderSlots();
+    }
+
+    /**
+     * Delete a slot after confirmation
+     * @param {string} slotId - Slot identifier
+     */
+    deleteSlot(slotId) {
+        const slot = this.stateManager.getSlotSummary(slotId);
+        if (!slot || !confirm(`Delete "${slot.name}"? This cannot be undone.`)) return;
+
+        if (!this.stateManager.deleteSaveSlot(slotId)) {
+            this.showMessage('Failed to delete save slot.');
+        }
+        this.renderSlots();
+    }
+
+    /**
+     * Show a status message under the slot list
+     * @param {string} message - Message text
+     */
+    showMessage(message) {
+        this.slotMessage.textContent = message;
+        this.slotMessage.style.display = message ? 'block' : 'none';
+    }
+
+    /**
+     * Format playtime for display
+     * @param {number} playtime - Playtime in milliseconds
+     * @returns {string} Formatted playtime
+     */
+    formatPlaytime(playtime) {
+        const totalMinutes = Math.floor(playtime / 60000);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+
+    /**
+     * Escape user-entered text for innerHTML
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+export default SaveSlotUI;
@@ -0,0 +1,214 @@
+/**
+ * Shop UI - Daily stock and the sell list
+ * @module ShopUI
+ */
+
+class ShopUI {
+    /**
+     * @param {ShopSystem} shopSystem - Shop system
+     * @param {EventSystem} eventSystem - Event system
+     * @param {StateManager} stateManager - State manager
+     * @param {MaterialManager} materialManager - Material names
+     * @param {EquipmentManager} equipmentManager - Equipment names
+     * @param {Object} feedbackLayout - Stacks notifications (the GameEngine); optional
+     */
+    constructor(shopSystem, eventSystem, stateManager, materialManager, equipmentManager, feedbackLayout = null) {
+        this.shopSystem = shopSystem;
+        this.eventSystem = eventSystem;
+        this.stateManager = stateManager;
+        this.materialManager = materialManager;
+        this.equipmentManager = equipmentManager;
+        this.feedbackLayout = feedbackLayout;
+
+        // DOM elements
+        this.shopUI = document.getElementById('shop-ui');
+        this.shopGold = document.getElementById('shop-gold');
+        this.restockInfo = document.getElementById('shop-restock-info');
+        this.stockList = document.getElementById('shop-stock');
+        this.sellList = document.getElementById('shop-sell-list');
+
+        this.bindEventListeners();
+
+        console.log('🏪 Shop UI initialized');
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEventListeners() {
+        this.eventSystem.on('gold_changed', () => {
+            if (this.isOpen()) {
+                this.render();
+            }
+        });
+
+        this.eventSystem.on('shop_transaction_failed', (data) => {
+            this.showFeedback(data);
+        });
+    }
+
+    /**
+     * Check whether the shop panel is showing
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return this.shopUI.style.display !== 'none';
+    }
+
+    /**
+     * Show the shop panel
+     */
+    show() {
+        this.shopUI.style.display = 'block';
+        this.render();
+    }
+
+    /**
+     * Hide the shop panel
+     */
+    hide() {
+        this.shopUI.style.display = 'none';
+    }
+
+    /**
+     * Render the shop stock and the items that can be sold
+     */
+    render() {
+        const gold = this.shopSystem.getGold();
+        this.shopGold.textContent = gold;
+        this.restockInfo.textContent =
+            `Stock for stage ${this.shopSystem.getShopStage()}, restocks daily and when a new stage opens`;
+
+        this.stockList.innerHTML = '';
+        this.shopSystem.getStock().forEach(entry => {
+            const name = entry.type === 'material'
+                ? this.materialManager.getMaterialDefinition(entry.itemId)?.name || entry.itemId
+                : `${this.equipmentManager.getEquipmentDefinition(entry.itemId)?.name || entry.itemId} (${entry.quality})`;
+
+            this.stockList.appendChild(this.createShopEntry(
+                `${name} x${entry.quantity}`,
+                `${entry.price} gold`,
+                'Buy',
+                entry.quantity > 0 && gold >= entry.price,
+                () => this.shopSystem.buyItem(entry.stockId, 1),
+                entry.quantity === 0
+            ));
+        });
+
+        this.sellList.innerHTML = '';
+        const state = this.stateManager.getState();
+
+        Object.entries(state.materials || {}).forEach(([materialId, count]) => {
+            const name = this.materialManager.getMaterialDefinition(materialId)?.name || materialId;
+            const price = this.shopSystem.getSellPrice('material', materialId);
+
+            this.sellList.appendChild(this.createShopEntry(
+                `${name} x${count}`,
+                `${price} gold each`,
+                'Sell 1',
+                true,
+                () => this.shopSystem.sellMaterial(materialId, 1)
+            ));
+        });
+
+        Object.values(state.inventory?.equipment || {})
+            .filter(item => !item.equipped)
+            .forEach(item => {
+                const price = this.shopSystem.getSellPrice('equipment', item.id, item.quality, item.enhancementLevel, item.affixes);
+
+                this.sellList.appendChild(this.createShopEntry(
+                    `${this.equipmentManager.getDisplayName(item)} (${item.quality})`,
+                    `${price} gold`,
+                    'Sell',
+                    true,
+                    () => this.shopSystem.sellEquipment(item.uniqueId)
+                ));
+            });
+
+        if (!this.sellList.hasChildNodes()) {
+            this.sellList.innerHTML = '<p style="color: #666;">Nothing to sell</p>';
+        }
+    }
+
+    /**
+     * Build one row of the shop panel
+     * @param {string} label - Item description
+     * @param {string} priceText - Price description
+     * @param {string} buttonText - Button label
+     * @param {boolean} enabled - Whether the button can be used
+     * @param {Function} onClick - Called when the button is used
+     * @param {boolean} soldOut - Whether to grey the row out
+     * @returns {HTMLElement} Shop row
+     */
+    createShopEntry(label, priceText, buttonText, enabled, onClick, soldOut = false) {
+        const row = document.createElement('div');
+        row.className = soldOut ? 'shop-entry sold-out' : 'shop-entry';
+
+        const labelElement = document.createElement('span');
+        labelElement.textContent = label;
+
+        const priceElement = document.createElement('span');
+        priceElement.className = 'shop-price';
+        priceElement.textContent = priceText;
+
+        const button = document.createElement('button');
+        button.className = 'shop-btn';
+        button.textContent = buttonText;
+        button.disabled = !enabled;
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick();
+            this.render();
+        });
+
+        row.append(labelElement, priceElement, button);
+        return row;
+    }
+
+    /**
+     * Show floating text when a purchase or sale is refused
+     * @param {Object} data - Failure data ({ action, reason })
+     */
+    showFeedback(data) {
+        const messages = {
+            insufficient_gold: '💰 Not enough gold',
+            inventory_full: '🎒 No room in your bags',
+            sold_out: '🏪 Sold out',
+            equipped: '⚔️ Unequip it first'
+        };
+        const text = messages[data.reason];
+        if (!text) return;
+
+        const position = this.feedbackLayout ? this.feedbackLayout.getNextFeedbackPosition() : { top: 50, left: 50 };
+
+        const feedback = document.createElement('div');
+        feedback.className = 'shop-feedback';
+        feedback.style.cssText = `
+            position: fixed;
+            top: ${position.top}%;
+            left: ${position.left}%;
+            transform: translate(-50%, -50%);
+            color: #ff6b6b;
+            font-size: 16px;
+            font-weight: bold;
+            text-shadow: 2px 2px 4px rgba(0,0,0,0.8);
+            pointer-events: none;
+            z-index: 1000;
+            animation: materialFeedback 2s ease-out forwards;
+        `;
+        feedback.textContent = text;
+
+        document.body.appendChild(feedback);
+        if (this.feedbackLayout) {
+            this.feedbackLayout.registerFeedback(feedback, 2000);
+        }
+
+        setTimeout(() => {
+            if (feedback.parentNode) {
+                feedback.parentNode.removeChild(feedback);
+            }
+        }, 2000);
+    }
+}
+
+export default ShopUI;
@@ -0,0 +1,112 @@
+/**
+ * Stat Allocation UI - Unspent stat points, per-stat allocation and respec
+ * @module StatAllocationUI
+ */
+
+class StatAllocationUI {
+    /**
+     * @param {LevelingSystem} levelingSystem - Leveling system
+     * @param {StatPipeline} statPipeline - Stat totals shown beside each stat
+     * @param {EventSystem} eventSystem - Event system
+     */
+    constructor(levelingSystem, statPipeline, eventSystem) {
+        this.levelingSystem = levelingSystem;
+        this.statPipeline = statPipeline;
+        this.eventSystem = eventSystem;
+
+        this.STAT_LABELS = {
+            attack: 'Attack',
+            defense: 'Defense',
+            maxHp: 'Max HP',
+            criticalChance: 'Crit Chance',
+            speed: 'Speed'
+        };
+
+        // DOM elements
+        this.statsUI = document.getElementById('stats-ui');
+        this.statPointsCount = document.getElementById('stat-points-count');
+        this.allocationList = document.getElementById('stat-allocation-list');
+        this.respecBtn = document.getElementById('respec-btn');
+
+        this.bindEventListeners();
+
+        console.log('📊 Stat allocation UI initialized');
+    }
+
+    /**
+     * Bind event listeners
+     */
+    bindEventListeners() {
+        this.respecBtn.addEventListener('click', () => this.levelingSystem.respec());
+
+        ['player_level_up', 'stat_points_allocated', 'stat_points_reset'].forEach(eventType => {
+            this.eventSystem.on(eventType, () => {
+                if (this.isOpen()) {
+                    this.render();
+                }
+            });
+        });
+    }
+
+    /**
+     * Check whether the stats panel is showing
+     * @returns {boolean} True if open
+     */
+    isOpen() {
+        return this.statsUI.style.display !== 'none';
+    }
+
+    /**
+     * Show the stats panel
+     */
+    show() {
+        this.statsUI.style.display = 'block';
+        this.render();
+    }
+
+    /**
+     * Hide the stats panel
+     */
+    hide() {
+        this.statsUI.style.display = 'none';
+    }
+
+    /**
+     * Render unspent stat points and a row per allocatable stat
+     */
+    render() {
+        const statPoints = this.levelingSystem.getStatPoints();
+        const allocation = this.levelingSystem.getAllocation();
+        const stats = this.statPipeline.computeStats();
+
+        this.statPointsCount.textContent = statPoints;
+        this.respecBtn.disabled = Object.values(allocation).every(points => points === 0);
+
+        this.allocationList.innerHTML = '';
+        Object.entries(this.levelingSystem.STAT_POINT_VALUES).forEach(([stat, value]) => {
+            const row = document.createElement('div');
+            row.className = 'stat-entry';
+
+            const isPercent = stat === 'criticalChance';
+            const total = isPercent ? `${Math.round((stats[stat] || 0) * 100)}%` : stats[stat] || 0;
+            const perPoint = isPercent ? `${Math.round(value * 100)}%` : value;
+
+            const label = document.createElement('span');
+            label.textContent = `${this.STAT_LABELS[stat] || stat}: ${total} (${allocation[stat]} points, +${perPoint} each)`;
+
+            const button = document.createElement('button');
+            button.className = 'shop-btn';
+            button.textContent = '+';
+            button.disabled = statPoints === 0;
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.levelingSystem.allocateStatPoint(stat);
+            });
+
+            row.append(label, button);
+            this.allocationList.appendChild(row);
+        });
+    }
+}
+
+export default StatAllocationUI;
@@ -0,0 +1,39 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServices } from './helpers.js';
+
+describe('BossManager', () => {
+    let services;
+    let bosses;
+    let stateManager;
+
+    beforeEach(() => {
+        services = createServices();
+        stateManager = services.get('stateManager');
+        stateManager.setState({ player: { hp: 100, maxHp: 100, level: 1, exp: 0, attack: 10, defense: 5, speed: 10 } });
+        bosses = services.get('bossManager');
+    });
+
+    describe('state', () => {
+        it('adds boss state to a loaded slot save without replacing the rest of it', () => {
+            const slotId = stateManager.createSaveSlot('No bosses yet');
+            stateManager.selectSaveSlot(slotId);
+            stateManager.setState({ player: { hp: 90, maxHp: 120, level: 7, exp: 30, attack: 20, defense: 8, speed: 11 } });
+
+            services.get('eventSystem').emit('stateLoaded');
+
+            assert.equal(stateManager.getStateValue('player.level'), 7);
+            assert.deepEqual(stateManager.getStateValue('bosses.bossesDefeated'), []);
+        });
+
+        it('saves defeated bosses alongside the player state', () => {
+            stateManager.updateState({ player: { level: 4 } });
+            bosses.bossDefeated.add(1);
+
+            bosses.saveState();
+
+            assert.deepEqual(stateManager.getStateValue('bosses.bossesDefeated'), [1]);
+            assert.equal(stateManager.getStateValue('player.level'), 4);
+        });
+    });
+});
@@ -0,0 +1,308 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordEvents } from './helpers.js';
+import { HeadlessGame } from '../src/simulation/headless-game.js';
+
+describe('CombatManager', () => {
+    let game;
+    let combat;
+
+    beforeEach(() => {
+        game = new HeadlessGame({ seed: 7 });
+        combat = game.combatManager;
+    });
+
+    const startFight = (level = 1) => {
+        const enemy = { ...combat.createStageEnemy(), level };
+        combat.startCombat(enemy);
+        return enemy;
+    };
+
+    describe('victory', () => {
+        it('awards experience based on enemy level, with a bonus for stronger enemies', () => {
+            const victories = recordEvents(game.eventSystem, 'combat_victory');
+            startFight(3);
+
+            combat.endCombat('victory');
+
+            // 10 per enemy level, +20% per level above the player
+            assert.equal(game.stateManager.getStateValue('player.exp'), 42);
+            assert.equal(victories.length, 1);
+            assert.equal(victories[0].expGained, 42);
+        });
+
+        it('halves experience from enemies far below the player', () => {
+            game.setPlayerLevel(10);
+            startFight(2);
+
+            combat.endCombat('victory');
+
+            assert.equal(game.stateManager.getStateValue('player.exp'), 10);
+        });
+
+        it('clears the combat state', () => {
+            startFight();
+
+            combat.endCombat('victory');
+
+            assert.equal(combat.isInCombat, false);
+            assert.equal(combat.currentEnemy, null);
+            assert.equal(game.stateManager.getStateValue('game.isInCombat'), false);
+        });
+
+        it('counts towards prestige progress', () => {
+            startFight();
+
+            combat.endCombat('victory');
+
+            assert.equal(game.stateManager.getStateValue('prestige.currentRunProgress.totalCombatWins'), 1);
+        });
+    });
+
+    describe('level up', () => {
+        it('levels up once enough experience is banked and carries the remainder', () => {
+            game.stateManager.updateState({ player: { exp: 95 } });
+            startFight(1);
+
+            combat.endCombat('victory');
+
+            assert.equal(game.stateManager.getStateValue('player.level'), 2);
+            assert.equal(game.stateManager.getStateValue('player.exp'), 5);
+        });
+
+        it('fully heals and announces the new level', () => {
+            const levelUps = recordEvents(game.eventSystem, 'player_level_up');
+            game.stateManager.updateState({ player: { hp: 10, exp: 100 } });
+
+            combat.checkLevelUp();
+
+            const player = game.stateManager.getStateValue('player');
+            assert.equal(player.hp, player.maxHp);
+            assert.deepEqual(levelUps.map(data => data.newLevel), [2]);
+        });
+
+        it('grants several levels at once when the EXP covers them', () => {
+            const levelUps = recordEvents(game.eventSystem, 'level_up');
+            const leveling = game.levelingSystem;
+            const exp = leveling.getExpForLevel(1) + leveling.getExpForLevel(2) + leveling.getExpForLevel(3) + 7;
+            game.stateManager.updateState({ player: { exp } });
+
+            assert.equal(combat.checkLevelUp(), 3);
+
+            assert.equal(game.stateManager.getStateValue('player.level'), 4);
+            assert.equal(game.stateManager.getStateValue('player.exp'), 7);
+            assert.deepEqual(levelUps.map(data => data.level), [2, 3, 4]);
+            assert.equal(leveling.getStatPoints(), 3 * leveling.STAT_POINTS_PER_LEVEL);
+        });
+
+        it('does nothing below the experience threshold', () => {
+            game.stateManager.updateState({ player: { exp: 99 } });
+
+            combat.checkLevelUp();
+
+            assert.equal(game.stateManager.getStateValue('player.level'), 1);
+        });
+    });
+
+    describe('defeat', () => {
+        it('restores half HP and awards nothing', () => {
+            game.stateManager.updateState({ player: { hp: 0 } });
+            startFight();
+
+            combat.endCombat('defeat');
+
+            const player = game.stateManager.getStateValue('player');
+            assert.equal(player.hp, Math.floor(player.maxHp / 2));
+            assert.equal(player.exp, 0);
+        });
+
+        it('applies the chosen penalty and announces a summary', () => {
+            game.defeatPenaltyManager.setPenalty('experience');
+            game.stateManager.updateState({ player: { exp: 50 } });
+            const summaries = recordEvents(game.eventSystem, 'defeat_summary');
+            startFight();
+
+            combat.endCombat('defeat');
+
+            assert.equal(game.stateManager.getStateValue('player.exp'), 30);
+            assert.equal(summaries[0].expLost, 20);
+        });
+
+        it('refuses new fights until the respawn timer runs out', () => {
+            game.defeatPenaltyManager.setPenalty('respawn');
+            startFight();
+            combat.endCombat('defeat');
+
+            startFight();
+            assert.equal(combat.isInCombat, false);
+
+            game.clock.advance(game.defeatPenaltyManager.RESPAWN_TIME);
+            startFight();
+            assert.equal(combat.isInCombat, true);
+        });
+    });
+
+    describe('flee', () => {
+        const untilPlayerTurn = () => {
+            game.clock.runUntil(() => combat.isPlayerTurn || !combat.isInCombat);
+        };
+
+        it('ends the fight as a flee when the roll succeeds', () => {
+            const ends = recordEvents(game.eventSystem, 'combat_end');
+            startFight();
+            untilPlayerTurn();
+            combat.rng = { chance: () => true };
+
+            assert.equal(combat.playerFlee(), true);
+
+            assert.equal(combat.isInCombat, false);
+            assert.equal(ends[0].result, 'flee');
+            assert.equal(game.stateManager.getStateValue('player.exp'), 0);
+        });
+
+        it('spends the turn when the roll fails', () => {
+            const failures = recordEvents(game.eventSystem, 'flee_failed');
+            startFight();
+            untilPlayerTurn();
+            combat.rng = { chance: () => false };
+
+            assert.equal(combat.playerFlee(), false);
+
+            assert.equal(combat.isInCombat, true);
+            assert.equal(combat.isPlayerTurn, false);
+            assert.equal(failures[0].reason, 'roll_failed');
+        });
+
+        it('is easier against slower, lower-level enemies and impossible against bosses', () => {
+            startFight(1);
+            const easy = combat.getFleeChance();
+            combat.currentEnemy.level = 20;
+            combat.currentEnemy.speed += 20;
+
+            assert.ok(combat.getFleeChance() < easy);
+            assert.equal(combat.getFleeChance(), combat.FLEE_MIN_CHANCE);
+
+            untilPlayerTurn();
+            combat.currentEnemy.isBoss = true;
+            assert.equal(combat.playerFlee(), false);
+            assert.equal(combat.isInCombat, true);
+        });
+    });
+
+    describe('quick-bar', () => {
+        const bindItem = (itemId, slot = 0) => {
+            game.equipmentManager.addEquipment(itemId, 2);
+            game.inventoryManager.assignQuickBarSlot(slot, itemId);
+        };
+
+        const untilPlayerTurn = () => {
+            game.clock.runUntil(() => combat.isPlayerTurn || !combat.isInCombat);
+        };
+
+        it('uses the bound potion and spends the turn', () => {
+            bindItem('health_potion');
+            const used = recordEvents(game.eventSystem, 'combat_item_used');
+            startFight();
+            untilPlayerTurn();
+            game.stateManager.updateState({ player: { hp: 10 } });
+
+            assert.equal(combat.playerUseQuickBarSlot(0), true);
+
+            assert.equal(combat.isPlayerTurn, false);
+            assert.equal(game.stateManager.getStateValue('player.hp'), 60);
+            assert.equal(game.inventoryManager.getConsumableCount('health_potion'), 1);
+            assert.deepEqual(used, [{ itemId: 'health_potion', slot: 0 }]);
+        });
+
+        it('uses the slot bound to a number key', () => {
+            bindItem('health_potion', 1);
+            startFight();
+            untilPlayerTurn();
+
+            game.eventSystem.emit('key_down', { key: game.inventoryManager.QUICK_BAR_KEYS[1], isTyping: false });
+
+            assert.equal(game.inventoryManager.getConsumableCount('health_potion'), 1);
+        });
+
+        it('does nothing for an empty slot or outside the player turn', () => {
+            bindItem('health_potion');
+            startFight();
+            untilPlayerTurn();
+
+            assert.equal(combat.playerUseQuickBarSlot(2), false);
+            combat.isPlayerTurn = false;
+            assert.equal(combat.playerUseQuickBarSlot(0), false);
+            assert.equal(game.inventoryManager.getConsumableCount('health_potion'), 2);
+        });
+
+        it('escapes a regular fight but not a boss', () => {
+            bindItem('smoke_bomb');
+            const ends = recordEvents(game.eventSystem, 'combat_end');
+            startFight();
+            untilPlayerTurn();
+            combat.currentEnemy.isBoss = true;
+
+            assert.equal(combat.playerUseQuickBarSlot(0), false);
+
+            combat.currentEnemy.isBoss = false;
+            assert.equal(combat.playerUseQuickBarSlot(0), true);
+            assert.equal(combat.isInCombat, false);
+            assert.equal(ends[0].result, 'flee');
+        });
+
+        it('keeps an escape item used outside the quick-bar', () => {
+            bindItem('smoke_bomb');
+            startFight();
+            untilPlayerTurn();
+
+            assert.equal(game.equipmentManager.useConsumable(game.inventoryManager.findConsumable('smoke_bomb')), false);
+
+            assert.equal(combat.isInCombat, true);
+            assert.equal(game.inventoryManager.getConsumableCount('smoke_bomb'), 2);
+        });
+    });
+
+    describe('status effects', () => {
+        it('counts a self-buff down from the turn after it is cast', () => {
+            const effects = combat.statusEffectManager;
+            const remaining = () => effects.getEffects('player')[0]?.remaining;
+
+            effects.startTurn();
+            effects.applyEffect('player', 'empower');
+            effects.processTurnEnd('player');
+            assert.equal(remaining(), 3);
+
+            for (const expected of [2, 1]) {
+                effects.startTurn();
+                effects.processTurnEnd('player');
+                assert.equal(remaining(), expected);
+            }
+
+            effects.startTurn();
+            effects.processTurnEnd('player');
+            assert.equal(effects.hasEffect('player', 'empower'), false);
+        });
+
+        it('counts an effect applied by the other combatant on the next turn', () => {
+            const effects = combat.statusEffectManager;
+
+            effects.startTurn(); // Enemy turn
+            effects.applyEffect('player', 'bind');
+            effects.startTurn(); // Player turn
+            effects.processTurnEnd('player');
+
+            assert.equal(effects.getEffects('player')[0].remaining, 1);
+        });
+    });
+
+    describe('auto-battle', () => {
+        it('plays a whole fight on the clock and reports the result', () => {
+            game.setPlayerLevel(10);
+
+            const result = game.runFight();
+
+            assert.ok(['victory', 'defeat', 'enemy_fled'].includes(result), `unexpected result ${result}`);
+            assert.equal(combat.isInCombat, false);
+        });
+    });
+});
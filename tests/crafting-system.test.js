@@ -0,0 +1,240 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServices, recordEvents } from './helpers.js';
+
+describe('CraftingSystem', () => {
+    let services;
+    let crafting;
+    let materials;
+    let stateManager;
+
+    beforeEach(() => {
+        services = createServices();
+        stateManager = services.get('stateManager');
+        stateManager.setState({ player: { hp: 100, maxHp: 100, level: 1, exp: 0, attack: 10, defense: 5, speed: 10 } });
+        services.get('inventoryManager');
+        services.get('equipmentManager');
+        materials = services.get('materialManager');
+        crafting = services.get('craftingSystem');
+    });
+
+    const stockWoodenSwordMaterials = (times = 1) => {
+        materials.addMaterial('wood', 5 * times);
+        materials.addMaterial('stone', 2 * times);
+    };
+
+    describe('crafting', () => {
+        it('consumes materials and delivers the item once the craft time has passed', () => {
+            crafting.rng = { next: () => 0 };
+            stockWoodenSwordMaterials();
+            const completed = recordEvents(services.get('eventSystem'), 'crafting_completed');
+
+            assert.equal(crafting.craftItem('wooden_sword'), true);
+            assert.equal(materials.getMaterialCount('wood'), 0);
+            assert.equal(completed.length, 0);
+
+            services.get('clock').advance(crafting.recipes.wooden_sword.craftTime);
+
+            assert.equal(completed.length, 1);
+            assert.equal(completed[0].successful, 1);
+            assert.equal(stateManager.getStateValue('crafting.craftedItems.wooden_sword'), 1);
+            const equipment = Object.values(stateManager.getStateValue('inventory.equipment'));
+            assert.ok(equipment.some(item => item.id === 'wooden_sword'));
+        });
+
+        it('keeps the materials spent on a failed attempt', () => {
+            crafting.rng = { next: () => 0.999 };
+            stockWoodenSwordMaterials();
+            const completed = recordEvents(services.get('eventSystem'), 'crafting_completed');
+
+            crafting.craftItem('wooden_sword');
+            services.get('clock').runUntilIdle();
+
+            assert.equal(completed[0].failed, 1);
+            assert.equal(materials.getMaterialCount('wood'), 0);
+            assert.equal(stateManager.getStateValue('crafting.craftedItems.wooden_sword'), undefined);
+        });
+
+        it('refuses to craft without enough materials', () => {
+            const failures = recordEvents(services.get('eventSystem'), 'crafting_failed');
+            materials.addMaterial('wood', 5);
+
+            assert.equal(crafting.craftItem('wooden_sword'), false);
+            assert.equal(failures[0].reason, 'insufficient_materials');
+            assert.equal(materials.getMaterialCount('wood'), 5);
+        });
+
+        it('gives higher level players a better success chance', () => {
+            crafting.rng = { next: () => 0.965 };
+            assert.equal(crafting.calculateCraftingSuccess('simple'), false);
+
+            stateManager.updateState({ player: { level: 5 } });
+            assert.equal(crafting.calculateCraftingSuccess('simple'), true);
+        });
+    });
+
+    describe('queue', () => {
+        const craftTime = () => crafting.recipes.wooden_sword.craftTime;
+
+        beforeEach(() => {
+            crafting.rng = { next: () => 0 };
+        });
+
+        it('runs queued jobs one after another', () => {
+            stockWoodenSwordMaterials(2);
+            const completed = recordEvents(services.get('eventSystem'), 'crafting_completed');
+
+            crafting.craftItem('wooden_sword');
+            crafting.craftItem('wooden_sword');
+
+            const queue = crafting.getCraftingQueue();
+            assert.deepEqual(queue.map(job => job.active), [true, false]);
+
+            services.get('clock').advance(craftTime());
+            assert.equal(completed.length, 1);
+            assert.equal(crafting.getCraftingQueue()[0].id, queue[1].id);
+            assert.equal(crafting.getCraftingQueue()[0].active, true);
+
+            services.get('clock').advance(craftTime());
+            assert.deepEqual(completed.map(data => data.jobId), queue.map(job => job.id));
+            assert.deepEqual(crafting.getCraftingQueue(), []);
+        });
+
+        it('reports progress on the active job', () => {
+            stockWoodenSwordMaterials();
+            crafting.craftItem('wooden_sword');
+
+            services.get('clock').advance(craftTime() / 2);
+
+            const [job] = crafting.getCraftingQueue();
+            assert.equal(job.progress, 0.5);
+            assert.equal(job.remaining, craftTime() / 2);
+        });
+
+        it('refunds a cancelled job and starts the next one', () => {
+            stockWoodenSwordMaterials(2);
+            const cancelled = recordEvents(services.get('eventSystem'), 'crafting_job_cancelled');
+            crafting.craftItem('wooden_sword');
+            crafting.craftItem('wooden_sword');
+            services.get('clock').advance(craftTime() / 2);
+            const [first, second] = crafting.getCraftingQueue();
+
+            assert.equal(crafting.cancelCraft(first.id), true);
+
+            assert.equal(materials.getMaterialCount('wood'), 5);
+            assert.equal(materials.getMaterialCount('stone'), 2);
+            assert.equal(cancelled[0].job.id, first.id);
+            const [active] = crafting.getCraftingQueue();
+            assert.equal(active.id, second.id);
+            assert.equal(active.remaining, craftTime());
+        });
+
+        it('ignores unknown job ids', () => {
+            assert.equal(crafting.cancelCraft('craft_999'), false);
+        });
+
+        it('rejects crafts once the queue is full', () => {
+            stockWoodenSwordMaterials(crafting.MAX_QUEUE_LENGTH + 1);
+            const failures = recordEvents(services.get('eventSystem'), 'crafting_failed');
+
+            for (let i = 0; i < crafting.MAX_QUEUE_LENGTH; i++) {
+                assert.equal(crafting.craftItem('wooden_sword'), true);
+            }
+
+            assert.equal(crafting.craftItem('wooden_sword'), false);
+            assert.equal(failures[0].reason, 'queue_full');
+            assert.equal(materials.getMaterialCount('wood'), 5);
+        });
+
+        it('announces queue changes', () => {
+            stockWoodenSwordMaterials();
+            const queued = recordEvents(services.get('eventSystem'), 'crafting_job_queued');
+            const updates = recordEvents(services.get('eventSystem'), 'crafting_queue_updated');
+
+            crafting.craftItem('wooden_sword');
+
+            assert.equal(queued.length, 1);
+            assert.equal(queued[0].position, 0);
+            assert.equal(updates.at(-1).queue.length, 1);
+        });
+
+        it('finishes jobs that came due while the game was closed', () => {
+            const now = services.get('clock').now();
+            const duration = craftTime();
+            const started = now - 2.5 * duration;
+            const completed = recordEvents(services.get('eventSystem'), 'crafting_completed');
+            stateManager.updateState({
+                crafting: {
+                    queue: [
+                        { id: 'craft_1', recipeId: 'wooden_sword', quantity: 1, materials: {}, duration, queuedAt: started, startedAt: started },
+                        { id: 'craft_2', recipeId: 'wooden_sword', quantity: 1, materials: {}, duration, queuedAt: started, startedAt: null },
+                        { id: 'craft_3', recipeId: 'wooden_sword', quantity: 1, materials: {}, duration, queuedAt: started, startedAt: null }
+                    ]
+                }
+            });
+
+            services.get('eventSystem').emit('stateLoaded');
+
+            // Each job starts when the one before it finished, so two are done and the third is halfway
+            assert.deepEqual(completed.map(data => data.jobId), ['craft_1', 'craft_2']);
+            const [active] = crafting.getCraftingQueue();
+            assert.equal(active.id, 'craft_3');
+            assert.equal(active.startedAt, now - 0.5 * duration);
+            assert.equal(active.progress, 0.5);
+        });
+
+        it('starts a loaded job with a missing start time instead of finishing it', () => {
+            const duration = craftTime();
+            const completed = recordEvents(services.get('eventSystem'), 'crafting_completed');
+            stateManager.updateState({
+                crafting: {
+                    queue: [
+                        { id: 'craft_1', recipeId: 'wooden_sword', quantity: 1, materials: {}, duration },
+                        { id: 'craft_2', recipeId: 'wooden_sword', quantity: 0, materials: {}, duration: 'soon' }
+                    ]
+                }
+            });
+
+            services.get('eventSystem').emit('stateLoaded');
+
+            assert.equal(completed.length, 0);
+            const queue = crafting.getCraftingQueue();
+            assert.deepEqual(queue.map(job => job.id), ['craft_1']);
+            assert.equal(queue[0].remaining, duration);
+        });
+    });
+
+    describe('recipe unlocks', () => {
+        it('locks recipes until their level and prerequisite crafts are met', () => {
+            assert.equal(crafting.isRecipeUnlocked('wooden_sword'), true);
+            assert.equal(crafting.isRecipeUnlocked('iron_sword'), false);
+
+            stateManager.updateState({ player: { level: 3 } });
+            assert.equal(crafting.isRecipeUnlocked('iron_sword'), false);
+
+            stateManager.updateState({ crafting: { craftedItems: { wooden_sword: 1 } } });
+            assert.equal(crafting.isRecipeUnlocked('iron_sword'), true);
+        });
+
+        it('records and announces newly unlocked recipes', () => {
+            const unlocked = recordEvents(services.get('eventSystem'), 'recipe_unlocked');
+            crafting.checkRecipeUnlocks();
+            const startingRecipes = [...stateManager.getStateValue('crafting.unlockedRecipes')];
+            unlocked.length = 0;
+
+            stateManager.updateState({ player: { level: 2 } });
+            crafting.checkRecipeUnlocks();
+
+            assert.ok(!startingRecipes.includes('antidote'));
+            assert.ok(unlocked.some(data => data.recipeId === 'antidote'));
+            assert.ok(stateManager.getStateValue('crafting.unlockedRecipes').includes('antidote'));
+        });
+
+        it('rejects locked recipes', () => {
+            const failures = recordEvents(services.get('eventSystem'), 'crafting_failed');
+
+            assert.equal(crafting.craftItem('legendary_blade'), false);
+            assert.equal(failures[0].reason, 'recipe_locked');
+        });
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServices, recordEvents } from './helpers.js';
+
+describe('DailyChallenges', () => {
+    let services;
+    let daily;
+    let stateManager;
+    let today;
+
+    beforeEach(() => {
+        services = createServices();
+        stateManager = services.get('stateManager');
+        stateManager.setState({ player: { hp: 100, maxHp: 100, level: 1, exp: 0, attack: 10, defense: 5, speed: 10 } });
+        daily = services.get('dailyChallenges');
+        today = '2026-03-10';
+        daily.getCurrentDateString = () => today;
+        daily.checkAndRefreshChallenges();
+    });
+
+    const challengeState = () => stateManager.getStateValue('dailyChallenges');
+
+    const completeOne = () => {
+        const challenge = daily.getCurrentChallenges().find(c => !c.completed);
+        daily.updateChallengeProgress(challenge.type, challenge.target);
+        return challenge;
+    };
+
+    it('offers three challenges of different types', () => {
+        const types = daily.getCurrentChallenges().map(challenge => challenge.type);
+
+        assert.equal(types.length, 3);
+        assert.equal(new Set(types).size, 3);
+    });
+
+    describe('rollover', () => {
+        it('keeps the same challenges within a day', () => {
+            const before = daily.getCurrentChallenges().map(challenge => challenge.id);
+
+            daily.checkAndRefreshChallenges();
+
+            assert.deepEqual(daily.getCurrentChallenges().map(challenge => challenge.id), before);
+        });
+
+        it('replaces challenges and clears today\'s completions on a new day', () => {
+            completeOne();
+            const before = daily.getCurrentChallenges().map(challenge => challenge.id);
+
+            today = '2026-03-11';
+            daily.checkAndRefreshChallenges();
+
+            const state = challengeState();
+            assert.equal(state.lastRefresh, '2026-03-11');
+            assert.deepEqual(state.completedToday, []);
+            assert.equal(state.totalCompleted, 1);
+            assert.ok(daily.getCurrentChallenges().every(challenge => !before.includes(challenge.id)));
+            assert.ok(daily.getCurrentChallenges().every(challenge => !challenge.completed));
+        });
+
+        it('refreshes when a saved game is loaded on a later day', () => {
+            today = '2026-03-12';
+            services.get('eventSystem').emit('stateLoaded');
+
+            assert.equal(challengeState().lastRefresh, '2026-03-12');
+        });
+    });
+
+    describe('streaks', () => {
+        it('grows the streak on consecutive days and reports it', () => {
+            const updates = recordEvents(services.get('eventSystem'), 'challenge_streak_updated');
+            completeOne();
+
+            today = '2026-03-11';
+            daily.checkAndRefreshChallenges();
+            completeOne();
+
+            assert.equal(challengeState().streak, 2);
+            assert.deepEqual(updates.map(data => data.streak), [1, 2]);
+        });
+
+        it('counts a streak once per day', () => {
+            completeOne();
+            completeOne();
+
+            assert.equal(challengeState().streak, 1);
+            assert.equal(challengeState().totalCompleted, 2);
+        });
+
+        it('restarts the streak after a missed day', () => {
+            completeOne();
+
+            today = '2026-03-13';
+            daily.checkAndRefreshChallenges();
+            completeOne();
+
+            assert.equal(challengeState().streak, 1);
+        });
+    });
+
+    it('resets win streak progress after a defeat', () => {
+        const state = challengeState();
+        state.currentChallenges[0] = { ...state.currentChallenges[0], type: 'win_combats', target: 5, progress: 0, completed: false };
+        stateManager.updateState({ dailyChallenges: state });
+
+        services.get('eventSystem').emit('combatVictory', {});
+        services.get('eventSystem').emit('combatVictory', {});
+        services.get('eventSystem').emit('combatDefeat', {});
+
+        assert.equal(daily.getCurrentChallenges()[0].progress, 0);
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServices, recordEvents } from './helpers.js';
+
+describe('DefeatPenaltyManager', () => {
+    let services;
+    let defeat;
+    let materials;
+    let stateManager;
+    let eventSystem;
+
+    beforeEach(() => {
+        services = createServices();
+        stateManager = services.get('stateManager');
+        eventSystem = services.get('eventSystem');
+        stateManager.setState({ player: { hp: 100, maxHp: 100, level: 5, exp: 0, attack: 10, defense: 5, speed: 10 } });
+        services.get('inventoryManager');
+        materials = services.get('materialManager');
+        defeat = services.get('defeatPenaltyManager');
+    });
+
+    const loot = (materialId, quantity) => {
+        materials.awardMaterials([{ materialId, quantity }], 'combat');
+    };
+
+    describe('unbanked loot', () => {
+        it('tracks combat loot but not crafting refunds or purchases', () => {
+            loot('wood', 4);
+            materials.storeMaterial('stone', 3);
+
+            assert.deepEqual(defeat.getUnbankedMaterials(), { wood: 4 });
+        });
+
+        it('banks loot on a stage change or when auto-battle is stopped', () => {
+            loot('wood', 4);
+            eventSystem.emit('auto_battle_stopped', { reason: 'fight_limit' });
+            assert.equal(defeat.getUnbankedCount(), 0);
+
+            loot('wood', 2);
+            eventSystem.emit('STAGE_CHANGED', { stageId: 2 });
+            assert.equal(defeat.getUnbankedCount(), 0);
+        });
+    });
+
+    describe('penalties', () => {
+        it('takes a quarter of each unbanked material and banks the rest', () => {
+            materials.storeMaterial('wood', 10); // Banked
+            loot('wood', 8);
+            loot('stone', 1);
+
+            const summary = defeat.applyDefeatPenalty({ name: 'Goblin', level: 3 });
+
+            assert.deepEqual(summary.materialsLost, { wood: 2, stone: 1 });
+            assert.equal(materials.getMaterialCount('wood'), 16);
+            assert.equal(materials.getMaterialCount('stone'), 0);
+            assert.equal(defeat.getUnbankedCount(), 0);
+        });
+
+        it('takes EXP without dropping a level', () => {
+            defeat.setPenalty('experience');
+            stateManager.updateState({ player: { exp: 30 } });
+
+            // 20% of the 500 EXP level 5 needs is more than the player has
+            assert.equal(defeat.applyDefeatPenalty(null).expLost, 30);
+            assert.equal(stateManager.getStateValue('player.exp'), 0);
+            assert.equal(stateManager.getStateValue('player.level'), 5);
+        });
+
+        it('starts a respawn timer', () => {
+            defeat.setPenalty('respawn');
+            const summaries = recordEvents(eventSystem, 'defeat_summary');
+
+            defeat.applyDefeatPenalty(null);
+            assert.equal(defeat.getRespawnRemaining(), defeat.RESPAWN_TIME);
+
+            services.get('clock').advance(defeat.RESPAWN_TIME);
+            assert.equal(defeat.getRespawnRemaining(), 0);
+            assert.equal(summaries[0].penalty, 'respawn');
+        });
+
+        it('ignores unknown penalties', () => {
+            assert.equal(defeat.setPenalty('nothing'), false);
+            assert.equal(defeat.getPenalty(), 'materials');
+        });
+    });
+});
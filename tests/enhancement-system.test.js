@@ -0,0 +1,182 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServices, recordEvents } from './helpers.js';
+
+describe('EnhancementSystem', () => {
+    let services;
+    let enhancement;
+    let equipment;
+    let materials;
+    let stateManager;
+
+    beforeEach(() => {
+        services = createServices();
+        stateManager = services.get('stateManager');
+        stateManager.setState({ player: { hp: 100, maxHp: 100, level: 5, exp: 0, attack: 10, defense: 5, speed: 10 } });
+        services.get('statPipeline');
+        services.get('inventoryManager');
+        equipment = services.get('equipmentManager');
+        equipment.rng = { chance: () => false }; // No affixes, so stats are the base item's
+        materials = services.get('materialManager');
+        enhancement = services.get('enhancementSystem');
+    });
+
+    const addSword = (quality = 'normal') => {
+        equipment.addEquipment('iron_sword', 1, quality);
+        const items = Object.values(stateManager.getStateValue('inventory.equipment'));
+        return items[items.length - 1].uniqueId;
+    };
+
+    const item = (uniqueId) => enhancement.getItem(uniqueId);
+
+    const stock = (cost, times = 1) => {
+        for (const [materialId, amount] of Object.entries(cost)) {
+            materials.addMaterial(materialId, amount * times);
+        }
+    };
+
+    describe('enhancing', () => {
+        it('raises the level and scales stats by 10% per level', () => {
+            const swordId = addSword();
+            stock(enhancement.ENHANCEMENT_TIERS[0].cost, 2);
+            enhancement.rng = { chance: () => true };
+
+            assert.equal(enhancement.enhanceItem(swordId), true);
+            assert.equal(enhancement.enhanceItem(swordId), true);
+
+            assert.equal(item(swordId).enhancementLevel, 2);
+            assert.equal(item(swordId).stats.attack, 18); // floor(15 * 1.2)
+            assert.equal(materials.getMaterialCount('iron_ore'), 0);
+            assert.equal(equipment.getDisplayName(item(swordId)), 'Iron Sword +2');
+        });
+
+        it('keeps affix stats on top of the scaled base stats', () => {
+            const swordId = addSword();
+            equipment.updateEquipmentInstance(swordId, { affixes: [{ id: 'sharp', type: 'prefix', stats: { attack: 2 } }] });
+            stock(enhancement.ENHANCEMENT_TIERS[0].cost);
+            enhancement.rng = { chance: () => true };
+
+            enhancement.enhanceItem(swordId);
+
+            assert.equal(item(swordId).stats.attack, 18); // floor(15 * 1.1) + 2
+        });
+
+        it('uses the crafting success rate of the tier being reached', () => {
+            const swordId = addSword();
+
+            assert.equal(enhancement.getEnhancementInfo(item(swordId)).successChance, 0.95);
+
+            equipment.updateEquipmentInstance(swordId, { enhancementLevel: 8 });
+            const info = enhancement.getEnhancementInfo(item(swordId));
+            assert.equal(info.difficulty, 'master');
+            assert.equal(info.successChance, 0.60);
+            assert.ok(info.cost.magic_crystal > 0);
+        });
+
+        it('keeps the level on a failed low-tier attempt but still spends materials', () => {
+            const swordId = addSword();
+            stock(enhancement.ENHANCEMENT_TIERS[0].cost);
+            enhancement.rng = { chance: () => false };
+            const failures = recordEvents(services.get('eventSystem'), 'enhancement_failed');
+
+            assert.equal(enhancement.enhanceItem(swordId), false);
+
+            assert.equal(item(swordId).enhancementLevel, 0);
+            assert.equal(materials.getMaterialCount('iron_ore'), 0);
+            assert.equal(failures[0].reason, 'roll_failed');
+            assert.equal(failures[0].levelLost, false);
+        });
+
+        it('drops a level when a complex-tier attempt fails', () => {
+            const swordId = addSword();
+            equipment.updateEquipmentInstance(swordId, { enhancementLevel: 6 });
+            stock(enhancement.ENHANCEMENT_TIERS[2].cost);
+            enhancement.rng = { chance: () => false };
+
+            enhancement.enhanceItem(swordId);
+
+            assert.equal(item(swordId).enhancementLevel, 5);
+        });
+
+        it('refuses without materials or past the level cap', () => {
+            const swordId = addSword();
+            const failures = recordEvents(services.get('eventSystem'), 'enhancement_failed');
+
+            assert.equal(enhancement.enhanceItem(swordId), false);
+            equipment.updateEquipmentInstance(swordId, { enhancementLevel: enhancement.MAX_ENHANCEMENT_LEVEL });
+            assert.equal(enhancement.enhanceItem(swordId), false);
+
+            assert.deepEqual(failures.map(data => data.reason), ['insufficient_materials', 'max_level']);
+        });
+
+        it('updates player stats when the item is equipped', () => {
+            const swordId = addSword();
+            equipment.equipItem(swordId);
+            const attackBefore = stateManager.getStateValue('player.attack');
+            stock(enhancement.ENHANCEMENT_TIERS[0].cost);
+            enhancement.rng = { chance: () => true };
+
+            enhancement.enhanceItem(swordId);
+
+            assert.equal(stateManager.getStateValue('player.attack'), attackBefore + 1);
+            assert.equal(equipment.getEquippedItems().main_hand.itemData.enhancementLevel, 1);
+        });
+    });
+
+    describe('quality', () => {
+        it('upgrades one quality step and recalculates stats and value', () => {
+            const swordId = addSword();
+            stock(enhancement.QUALITY_UPGRADES.good.cost);
+            enhancement.rng = { chance: () => true };
+            const changes = recordEvents(services.get('eventSystem'), 'item_quality_changed');
+
+            assert.equal(enhancement.upgradeQuality(swordId), true);
+
+            assert.equal(item(swordId).quality, 'good');
+            assert.equal(item(swordId).stats.attack, 18); // floor(15 * 1.2)
+            assert.equal(item(swordId).value, 36);
+            assert.deepEqual(changes.map(data => [data.previousQuality, data.quality]), [['normal', 'good']]);
+        });
+
+        it('has nothing above legendary', () => {
+            const swordId = addSword('legendary');
+
+            assert.equal(enhancement.getQualityUpgradeInfo(item(swordId)).reason, 'max_quality');
+        });
+
+        it('rerolls to a weighted random quality', () => {
+            const swordId = addSword();
+            stock(enhancement.REROLL_COST);
+            enhancement.rng = { next: () => 0.999 };
+
+            assert.equal(enhancement.rerollQuality(swordId), true);
+
+            assert.equal(item(swordId).quality, 'legendary');
+            assert.equal(materials.getMaterialCount('magic_crystal'), 0);
+        });
+    });
+
+    describe('salvage', () => {
+        it('returns half the recipe and half of what was spent on the item', () => {
+            const swordId = addSword();
+            equipment.updateEquipmentInstance(swordId, { investedMaterials: { magic_crystal: 4 } });
+            const salvaged = recordEvents(services.get('eventSystem'), 'item_salvaged');
+
+            const returned = enhancement.salvageItem(swordId);
+
+            // Iron sword recipe: 3 iron ore, 2 wood, 1 stone
+            assert.deepEqual(returned, { iron_ore: 1, wood: 1, magic_crystal: 2 });
+            assert.equal(materials.getMaterialCount('magic_crystal'), 2);
+            assert.equal(item(swordId), null);
+            assert.equal(salvaged.length, 1);
+        });
+
+        it('refuses to salvage equipped gear', () => {
+            const swordId = addSword();
+            equipment.equipItem(swordId);
+
+            assert.equal(enhancement.salvageItem(swordId), null);
+            assert.ok(item(swordId));
+        });
+    });
+});
@@ -0,0 +1,148 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServices } from './helpers.js';
+
+describe('EquipmentManager', () => {
+    let services;
+    let equipment;
+    let stateManager;
+
+    beforeEach(() => {
+        services = createServices();
+        stateManager = services.get('stateManager');
+        stateManager.setState({ player: { hp: 100, maxHp: 100, level: 10, exp: 0, attack: 10, defense: 5, speed: 10 } });
+        services.get('statPipeline');
+        services.get('inventoryManager');
+        equipment = services.get('equipmentManager');
+        equipment.rng = { chance: () => false };
+    });
+
+    const addItem = (equipmentId) => {
+        equipment.addEquipment(equipmentId);
+        const items = Object.values(stateManager.getStateValue('inventory.equipment'));
+        return items[items.length - 1].uniqueId;
+    };
+
+    const equip = (...equipmentIds) => equipmentIds.forEach(equipmentId => equipment.equipItem(addItem(equipmentId)));
+
+    describe('affixes', () => {
+        it('adds a rolled prefix and suffix to the name, stats and element', () => {
+            const picks = { prefix: 'flaming', suffix: 'of_fury' };
+            equipment.rng = {
+                chance: () => true,
+                pick: (pool) => pool.find(affix => affix.id === picks[affix.type])
+            };
+
+            const item = equipment.createEquipmentInstance('iron_sword');
+
+            assert.equal(item.name, 'Flaming Iron Sword of Fury');
+            assert.equal(item.element, 'fire');
+            assert.equal(item.stats.attack, 18);
+            assert.equal(item.stats.crit_damage, 0.15);
+            assert.deepEqual(item.affixes.map(affix => affix.id), ['flaming', 'of_fury']);
+        });
+
+        it('draws from the pool of the item tier and type', () => {
+            const pools = [];
+            equipment.rng = { chance: () => true, pick: (pool) => { pools.push(pool.map(affix => affix.id)); return pool[0]; } };
+
+            equipment.createEquipmentInstance('wooden_sword');
+
+            assert.equal(equipment.getItemTier(equipment.getEquipmentDefinition('wooden_sword')), 1);
+            assert.deepEqual(pools[0], ['sharp']);
+            assert.ok(!pools[1].includes('of_fury'));
+        });
+
+        it('leaves items plain when the rolls miss', () => {
+            const item = equipment.createEquipmentInstance('iron_sword');
+
+            assert.equal(item.name, 'Iron Sword');
+            assert.deepEqual(item.affixes, []);
+        });
+
+        it('never rolls affixes on consumables', () => {
+            equipment.rng = { chance: () => true, pick: (pool) => pool[0] };
+
+            assert.deepEqual(equipment.createEquipmentInstance('health_potion').affixes, []);
+        });
+    });
+
+    describe('accessories', () => {
+        it('fill the free accessory slot before replacing one', () => {
+            equip('iron_ring', 'leather_charm', 'silver_ring');
+
+            const equipped = equipment.getEquippedItems();
+            assert.equal(equipped.accessory_1.itemData.id, 'silver_ring');
+            assert.equal(equipped.accessory_2.itemData.id, 'leather_charm');
+        });
+    });
+
+    describe('item sets', () => {
+        it('activates the two-piece bonus and adds it to player stats', () => {
+            equip('iron_sword');
+            const speedBefore = stateManager.getStateValue('player.speed');
+
+            equip('leather_armor');
+
+            const [scout] = equipment.getSetBonuses();
+            assert.equal(scout.id, 'scout');
+            assert.equal(scout.equippedPieces, 2);
+            assert.deepEqual(scout.activeStats, { speed: 3 });
+            // Leather armor gives 2 speed, the set bonus 3 more
+            assert.equal(stateManager.getStateValue('player.speed'), speedBefore + 5);
+        });
+
+        it('stacks the four-piece bonus on top of the two-piece one', () => {
+            equip('iron_sword', 'leather_armor', 'leather_charm', 'iron_ring');
+
+            const [scout] = equipment.getSetBonuses();
+            assert.deepEqual(scout.activeStats, { speed: 3, attack: 6, crit_chance: 0.05 });
+            assert.ok(equipment.getStatModifiers().some(modifier => modifier.label === "Scout's Kit (4)"));
+        });
+
+        it('counts duplicate pieces once', () => {
+            equip('iron_ring', 'iron_ring');
+
+            assert.equal(equipment.getSetBonuses()[0].equippedPieces, 1);
+        });
+
+        it('shows set bonus changes when comparing items', () => {
+            equip('iron_sword', 'cloth_armor');
+
+            const gain = equipment.compareEquipment('cloth_armor', 'leather_armor');
+            assert.equal(gain.sets.item2, "Scout's Kit");
+            assert.deepEqual(gain.setBonusDifferences, { speed: 3 });
+
+            const loss = equipment.compareEquipment('leather_armor', 'cloth_armor');
+            assert.deepEqual(loss.setBonusDifferences, { speed: -3 });
+        });
+
+        it('loads affixes and sets from content packs', () => {
+            const result = services.get('contentPackLoader').loadPack({
+                id: 'test_pack',
+                affixes: {
+                    gilded: { name: 'Gilded', type: 'prefix', tiers: [1], stats: { defense: 1 } }
+                },
+                itemSets: {
+                    woodsman: { name: 'Woodsman', pieces: ['wooden_sword', 'cloth_armor'], bonuses: { 2: { hp: 10 } } }
+                }
+            });
+
+            assert.equal(result.loaded, true);
+            assert.equal(equipment.affixDefinitions.gilded.name, 'Gilded');
+            assert.equal(equipment.getItemSet('wooden_sword').name, 'Woodsman');
+        });
+
+        it('rejects sets with unknown pieces', () => {
+            const result = services.get('contentPackLoader').loadPack({
+                id: 'bad_pack',
+                itemSets: {
+                    broken: { name: 'Broken', pieces: ['wooden_sword', 'missing_item'], bonuses: { 2: { hp: 10 } } }
+                }
+            });
+
+            assert.equal(result.loaded, false);
+            assert.ok(result.errors.some(error => error.includes('missing_item')));
+        });
+    });
+});
@@ -0,0 +1,111 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { drainEvents } from './helpers.js';
+import { EventSystem } from '../src/core/event-system.js';
+
+describe('EventSystem', () => {
+    let eventSystem;
+
+    beforeEach(() => {
+        eventSystem = new EventSystem();
+    });
+
+    it('delivers queued events in the order they were emitted', async () => {
+        const received = [];
+        eventSystem.on('tick', (data) => received.push(data.n));
+
+        for (let n = 0; n < 25; n++) {
+            eventSystem.emit('tick', { n });
+        }
+        await drainEvents(eventSystem);
+
+        assert.deepEqual(received, Array.from({ length: 25 }, (_, n) => n));
+    });
+
+    it('queues events emitted by a listener behind the current event', async () => {
+        const received = [];
+        eventSystem.on('first', () => {
+            eventSystem.emit('second');
+            received.push('first');
+        });
+        eventSystem.on('second', () => received.push('second'));
+
+        eventSystem.emit('first');
+        await drainEvents(eventSystem);
+
+        assert.deepEqual(received, ['first', 'second']);
+    });
+
+    it('delivers immediate events before anything still queued', async () => {
+        const received = [];
+        eventSystem.on('queued', () => received.push('queued'));
+        eventSystem.on('immediate', () => received.push('immediate'));
+
+        eventSystem.emit('queued');
+        eventSystem.emit('queued');
+        eventSystem.emit('immediate', {}, { immediate: true });
+        await drainEvents(eventSystem);
+
+        assert.deepEqual(received, ['queued', 'immediate', 'queued']);
+    });
+
+    it('calls higher priority listeners first', () => {
+        const received = [];
+        eventSystem.on('hit', () => received.push('default'));
+        eventSystem.on('hit', () => received.push('high'), { priority: 10 });
+        eventSystem.on('hit', () => received.push('low'), { priority: -5 });
+
+        eventSystem.emit('hit', {}, { immediate: true });
+
+        assert.deepEqual(received, ['high', 'default', 'low']);
+    });
+
+    it('removes once listeners after their first call', () => {
+        let calls = 0;
+        eventSystem.once('ping', () => calls++);
+
+        eventSystem.emit('ping', {}, { immediate: true });
+        eventSystem.emit('ping', {}, { immediate: true });
+
+        assert.equal(calls, 1);
+        assert.equal(eventSystem.listeners.has('ping'), false);
+    });
+
+    it('stops calling a listener after it unsubscribes', () => {
+        let calls = 0;
+        const unsubscribe = eventSystem.on('ping', () => calls++);
+
+        eventSystem.emit('ping', {}, { immediate: true });
+        unsubscribe();
+        eventSystem.emit('ping', {}, { immediate: true });
+
+        assert.equal(calls, 1);
+    });
+
+    it('keeps delivering to other listeners when one throws', () => {
+        const originalError = console.error;
+        console.error = () => {};
+        let delivered = false;
+        eventSystem.on('boom', () => { throw new Error('listener failed'); }, { priority: 1 });
+        eventSystem.on('boom', () => { delivered = true; });
+
+        try {
+            eventSystem.emit('boom', {}, { immediate: true });
+        } finally {
+            console.error = originalError;
+        }
+
+        assert.equal(delivered, true);
+    });
+
+    it('rejects non-function callbacks', () => {
+        assert.throws(() => eventSystem.on('ping', null), /must be a function/);
+    });
+
+    it('resolves waitFor with the next payload', async () => {
+        const waiting = eventSystem.waitFor('ready', 1000);
+        eventSystem.emit('ready', { ok: true });
+
+        assert.deepEqual(await waiting, { ok: true });
+    });
+});
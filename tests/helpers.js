@@ -0,0 +1,56 @@
+/**
+ * Test helpers - Build game systems under Node without a browser
+ * @module TestHelpers
+ */
+
+import { ServiceContainer } from '../src/core/service-container.js';
+import { registerGameServices } from '../src/core/game-services.js';
+import { MemoryStorage } from '../src/core/memory-storage.js';
+import { HeadlessEventSystem } from '../src/simulation/headless-game.js';
+import { SimulationClock } from '../src/simulation/simulation-clock.js';
+
+// The managers log every action; keep test output readable
+console.log = () => {};
+console.info = () => {};
+console.warn = () => {};
+
+/**
+ * Create a service container for tests
+ * Events are delivered synchronously and timers run on a virtual clock.
+ * @param {Object} options - { seed, storage }
+ * @returns {ServiceContainer} Container with every game service registered
+ */
+function createServices(options = {}) {
+    const services = registerGameServices(new ServiceContainer(), {
+        storage: options.storage || new MemoryStorage(),
+        autoSave: false,
+        seed: options.seed ?? 1,
+        clock: new SimulationClock()
+    });
+    services.register('eventSystem', () => new HeadlessEventSystem());
+    return services;
+}
+
+/**
+ * Wait until an EventSystem has delivered every queued event
+ * @param {EventSystem} eventSystem - Event system using the async queue
+ */
+async function drainEvents(eventSystem) {
+    while (eventSystem.isProcessingQueue || eventSystem.eventQueue.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+}
+
+/**
+ * Record every payload emitted for an event type
+ * @param {EventSystem} eventSystem - Event system
+ * @param {string} eventType - Event to record
+ * @returns {Array} Payloads, filled in as events arrive
+ */
+function recordEvents(eventSystem, eventType) {
+    const received = [];
+    eventSystem.on(eventType, (data) => received.push(data));
+    return received;
+}
+
+export { createServices, drainEvents, recordEvents };
@@ -0,0 +1,294 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServices, recordEvents } from './helpers.js';
+
+describe('InventoryManager', () => {
+    let services;
+    let inventory;
+    let stateManager;
+
+    beforeEach(() => {
+        services = createServices();
+        stateManager = services.get('stateManager');
+        inventory = services.get('inventoryManager');
+    });
+
+    const keys = (inventoryType) => Object.keys(inventory.getInventory(inventoryType));
+
+    describe('stacking', () => {
+        it('stacks materials under one entry', () => {
+            inventory.addItem('materials', 'wood', 3);
+            inventory.addItem('materials', 'wood', 4);
+
+            assert.equal(inventory.getItemCount('materials', 'wood'), 7);
+            assert.deepEqual(keys('materials'), ['wood']);
+        });
+
+        it('keeps each piece of equipment as its own entry', () => {
+            inventory.addItem('equipment', 'iron_sword');
+            inventory.addItem('equipment', 'iron_sword');
+
+            const entries = Object.values(inventory.getInventory('equipment'));
+            assert.equal(entries.length, 2);
+            assert.notEqual(entries[0].uniqueId, entries[1].uniqueId);
+        });
+
+        it('merges split stacks of the same item', () => {
+            stateManager.updateState({
+                inventory: {
+                    materials: {
+                        wood: { id: 'wood', quantity: 2 },
+                        wood_old: { id: 'wood', quantity: 3 },
+                        stone: { id: 'stone', quantity: 1 }
+                    }
+                }
+            });
+
+            inventory.stackItems('materials');
+
+            assert.deepEqual(inventory.getInventory('materials'), {
+                wood: { id: 'wood', quantity: 5 },
+                stone: { id: 'stone', quantity: 1 }
+            });
+        });
+
+        it('never stacks equipment', () => {
+            inventory.addItem('equipment', 'iron_sword');
+            inventory.addItem('equipment', 'iron_sword');
+
+            inventory.stackItems('equipment');
+
+            assert.equal(keys('equipment').length, 2);
+        });
+    });
+
+    describe('removal', () => {
+        it('removes the entry when the last item is taken', () => {
+            inventory.addItem('materials', 'stone', 2);
+
+            assert.equal(inventory.removeItem('materials', 'stone', 2), true);
+            assert.deepEqual(keys('materials'), []);
+        });
+
+        it('refuses to remove more than is held', () => {
+            inventory.addItem('materials', 'stone', 2);
+
+            assert.equal(inventory.removeItem('materials', 'stone', 3), false);
+            assert.equal(inventory.getItemCount('materials', 'stone'), 2);
+        });
+    });
+
+    describe('sorting', () => {
+        beforeEach(() => {
+            inventory.addItem('materials', 'cloth', 5, { name: 'Cloth', rarity: 'common', value: 1 });
+            inventory.addItem('materials', 'gem', 1, { name: 'Gem', rarity: 'epic', value: 50 });
+            inventory.addItem('materials', 'iron_ore', 9, { name: 'Iron Ore', rarity: 'uncommon', value: 5 });
+        });
+
+        it('auto-sorts by rarity, rarest first', () => {
+            assert.deepEqual(keys('materials'), ['gem', 'iron_ore', 'cloth']);
+        });
+
+        it('sorts by quantity ascending', () => {
+            inventory.sortInventory('materials', 'quantity', 'asc');
+
+            assert.deepEqual(keys('materials'), ['gem', 'cloth', 'iron_ore']);
+        });
+
+        it('sorts by name', () => {
+            inventory.sortInventory('materials', 'name', 'asc');
+
+            assert.deepEqual(keys('materials'), ['cloth', 'gem', 'iron_ore']);
+        });
+
+        it('remembers the last sort as the default', () => {
+            inventory.sortInventory('materials', 'value', 'desc');
+
+            const settings = stateManager.getStateValue('inventory.settings');
+            assert.equal(settings.sortType, 'value');
+            assert.equal(settings.sortOrder, 'desc');
+        });
+    });
+
+    describe('capacity', () => {
+        let materials;
+        let equipment;
+
+        beforeEach(() => {
+            stateManager.updateState({ player: { hp: 100, maxHp: 100, level: 5, exp: 0, attack: 10, defense: 5, speed: 10 } });
+            services.get('statPipeline');
+            materials = services.get('materialManager');
+            equipment = services.get('equipmentManager');
+            equipment.rng = { chance: () => false };
+        });
+
+        const quantities = () => Object.values(inventory.getInventory('materials')).map(stack => stack.quantity);
+
+        it('splits materials into stacks of their stack size', () => {
+            materials.addMaterial('mythril_ore', 12); // Stack size 5
+
+            assert.deepEqual(keys('materials'), ['mythril_ore', 'mythril_ore#2', 'mythril_ore#3']);
+            assert.deepEqual(quantities(), [5, 5, 2]);
+            assert.equal(inventory.getUsedSlots('materials'), 3);
+            assert.equal(inventory.getItemCount('materials', 'mythril_ore'), 12);
+        });
+
+        it('re-stacks when materials are spent', () => {
+            materials.addMaterial('mythril_ore', 12);
+            materials.removeMaterial('mythril_ore', 8);
+
+            assert.deepEqual(quantities(), [4]);
+        });
+
+        it('re-stacks without changing the inventory listeners saw before', () => {
+            materials.addMaterial('mythril_ore', 12);
+            const before = stateManager.getStateValue('inventory');
+
+            materials.removeMaterial('mythril_ore', 8);
+
+            assert.deepEqual(Object.keys(before.materials), ['mythril_ore', 'mythril_ore#2', 'mythril_ore#3']);
+        });
+
+        it('removes consumables without changing the inventory listeners saw before', () => {
+            inventory.addItem('consumables', 'health_potion', 12);
+            const before = stateManager.getStateValue('inventory');
+
+            assert.equal(inventory.removeItem('consumables', 'health_potion', 5), true);
+
+            assert.deepEqual(
+                Object.values(before.consumables).map(stack => stack.quantity),
+                [10, 2]
+            );
+            assert.equal(inventory.getItemCount('consumables', 'health_potion'), 7);
+            assert.deepEqual(keys('consumables'), ['health_potion']);
+        });
+
+        it('adds only what fits in the free slots', () => {
+            inventory.BASE_CAPACITY.materials = 2;
+            const full = recordEvents(services.get('eventSystem'), 'inventory_full');
+
+            assert.equal(inventory.addItem('materials', 'gem', 250), 198);
+
+            assert.equal(inventory.getItemCount('materials', 'gem'), 198);
+            assert.deepEqual(full.map(data => data.quantity), [52]);
+        });
+
+        it('stashes drops that do not fit and claims them once there is room', () => {
+            inventory.BASE_CAPACITY.materials = 1;
+
+            assert.equal(materials.addMaterial('mythril_ore', 8), 5);
+            assert.deepEqual(inventory.getOverflow().map(entry => [entry.materialId, entry.quantity]), [['mythril_ore', 3]]);
+
+            assert.equal(inventory.claimOverflow(0), false);
+            materials.removeMaterial('mythril_ore', 5);
+            assert.equal(inventory.claimOverflow(0), true);
+
+            assert.equal(materials.getMaterialCount('mythril_ore'), 3);
+            assert.deepEqual(inventory.getOverflow(), []);
+        });
+
+        it('drops the oldest overflow past the stash limit', () => {
+            inventory.OVERFLOW_LIMIT = 2;
+            const dropped = recordEvents(services.get('eventSystem'), 'overflow_dropped');
+
+            ['wood', 'stone', 'cloth'].forEach(materialId => {
+                inventory.stashOverflow({ type: 'material', materialId, quantity: 1 });
+            });
+
+            assert.deepEqual(inventory.getOverflow().map(entry => entry.materialId), ['stone', 'cloth']);
+            assert.deepEqual(dropped.map(data => data.entry.materialId), ['wood']);
+        });
+
+        it('sends boss materials through the same limits', () => {
+            inventory.BASE_CAPACITY.materials = 0;
+
+            services.get('eventSystem').emit('boss_materials_gained', { materials: [{ type: 'dragon_crystal', amount: 5 }] });
+
+            assert.equal(materials.getMaterialCount('dragon_crystal'), 0);
+            assert.equal(inventory.getOverflow()[0].source, 'boss');
+        });
+
+        it('stashes gear when the equipment bag is full; equipped gear takes no slot', () => {
+            inventory.BASE_CAPACITY.equipment = 1;
+
+            equipment.addEquipment('iron_sword', 2);
+            const [swordId] = keys('equipment');
+            assert.equal(inventory.getOverflow()[0].equipment.id, 'iron_sword');
+
+            equipment.equipItem(swordId);
+            assert.equal(inventory.claimAllOverflow(), 1);
+            assert.equal(keys('equipment').length, 2);
+        });
+
+        it('stacks consumables ten to a slot', () => {
+            inventory.BASE_CAPACITY.consumables = 1;
+
+            equipment.addEquipment('health_potion', 11);
+
+            assert.equal(inventory.getUsedSlots('consumables'), 1);
+            assert.equal(inventory.getOverflow().length, 1);
+        });
+
+        it('grows a bag when a crafted bag item is used', () => {
+            equipment.addEquipment('material_pouch');
+            const [pouchId] = keys('equipment');
+
+            equipment.useConsumable(pouchId);
+
+            assert.equal(inventory.getCapacity('materials'), inventory.BASE_CAPACITY.materials + 5);
+            assert.deepEqual(keys('equipment'), []);
+        });
+
+        it('adds slots of every type with the bagSpace prestige upgrade', () => {
+            const prestige = services.get('prestigeManager');
+            stateManager.updateState({ prestige: { points: 100 } });
+
+            assert.equal(prestige.purchaseUpgrade('bagSpace'), true);
+
+            assert.equal(inventory.getCapacity('equipment'), inventory.BASE_CAPACITY.equipment + inventory.PRESTIGE_BAG_SLOTS);
+            assert.equal(inventory.getCapacity('materials'), inventory.BASE_CAPACITY.materials + inventory.PRESTIGE_BAG_SLOTS);
+        });
+    });
+
+    describe('quick-bar', () => {
+        let equipment;
+
+        beforeEach(() => {
+            stateManager.updateState({ player: { hp: 50, maxHp: 100, level: 5, exp: 0, attack: 10, defense: 5, speed: 10 } });
+            equipment = services.get('equipmentManager');
+        });
+
+        it('binds an owned consumable and moves it between slots', () => {
+            equipment.addEquipment('health_potion');
+            const changes = recordEvents(services.get('eventSystem'), 'quick_bar_changed');
+
+            assert.equal(inventory.assignQuickBarSlot(0, 'health_potion'), true);
+            assert.equal(inventory.assignQuickBarSlot(3, 'health_potion'), true);
+
+            assert.deepEqual(inventory.getQuickBar(), [null, null, null, 'health_potion']);
+            assert.equal(changes.length, 2);
+        });
+
+        it('refuses bags, gear, missing items and bad slots', () => {
+            equipment.addEquipment('material_pouch');
+            equipment.addEquipment('iron_sword');
+            equipment.addEquipment('health_potion');
+
+            assert.equal(inventory.assignQuickBarSlot(0, 'material_pouch'), false);
+            assert.equal(inventory.assignQuickBarSlot(0, 'iron_sword'), false);
+            assert.equal(inventory.assignQuickBarSlot(0, 'antidote'), false);
+            assert.equal(inventory.assignQuickBarSlot(4, 'health_potion'), false);
+            assert.deepEqual(inventory.getQuickBar(), [null, null, null, null]);
+        });
+
+        it('keeps the binding when the last one is used up', () => {
+            equipment.addEquipment('health_potion');
+            inventory.assignQuickBarSlot(1, 'health_potion');
+
+            equipment.useConsumable(inventory.findConsumable('health_potion'));
+
+            assert.equal(inventory.getQuickBar()[1], 'health_potion');
+            assert.equal(inventory.findConsumable('health_potion'), null);
+        });
+    });
+});
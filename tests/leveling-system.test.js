@@ -0,0 +1,129 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServices, recordEvents } from './helpers.js';
+import { HeadlessGame } from '../src/simulation/headless-game.js';
+
+describe('LevelingSystem', () => {
+    let services;
+    let leveling;
+    let stateManager;
+    let statPipeline;
+
+    beforeEach(() => {
+        services = createServices();
+        stateManager = services.get('stateManager');
+        stateManager.setState({ player: { hp: 100, maxHp: 100, level: 1, exp: 0, attack: 10, defense: 5, speed: 10 } });
+        statPipeline = services.get('statPipeline');
+        leveling = services.get('levelingSystem');
+    });
+
+    const levelUpTo = (level) => {
+        let exp = 0;
+        for (let current = 1; current < level; current++) {
+            exp += leveling.getExpForLevel(current);
+        }
+        stateManager.updateState({ player: { exp } });
+        leveling.checkLevelUp();
+    };
+
+    describe('EXP curve', () => {
+        it('needs more EXP for each level', () => {
+            assert.equal(leveling.getExpForLevel(1), 100);
+            assert.ok(leveling.getExpForLevel(10) > 10 * leveling.getExpForLevel(1));
+            assert.ok(leveling.getExpForLevel(11) > leveling.getExpForLevel(10));
+        });
+
+        it('follows a changed curve', () => {
+            leveling.EXP_CURVE = { base: 50, exponent: 2 };
+
+            assert.equal(leveling.getExpForLevel(3), 450);
+        });
+
+        it('stops at the level cap', () => {
+            leveling.MAX_LEVEL = 3;
+            stateManager.updateState({ player: { exp: 1000000 } });
+
+            leveling.checkLevelUp();
+
+            assert.equal(stateManager.getStateValue('player.level'), 3);
+            assert.equal(leveling.getExpProgress().required, 0);
+        });
+    });
+
+    describe('stat points', () => {
+        it('adds allocated points on top of level gains', () => {
+            levelUpTo(3);
+            const attackBefore = stateManager.getStateValue('player.attack');
+            const changes = recordEvents(services.get('eventSystem'), 'stat_points_allocated');
+
+            assert.equal(leveling.allocateStatPoint('attack', 2), true);
+            assert.equal(leveling.allocateStatPoint('maxHp'), true);
+
+            assert.equal(stateManager.getStateValue('player.attack'), attackBefore + 4);
+            assert.equal(statPipeline.computeStats().maxHp, 100 + 2 * statPipeline.LEVEL_GAINS.maxHp + 15);
+            assert.equal(leveling.getStatPoints(), 3);
+            assert.equal(changes.length, 2);
+        });
+
+        it('refuses unknown stats and points the player does not have', () => {
+            levelUpTo(2);
+
+            assert.equal(leveling.allocateStatPoint('luck'), false);
+            assert.equal(leveling.allocateStatPoint('attack', 4), false);
+            assert.equal(leveling.getStatPoints(), 3);
+        });
+
+        it('refunds every point on respec', () => {
+            levelUpTo(3);
+            const baseAttack = stateManager.getStateValue('player.attack');
+            leveling.allocateStatPoint('attack', 4);
+            leveling.allocateStatPoint('speed', 2);
+
+            assert.equal(leveling.respec(), 6);
+
+            assert.equal(leveling.getStatPoints(), 6);
+            assert.equal(stateManager.getStateValue('player.attack'), baseAttack);
+            assert.deepEqual(leveling.getStatModifiers(), []);
+        });
+
+        it('gives existing saves the points for their levels', () => {
+            stateManager.setState({ player: { hp: 100, maxHp: 100, level: 6, exp: 0, attack: 10, defense: 5, speed: 10 } });
+
+            services.get('eventSystem').emit('stateLoaded');
+
+            assert.equal(leveling.getStatPoints(), 5 * leveling.STAT_POINTS_PER_LEVEL);
+        });
+    });
+
+    describe('simulation setup', () => {
+        let game;
+
+        beforeEach(() => {
+            game = new HeadlessGame({ seed: 3 });
+        });
+
+        it('grants the stat points of the level it jumps to', () => {
+            game.setPlayerLevel(10);
+
+            assert.equal(game.stateManager.getStateValue('player.level'), 10);
+            assert.equal(game.levelingSystem.getStatPoints(), 9 * game.levelingSystem.STAT_POINTS_PER_LEVEL);
+        });
+
+        it('spends the points by weight, keeping the shares as levels are gained', () => {
+            const baseAttack = game.statPipeline.computeStats().attack;
+            game.setPlayerLevel(10, { attack: 2, maxHp: 1 });
+
+            assert.equal(game.levelingSystem.getStatPoints(), 0);
+            assert.equal(game.levelingSystem.getAllocation().attack, 18);
+            assert.equal(game.levelingSystem.getAllocation().maxHp, 9);
+            assert.ok(game.statPipeline.computeStats().attack > baseAttack + 18);
+
+            game.stateManager.updateState({ player: { exp: game.levelingSystem.getExpForLevel(10) } });
+            game.levelingSystem.checkLevelUp();
+            assert.equal(game.allocateStatPoints({ attack: 2, maxHp: 1 }), 3);
+
+            assert.equal(game.levelingSystem.getAllocation().attack, 20);
+            assert.equal(game.levelingSystem.getAllocation().maxHp, 10);
+        });
+    });
+});
@@ -0,0 +1,93 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServices, recordEvents } from './helpers.js';
+
+describe('PrestigeManager', () => {
+    let services;
+    let prestige;
+    let stateManager;
+
+    beforeEach(() => {
+        services = createServices();
+        stateManager = services.get('stateManager');
+        stateManager.setState({ player: { hp: 100, maxHp: 100, level: 1, exp: 0, attack: 10, defense: 5, speed: 10 } });
+        prestige = services.get('prestigeManager');
+    });
+
+    const setRun = (level, progress) => {
+        stateManager.updateState({
+            player: { level },
+            prestige: { currentRunProgress: progress }
+        });
+    };
+
+    describe('point math', () => {
+        it('combines stage, level, wins, materials and crafting above the threshold', () => {
+            // stage 4^1.5*10 = 80, level 10²/10 = 10, 50/5 = 10, 500/50 = 10, 3*5 = 15 -> 125 - 100
+            setRun(10, { maxStageReached: 4, totalCombatWins: 50, totalMaterialsCollected: 500, totalEquipmentCrafted: 3 });
+
+            assert.equal(prestige.calculatePrestigePoints(), 25);
+            assert.equal(prestige.canPrestige(), true);
+        });
+
+        it('never goes below zero for short runs', () => {
+            setRun(1, { maxStageReached: 1, totalCombatWins: 0, totalMaterialsCollected: 0, totalEquipmentCrafted: 0 });
+
+            assert.equal(prestige.calculatePrestigePoints(), 0);
+            assert.equal(prestige.canPrestige(), false);
+        });
+
+        it('scales upgrade costs by 1.5x per level, rounded down', () => {
+            assert.equal(prestige.getUpgradeCost('combatDamage', 0), 10);
+            assert.equal(prestige.getUpgradeCost('combatDamage', 2), 22);
+            assert.equal(prestige.getUpgradeCost('luckBonus', 1), 75);
+        });
+    });
+
+    describe('prestige reset', () => {
+        it('banks the points and starts a fresh run', () => {
+            const resets = recordEvents(services.get('eventSystem'), 'prestige_performed');
+            setRun(10, { maxStageReached: 4, totalCombatWins: 50, totalMaterialsCollected: 500, totalEquipmentCrafted: 3 });
+
+            assert.equal(prestige.performPrestige(), true);
+
+            const state = stateManager.getStateValue('prestige');
+            assert.equal(state.points, 25);
+            assert.equal(state.totalPoints, 25);
+            assert.equal(state.level, 1);
+            assert.equal(state.currentRunProgress.totalCombatWins, 0);
+            assert.equal(stateManager.getStateValue('player.level'), 1);
+            assert.equal(resets[0].pointsGained, 25);
+        });
+
+        it('refuses to reset without points', () => {
+            assert.equal(prestige.performPrestige(), false);
+            assert.equal(stateManager.getStateValue('prestige.level'), 0);
+        });
+    });
+
+    describe('upgrades', () => {
+        it('spends points and raises the upgrade level', () => {
+            stateManager.updateState({ prestige: { points: 30 } });
+
+            assert.equal(prestige.purchaseUpgrade('combatDamage'), true);
+            assert.equal(prestige.purchaseUpgrade('combatDamage'), true);
+
+            assert.equal(stateManager.getStateValue('prestige.points'), 5);
+            assert.equal(stateManager.getStateValue('prestige.upgrades.combatDamage'), 2);
+        });
+
+        it('refuses upgrades that cost more than the available points', () => {
+            stateManager.updateState({ prestige: { points: 9 } });
+
+            assert.equal(prestige.purchaseUpgrade('combatDamage'), false);
+            assert.equal(stateManager.getStateValue('prestige.points'), 9);
+        });
+
+        it('refuses upgrades that are not unlocked yet', () => {
+            stateManager.updateState({ prestige: { points: 1000 } });
+
+            assert.equal(prestige.purchaseUpgrade('luckBonus'), false);
+        });
+    });
+});
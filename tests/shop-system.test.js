@@ -0,0 +1,180 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServices, recordEvents } from './helpers.js';
+
+describe('ShopSystem', () => {
+    let services;
+    let shop;
+    let equipment;
+    let materials;
+    let stateManager;
+    let eventSystem;
+
+    beforeEach(() => {
+        services = createServices();
+        stateManager = services.get('stateManager');
+        eventSystem = services.get('eventSystem');
+        stateManager.setState({ player: { hp: 100, maxHp: 100, level: 5, exp: 0, attack: 10, defense: 5, speed: 10 } });
+        services.get('inventoryManager');
+        equipment = services.get('equipmentManager');
+        equipment.rng = { chance: () => false }; // No affixes
+        materials = services.get('materialManager');
+        shop = services.get('shopSystem');
+    });
+
+    const stockEntry = (type) => shop.getStock().find(entry => entry.type === type);
+
+    const isGear = (entry) => entry.type === 'equipment' && !equipment.getEquipmentDefinition(entry.itemId).consumable;
+
+    describe('gold', () => {
+        it('drops gold from enemies, ten times as much from bosses', () => {
+            shop.rng = { int: () => 0 };
+
+            eventSystem.emit('combatVictory', { enemy: { level: 4 }, isBoss: false });
+            assert.equal(shop.getGold(), 12);
+
+            eventSystem.emit('combatVictory', { enemy: { level: 4 }, isBoss: true });
+            assert.equal(shop.getGold(), 132);
+        });
+
+        it('grants weekly event gold', () => {
+            const changes = recordEvents(eventSystem, 'gold_changed');
+
+            eventSystem.emit('gold-granted', { amount: 250 });
+
+            assert.equal(shop.getGold(), 250);
+            assert.equal(changes[0].source, 'weekly_event');
+        });
+    });
+
+    describe('buying', () => {
+        it('takes gold and stores the material', () => {
+            const entry = stockEntry('material');
+            shop.addGold(entry.price * 2, 'test');
+
+            assert.equal(shop.buyItem(entry.stockId, 2), true);
+
+            assert.equal(shop.getGold(), 0);
+            assert.equal(materials.getMaterialCount(entry.itemId), 2);
+            assert.equal(shop.getStock().find(candidate => candidate.stockId === entry.stockId).quantity,
+                entry.quantity - 2);
+        });
+
+        it('adds bought equipment at the stocked quality', () => {
+            const entry = shop.getStock().find(isGear);
+            shop.addGold(entry.price, 'test');
+
+            assert.equal(shop.buyItem(entry.stockId), true);
+
+            const items = Object.values(stateManager.getStateValue('inventory.equipment'));
+            assert.ok(items.some(item => item.id === entry.itemId && item.quality === entry.quality));
+        });
+
+        it('refuses without enough gold', () => {
+            const entry = stockEntry('material');
+            const failures = recordEvents(eventSystem, 'shop_transaction_failed');
+
+            assert.equal(shop.buyItem(entry.stockId), false);
+
+            assert.equal(materials.getMaterialCount(entry.itemId), 0);
+            assert.equal(failures[0].reason, 'insufficient_gold');
+        });
+
+        it('refuses when the bags are full and keeps the gold', () => {
+            const entry = stockEntry('material');
+            shop.addGold(entry.price, 'test');
+            const inventory = services.get('inventoryManager');
+            inventory.getMaterialSpace = () => 0;
+
+            assert.equal(shop.buyItem(entry.stockId), false);
+            assert.equal(shop.getGold(), entry.price);
+        });
+
+        it('rolls no affixes for a refused gear purchase', () => {
+            const entry = shop.getStock().find(isGear);
+            let rolls = 0;
+            equipment.rng = { chance: () => { rolls++; return false; } };
+
+            assert.equal(shop.buyItem(entry.stockId), false);
+            assert.equal(rolls, 0);
+
+            shop.addGold(entry.price, 'test');
+            assert.equal(shop.buyItem(entry.stockId), true);
+            assert.ok(rolls > 0);
+        });
+    });
+
+    describe('selling', () => {
+        it('pays by material rarity', () => {
+            materials.addMaterial('iron_ore', 3);
+            const price = shop.getSellPrice('material', 'iron_ore');
+
+            assert.equal(shop.sellMaterial('iron_ore', 3), price * 3);
+
+            assert.equal(materials.getMaterialCount('iron_ore'), 0);
+            assert.equal(shop.getGold(), price * 3);
+        });
+
+        it('pays more for better quality and enhanced gear', () => {
+            const normal = shop.getSellPrice('equipment', 'iron_sword', 'normal');
+
+            assert.ok(shop.getSellPrice('equipment', 'iron_sword', 'epic') > normal);
+            assert.ok(shop.getSellPrice('equipment', 'iron_sword', 'normal', 5) > normal);
+            assert.ok(shop.getBuyPrice('equipment', 'iron_sword', 'normal') > normal);
+        });
+
+        it('pays more for gear with rolled affixes', () => {
+            const plain = shop.getSellPrice('equipment', 'iron_sword', 'normal');
+            const affixed = shop.getSellPrice('equipment', 'iron_sword', 'normal', 0, [{ id: 'a' }, { id: 'b' }]);
+
+            assert.equal(affixed, Math.floor(plain * (1 + 2 * shop.AFFIX_PRICE_BONUS)));
+        });
+
+        it('refuses to sell equipped gear', () => {
+            equipment.addEquipment('iron_sword', 1, 'normal');
+            const sword = Object.values(stateManager.getStateValue('inventory.equipment'))[0];
+
+            equipment.equipItem(sword.uniqueId);
+            assert.equal(shop.sellEquipment(sword.uniqueId), 0);
+
+            equipment.unequipItem('main_hand');
+            assert.ok(shop.sellEquipment(sword.uniqueId) > 0);
+            assert.equal(stateManager.getStateValue('inventory.equipment')[sword.uniqueId], undefined);
+        });
+    });
+
+    describe('stock', () => {
+        it('drops saved stock entries that fail validation', () => {
+            const [entry] = shop.getStock();
+
+            stateManager.updateState({ shop: { stock: [entry, { ...entry, type: 'pet' }, { ...entry, price: 'free' }] } });
+
+            assert.deepEqual(stateManager.getStateValue('shop.stock'), [entry]);
+        });
+
+        it('restocks when the day changes', () => {
+            const restocks = recordEvents(eventSystem, 'shop_restocked');
+            shop.getStock();
+            shop.getStock();
+            assert.equal(restocks.length, 1);
+
+            services.get('clock').advance(24 * 60 * 60 * 1000);
+            shop.getStock();
+
+            assert.equal(restocks.length, 2);
+        });
+
+        it('stocks rarer goods once later stages are unlocked', () => {
+            const stock = shop.refreshStock();
+            assert.ok(stock.filter(entry => entry.type === 'material')
+                .every(entry => materials.getMaterialDefinition(entry.itemId).rarity === 'common'));
+            assert.ok(stock.filter(isGear).every(entry => entry.quality === 'normal'));
+
+            stateManager.updateState({ stages: { unlockedStages: [1, 2, 3] } });
+            const later = shop.refreshStock();
+
+            assert.equal(shop.getShopStage(), 3);
+            assert.ok(later.filter(isGear).every(entry => ['good', 'rare'].includes(entry.quality)));
+        });
+    });
+});
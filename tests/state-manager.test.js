@@ -0,0 +1,221 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import './helpers.js';
+import { StateManager } from '../src/core/state-manager.js';
+import { MemoryStorage } from '../src/core/memory-storage.js';
+import { RandomService } from '../src/core/random-service.js';
+
+const initialState = () => ({
+    player: { hp: 80, maxHp: 100, level: 3, exp: 40, attack: 12, defense: 6, speed: 10 },
+    game: { currentStage: 1, isPaused: false, isInCombat: false }
+});
+
+describe('StateManager', () => {
+    let storage;
+    let stateManager;
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        stateManager = new StateManager({ storage, autoSave: false });
+        stateManager.setState(initialState());
+    });
+
+    describe('updateState', () => {
+        it('deep merges nested objects and keeps untouched values', () => {
+            stateManager.updateState({ player: { hp: 50 } });
+
+            assert.equal(stateManager.getStateValue('player.hp'), 50);
+            assert.equal(stateManager.getStateValue('player.level'), 3);
+            assert.equal(stateManager.getStateValue('game.currentStage'), 1);
+        });
+
+        it('replaces arrays instead of merging them', () => {
+            stateManager.updateState({ stages: { unlockedStages: [1, 2, 3] } });
+            stateManager.updateState({ stages: { unlockedStages: [1] } });
+
+            assert.deepEqual(stateManager.getStateValue('stages.unlockedStages'), [1]);
+        });
+
+        it('replaces listed paths without touching the previous state', () => {
+            stateManager.updateState({ defeat: { unbankedMaterials: { wood: 2, stone: 1 } } });
+            const before = stateManager.getStateValue('defeat');
+            let oldValue;
+            stateManager.subscribe('defeat.unbankedMaterials', (value, previous) => { oldValue = previous; });
+
+            stateManager.updateState({ defeat: { unbankedMaterials: { wood: 3 } } }, { replace: ['defeat.unbankedMaterials'] });
+
+            assert.deepEqual(stateManager.getStateValue('defeat.unbankedMaterials'), { wood: 3 });
+            assert.deepEqual(before.unbankedMaterials, { wood: 2, stone: 1 });
+            assert.deepEqual(oldValue, { wood: 2, stone: 1 });
+        });
+
+        it('replaces a nested path and keeps its siblings', () => {
+            stateManager.updateState({
+                inventory: {
+                    materials: { wood: { id: 'wood', quantity: 2 }, stone: { id: 'stone', quantity: 1 } },
+                    equipment: { sword_1: { id: 'iron_sword', uniqueId: 'sword_1' } }
+                }
+            });
+
+            stateManager.updateState(
+                { inventory: { materials: { wood: { id: 'wood', quantity: 5 } } } },
+                { replace: ['inventory.materials'] }
+            );
+
+            assert.deepEqual(Object.keys(stateManager.getStateValue('inventory.materials')), ['wood']);
+            assert.equal(stateManager.getStateValue('inventory.materials.wood.quantity'), 5);
+            assert.deepEqual(Object.keys(stateManager.getStateValue('inventory.equipment')), ['sword_1']);
+        });
+
+        it('creates missing parents of a replaced path', () => {
+            assert.equal(stateManager.getStateValue('defeat'), undefined);
+
+            stateManager.updateState({ defeat: { unbankedMaterials: { wood: 1 } } }, { replace: ['defeat.unbankedMaterials'] });
+
+            assert.deepEqual(stateManager.getStateValue('defeat.unbankedMaterials'), { wood: 1 });
+        });
+
+        it('ignores replace paths that the update does not set', () => {
+            stateManager.updateState({ defeat: { unbankedMaterials: { wood: 2 } } });
+
+            stateManager.updateState({ player: { hp: 50 } }, { replace: ['defeat.unbankedMaterials'] });
+
+            assert.deepEqual(stateManager.getStateValue('defeat.unbankedMaterials'), { wood: 2 });
+            assert.equal(stateManager.getStateValue('player.hp'), 50);
+        });
+
+        it('validates replaced values like merged ones', () => {
+            stateManager.updateState({ defeat: { unbankedMaterials: { wood: -3 } } }, { replace: ['defeat.unbankedMaterials'] });
+            assert.deepEqual(stateManager.getStateValue('defeat.unbankedMaterials'), { wood: 0 });
+
+            const before = stateManager.getStateValue('player');
+            const accepted = stateManager.updateState({ player: { level: 'ten' } }, { replace: ['player'] });
+
+            assert.equal(accepted, false);
+            assert.equal(stateManager.getStateValue('player'), before);
+            assert.equal(before.level, 3);
+        });
+
+        it('rejects updates that fail validation and keeps the current state', () => {
+            const accepted = stateManager.updateState({ player: { level: 'ten' } });
+
+            assert.equal(accepted, false);
+            assert.equal(stateManager.getStateValue('player.level'), 3);
+        });
+
+        it('repairs values that can be clamped', () => {
+            stateManager.updateState({ player: { hp: 500 } });
+
+            assert.equal(stateManager.getStateValue('player.hp'), 100);
+        });
+
+        it('notifies path subscribers with the new value', () => {
+            const values = [];
+            stateManager.subscribe('player.hp', (value) => values.push(value));
+
+            stateManager.updateState({ player: { hp: 20 } });
+
+            assert.deepEqual(values, [20]);
+        });
+    });
+
+    describe('save slots', () => {
+        it('does not write anything until a slot is selected', () => {
+            assert.equal(stateManager.saveToStorage(), false);
+        });
+
+        it('round-trips state through storage', () => {
+            const slotId = stateManager.createSaveSlot('Test');
+            stateManager.selectSaveSlot(slotId);
+            stateManager.updateState({ player: { exp: 75 } });
+            assert.equal(stateManager.saveToStorage(), true);
+
+            const reloaded = new StateManager({ storage, autoSave: false });
+            reloaded.selectSaveSlot(slotId);
+
+            assert.equal(reloaded.loadFromStorage(), true);
+            assert.equal(reloaded.getStateValue('player.exp'), 75);
+            assert.equal(reloaded.getStateValue('player.level'), 3);
+        });
+
+        it('keeps slots independent', () => {
+            const first = stateManager.createSaveSlot('First');
+            const second = stateManager.createSaveSlot('Second');
+
+            stateManager.selectSaveSlot(first);
+            stateManager.saveToStorage();
+            stateManager.selectSaveSlot(second);
+            stateManager.updateState({ player: { level: 9 } });
+            stateManager.saveToStorage();
+
+            stateManager.selectSaveSlot(first);
+            stateManager.loadFromStorage();
+
+            assert.equal(stateManager.getStateValue('player.level'), 3);
+        });
+    });
+
+    describe('export and import', () => {
+        it('imports an exported save', () => {
+            const exported = stateManager.exportSave();
+            const other = new StateManager({ storage: new MemoryStorage(), autoSave: false });
+
+            assert.equal(other.importSave(exported), true);
+            assert.deepEqual(other.getStateValue('player'), stateManager.getStateValue('player'));
+        });
+
+        it('writes random stream positions when saving, not on every draw', () => {
+            const random = new RandomService(stateManager, null, 42);
+            const stream = random.getStream(random.STREAMS.LOOT);
+            random.syncState();
+            const saved = stateManager.getStateValue('rng.streams.loot');
+
+            stream.next();
+            assert.equal(stateManager.getStateValue('rng.streams.loot'), saved);
+
+            const exported = JSON.parse(stateManager.exportSave());
+            assert.equal(exported.state.rng.streams.loot, stream.state);
+        });
+
+        it('rejects malformed JSON and saves without state', () => {
+            assert.equal(stateManager.importSave('{not json'), false);
+            assert.equal(stateManager.importSave(JSON.stringify({ version: '1.1.0' })), false);
+            assert.equal(stateManager.getStateValue('player.level'), 3);
+        });
+
+        it('refuses saves from a newer version', () => {
+            const save = JSON.parse(stateManager.exportSave());
+            save.version = '99.0.0';
+            save.state.player.level = 40;
+
+            assert.equal(stateManager.importSave(JSON.stringify(save)), false);
+            assert.equal(stateManager.getStateValue('player.level'), 3);
+        });
+
+        it('migrates unversioned saves and keeps a backup of the original', () => {
+            const slotId = stateManager.createSaveSlot('Legacy');
+            stateManager.selectSaveSlot(slotId);
+            const legacy = JSON.stringify({ state: initialState(), timestamp: Date.now() });
+
+            assert.equal(stateManager.importSave(legacy), true);
+            assert.equal(storage.getItem(stateManager.importBackupKey), legacy);
+        });
+
+        it('backs up the slot save before an import and never overwrites it with the imported file', () => {
+            const slotId = stateManager.createSaveSlot('Main');
+            stateManager.selectSaveSlot(slotId);
+            stateManager.saveToStorage();
+            const existing = storage.getItem(stateManager.saveKey);
+
+            const newer = JSON.parse(stateManager.exportSave());
+            newer.version = '99.0.0';
+            assert.equal(stateManager.importSave(JSON.stringify(newer)), false);
+            assert.equal(stateManager.getBackupSave(), null);
+
+            const legacy = JSON.stringify({ state: initialState(), timestamp: Date.now() });
+            assert.equal(stateManager.importSave(legacy), true);
+            assert.equal(stateManager.getBackupSave(), existing);
+            assert.equal(storage.getItem(stateManager.importBackupKey), legacy);
+        });
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Balance simulation CLI
+ * Runs the headless game and prints a JSON report or CSV rows.
+ *
+ *   node tools/simulate.js --mode stage-clear --stage 4 --level 10 --equipment iron_sword --trials 200
+ *   node tools/simulate.js --mode fights --stage 2 --level 4 --trials 1000 --format csv
+ *   node tools/simulate.js --mode full-run --hours 8 --prestige-at 50 --content content/packs/manifest.json
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { BalanceSimulator } from '../src/simulation/balance-simulator.js';
+
+const USAGE = `Usage: node tools/simulate.js [options]
+
+  --mode <fights|stage-clear|full-run>  Simulation mode (default fights)
+  --trials <n>             Fights in 'fights' mode, runs otherwise (default 100)
+  --seed <n>               Base RNG seed (default 1)
+  --stage <id>             Stage to fight on (default 1)
+  --level <n>              Player level (default 1)
+  --stat-weights <spec>    How stat points are spent, e.g. attack=2,maxHp=1, or none (default even)
+  --equipment <ids>        Comma-separated equipment IDs to equip
+  --policy <name>          always_attack or defend_low_hp (default always_attack)
+  --defend-threshold <f>   HP fraction for defend_low_hp (default 0.3)
+  --max-fights <n>         Per-run fight limit (default 1000)
+  --hours <n>              Virtual hours per full run (default 4)
+  --sample-minutes <n>     Prestige curve sample interval (default 10)
+  --prestige-at <n>        Prestige when this many points are available (default never)
+  --no-craft               Full runs keep their starting gear
+  --content <manifest>     Content pack manifest to load
+  --format <json|csv>      Output format (default json)
+  --output <file>          Write to a file instead of stdout
+  --verbose                Keep the game's console logging`;
+
+/**
+ * Parse command line flags
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Flags keyed by name (true for flags without a value)
+ */
+function parseArgs(args) {
+    const flags = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+
+        const name = arg.slice(2);
+        const next = args[i + 1];
+        if (next === undefined || next.startsWith('--')) {
+            flags[name] = true;
+        } else {
+            flags[name] = next;
+            i++;
+        }
+    }
+
+    return flags;
+}
+
+/**
+ * Read a number flag
+ * @param {Object} flags - Parsed flags
+ * @param {string} name - Flag name
+ * @param {number} fallback - Value when the flag is absent
+ * @returns {number} Value
+ */
+function numberFlag(flags, name, fallback) {
+    if (flags[name] === undefined) return fallback;
+
+    const value = Number(flags[name]);
+    if (Number.isNaN(value)) {
+        throw new Error(`--${name} must be a number`);
+    }
+    return value;
+}
+
+/**
+ * Read the --stat-weights flag
+ * @param {Object} flags - Parsed flags
+ * @returns {Object|null|undefined} Stat -> weight, null for none, undefined for the default
+ */
+function statWeightsFlag(flags) {
+    const spec = flags['stat-weights'];
+    if (spec === undefined) return undefined;
+    if (spec === 'none') return null;
+
+    return Object.fromEntries(String(spec).split(',').filter(Boolean).map(pair => {
+        const [stat, weight] = pair.split('=');
+        const value = Number(weight ?? 1);
+        if (!stat || Number.isNaN(value)) {
+            throw new Error(`--stat-weights expects stat=weight pairs, got '${pair}'`);
+        }
+        return [stat, value];
+    }));
+}
+
+/**
+ * Load every pack listed in a content manifest
+ * @param {string} manifestPath - Path to manifest.json
+ * @returns {Array} Parsed packs
+ */
+function loadContentPacks(manifestPath) {
+    const manifest = JSON.parse(readFileSync(manifestPath, 'utf8'));
+    return (manifest.packs || []).map(packPath =>
+        JSON.parse(readFileSync(resolve(dirname(manifestPath), packPath), 'utf8')));
+}
+
+function main() {
+    const flags = parseArgs(process.argv.slice(2));
+
+    if (flags.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    if (!flags.verbose) {
+        console.log = () => {};
+        console.info = () => {};
+        console.warn = () => {};
+    }
+
+    const statWeights = statWeightsFlag(flags);
+    const simulator = new BalanceSimulator({
+        mode: flags.mode || 'fights',
+        trials: numberFlag(flags, 'trials', 100),
+        seed: numberFlag(flags, 'seed', 1),
+        stage: numberFlag(flags, 'stage', 1),
+        level: numberFlag(flags, 'level', 1),
+        ...(statWeights !== undefined ? { statWeights } : {}),
+        equipment: typeof flags.equipment === 'string' ? flags.equipment.split(',').filter(Boolean) : [],
+        policy: flags.policy || 'always_attack',
+        defendThreshold: numberFlag(flags, 'defend-threshold', 0.3),
+        maxFights: numberFlag(flags, 'max-fights', 1000),
+        duration: numberFlag(flags, 'hours', 4) * 60 * 60 * 1000,
+        sampleInterval: numberFlag(flags, 'sample-minutes', 10) * 60 * 1000,
+        prestigeAt: numberFlag(flags, 'prestige-at', 0),
+        autoCraft: !flags['no-craft'],
+        contentPacks: typeof flags.content === 'string' ? loadContentPacks(flags.content) : []
+    });
+
+    const report = simulator.run();
+    const output = flags.format === 'csv' ? simulator.toCSV(report) : simulator.toJSON(report);
+
+    if (typeof flags.output === 'string') {
+        writeFileSync(flags.output, output + '\n');
+    } else {
+        process.stdout.write(output + '\n');
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`simulate: ${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+}